@@ -8,6 +8,7 @@ class SiteSentinelApp {
     this.urlInput = document.getElementById('urlInput');
     this.resultsSection = document.getElementById('resultsSection');
     this.categoriesGrid = document.getElementById('categoriesGrid');
+    this.analysisProgress = document.getElementById('analysisProgress');
     this.overallScore = document.getElementById('overallScore');
     this.scoreLabel = document.getElementById('scoreLabel');
     this.analyzedUrl = document.getElementById('analyzedUrl');
@@ -77,22 +78,9 @@ class SiteSentinelApp {
     this.submitBtn.textContent = 'Analyzing...';
 
     try {
-      const response = await fetch('/api/analyze', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url })
-      });
-
-      let data;
-      try {
-        data = await response.json();
-      } catch (e) {
-        throw new Error(`Invalid JSON response from server: ${e.message}`);
-      }
-
-      if (!response.ok) {
-        throw new Error(data.error || data.details || 'Analysis failed');
-      }
+      const data = window.EventSource
+        ? await this.streamAnalysis(url)
+        : await this.fetchAnalysis(url);
 
       // Validate response structure
       if (!data || typeof data !== 'object') {
@@ -124,6 +112,161 @@ class SiteSentinelApp {
     }
   }
 
+  async fetchAnalysis(url) {
+    const response = await fetch('/api/analyze', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url })
+    });
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (e) {
+      throw new Error(`Invalid JSON response from server: ${e.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(data.error || data.details || 'Analysis failed');
+    }
+
+    return data;
+  }
+
+  /**
+   * Run the analysis over Server-Sent Events, rendering categories as they finish
+   * Falls back to the regular POST endpoint if the stream cannot be opened.
+   */
+  streamAnalysis(url) {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`/api/analyze/stream?url=${encodeURIComponent(url)}`);
+      let started = false;
+
+      const parse = (e) => {
+        try {
+          return JSON.parse(e.data);
+        } catch {
+          return null;
+        }
+      };
+
+      source.addEventListener('start', (e) => {
+        started = true;
+        const data = parse(e);
+        this.showProgress(data?.url || url, data?.checks || []);
+      });
+
+      source.addEventListener('check-start', (e) => {
+        const data = parse(e);
+        if (data) this.markCheckRunning(data.id);
+      });
+
+      source.addEventListener('check-complete', (e) => {
+        const data = parse(e);
+        if (data?.result) this.renderStreamedCategory(data.id, data.result);
+      });
+
+      source.addEventListener('complete', (e) => {
+        source.close();
+        this.hideProgress();
+        resolve(parse(e));
+      });
+
+      source.addEventListener('analysis-error', (e) => {
+        source.close();
+        this.hideProgress();
+        reject(new Error(parse(e)?.error || 'Analysis failed'));
+      });
+
+      // Connection-level failure (EventSource fires a plain 'error' event)
+      source.onerror = () => {
+        source.close();
+        this.hideProgress();
+        if (started) {
+          reject(new Error('Connection lost during analysis'));
+        } else {
+          this.fetchAnalysis(url).then(resolve, reject);
+        }
+      };
+    });
+  }
+
+  showProgress(url, checks) {
+    this.pendingChecks = new Map(checks.map(check => [check.id, { ...check, running: false }]));
+
+    this.analyzedUrl.textContent = url;
+    this.overallScore.textContent = '...';
+    this.scoreLabel.textContent = 'Analyzing';
+    this.categoriesGrid.innerHTML = '';
+
+    checks.forEach(check => {
+      const card = document.createElement('div');
+      card.className = 'category-card pending';
+      card.dataset.checkId = check.id;
+      card.innerHTML = `
+        <div class="category-card-header">
+          <div class="category-icon">${this.escapeHtml(check.icon || '❓')}</div>
+          <div class="category-title">
+            <h3>${this.escapeHtml(check.category)}</h3>
+            <div class="category-score">Pending...</div>
+          </div>
+        </div>
+      `;
+      this.categoriesGrid.appendChild(card);
+    });
+
+    this.updateProgress();
+    this.resultsSection.style.display = 'block';
+    this.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  markCheckRunning(id) {
+    const check = this.pendingChecks?.get(id);
+    if (!check) return;
+    check.running = true;
+
+    const card = this.categoriesGrid.querySelector(`[data-check-id="${id}"]`);
+    if (card) {
+      card.classList.replace('pending', 'running');
+      card.querySelector('.category-score').textContent = 'Running...';
+    }
+    this.updateProgress();
+  }
+
+  renderStreamedCategory(id, result) {
+    this.pendingChecks?.delete(id);
+
+    const card = this.createCategoryCard(result);
+    card.dataset.checkId = id;
+    const placeholder = this.categoriesGrid.querySelector(`[data-check-id="${id}"]`);
+    if (placeholder) {
+      placeholder.replaceWith(card);
+    } else {
+      this.categoriesGrid.appendChild(card);
+    }
+    this.updateProgress();
+  }
+
+  updateProgress() {
+    if (!this.analysisProgress) return;
+    const pending = [...(this.pendingChecks?.values() || [])];
+
+    if (pending.length === 0) {
+      this.analysisProgress.innerHTML = '<strong>All checks finished.</strong> Calculating overall score...';
+    } else {
+      this.analysisProgress.innerHTML = `
+        <strong>${pending.length} check${pending.length !== 1 ? 's' : ''} still running:</strong>
+        ${pending.map(check => `<span class="progress-chip ${check.running ? 'running' : ''}">${this.escapeHtml(check.icon || '')} ${this.escapeHtml(check.category)}</span>`).join('')}
+      `;
+    }
+    this.analysisProgress.style.display = 'block';
+  }
+
+  hideProgress() {
+    this.pendingChecks = null;
+    if (this.analysisProgress) this.analysisProgress.style.display = 'none';
+  }
+
   displayResults(data) {
     // Comprehensive validation
     if (!data || typeof data !== 'object') {
@@ -197,16 +340,23 @@ class SiteSentinelApp {
     // Check if this is External Links category
     const isExternalLinks = category.category === 'External Links';
     const hasExternalLinks = isExternalLinks && category.scoredLinks && category.scoredLinks.length > 0;
+    const hasCookies = Array.isArray(category.cookies) && category.cookies.length > 0;
+    const hasRedirectTrace = !!(category.trace && Array.isArray(category.trace.hops) && category.trace.hops.length > 0);
+    const hasWaterfall = !!(category.waterfall && Array.isArray(category.waterfall.resources) && category.waterfall.resources.length > 0);
+    const hasStructuredData = Array.isArray(category.structuredData) && category.structuredData.length > 0;
+    const hasRendering = Array.isArray(category.rendering) && category.rendering.length > 0;
+    const hasSocialPreviews = !!(category.social && Array.isArray(category.social.previews) && category.social.previews.length > 0);
+    const hasHreflang = !!(category.hreflang && Array.isArray(category.hreflang.annotations) && category.hreflang.annotations.length > 0);
     
     card.innerHTML = `
       <div class="category-card-header">
-        <div class="category-icon">${category.icon || '❓'}</div>
+        <div class="category-icon">${this.escapeHtml(category.icon || '❓')}</div>
         <div class="category-title">
-          <h3>${category.category || 'Unknown'}</h3>
+          <h3>${this.escapeHtml(category.category || 'Unknown')}</h3>
           <div class="category-score">${checks.length} checks</div>
         </div>
         <div class="category-badge" style="background: ${scoreColor}">
-          ${category.score}/100
+          ${this.escapeHtml(category.score)}/100
         </div>
       </div>
       <div class="category-body">
@@ -214,9 +364,20 @@ class SiteSentinelApp {
           ${category.checks.map(check => this.createCheckItem(check)).join('')}
         </ul>
         ${hasExternalLinks ? this.createExternalLinksSection(category.scoredLinks) : ''}
+        ${hasCookies ? this.createCookiesSection(category.cookies) : ''}
+        ${hasRedirectTrace ? this.createRedirectTraceSection(category.trace) : ''}
+        ${hasWaterfall ? this.createWaterfallSection(category.waterfall, category.harId) : ''}
+        ${hasRendering ? this.createRenderingSection(category.rendering) : ''}
+        ${hasStructuredData ? this.createStructuredDataSection(category.structuredData) : ''}
+        ${hasHreflang ? this.createHreflangSection(category.hreflang) : ''}
+        ${hasSocialPreviews ? this.createSocialPreviewSection(category.social.previews) : ''}
       </div>
     `;
 
+    card.querySelector('.har-download')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
     // Toggle expand/collapse
     card.querySelector('.category-card-header').addEventListener('click', () => {
       card.classList.toggle('expanded');
@@ -250,6 +411,215 @@ class SiteSentinelApp {
     `;
   }
 
+  createCookiesSection(cookies) {
+    const flag = (on) => on ? '✅' : '❌';
+    return `
+      <div class="cookies-section">
+        <h4>Cookies (${cookies.length})</h4>
+        <div class="cookies-table-wrapper">
+          <table class="cookies-table">
+            <thead>
+              <tr>
+                <th>Name</th><th>Domain</th><th>Party</th><th>Source</th>
+                <th>Secure</th><th>HttpOnly</th><th>SameSite</th><th>Expires</th><th>Issues</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${cookies.map(cookie => `
+                <tr class="${cookie.issues.some(issue => issue.severity === 'high') ? 'cookie-high' : cookie.issues.length ? 'cookie-warn' : ''}">
+                  <td class="cookie-name">${this.escapeHtml(cookie.name)}${cookie.sessionId ? ' <span class="cookie-tag">session</span>' : ''}</td>
+                  <td>${this.escapeHtml(cookie.domain)}${cookie.path && cookie.path !== '/' ? this.escapeHtml(cookie.path) : ''}</td>
+                  <td>${cookie.firstParty ? '1st' : '3rd'}</td>
+                  <td>${this.escapeHtml(cookie.source)}</td>
+                  <td>${flag(cookie.secure)}</td>
+                  <td>${flag(cookie.httpOnly)}</td>
+                  <td>${this.escapeHtml(cookie.sameSite || '—')}</td>
+                  <td>${cookie.persistent ? `${this.escapeHtml(cookie.lifetimeDays)}d` : 'Session'}</td>
+                  <td>${cookie.issues.map(issue => this.escapeHtml(issue.message)).join('<br>') || '—'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  createRedirectTraceSection(trace) {
+    return `
+      <div class="redirect-trace-section">
+        <h4>Redirect Trace (${trace.hops.length} hop${trace.hops.length === 1 ? '' : 's'}, ${trace.totalTime}ms)</h4>
+        <ol class="redirect-trace">
+          ${trace.hops.map(hop => `
+            <li class="redirect-hop ${hop.crossDomain ? 'cross-domain' : ''}">
+              <div class="redirect-hop-meta">
+                <span class="hop-type">${hop.type === 'http' ? (hop.status || 'HTTP') : this.escapeHtml(hop.type)}</span>
+                ${hop.elapsed !== null && hop.elapsed !== undefined ? `<span>${hop.elapsed}ms</span>` : ''}
+                <span>${hop.tls ? `🔒 ${this.escapeHtml(hop.tls.protocol)}` : '🔓 HTTP'}</span>
+                ${hop.crossDomain ? '<span class="hop-flag">cross-domain</span>' : ''}
+                ${hop.cookies.length ? `<span class="hop-flag">🍪 ${hop.cookies.map(name => this.escapeHtml(name)).join(', ')}</span>` : ''}
+              </div>
+              <div class="redirect-hop-urls">
+                <span class="link-url-text">${this.escapeHtml(this.truncateUrl(hop.url))}</span>
+                → <span class="link-url-text">${this.escapeHtml(this.truncateUrl(hop.location))}</span>
+              </div>
+            </li>
+          `).join('')}
+        </ol>
+        ${trace.loop ? `<div class="redirect-loop-warning">🔁 Loop back to ${this.escapeHtml(trace.loop.url)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  createWaterfallSection(waterfall, harId) {
+    const total = Math.max(waterfall.totals.duration, 1);
+    const formatBytes = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+    const types = Object.entries(waterfall.byType).sort(([, a], [, b]) => b.transferSize - a.transferSize);
+    return `
+      <div class="waterfall-section">
+        <div class="waterfall-header">
+          <h4>Resource Waterfall (${waterfall.totals.requests} requests, ${formatBytes(waterfall.totals.transferSize)}, ${waterfall.totals.duration}ms)</h4>
+          ${harId ? `<a class="btn btn-secondary har-download" href="/api/har/${encodeURIComponent(harId)}" download>⬇️ Download HAR</a>` : ''}
+        </div>
+        <div class="waterfall-breakdown">
+          ${types.map(([type, group]) => `<span class="waterfall-type type-${type}">${type}: ${group.count} / ${formatBytes(group.transferSize)}</span>`).join('')}
+        </div>
+        <div class="waterfall">
+          ${waterfall.resources.map(resource => `
+            <div class="waterfall-row ${resource.failed ? 'failed' : ''} ${resource.firstParty ? '' : 'third-party'}" title="${this.escapeHtml(resource.url)}">
+              <span class="waterfall-url link-url-text">${this.escapeHtml(this.truncateUrl(resource.url))}</span>
+              <span class="waterfall-meta">${resource.failed ? this.escapeHtml(resource.failed) : `${resource.status ?? '—'} · ${formatBytes(resource.transferSize)}`}</span>
+              <span class="waterfall-track">
+                <span class="waterfall-bar type-${resource.type}" style="left: ${(resource.start / total * 100).toFixed(2)}%; width: ${Math.max((resource.duration || 0) / total * 100, 0.5).toFixed(2)}%"></span>
+              </span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  createRenderingSection(rows) {
+    const labels = { same: 'Same', 'js-only': 'JS only', changed: 'Changed', removed: 'Removed by JS', absent: 'Missing' };
+    const cell = (value) => value === null ? '<span class="rendering-missing">—</span>' : this.escapeHtml(value).replace(/\n/g, '<br>');
+    return `
+      <div class="rendering-section">
+        <h4>Raw HTML vs Rendered DOM</h4>
+        <div class="rendering-table-wrapper">
+          <table class="rendering-table">
+            <thead>
+              <tr><th>Element</th><th>Raw HTML</th><th>Rendered DOM</th><th>Status</th></tr>
+            </thead>
+            <tbody>
+              ${rows.map(row => `
+                <tr class="rendering-${row.status}">
+                  <td class="rendering-element">${this.escapeHtml(row.element)}</td>
+                  <td>${cell(row.raw)}</td>
+                  <td>${cell(row.rendered)}</td>
+                  <td><span class="rendering-status">${labels[row.status] || this.escapeHtml(row.status)}</span></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  createHreflangSection(hreflang) {
+    const alternates = new Map((hreflang.alternates || []).map(result => [result.url, result]));
+    const flag = (value) => value === null || value === undefined
+      ? '<span class="hreflang-muted">—</span>'
+      : `<span class="hreflang-${value ? 'ok' : 'bad'}">${value ? 'Yes' : 'No'}</span>`;
+    return `
+      <div class="hreflang-section">
+        <h4>hreflang Alternates</h4>
+        <div class="hreflang-table-wrapper">
+          <table class="hreflang-table">
+            <thead>
+              <tr><th>hreflang</th><th>URL</th><th>Source</th><th>Status</th><th>Self-canonical</th><th>Links back</th></tr>
+            </thead>
+            <tbody>
+              ${hreflang.annotations.map(annotation => {
+                const result = alternates.get(annotation.href);
+                const status = result ? (result.status ?? result.error ?? '—') : '<span class="hreflang-muted">this page / not checked</span>';
+                return `
+                  <tr>
+                    <td class="hreflang-lang ${annotation.valid ? '' : 'hreflang-bad'}">${this.escapeHtml(annotation.lang)}</td>
+                    <td>${this.escapeHtml(annotation.href)}</td>
+                    <td>${this.escapeHtml(annotation.sources.join(', '))}</td>
+                    <td>${result ? this.escapeHtml(String(status)) : status}</td>
+                    <td>${flag(result?.selfCanonical)}</td>
+                    <td>${flag(result?.returnLink)}</td>
+                  </tr>
+                `;
+              }).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  createSocialPreviewSection(previews) {
+    const image = (preview) => /^https?:\/\//i.test(preview.image?.url || '')
+      ? `<img src="${this.escapeHtml(preview.image.url)}" alt="" loading="lazy" referrerpolicy="no-referrer">`
+      : '<span class="social-card-noimage">No image</span>';
+    return `
+      <div class="social-preview-section">
+        <h4>Share Previews</h4>
+        <div class="social-previews">
+          ${previews.map(preview => `
+            <div class="social-preview">
+              <div class="social-preview-label">${this.escapeHtml(preview.label)}${preview.card ? ` · ${this.escapeHtml(preview.card)}` : ''}</div>
+              <div class="social-card social-card-${preview.layout === 'small' ? 'small' : 'large'}">
+                <div class="social-card-image">${image(preview)}</div>
+                <div class="social-card-body">
+                  <div class="social-card-domain">${this.escapeHtml(preview.domain || '')}</div>
+                  <div class="social-card-title">${preview.title ? this.escapeHtml(preview.title) : '<em>No title</em>'}</div>
+                  ${preview.description ? `<div class="social-card-description">${this.escapeHtml(preview.description)}</div>` : ''}
+                </div>
+              </div>
+              ${preview.issues.length ? `
+                <ul class="social-preview-issues">
+                  ${preview.issues.map(issue => `
+                    <li class="social-issue-${issue.level === 'error' ? 'error' : 'warning'}">
+                      <span class="social-issue-field">${this.escapeHtml(issue.field)}</span> ${this.escapeHtml(issue.message)}
+                    </li>
+                  `).join('')}
+                </ul>
+              ` : '<div class="social-preview-ok">✅ No issues</div>'}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  createStructuredDataSection(blocks) {
+    const formats = { 'json-ld': 'JSON-LD', microdata: 'Microdata', rdfa: 'RDFa' };
+    const list = (items, className) => items.length
+      ? `<ul class="${className}">${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>`
+      : '';
+    return `
+      <div class="structured-data-section">
+        <h4>Structured Data (${blocks.length} block${blocks.length === 1 ? '' : 's'})</h4>
+        ${blocks.map(block => `
+          <div class="sd-block ${block.errors.length ? 'sd-invalid' : block.warnings.length ? 'sd-warn' : ''}">
+            <div class="sd-block-header">
+              <span class="sd-format">${formats[block.format] || this.escapeHtml(block.format)} #${block.index}</span>
+              <span class="sd-types">${this.escapeHtml(block.types.join(', ') || 'No type')}</span>
+              ${block.features.map(feature => `<span class="sd-feature">✨ ${this.escapeHtml(feature)}</span>`).join('')}
+            </div>
+            ${list(block.errors, 'sd-errors')}
+            ${list(block.warnings, 'sd-warnings')}
+            ${block.unchecked.length ? `<div class="sd-unchecked">Not in the bundled vocabulary: ${this.escapeHtml(block.unchecked.join(', '))}</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   getLinkStatusIcon(status) {
     const icons = {
       'Safe': '✅',
@@ -281,14 +651,20 @@ class SiteSentinelApp {
     }
   }
 
+  escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  }
+
   createCheckItem(check) {
     const statusIcon = this.getStatusIcon(check.status);
     return `
       <li class="check-item">
         <div class="check-icon">${statusIcon}</div>
         <div class="check-details">
-          <div class="check-name">${check.name}</div>
-          <div class="check-description">${check.description}</div>
+          <div class="check-name">${this.escapeHtml(check.name)}</div>
+          <div class="check-description">${this.escapeHtml(check.description)}</div>
         </div>
       </li>
     `;
@@ -344,6 +720,7 @@ class SiteSentinelApp {
     this.urlInput.focus();
     this.resultsSection.style.display = 'none';
     this.categoriesGrid.innerHTML = '';
+    this.hideProgress();
     this.toggleAIVisibility(false);
     // Hide AI assessment
     if (this.aiAssessmentCard) {
@@ -2,21 +2,24 @@
  * Accessibility Checks (WCAG 2.1)
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { resolvePage } = require('../utils/analysis-context.util');
 
 class AccessibilityCheck {
-  async analyze(url) {
+  static meta = {
+    id: 'accessibility',
+    category: 'Accessibility (WCAG 2.1)',
+    icon: '♿',
+    timeout: 30000,
+    dependencies: [],
+    order: 50
+  };
+
+  async analyze(url, context) {
     const checks = [];
 
     try {
-      const response = await axios.get(url, { 
-        timeout: 15000,
-        validateStatus: () => true
-      });
-
-      const $ = cheerio.load(response.data);
+      const { $ } = await resolvePage(url, context);
 
       // 1. Language Attribute
       const htmlLang = $('html').attr('lang');
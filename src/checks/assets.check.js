@@ -0,0 +1,164 @@
+/**
+ * Asset Optimization Checks
+ * Render-blocking resources, script loading, minification, images and web fonts; each finding
+ * names the resource and the bytes a fix would save
+ */
+
+const { resolvePage } = require('../utils/analysis-context.util');
+const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const {
+  listScriptsAndStyles,
+  findBlockingResources,
+  fetchAssetTexts,
+  findUnminified,
+  auditImages,
+  findLegacyImages,
+  findStaticImagesWithoutDimensions,
+  findFontDisplayIssues
+} = require('../utils/asset-audit.util');
+
+const MAX_FINDINGS = 10;
+
+class AssetsCheck {
+  static meta = {
+    id: 'assets',
+    category: 'Asset Optimization',
+    icon: '🧩',
+    timeout: 45000,
+    dependencies: ['performance'],
+    order: 35
+  };
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+  }
+
+  /**
+   * One check per finding type: pass when empty, otherwise the count, total savings and the findings
+   */
+  findingCheck(name, findings, { pass, summary, status = 'warn', severity = 'medium' }) {
+    const wastedBytes = findings.reduce((sum, finding) => sum + finding.wastedBytes, 0);
+    return {
+      name,
+      status: findings.length === 0 ? 'pass' : status,
+      description: findings.length === 0
+        ? pass
+        : `${findings.length} ${summary}${wastedBytes > 0 ? ` (est. ${this.formatBytes(wastedBytes)} saved)` : ''}`,
+      severity,
+      ...(findings.length > 0 ? { details: { wastedBytes, findings: findings.slice(0, MAX_FINDINGS) } } : {})
+    };
+  }
+
+  async analyze(url, context) {
+    const checks = [];
+
+    try {
+      const page = await resolvePage(url, context);
+      const performance = context?.results.get('performance');
+      const resources = performance?.waterfall?.resources || [];
+      const resourceByUrl = new Map(resources.map(resource => [resource.url, resource]));
+
+      // Text of external scripts and stylesheets, for minification and @font-face rules
+      const { scripts, styles } = listScriptsAndStyles(page.$, page.finalUrl);
+      const texts = await fetchAssetTexts([...scripts, ...styles].map(asset => asset.url), { signal: context?.signal });
+      const sizeOf = (assetUrl) => resourceByUrl.get(assetUrl)?.transferSize || (texts.has(assetUrl) ? Buffer.byteLength(texts.get(assetUrl)) : 0);
+      const compressionOf = (assetUrl) => {
+        const resource = resourceByUrl.get(assetUrl);
+        return resource && resource.size > 0 && resource.transferSize > 0 ? Math.min(1, resource.transferSize / resource.size) : 1;
+      };
+      const textsOf = (list) => new Map(list.filter(asset => texts.has(asset.url)).map(asset => [asset.url, texts.get(asset.url)]));
+
+      // 1-2. Render-blocking resources and synchronous scripts
+      const { renderBlocking, parserBlocking } = findBlockingResources(page.$, page.finalUrl, sizeOf);
+      checks.push(this.findingCheck('Render-Blocking Resources', renderBlocking, {
+        pass: 'No render-blocking scripts or stylesheets in <head>',
+        summary: 'render-blocking resource(s) in <head>'
+      }));
+      checks.push(this.findingCheck('Script Loading (async/defer)', parserBlocking, {
+        pass: 'Scripts outside <head> load with async or defer',
+        summary: 'parser-blocking script(s) without async/defer',
+        severity: 'low'
+      }));
+
+      // 3-4. Minification
+      const unminifiedJs = findUnminified(textsOf(scripts), 'js', compressionOf);
+      const unminifiedCss = findUnminified(textsOf(styles), 'css', compressionOf);
+      checks.push(this.findingCheck('Unminified JavaScript', unminifiedJs, {
+        pass: scripts.length > 0 ? 'Scripts are minified' : 'No external scripts to inspect',
+        summary: 'unminified script(s)'
+      }));
+      checks.push(this.findingCheck('Unminified CSS', unminifiedCss, {
+        pass: styles.length > 0 ? 'Stylesheets are minified' : 'No external stylesheets to inspect',
+        summary: 'unminified stylesheet(s)',
+        severity: 'low'
+      }));
+
+      // 5-8. Images: rendered boxes come from the Performance browser session
+      const legacy = findLegacyImages(resources);
+      if (performance?.assets) {
+        const images = auditImages(performance.assets, (src) => resourceByUrl.get(src));
+        checks.push(this.findingCheck('Properly Sized Images', images.oversized, {
+          pass: 'Images are not larger than their rendered size',
+          summary: 'image(s) larger than they are displayed'
+        }));
+        checks.push(this.findingCheck('Modern Image Formats', legacy, {
+          pass: 'No large JPEG/PNG/GIF images that would benefit from WebP or AVIF',
+          summary: 'image(s) in legacy formats'
+        }));
+        checks.push(this.findingCheck('Image Dimensions', images.missingDimensions, {
+          pass: 'Images reserve their space with width/height or aspect-ratio',
+          summary: 'image(s) without explicit dimensions',
+          severity: 'low'
+        }));
+        checks.push(this.findingCheck('Offscreen Images', images.offscreen, {
+          pass: 'Images below the fold are lazy-loaded',
+          summary: 'offscreen image(s) loaded eagerly'
+        }));
+      } else {
+        const unsized = findStaticImagesWithoutDimensions(page.$, page.finalUrl);
+        checks.push(this.findingCheck('Image Dimensions', unsized, {
+          pass: 'Every <img> declares width and height',
+          summary: '<img> element(s) without width/height attributes',
+          severity: 'low'
+        }));
+        checks.push({
+          name: 'Image Optimization',
+          status: 'info',
+          description: 'Browser session unavailable; image sizing, formats and lazy loading were not measured',
+          severity: 'low'
+        });
+      }
+
+      // 9. Web fonts
+      const inlineCss = page.$('style').map((i, el) => page.$(el).html() || '').get().join('\n');
+      const fontIssues = findFontDisplayIssues([
+        { url: page.finalUrl, text: inlineCss },
+        ...styles.filter(style => texts.has(style.url)).map(style => ({ url: style.url, text: texts.get(style.url) }))
+      ]);
+      checks.push(this.findingCheck('Font Display', fontIssues, {
+        pass: '@font-face rules use a non-blocking font-display',
+        summary: '@font-face rule(s) without font-display: swap/optional',
+        severity: 'low'
+      }));
+
+    } catch (error) {
+      checks.push({
+        name: 'Asset Analysis Error',
+        status: 'error',
+        description: `Unable to analyze: ${error.message}`,
+        severity: 'critical'
+      });
+    }
+
+    return {
+      category: 'Asset Optimization',
+      icon: '🧩',
+      score: calculateCategoryScore(checks),
+      checks
+    };
+  }
+}
+
+module.exports = AssetsCheck;
@@ -0,0 +1,175 @@
+/**
+ * Cookie Security Checks
+ * Audits cookies set by the page, its redirect hops and JavaScript in a browser session
+ */
+
+const { resolvePage, resolveBrowserSession } = require('../utils/analysis-context.util');
+const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { parseSetCookie, parseSetCookieHeaders, fromBrowserCookie, auditCookie } = require('../utils/cookie.util');
+const logger = require('../utils/logger.util');
+
+// One aggregated check per issue type
+const ISSUE_CHECKS = [
+  { type: 'secure', name: 'Cookie Secure Flag', severity: 'high', pass: 'All cookies are marked Secure' },
+  { type: 'httponly', name: 'Cookie HttpOnly Flag', severity: 'high', pass: 'Session cookies are HttpOnly' },
+  { type: 'samesite', name: 'Cookie SameSite Attribute', severity: 'medium', pass: 'All cookies declare a safe SameSite value' },
+  { type: 'prefix', name: 'Cookie Prefixes', severity: 'medium', pass: '__Host- / __Secure- prefixes are used correctly' },
+  { type: 'scope', name: 'Cookie Scope (Domain/Path)', severity: 'low', pass: 'Cookies are not scoped more broadly than needed' },
+  { type: 'expiry', name: 'Cookie Expiry', severity: 'low', pass: 'Cookie lifetimes are reasonable' }
+];
+
+const cookieKey = (cookie) => `${cookie.name}|${cookie.effectiveDomain}`;
+
+class CookiesCheck {
+  static meta = {
+    id: 'cookies',
+    category: 'Cookie Security',
+    icon: '🍪',
+    timeout: 60000,
+    dependencies: [],
+    order: 15
+  };
+
+  /**
+   * Every cookie in the jar of the shared browser session
+   * Cookies seen in a Set-Cookie response header are tagged 'header', the rest 'javascript'.
+   */
+  async collectBrowserCookies(url, context) {
+    const session = await resolveBrowserSession(url, context);
+    const headerCookies = new Map();
+    session.setCookies.forEach(({ url: requestUrl, header }) => {
+      const cookie = parseSetCookie(header, requestUrl);
+      if (cookie) headerCookies.set(cookieKey(cookie), cookie);
+    });
+
+    return session.cookies.map(raw => {
+      const cookie = fromBrowserCookie(raw);
+      const fromHeader = headerCookies.get(cookieKey(cookie));
+      return fromHeader ? { ...cookie, source: 'header', setBy: fromHeader.setBy } : cookie;
+    });
+  }
+
+  async analyze(url, context) {
+    const checks = [];
+    let audits = [];
+
+    try {
+      const page = await resolvePage(url, context);
+
+      // Cookies from every redirect hop and the final response
+      const observed = new Map();
+      page.redirects.forEach(hop => {
+        parseSetCookieHeaders({ 'set-cookie': hop.setCookie }, hop.url).forEach(cookie => {
+          observed.set(cookieKey(cookie), { ...cookie, source: 'redirect' });
+        });
+      });
+      parseSetCookieHeaders(page.headers, page.finalUrl).forEach(cookie => observed.set(cookieKey(cookie), cookie));
+
+      // Cookies written during a real browser session (JavaScript and subresources)
+      let browserError = null;
+      try {
+        const browserCookies = await this.collectBrowserCookies(page.finalUrl, context);
+        browserCookies.forEach(cookie => {
+          if (!observed.has(cookieKey(cookie))) observed.set(cookieKey(cookie), cookie);
+        });
+      } catch (error) {
+        if (context?.signal?.aborted) throw error;
+        browserError = error;
+        logger.warn(`Cookie browser session failed: ${error.message}`);
+      }
+
+      audits = [...observed.values()]
+        .map(cookie => auditCookie(cookie, page.finalUrl))
+        .filter(audit => !audit.deleted);
+
+      const firstParty = audits.filter(a => a.firstParty);
+      const thirdParty = audits.filter(a => !a.firstParty);
+      const bySource = (source) => audits.filter(a => a.source === source).length;
+
+      checks.push({
+        name: 'Cookies Set',
+        status: audits.length === 0 ? 'pass' : 'info',
+        description: audits.length === 0
+          ? 'No cookies are set'
+          : `${audits.length} cookies (${firstParty.length} first-party, ${thirdParty.length} third-party; ${bySource('header')} via headers, ${bySource('redirect')} on redirects, ${bySource('javascript')} via JavaScript)`,
+        severity: 'low'
+      });
+
+      if (browserError) {
+        checks.push({
+          name: 'JavaScript Cookies',
+          status: 'info',
+          description: `Browser session unavailable, only Set-Cookie headers were audited: ${browserError.message.split('\n')[0]}`,
+          severity: 'low'
+        });
+      }
+
+      if (audits.length > 0) {
+        ISSUE_CHECKS.forEach(({ type, name, severity, pass }) => {
+          const affected = audits
+            .map(audit => ({ audit, issues: audit.issues.filter(issue => issue.type === type) }))
+            .filter(entry => entry.issues.length > 0);
+          const high = affected.some(entry => entry.issues.some(issue => issue.severity === 'high'));
+          checks.push({
+            name,
+            status: affected.length === 0 ? 'pass' : high ? 'fail' : 'warn',
+            description: affected.length === 0
+              ? pass
+              : `${affected.length} cookie${affected.length === 1 ? '' : 's'}: ${affected.slice(0, 5).map(entry => entry.audit.name).join(', ')}${affected.length > 5 ? '…' : ''}`,
+            severity,
+            details: {
+              cookies: affected.map(({ audit, issues }) => ({
+                name: audit.name,
+                domain: audit.domain,
+                issues: issues.map(issue => issue.message)
+              }))
+            }
+          });
+        });
+
+        const sessionCookies = audits.filter(a => a.sessionId);
+        const weakSessions = sessionCookies.filter(a => a.issues.some(issue => issue.severity !== 'low'));
+        checks.push({
+          name: 'Session Cookies',
+          status: sessionCookies.length === 0 ? 'info' : weakSessions.length > 0 ? 'warn' : 'pass',
+          description: sessionCookies.length === 0
+            ? 'No session identifier cookies detected'
+            : weakSessions.length > 0
+              ? `${weakSessions.length}/${sessionCookies.length} session cookies are not fully hardened: ${weakSessions.map(a => a.name).join(', ')}`
+              : `${sessionCookies.length} session cookies are Secure, HttpOnly and SameSite-protected`,
+          severity: 'high',
+          details: { cookies: sessionCookies.map(a => a.name) }
+        });
+
+        const thirdPartyDomains = [...new Set(thirdParty.map(a => a.domain))];
+        checks.push({
+          name: 'Third-Party Cookies',
+          status: thirdParty.length === 0 ? 'pass' : 'info',
+          description: thirdParty.length === 0
+            ? 'No third-party cookies'
+            : `${thirdParty.length} third-party cookies from ${thirdPartyDomains.length} domains: ${thirdPartyDomains.slice(0, 5).join(', ')}${thirdPartyDomains.length > 5 ? '…' : ''}`,
+          severity: 'low',
+          details: { domains: thirdPartyDomains }
+        });
+      }
+
+    } catch (error) {
+      checks.push({
+        name: 'Cookie Analysis Error',
+        status: 'error',
+        description: `Unable to analyze: ${error.message}`,
+        severity: 'critical'
+      });
+    }
+
+    return {
+      category: 'Cookie Security',
+      icon: '🍪',
+      score: calculateCategoryScore(checks),
+      checks,
+      cookies: audits
+    };
+  }
+}
+
+module.exports = CookiesCheck;
@@ -2,113 +2,354 @@
  * DNS & Domain Checks
  */
 
-const dns = require('dns').promises;
+const { resolvePage } = require('../utils/analysis-context.util');
 const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { TYPES, getResolver, queryRecords, findZone } = require('../utils/dns-wire.util');
+const { createDnssecValidator } = require('../utils/dnssec.util');
+const { inspectTls } = require('../utils/tls.util');
+const {
+  findCaaRecords,
+  evaluateCaa,
+  inspectNameServers,
+  checkSoaTimers,
+  detectWildcard,
+  checkReverseDns
+} = require('../utils/dns-hygiene.util');
+const { fetchSitemapUrls } = require('../utils/sitemap.util');
+const { collectSiteHosts, inspectHost } = require('../utils/takeover.util');
+
+const MAX_TAKEOVER_HOSTS = 25;
+const TAKEOVER_CONCURRENCY = 5;
+// Lookups still running after this are reported as errors, leaving time to score the rest within meta.timeout
+const LOOKUP_BUDGET = 45000;
+
+/**
+ * Result for a check whose lookup failed; the rest of the category is still scored
+ */
+function uncheckedResult(name, severity, error) {
+  return {
+    name,
+    status: 'info',
+    description: `Could not be checked: ${error.message}`,
+    severity
+  };
+}
 
 class DnsCheck {
-  async analyze(url) {
+  static meta = {
+    id: 'dns',
+    category: 'DNS & Domain',
+    icon: '🌐',
+    timeout: 60000,
+    dependencies: [],
+    order: 20
+  };
+
+  /**
+   * Validate the DNSSEC chain of trust for the host
+   */
+  async checkDnssec(hostname, signal) {
+    return createDnssecValidator({ signal }).validateHost(hostname);
+  }
+
+  /**
+   * Resolve CNAME chains for the host and the site's subdomains found in page links and the sitemap
+   */
+  async checkTakeover(url, hostname, context, signal) {
+    const page = await resolvePage(url, context).catch(() => null);
+    const links = page
+      ? page.$('a[href], link[href], script[src], img[src], iframe[src], form[action]').map((i, el) => {
+        const value = page.$(el).attr('href') || page.$(el).attr('src') || page.$(el).attr('action');
+        try {
+          return new URL(value, page.finalUrl).href;
+        } catch (error) {
+          return null;
+        }
+      }).get().filter(Boolean)
+      : [];
+
+    let sitemapUrls = [];
+    try {
+      sitemapUrls = await fetchSitemapUrls(url, { signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+    }
+
+    const hosts = collectSiteHosts(hostname, [...links, ...sitemapUrls], MAX_TAKEOVER_HOSTS);
+    const findings = [];
+    for (let i = 0; i < hosts.length; i += TAKEOVER_CONCURRENCY) {
+      const batch = await Promise.all(hosts.slice(i, i + TAKEOVER_CONCURRENCY).map(host => inspectHost(host, { signal }).catch((error) => {
+        if (signal?.aborted) throw error;
+        return { host, chain: [], error: error.message };
+      })));
+      findings.push(...batch);
+    }
+
+    return { hosts, findings, sources: { links: links.length, sitemap: sitemapUrls.length } };
+  }
+
+  /**
+   * Issuer of the certificate currently served, and whether it is a wildcard for the host
+   */
+  async currentCertificate(url, signal) {
+    const { protocol, hostname, port } = new URL(url);
+    if (protocol !== 'https:') return null;
+    try {
+      const { certificate } = await inspectTls(hostname, parseInt(port, 10) || 443, { signal });
+      const names = certificate.subjectAltNames.map(name => name.replace(/^DNS:/, '').toLowerCase());
+      const parent = hostname.split('.').slice(1).join('.');
+      return {
+        issuerName: certificate.issuerName,
+        wildcard: !names.includes(hostname) && names.includes(`*.${parent}`)
+      };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      return null;
+    }
+  }
+
+  async analyze(url, context) {
     const hostname = new URL(url).hostname;
+    const dns = getResolver();
     const checks = [];
+    let dnssec = null;
+    let takeover = null;
+    let hygiene = null;
 
     try {
+      // Independent lookups run together; the budget stops slow ones in time to report the rest
+      const budget = AbortSignal.any([context?.signal, AbortSignal.timeout(LOOKUP_BUDGET)].filter(Boolean));
+      const queryOptions = { signal: budget };
+      const settle = promise => promise.then(value => ({ value }), (error) => {
+        if (context?.signal?.aborted) throw error;
+        return { error: budget.aborted ? new Error(`did not finish within ${LOOKUP_BUDGET / 1000}s`) : error };
+      });
+
+      const addressLookup = settle(dns.resolve4(hostname));
+      const ipv6Lookup = settle(dns.resolve6(hostname));
+      const zoneLookup = findZone(hostname, queryOptions);
+      const [a, aaaa, mx, dnssecLookup, takeoverLookup, caaLookup, zoneResult, soaLookup, nameserverLookup, wildcardLookup, reverseLookup] = await Promise.all([
+        addressLookup,
+        ipv6Lookup,
+        settle(dns.resolveMx(hostname)),
+        settle(this.checkDnssec(hostname, budget)),
+        settle(this.checkTakeover(url, hostname, context, budget)),
+        settle(Promise.all([findCaaRecords(hostname, queryOptions), this.currentCertificate(url, budget)])),
+        settle(zoneLookup),
+        settle(zoneLookup.then(zone => queryRecords(zone, TYPES.SOA, queryOptions))),
+        settle(zoneLookup.then(zone => inspectNameServers(zone, queryOptions))),
+        settle(zoneLookup.then(zone => detectWildcard(zone, queryOptions))),
+        settle(Promise.all([addressLookup, ipv6Lookup]).then(([v4, v6]) => checkReverseDns([...(v4.value || []), ...(v6.value || [])], dns)))
+      ]);
+
       // 1. DNS Resolution
-      let addresses = [];
-      try {
-        addresses = await dns.resolve4(hostname);
-        checks.push({
+      const addresses = a.value || [];
+      checks.push(a.error
+        ? {
           name: 'DNS Resolution',
-          status: addresses.length > 0 ? 'pass' : 'fail',
-          description: `Domain resolves to: ${addresses.join(', ')}`,
+          status: 'fail',
+          description: `Cannot resolve domain: ${a.error.message}`,
           severity: 'critical'
-        });
-      } catch (e) {
-        checks.push({
+        }
+        : {
           name: 'DNS Resolution',
-          status: 'fail',
-          description: `Cannot resolve domain: ${e.message}`,
+          status: addresses.length > 0 ? 'pass' : 'fail',
+          description: `Domain resolves to: ${addresses.join(', ')}`,
           severity: 'critical'
         });
-      }
 
       // 2. IPv6 Support
-      try {
-        const ipv6 = await dns.resolve6(hostname);
-        checks.push({
-          name: 'IPv6 Support',
-          status: ipv6.length > 0 ? 'pass' : 'warn',
-          description: ipv6.length > 0 ? `IPv6 enabled: ${ipv6[0]}` : 'IPv6 not configured',
-          severity: 'low'
-        });
-      } catch (e) {
-        checks.push({
-          name: 'IPv6 Support',
-          status: 'info',
-          description: 'IPv6 not available',
-          severity: 'low'
-        });
-      }
+      const ipv6 = aaaa.value || [];
+      checks.push({
+        name: 'IPv6 Support',
+        status: aaaa.error ? 'info' : ipv6.length > 0 ? 'pass' : 'warn',
+        description: aaaa.error ? 'IPv6 not available' : ipv6.length > 0 ? `IPv6 enabled: ${ipv6[0]}` : 'IPv6 not configured',
+        severity: 'low'
+      });
 
       // 3. MX Records (Mail Exchange)
-      try {
-        const mxRecords = await dns.resolveMx(hostname);
-        checks.push({
-          name: 'MX Records (Email)',
-          status: mxRecords.length > 0 ? 'pass' : 'warn',
-          description: mxRecords.length > 0 ? `${mxRecords.length} mail server(s) configured` : 'No mail servers configured',
-          severity: 'medium'
-        });
-      } catch (e) {
-        checks.push({
+      checks.push(mx.error
+        ? {
           name: 'MX Records (Email)',
           status: 'warn',
           description: 'Unable to verify mail configuration',
           severity: 'medium'
+        }
+        : {
+          name: 'MX Records (Email)',
+          status: mx.value.length > 0 ? 'pass' : 'warn',
+          description: mx.value.length > 0 ? `${mx.value.length} mail server(s) configured` : 'No mail servers configured',
+          severity: 'medium'
         });
+
+      // 4. DNSSEC
+      dnssec = dnssecLookup.value || { status: 'error', reason: dnssecLookup.error.message };
+      const statusByResult = { signed: 'pass', unsigned: 'warn', broken: 'fail', error: 'info' };
+      checks.push({
+        name: 'DNSSEC',
+        status: statusByResult[dnssec.status],
+        description: dnssec.status === 'signed'
+          ? `Zone ${dnssec.zone} is signed and validates from the trust anchor${dnssec.rrsets.some(rrset => rrset.validated) ? '; A records carry valid signatures' : ''}`
+          : dnssec.status === 'unsigned'
+            ? `DNSSEC not enabled: ${dnssec.reason}`
+            : dnssec.status === 'broken'
+              ? `DNSSEC is signed but broken (validating resolvers will refuse to answer): ${dnssec.reason}`
+              : `DNSSEC could not be checked: ${dnssec.reason}`,
+        severity: 'high',
+        details: dnssec.status === 'error' ? undefined : { zone: dnssec.zone, chain: dnssec.chain, rrsets: dnssec.rrsets }
+      });
+
+      // 5. Dangling CNAMEs
+      takeover = takeoverLookup.value || null;
+      if (takeoverLookup.error) {
+        checks.push(uncheckedResult('Dangling CNAME Records', 'critical', takeoverLookup.error));
+        checks.push(uncheckedResult('Subdomain Takeover', 'critical', takeoverLookup.error));
       }
+      if (takeover) {
+        const dangling = takeover.findings.filter(finding => finding.dangling);
+        const deadTargets = takeover.findings.filter(finding => finding.nxdomain && !finding.dangling);
+        checks.push({
+          name: 'Dangling CNAME Records',
+          status: dangling.length > 0 ? 'fail' : deadTargets.length > 0 ? 'info' : 'pass',
+          description: dangling.length > 0
+            ? `CNAME target does not exist (NXDOMAIN): ${dangling.map(finding => `${finding.host} → ${finding.target}${finding.provider ? ` (${finding.provider.service})` : ''}`).join(', ')}`
+            : deadTargets.length > 0
+              ? `${deadTargets.map(finding => `${finding.host} → ${finding.target}`).join(', ')} no longer resolve${deadTargets.length === 1 ? 's' : ''}; ${[...new Set(deadTargets.map(finding => finding.provider.service))].join(', ')} cannot be claimed through an NXDOMAIN name`
+              : `No dangling CNAMEs across ${takeover.hosts.length} host${takeover.hosts.length === 1 ? '' : 's'}`,
+          severity: 'critical',
+          details: {
+            hosts: takeover.hosts,
+            sources: takeover.sources,
+            dangling: dangling.map(({ host, chain, provider }) => ({ host, chain, provider })),
+            unresolved: deadTargets.map(({ host, chain, provider }) => ({ host, chain, provider }))
+          }
+        });
 
-      // 4. SPF Record
-      try {
-        const txtRecords = await dns.resolveTxt(hostname);
-        const spfRecord = txtRecords.find(r => r.join('').startsWith('v=spf1'));
+        // 6. Takeover fingerprints
+        const fingerprinted = takeover.findings.filter(finding => finding.fingerprint);
+        const providerHosts = takeover.findings.filter(finding => finding.provider && !finding.nxdomain && !finding.fingerprint);
         checks.push({
-          name: 'SPF Record (Email Security)',
-          status: spfRecord ? 'pass' : 'warn',
-          description: spfRecord ? 'SPF configured to prevent email spoofing' : 'SPF not configured',
-          severity: 'medium'
+          name: 'Subdomain Takeover',
+          status: fingerprinted.length > 0 ? 'fail' : providerHosts.length > 0 ? 'info' : 'pass',
+          description: fingerprinted.length > 0
+            ? `Unclaimed resources behind CNAMEs: ${fingerprinted.map(finding => `${finding.host} (${finding.provider.service}: "${finding.fingerprint.fingerprint}")`).join(', ')}`
+            : providerHosts.length > 0
+              ? `${providerHosts.map(finding => `${finding.host} → ${finding.provider.service}`).join(', ')} use takeover-prone providers; resources appear claimed`
+              : 'No CNAMEs to takeover-prone providers',
+          severity: 'critical',
+          details: {
+            findings: takeover.findings.filter(finding => finding.provider).map(({ host, chain, provider, fingerprint }) => ({ host, chain, provider, fingerprint }))
+          }
         });
-      } catch (e) {
+      }
+
+      // 7. CAA
+      const [caaSet, certificate] = caaLookup.value || [{ records: [] }, null];
+      const caa = caaLookup.error ? null : { name: caaSet.name, ...evaluateCaa(caaSet.records, certificate || {}) };
+      checks.push(caaLookup.error ? uncheckedResult('CAA Records', 'medium', caaLookup.error) : {
+        name: 'CAA Records',
+        status: caaSet.records.length === 0 ? 'warn' : caa.allowed === false ? 'fail' : 'pass',
+        description: caaSet.records.length === 0
+          ? 'No CAA records; any certificate authority may issue for this domain'
+          : caa.unknownCritical.length > 0
+            ? `Unknown critical CAA tag${caa.unknownCritical.length === 1 ? '' : 's'} ${caa.unknownCritical.join(', ')}; CAs must refuse to issue`
+            : caa.allowed === false
+              ? `Current issuer ${caa.issuerName} is not allowed by CAA (${(caa.wildcard && caa.issuewild.length > 0 ? caa.issuewild : caa.issue).join(', ') || 'no issuance'}); renewal will fail`
+              : `CAA at ${caaSet.name} allows ${caa.issue.join(', ') || 'any CA'}${caa.allowed ? `, including the current issuer ${caa.issuerName}` : certificate ? ` (current issuer ${certificate.issuerName} could not be mapped)` : ''}`,
+        severity: 'medium',
+        details: caa
+      });
+
+      const zone = zoneResult.value ?? null;
+      hygiene = { zone, caa, nameservers: nameserverLookup.value || null };
+
+      // 8. Name server redundancy
+      const nameservers = nameserverLookup.value;
+      if (nameserverLookup.error) {
+        checks.push(uncheckedResult('Name Server Redundancy', 'high', nameserverLookup.error));
+      } else {
+        const nsCount = nameservers.nameservers.length;
         checks.push({
-          name: 'SPF Record (Email Security)',
-          status: 'warn',
-          description: 'Unable to check SPF record',
-          severity: 'medium'
+          name: 'Name Server Redundancy',
+          status: nsCount < 2 ? 'fail' : nameservers.networks.length < 2 ? 'warn' : 'pass',
+          description: nsCount < 2
+            ? `Only ${nsCount} name server${nsCount === 1 ? '' : 's'} for ${zone}; at least 2 are required`
+            : nameservers.networks.length < 2
+              ? `All ${nsCount} name servers share one network (${nameservers.networks[0] || 'unresolved'}); an outage takes the domain offline`
+              : `${nsCount} name servers across ${nameservers.networks.length} networks and ${nameservers.providers.length} provider domain${nameservers.providers.length === 1 ? '' : 's'}`,
+          severity: 'high',
+          details: { zone, nameservers: nameservers.nameservers.map(server => ({ name: server.name, addresses: server.addresses })), networks: nameservers.networks, providers: nameservers.providers }
         });
       }
 
-      // 5. DMARC Record
-      try {
-        const dmarcRecords = await dns.resolveTxt(`_dmarc.${hostname}`);
+      // 9. SOA timers
+      if (soaLookup.error) {
+        checks.push(uncheckedResult('SOA Record', 'low', soaLookup.error));
+      } else {
+        const soa = soaLookup.value.answers.find(rr => rr.type === TYPES.SOA)?.data || null;
+        const soaCheck = soa ? checkSoaTimers(soa) : null;
+        hygiene.soa = soa ? { ...soa, ...soaCheck } : null;
         checks.push({
-          name: 'DMARC Record (Email Auth)',
-          status: dmarcRecords.length > 0 ? 'pass' : 'warn',
-          description: dmarcRecords.length > 0 ? 'DMARC policy configured' : 'DMARC policy not configured',
-          severity: 'medium'
+          name: 'SOA Record',
+          status: !soa ? 'fail' : soaCheck.issues.length > 0 ? 'warn' : 'pass',
+          description: !soa
+            ? `No SOA record returned for ${zone}`
+            : soaCheck.issues.length > 0
+              ? `SOA timers need attention: ${soaCheck.issues.join('; ')}`
+              : `Serial ${soa.serial}, refresh ${soa.refresh}s, retry ${soa.retry}s, expire ${soa.expire}s, negative TTL ${soa.minimum}s`,
+          severity: 'low',
+          details: hygiene.soa || undefined
         });
-      } catch (e) {
+      }
+
+      // 10. Name server agreement
+      if (nameserverLookup.error) {
+        checks.push(uncheckedResult('Name Server Consistency', 'medium', nameserverLookup.error));
+      } else {
+        const answering = nameservers.nameservers.filter(server => server.serial !== null && server.serial !== undefined);
         checks.push({
-          name: 'DMARC Record (Email Auth)',
-          status: 'info',
-          description: 'DMARC policy not detected',
-          severity: 'medium'
+          name: 'Name Server Consistency',
+          status: answering.length === 0 ? 'info' : nameservers.lame.length > 0 ? 'fail' : !nameservers.serialsAgree || !nameservers.nsSetsAgree ? 'warn' : 'pass',
+          description: answering.length === 0
+            ? 'Name servers could not be queried directly'
+            : nameservers.lame.length > 0
+              ? `Lame delegation: ${nameservers.lame.join(', ')} do${nameservers.lame.length === 1 ? 'es' : ''} not answer authoritatively for ${zone}`
+              : !nameservers.serialsAgree
+                ? `Name servers serve different SOA serials (${answering.map(server => `${server.name}: ${server.serial}`).join(', ')}); zone transfers may be failing`
+                : !nameservers.nsSetsAgree
+                  ? 'Name servers return different NS sets for the zone'
+                  : `All ${answering.length} name servers agree on serial ${nameservers.serials[0]} and the NS set`,
+          severity: 'medium',
+          details: { nameservers: nameservers.nameservers.map(({ name, address, authoritative, serial, nameservers: nsSet, error }) => ({ name, address, authoritative, serial, nameservers: nsSet, error })) }
         });
       }
 
-      // 6. DNSSEC
-      checks.push({
-        name: 'DNSSEC',
-        status: 'info',
-        description: 'DNSSEC verification not available in this check',
-        severity: 'medium'
+      // 11. Wildcard records
+      const wildcard = wildcardLookup.value;
+      hygiene.wildcard = wildcard || null;
+      checks.push(wildcardLookup.error ? uncheckedResult('Wildcard DNS', 'low', wildcardLookup.error) : {
+        name: 'Wildcard DNS',
+        status: wildcard.wildcard ? 'warn' : 'pass',
+        description: wildcard.wildcard
+          ? `*.${zone} resolves (${wildcard.records.join(', ')}); mistyped and forgotten subdomains answer too`
+          : 'No wildcard record',
+        severity: 'low'
+      });
+
+      // 12. Reverse DNS
+      const reverse = reverseLookup.value || [];
+      hygiene.reverse = reverseLookup.value || null;
+      const unconfirmed = reverse.filter(entry => !entry.confirmed);
+      checks.push(reverseLookup.error ? uncheckedResult('Reverse DNS (FCrDNS)', 'low', reverseLookup.error) : {
+        name: 'Reverse DNS (FCrDNS)',
+        status: reverse.length === 0 ? 'info' : unconfirmed.length > 0 ? 'warn' : 'pass',
+        description: reverse.length === 0
+          ? 'No addresses to check'
+          : unconfirmed.length > 0
+            ? `${unconfirmed.map(entry => entry.ptr.length > 0 ? `${entry.address} → ${entry.ptr[0]} (does not resolve back)` : `${entry.address} has no PTR record`).join(', ')}`
+            : `Every address has a PTR that resolves back: ${reverse.map(entry => `${entry.address} → ${entry.confirmedBy[0]}`).join(', ')}`,
+        severity: 'low',
+        details: { addresses: reverse }
       });
 
     } catch (error) {
@@ -124,7 +365,10 @@ class DnsCheck {
       category: 'DNS & Domain',
       icon: '🌐',
       score: calculateCategoryScore(checks),
-      checks
+      checks,
+      dnssec,
+      takeover,
+      hygiene
     };
   }
 }
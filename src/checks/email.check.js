@@ -0,0 +1,267 @@
+/**
+ * Email Authentication Checks
+ * SPF, DMARC, DKIM, MTA-STS, TLS-RPT and BIMI for the site's mail domain
+ */
+
+const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { getResolver } = require('../utils/dns-wire.util');
+const { getRegistrableDomain } = require('../utils/domain.util');
+const { httpClient, checkUrlHost } = require('../utils/egress.util');
+const {
+  SPF_LOOKUP_LIMIT,
+  SPF_VOID_LOOKUP_LIMIT,
+  resolveTxtRecords,
+  parseTagList,
+  evaluateSpf,
+  evaluateDmarc,
+  probeDkimSelectors,
+  parseMtaStsPolicy,
+  matchesMxPattern,
+  parseTlsRpt,
+  parseBimi
+} = require('../utils/email-auth.util');
+
+const ALL_QUALIFIERS = { '+': 'pass', '?': 'neutral', '~': 'softfail', '-': 'fail' };
+
+class EmailCheck {
+  static meta = {
+    id: 'email',
+    category: 'Email Authentication',
+    icon: '✉️',
+    timeout: 45000,
+    dependencies: [],
+    order: 25
+  };
+
+  /**
+   * Mail is usually handled by the registrable domain rather than a www. host
+   */
+  async resolveMailDomain(resolver, hostname) {
+    const candidates = [...new Set([hostname, getRegistrableDomain(hostname)])];
+    for (const domain of candidates) {
+      const mx = await resolver.resolveMx(domain).catch(() => []);
+      if (mx.length > 0) return { domain, mx };
+    }
+    return { domain: candidates[candidates.length - 1], mx: [] };
+  }
+
+  /**
+   * Fetch the MTA-STS policy; redirects are not allowed (RFC 8461 section 3.3)
+   */
+  async fetchMtaStsPolicy(domain, context) {
+    const policyUrl = `https://mta-sts.${domain}/.well-known/mta-sts.txt`;
+    const blocked = checkUrlHost(policyUrl);
+    if (blocked) throw blocked;
+
+    const response = await httpClient.get(policyUrl, {
+      timeout: 10000,
+      maxRedirects: 0,
+      responseType: 'text',
+      validateStatus: () => true,
+      signal: context?.signal
+    });
+    if (response.status !== 200) {
+      throw new Error(`${policyUrl} returned HTTP ${response.status}`);
+    }
+    const contentType = String(response.headers['content-type'] || '');
+    const policy = parseMtaStsPolicy(String(response.data ?? ''));
+    if (!/^text\/plain/i.test(contentType)) policy.errors.push(`Content-Type must be text/plain (got "${contentType || 'none'}")`);
+    return { url: policyUrl, ...policy };
+  }
+
+  async analyze(url, context) {
+    const hostname = new URL(url).hostname;
+    const resolver = getResolver();
+    const checks = [];
+    let email = null;
+
+    try {
+      const { domain, mx } = await this.resolveMailDomain(resolver, hostname);
+      const mxHosts = mx.map(record => record.exchange.toLowerCase());
+      email = { domain, mx: mxHosts };
+
+      // 1. SPF record and all mechanism
+      const spf = await evaluateSpf(resolver, domain);
+      email.spf = spf;
+      const allQualifier = spf.all;
+      checks.push({
+        name: 'SPF Record',
+        status: !spf.policy ? 'warn' : spf.errors.length > 0 || allQualifier === '+' ? 'fail' : allQualifier === '?' || allQualifier === null ? 'warn' : 'pass',
+        description: !spf.policy
+          ? `No SPF record for ${domain}; anyone can send mail as this domain`
+          : spf.errors.length > 0
+            ? `SPF record is invalid: ${spf.errors[0]}`
+            : allQualifier === '+'
+              ? '+all authorizes every server on the internet to send mail for this domain'
+              : allQualifier === '?'
+                ? '?all leaves unlisted senders neutral; use ~all or -all'
+                : allQualifier === null
+                  ? 'SPF record has no all mechanism, so unlisted senders are neutral'
+                  : `SPF ends in ${allQualifier}all (${ALL_QUALIFIERS[allQualifier]} for unlisted senders)`,
+        severity: allQualifier === '+' ? 'critical' : 'high',
+        details: spf.policy ? { record: spf.policy.raw, all: allQualifier, errors: spf.errors } : undefined
+      });
+
+      // 2. SPF DNS lookup limit
+      if (spf.policy) {
+        checks.push({
+          name: 'SPF Lookup Limit',
+          status: spf.overLimit || spf.voidLookups > SPF_VOID_LOOKUP_LIMIT ? 'fail' : spf.lookups >= SPF_LOOKUP_LIMIT - 2 ? 'warn' : 'pass',
+          description: spf.overLimit
+            ? `SPF needs ${spf.lookups} DNS lookups; more than ${SPF_LOOKUP_LIMIT} is a permerror and SPF fails for every message`
+            : spf.voidLookups > SPF_VOID_LOOKUP_LIMIT
+              ? `${spf.voidLookups} SPF lookups return no record (limit ${SPF_VOID_LOOKUP_LIMIT})`
+              : `${spf.lookups} of ${SPF_LOOKUP_LIMIT} DNS lookups used`,
+          severity: 'high',
+          details: { lookups: spf.lookups, voidLookups: spf.voidLookups, limit: SPF_LOOKUP_LIMIT }
+        });
+      }
+
+      // 3. DMARC policy
+      const dmarc = await evaluateDmarc(resolver, domain);
+      const record = dmarc.record;
+      email.dmarc = dmarc;
+      const enforced = record && ['quarantine', 'reject'].includes(record.policy);
+      checks.push({
+        name: 'DMARC Policy',
+        status: !record ? 'fail' : record.errors.length > 0 ? 'fail' : !enforced ? 'warn' : record.pct < 100 ? 'warn' : 'pass',
+        description: !record
+          ? `No DMARC record at _dmarc.${domain}`
+          : record.errors.length > 0
+            ? `DMARC record is invalid: ${record.errors.join('; ')}`
+            : !enforced
+              ? 'p=none only monitors; spoofed mail is still delivered'
+              : record.pct < 100
+                ? `p=${record.policy} applies to only ${record.pct}% of failing mail`
+                : `p=${record.policy}${record.subdomainPolicy !== record.policy ? `, sp=${record.subdomainPolicy}` : ''} applied to all failing mail${dmarc.source !== domain ? ` (inherited from ${dmarc.source})` : ''}`,
+        severity: 'high',
+        details: record ? { record: record.raw, source: dmarc.source, policy: record.policy, subdomainPolicy: record.subdomainPolicy, pct: record.pct, adkim: record.adkim, aspf: record.aspf } : undefined
+      });
+
+      // 4. DMARC reporting
+      if (record) {
+        const unauthorized = [...record.rua, ...record.ruf].filter(uri => uri.authorized === false);
+        checks.push({
+          name: 'DMARC Reporting',
+          status: record.rua.length === 0 ? 'warn' : unauthorized.length > 0 ? 'warn' : 'pass',
+          description: record.rua.length === 0
+            ? 'No rua= address; you will not receive aggregate reports'
+            : unauthorized.length > 0
+              ? `External report destinations have not authorized reports: ${unauthorized.map(uri => uri.domain).join(', ')}`
+              : `Aggregate reports to ${record.rua.map(uri => uri.address || uri.uri).join(', ')}${record.ruf.length > 0 ? `; failure reports to ${record.ruf.map(uri => uri.address || uri.uri).join(', ')}` : ''}`,
+          severity: 'low',
+          details: { rua: record.rua, ruf: record.ruf }
+        });
+      }
+
+      // 5. DKIM keys
+      const extraSelectors = (process.env.DKIM_SELECTORS || '').split(',').map(selector => selector.trim()).filter(Boolean);
+      const dkim = await probeDkimSelectors(resolver, domain, extraSelectors);
+      email.dkim = dkim;
+      const activeKeys = dkim.keys.filter(key => !key.revoked);
+      const weakKeys = activeKeys.filter(key => key.keyType === 'rsa' && (key.bits === null || key.bits < 1024));
+      const shortKeys = activeKeys.filter(key => key.keyType === 'rsa' && key.bits !== null && key.bits >= 1024 && key.bits < 2048);
+      checks.push({
+        name: 'DKIM Keys',
+        status: activeKeys.length === 0 ? 'info' : weakKeys.length > 0 ? 'fail' : shortKeys.length > 0 ? 'warn' : 'pass',
+        description: activeKeys.length === 0
+          ? `No DKIM key found under ${dkim.probed} common selectors (custom selectors cannot be discovered)`
+          : weakKeys.length > 0
+            ? `Weak or unreadable DKIM keys: ${weakKeys.map(key => `${key.selector} (${key.bits ?? 'invalid'} bits)`).join(', ')}`
+            : `${activeKeys.map(key => `${key.selector}: ${key.keyType.toUpperCase()} ${key.bits} bits`).join(', ')}${shortKeys.length > 0 ? ' (use 2048-bit RSA keys)' : ''}`,
+        severity: 'medium',
+        details: { keys: dkim.keys.map(({ raw, ...key }) => key) }
+      });
+
+      // 6. MTA-STS
+      const stsRecords = (await resolveTxtRecords(resolver, `_mta-sts.${domain}`)).filter(value => /^v\s*=\s*STSv1/.test(value));
+      const mtaSts = { record: stsRecords[0] || null, id: stsRecords[0] ? parseTagList(stsRecords[0]).id || null : null, policy: null, error: null };
+      if (mtaSts.record) {
+        try {
+          mtaSts.policy = await this.fetchMtaStsPolicy(domain, context);
+          mtaSts.unmatchedMx = mtaSts.policy.mode === 'none' ? [] : mxHosts.filter(host => !mtaSts.policy.mx.some(pattern => matchesMxPattern(host, pattern)));
+        } catch (error) {
+          if (context?.signal?.aborted) throw error;
+          mtaSts.error = error.message;
+        }
+      }
+      email.mtaSts = mtaSts;
+      const stsPolicy = mtaSts.policy;
+      checks.push({
+        name: 'MTA-STS',
+        status: !mtaSts.record ? (mxHosts.length > 0 ? 'warn' : 'info')
+          : mtaSts.error || !mtaSts.id || stsPolicy.errors.length > 0 || mtaSts.unmatchedMx.length > 0 ? 'fail'
+            : stsPolicy.mode === 'enforce' ? 'pass' : 'warn',
+        description: !mtaSts.record
+          ? 'No MTA-STS policy; inbound SMTP TLS can be downgraded'
+          : mtaSts.error
+            ? `MTA-STS record published but the policy could not be fetched: ${mtaSts.error}`
+            : !mtaSts.id
+              ? '_mta-sts record is missing the id= tag'
+              : stsPolicy.errors.length > 0
+                ? `MTA-STS policy is invalid: ${stsPolicy.errors.join('; ')}`
+                : mtaSts.unmatchedMx.length > 0
+                  ? `MX hosts not covered by the policy: ${mtaSts.unmatchedMx.join(', ')}`
+                  : stsPolicy.mode === 'enforce'
+                    ? `Policy enforced for ${stsPolicy.mx.join(', ')} (max_age ${stsPolicy.maxAge}s)`
+                    : `Policy is in ${stsPolicy.mode} mode; TLS failures are not blocked`,
+        severity: 'medium',
+        details: mtaSts.record ? mtaSts : undefined
+      });
+
+      // 7. TLS-RPT
+      const tlsRptRecords = (await resolveTxtRecords(resolver, `_smtp._tls.${domain}`)).filter(value => /^v\s*=\s*TLSRPTv1/.test(value));
+      const tlsRpt = tlsRptRecords[0] ? parseTlsRpt(tlsRptRecords[0]) : null;
+      email.tlsRpt = tlsRpt;
+      checks.push({
+        name: 'TLS-RPT',
+        status: !tlsRpt ? (mtaSts.record ? 'warn' : 'info') : tlsRpt.errors.length > 0 ? 'fail' : 'pass',
+        description: !tlsRpt
+          ? 'No SMTP TLS reporting record at _smtp._tls'
+          : tlsRpt.errors.length > 0
+            ? `TLS-RPT record is invalid: ${tlsRpt.errors.join('; ')}`
+            : `TLS failure reports sent to ${tlsRpt.rua.join(', ')}`,
+        severity: 'low'
+      });
+
+      // 8. BIMI
+      const bimiRecords = (await resolveTxtRecords(resolver, `default._bimi.${domain}`)).filter(value => /^v\s*=\s*BIMI1/.test(value));
+      const bimi = bimiRecords[0] ? parseBimi(bimiRecords[0]) : null;
+      email.bimi = bimi;
+      const bimiReady = enforced && record.pct === 100;
+      checks.push({
+        name: 'BIMI',
+        status: !bimi ? 'info' : bimi.errors.length > 0 ? 'fail' : !bimi.declined && !bimiReady ? 'warn' : 'pass',
+        description: !bimi
+          ? 'No BIMI record; mail clients will not show a brand logo'
+          : bimi.errors.length > 0
+            ? `BIMI record is invalid: ${bimi.errors.join('; ')}`
+            : bimi.declined
+              ? 'BIMI explicitly declined'
+              : !bimiReady
+                ? 'BIMI requires DMARC p=quarantine or p=reject at pct=100; the logo will not be shown'
+                : `Logo ${bimi.logo}${bimi.certificate ? ' with a mark certificate' : ' (no mark certificate; some providers require one)'}`,
+        severity: 'low',
+        details: bimi ? { logo: bimi.logo, certificate: bimi.certificate } : undefined
+      });
+
+    } catch (error) {
+      checks.push({
+        name: 'Email Authentication Error',
+        status: 'error',
+        description: `Error: ${error.message}`,
+        severity: 'medium'
+      });
+    }
+
+    return {
+      category: 'Email Authentication',
+      icon: '✉️',
+      score: calculateCategoryScore(checks),
+      checks,
+      email
+    };
+  }
+}
+
+module.exports = EmailCheck;
@@ -3,12 +3,22 @@
  * Lists all external links found on the page using Puppeteer for dynamic content
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
+const { httpClient, checkUrlHost, EgressBlockedError } = require('../utils/egress.util');
 const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { resolvePage } = require('../utils/analysis-context.util');
+const { launchBrowser, releaseBrowser, openPage } = require('../utils/browser.util');
 
 class ExternalLinksCheck {
-  async analyze(url) {
+  static meta = {
+    id: 'external-links',
+    category: 'External Links',
+    icon: '🌍',
+    timeout: 90000,
+    dependencies: [],
+    order: 80
+  };
+
+  async analyze(url, context) {
     const checks = [];
     const hostname = new URL(url).hostname;
 
@@ -18,8 +28,7 @@ class ExternalLinksCheck {
       let dynamicLinks = [];
       let redirectLinks = [];
       try {
-        const puppeteer = require('puppeteer');
-        const dynamicResult = await this.extractDynamicLinks(url, hostname, puppeteer);
+        const dynamicResult = await this.extractDynamicLinks(url, hostname, context);
         if (Array.isArray(dynamicResult)) {
           dynamicLinks = dynamicResult;
         } else if (dynamicResult && typeof dynamicResult === 'object') {
@@ -31,13 +40,7 @@ class ExternalLinksCheck {
         console.log('Puppeteer not available, using static analysis only');
       }
 
-      const response = await axios.get(url, {
-        timeout: 15000,
-        validateStatus: () => true,
-        maxRedirects: 3
-      });
-
-      const $ = cheerio.load(response.data);
+      const { $ } = await resolvePage(url, context);
       const externalLinks = [];
 
       // Extract all <a> tag links
@@ -260,7 +263,7 @@ class ExternalLinksCheck {
       const linksToScore = cleanedExternalLinks.slice(0, 50);
       const scoredLinks = await Promise.all(
         linksToScore.map(async (link) => {
-          const score = await this.scoreExternalLink(link);
+          const score = await this.scoreExternalLink(link, context?.signal);
           return {
             url: link,
             score: score.score,
@@ -356,7 +359,7 @@ class ExternalLinksCheck {
     }
   }
 
-  async scoreExternalLink(linkUrl) {
+  async scoreExternalLink(linkUrl, signal) {
     let score = 100;
     const issues = [];
     let status = 'Safe';
@@ -400,10 +403,14 @@ class ExternalLinksCheck {
 
       // Try to check if URL is accessible
       try {
-        const response = await axios.head(linkUrl, {
+        const blocked = checkUrlHost(linkUrl);
+        if (blocked) throw blocked;
+
+        const response = await httpClient.head(linkUrl, {
           timeout: 5000,
           maxRedirects: 0,
-          validateStatus: () => true
+          validateStatus: () => true,
+          signal
         });
 
         if (response.status === 404) {
@@ -426,9 +433,9 @@ class ExternalLinksCheck {
           status = 'Warning';
         }
       } catch (error) {
-        // Connection issues
+        // Connection issues, or a destination the egress policy refuses to contact
         score -= 30;
-        issues.push('Cannot Connect');
+        issues.push(error instanceof EgressBlockedError || error.code === 'EGRESS_BLOCKED' ? 'Internal Address (Not Probed)' : 'Cannot Connect');
         status = 'Unreachable';
       }
 
@@ -455,18 +462,17 @@ class ExternalLinksCheck {
     }
   }
 
-  async extractDynamicLinks(url, hostname, puppeteer) {
+  async extractDynamicLinks(url, hostname, context) {
     const dynamicLinks = [];
     const redirectLinks = new Set();
     let browser = null;
+    let browserContext = null;
 
     try {
-      browser = await puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-      });
+      browser = await launchBrowser(context);
+      browserContext = await browser.createBrowserContext();
 
-      const page = await browser.newPage();
+      const page = await openPage(browserContext);
 
       // Instrument redirect/navigation APIs before any script runs
       await page.evaluateOnNewDocument(() => {
@@ -665,18 +671,16 @@ class ExternalLinksCheck {
       // Add all network-requested URLs
       dynamicLinks.push(...Array.from(requestedUrls));
 
-      await browser.close();
-
       return {
         links: [...new Set(dynamicLinks)],
         redirectLinks: [...redirectLinks]
       }; // Remove duplicates, provide redirect list separately
     } catch (error) {
-      if (browser) {
-        await browser.close();
-      }
       console.error('Dynamic link extraction error:', error.message);
       return { links: [...new Set(dynamicLinks)], redirectLinks: [...redirectLinks] };
+    } finally {
+      await browserContext?.close().catch(() => {});
+      if (browser) await releaseBrowser(browser, context);
     }
   }
 }
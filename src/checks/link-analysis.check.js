@@ -3,11 +3,22 @@
  * Crawls the site for links and checks if they redirect to suspicious domains
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
+const { httpClient, checkUrlHost } = require('../utils/egress.util');
 const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { resolvePage } = require('../utils/analysis-context.util');
 
 class LinkAnalysisCheck {
+  static meta = {
+    id: 'link-analysis',
+    category: 'Link Analysis',
+    icon: '🔗',
+    timeout: 60000,
+    dependencies: [],
+    // Reads the redirect trace when the redirects check is part of the run
+    after: ['redirects'],
+    order: 70
+  };
+
   constructor() {
     this.suspiciousRedirectDomains = [
       'bit.ly', 'tinyurl', 'short.link', 'goo.gl', 
@@ -17,18 +28,12 @@ class LinkAnalysisCheck {
     ];
   }
 
-  async analyze(url) {
+  async analyze(url, context) {
     const checks = [];
     const hostname = new URL(url).hostname;
 
     try {
-      const response = await axios.get(url, {
-        timeout: 15000,
-        validateStatus: () => true,
-        maxRedirects: 3
-      });
-
-      const $ = cheerio.load(response.data);
+      const { $ } = await resolvePage(url, context);
       const links = [];
       const suspiciousLinks = [];
       const redirectLinks = [];
@@ -71,6 +76,18 @@ class LinkAnalysisCheck {
         }
       }
 
+      // Hops the page itself redirects through (traced by the redirects check)
+      const trace = context?.results.get('redirects')?.trace;
+      (trace?.hops || []).forEach(hop => {
+        if (!hop.location || !this.isSuspiciousDomain(hop.location)) return;
+        if (suspiciousLinks.some(link => link.redirectTo === hop.location)) return;
+        suspiciousLinks.push({
+          source: hop.type === 'http' ? `HTTP ${hop.status} redirect from ${hop.url}` : `${hop.type} redirect from ${hop.url}`,
+          redirectTo: hop.location,
+          reason: 'Page redirect chain passes through a suspicious domain'
+        });
+      });
+
       // Extract all links from the page
       const externalLinks = [];
       $('a[href]').each((i, el) => {
@@ -106,10 +123,14 @@ class LinkAnalysisCheck {
               
               // Try to detect redirect destination
               try {
-                const redirectResponse = await axios.head(link, {
+                const blocked = checkUrlHost(link);
+                if (blocked) throw blocked;
+
+                const redirectResponse = await httpClient.head(link, {
                   timeout: 5000,
                   maxRedirects: 0,
-                  validateStatus: () => true
+                  validateStatus: () => true,
+                  signal: context?.signal
                 });
 
                 const location = redirectResponse.headers.location;
@@ -179,6 +200,7 @@ class LinkAnalysisCheck {
         icon: '🔗',
         score: calculateCategoryScore(checks),
         checks,
+        suspiciousLinks,
         suspiciousRedirectsDetected: suspiciousLinks.length > 0
       };
     } catch (error) {
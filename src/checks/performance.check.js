@@ -1,39 +1,265 @@
 /**
  * Performance Checks
+ * HTTP response checks plus Core Web Vitals measured in a browser under desktop and mobile profiles
  */
 
-const axios = require('axios');
+const { resolvePage, USER_AGENT } = require('../utils/analysis-context.util');
 const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { THRESHOLDS, getProfiles, rateMetric, measurePage } = require('../utils/web-vitals.util');
+const { sampleTimings } = require('../utils/timing-sampler.util');
+const { summarizeResources, buildHar } = require('../utils/network-recorder.util');
+const { detectOriginProtocols, summarizeOriginProtocols } = require('../utils/http-protocol.util');
+const { collectPageAssets } = require('../utils/asset-audit.util');
+const { storeHar } = require('../utils/har-store.util');
+const logger = require('../utils/logger.util');
+
+const RATING_STATUS = { good: 'pass', 'needs-improvement': 'warn', poor: 'fail' };
+const RATING_LABEL = { good: 'Good', 'needs-improvement': 'Needs improvement', poor: 'Poor' };
+
+// Total transfer size boundaries (bytes) and request count above which a page is flagged
+const PAGE_WEIGHT_LIMITS = [1600 * 1024, 4000 * 1024];
+const REQUEST_COUNT_LIMIT = 100;
+const TEXT_TYPES = /^(text\/|application\/(javascript|x-javascript|json|xml|ld\+json|manifest\+json)|image\/svg\+xml)/;
+const STATIC_TYPES = ['script', 'stylesheet', 'image', 'font', 'media'];
+const MIN_COMPRESSIBLE_BYTES = 1400;
+const MIN_CACHE_LIFETIME = 7 * 24 * 3600;
+// Time kept back from meta.timeout to build the waterfall and return the result
+const RESULT_MARGIN = 5000;
 
 class PerformanceCheck {
-  async analyze(url) {
+  static meta = {
+    id: 'performance',
+    category: 'Performance',
+    icon: '⚡',
+    timeout: 120000,
+    dependencies: [],
+    order: 30
+  };
+
+  /**
+   * One check per Web Vitals metric, navigation phase summary and main-thread breakdown for a profile run
+   */
+  vitalsChecks(run) {
+    const suffix = ` (${run.label})`;
+    if (run.error) {
+      return [{
+        name: `Core Web Vitals${suffix}`,
+        status: 'info',
+        description: `Measurement failed: ${run.error}`,
+        severity: 'low'
+      }];
+    }
+
+    const { metrics, ratings, navigation, longTasks, mainThread } = run;
+    const metricCheck = (name, metric, value, extra = '', severity = 'medium') => ratings[metric]
+      ? {
+          name: `${name}${suffix}`,
+          status: RATING_STATUS[ratings[metric]],
+          description: `${value} - ${RATING_LABEL[ratings[metric]]} (good ≤ ${this.formatMetric(metric, THRESHOLDS[metric][0])}, poor > ${this.formatMetric(metric, THRESHOLDS[metric][1])})${extra}`,
+          severity
+        }
+      : { name: `${name}${suffix}`, status: 'info', description: 'Not recorded by the browser', severity: 'low' };
+
+    const checks = [
+      metricCheck('Largest Contentful Paint', 'lcp', this.formatMetric('lcp', metrics.lcp), run.lcpElement ? `; element: ${run.lcpElement}` : '', 'high'),
+      metricCheck('Cumulative Layout Shift', 'cls', this.formatMetric('cls', metrics.cls), run.layoutShifts.length > 0 ? `; ${run.layoutShifts.length} shift(s)` : '', 'high'),
+      // Lab runs rarely see real interactions, so INP is used when recorded and TBT otherwise
+      metrics.inp !== null
+        ? metricCheck('Interaction to Next Paint', 'inp', this.formatMetric('inp', metrics.inp), `; TBT ${this.formatMetric('tbt', metrics.tbt)}`, 'high')
+        : metricCheck('Total Blocking Time', 'tbt', this.formatMetric('tbt', metrics.tbt), '', 'high'),
+      metricCheck('First Contentful Paint', 'fcp', this.formatMetric('fcp', metrics.fcp))
+    ];
+
+    if (navigation) {
+      checks.push({
+        name: `Navigation Timing${suffix}`,
+        status: RATING_STATUS[ratings.ttfb] || 'info',
+        description: `DNS ${navigation.dns}ms, connect ${navigation.connect}ms (TLS ${navigation.tls}ms), TTFB ${navigation.ttfb}ms, DOMContentLoaded ${navigation.domContentLoaded}ms, load ${navigation.load}ms`,
+        severity: 'medium',
+        details: navigation
+      });
+    }
+
+    const topScripts = mainThread.scripts.slice(0, 3).map(script => `${this.shortUrl(script.url)} ${script.time}ms`);
+    checks.push({
+      name: `Long Tasks & Main Thread${suffix}`,
+      status: longTasks.longest > 250 ? 'warn' : longTasks.count > 0 ? 'info' : 'pass',
+      description: `${longTasks.count} long task(s), ${longTasks.total}ms total (longest ${longTasks.longest}ms); main thread: scripting ${mainThread.scripting}ms, style ${mainThread.style}ms, layout ${mainThread.layout}ms${topScripts.length > 0 ? `; top scripts: ${topScripts.join(', ')}` : ''}`,
+      severity: 'medium',
+      details: { longTasks, mainThread }
+    });
+
+    return checks;
+  }
+
+  /**
+   * Page weight, request count, compression, caching and third-party checks from the recorded waterfall
+   */
+  waterfallChecks(waterfall) {
+    const { totals, byType, thirdParty, heaviest, resources } = waterfall;
+    const breakdown = Object.entries(byType)
+      .sort(([, a], [, b]) => b.transferSize - a.transferSize)
+      .map(([type, group]) => `${type} ${this.formatBytes(group.transferSize)}`);
+
+    const uncompressed = resources.filter(resource => !resource.fromCache && !resource.compression &&
+      TEXT_TYPES.test(resource.mimeType || '') && resource.size >= MIN_COMPRESSIBLE_BYTES);
+    const poorlyCached = resources.filter(resource => resource.firstParty && resource.status === 200 &&
+      STATIC_TYPES.includes(resource.type) && (resource.cacheLifetime === null || resource.cacheLifetime < MIN_CACHE_LIFETIME));
+
+    return [
+      {
+        name: 'Page Weight',
+        status: totals.transferSize <= PAGE_WEIGHT_LIMITS[0] ? 'pass' : totals.transferSize <= PAGE_WEIGHT_LIMITS[1] ? 'warn' : 'fail',
+        description: `${this.formatBytes(totals.transferSize)} transferred (${this.formatBytes(totals.size)} uncompressed): ${breakdown.join(', ')}`,
+        severity: 'medium',
+        details: { byType, heaviest }
+      },
+      {
+        name: 'Request Count',
+        status: totals.requests <= REQUEST_COUNT_LIMIT ? 'pass' : 'warn',
+        description: `${totals.requests} requests${totals.failed > 0 ? ` (${totals.failed} failed)` : ''}, finished after ${totals.duration}ms`,
+        severity: 'low'
+      },
+      {
+        name: 'Text Compression',
+        status: uncompressed.length === 0 ? 'pass' : 'warn',
+        description: uncompressed.length === 0
+          ? 'All text resources are served compressed'
+          : `${uncompressed.length} text resource(s) served without compression (${this.formatBytes(uncompressed.reduce((sum, resource) => sum + resource.size, 0))})`,
+        severity: 'medium',
+        ...(uncompressed.length > 0 ? { details: { resources: uncompressed.slice(0, 10).map(({ url, size }) => ({ url, size })) } } : {})
+      },
+      {
+        name: 'Static Asset Caching',
+        status: poorlyCached.length === 0 ? 'pass' : 'warn',
+        description: poorlyCached.length === 0
+          ? 'First-party static assets are cached for at least 7 days'
+          : `${poorlyCached.length} first-party static asset(s) without a cache lifetime of at least 7 days`,
+        severity: 'low',
+        ...(poorlyCached.length > 0 ? { details: { resources: poorlyCached.slice(0, 10).map(({ url, cacheControl }) => ({ url, cacheControl })) } } : {})
+      },
+      {
+        name: 'Third-Party Resources',
+        status: 'info',
+        description: thirdParty.requests === 0
+          ? 'No third-party requests'
+          : `${thirdParty.requests} request(s), ${this.formatBytes(thirdParty.transferSize)} from ${thirdParty.hosts.length} third-party host(s)`,
+        severity: 'low'
+      }
+    ];
+  }
+
+  /**
+   * Origins whose requests in the browser session all went over HTTP/1.x
+   */
+  originProtocolCheck(origins) {
+    const legacy = origins.filter(origin => origin.http1Only);
+    const firstParty = legacy.filter(origin => origin.firstParty);
+    const used = [...new Set(origins.flatMap(origin => Object.keys(origin.protocols)))];
+    return {
+      name: 'HTTP/1.1-Only Origins',
+      status: firstParty.length > 0 ? 'warn' : legacy.length > 0 ? 'info' : 'pass',
+      description: legacy.length === 0
+        ? `Every origin used HTTP/2 or newer (${used.join(', ') || 'no network requests'})`
+        : `${legacy.length} of ${origins.length} origin(s) served only HTTP/1.1${firstParty.length > 0 ? `, including ${firstParty.map(origin => new URL(origin.origin).host).join(', ')}` : ' (all third-party)'}`,
+      severity: firstParty.length > 0 ? 'medium' : 'low',
+      details: { origins }
+    };
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+  }
+
+  formatMetric(metric, value) {
+    if (value === null || value === undefined) return 'n/a';
+    return metric === 'cls' ? String(value) : `${value}ms`;
+  }
+
+  shortUrl(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      return `${hostname}${pathname.length > 30 ? `…${pathname.slice(-30)}` : pathname}`;
+    } catch {
+      return url;
+    }
+  }
+
+  async analyze(url, context) {
     const checks = [];
+    let vitals = null;
+    let waterfall = null;
+    let harId = null;
+    let protocols = null;
+    let assets = null;
+    let timing = null;
+    const startedAt = Date.now();
 
+    // A misconfigured PERF_PROFILES only costs the browser checks
+    let profiles = [];
+    let profileError = null;
     try {
-      // 1. Page Load Time
-      const startTime = Date.now();
-      const response = await axios.get(url, { 
-        timeout: 20000,
-        validateStatus: () => true,
-        maxRedirects: 5
-      });
-      const loadTime = Date.now() - startTime;
+      profiles = getProfiles();
+    } catch (error) {
+      profileError = error;
+    }
 
+    try {
+      // 1. Page Load Time: median of several timed requests, falling back to the shared fetch
+      const response = await resolvePage(url, context);
+      try {
+        timing = await sampleTimings(response.finalUrl, { signal: context?.signal, userAgent: USER_AGENT });
+      } catch (error) {
+        if (context?.signal?.aborted) throw error;
+        logger.warn(`Timing samples failed: ${error.message}`);
+      }
+
+      const loadTime = timing ? Math.round(timing.total.median) : response.timings.total;
       checks.push({
         name: 'Page Load Time',
         status: loadTime < 3000 ? 'pass' : loadTime < 5000 ? 'warn' : 'fail',
-        description: `Load time: ${loadTime}ms ${loadTime < 3000 ? '(Excellent)' : loadTime < 5000 ? '(Acceptable)' : '(Slow)'}`,
+        description: timing
+          ? `Median ${loadTime}ms over ${timing.samples.length} ${timing.mode} request(s) (p90 ${Math.round(timing.total.p90)}ms, σ ${Math.round(timing.total.stddev)}ms) ${loadTime < 3000 ? '(Excellent)' : loadTime < 5000 ? '(Acceptable)' : '(Slow)'}`
+          : `Load time: ${loadTime}ms ${loadTime < 3000 ? '(Excellent)' : loadTime < 5000 ? '(Acceptable)' : '(Slow)'}`,
         severity: 'medium'
       });
 
-      // 2. HTTP/2 or HTTP/3 Support
-      const httpVersion = response.httpVersion || '1.1';
+      if (timing) {
+        const { phases, firstByte } = timing;
+        const firstByteRating = rateMetric('ttfb', firstByte.median);
+        checks.push({
+          name: 'Server Response Time',
+          status: RATING_STATUS[firstByteRating],
+          description: `Median time to first byte ${Math.round(firstByte.median)}ms (p90 ${Math.round(firstByte.p90)}ms): DNS ${phases.dns.median}ms, TCP ${phases.tcp.median}ms, TLS ${phases.tls.median}ms, server ${phases.ttfb.median}ms, download ${phases.download.median}ms${timing.errors.length > 0 ? `; ${timing.errors.length} sample(s) failed` : ''}`,
+          severity: 'medium',
+          details: { mode: timing.mode, total: timing.total, firstByte, phases, samples: timing.samples }
+        });
+      }
+
+      // 2. HTTP/2 and HTTP/3 support of the page's origin
+      protocols = await detectOriginProtocols(response.finalUrl, response.headers, { signal: context?.signal });
       checks.push({
-        name: 'HTTP Version',
-        status: httpVersion === '2.0' || httpVersion === '3.0' ? 'pass' : 'warn',
-        description: `Using HTTP/${httpVersion}`,
+        name: 'HTTP/2 Support',
+        status: protocols.h2 ? 'pass' : 'warn',
+        description: !protocols.secure
+          ? 'Served over plain HTTP, where browsers only use HTTP/1.1'
+          : protocols.h2
+            ? 'Server negotiates HTTP/2 over ALPN'
+            : protocols.alpnError
+              ? `ALPN negotiation failed: ${protocols.alpnError}`
+              : `Server does not offer HTTP/2 (ALPN: ${protocols.alpn || 'not negotiated'})`,
         severity: 'medium'
       });
+      checks.push({
+        name: 'HTTP/3 Advertisement',
+        status: protocols.h3 ? 'pass' : 'info',
+        description: protocols.h3
+          ? `HTTP/3 advertised in Alt-Svc (${protocols.h3Versions.join(', ')})`
+          : protocols.altSvc.clear ? 'Alt-Svc clears alternative services' : 'No HTTP/3 advertised in Alt-Svc',
+        severity: 'low'
+      });
 
       // 3. Content Compression
       const contentEncoding = response.headers['content-encoding'];
@@ -64,25 +290,77 @@ class PerformanceCheck {
         severity: 'low'
       });
 
-      // 6. Image Optimization (check for modern formats)
-      const contentType = response.headers['content-type'] || '';
-      checks.push({
-        name: 'Response Size',
-        status: response.headers['content-length'] ? 'pass' : 'info',
-        description: response.headers['content-length'] ? 
-          `Content size: ${(parseInt(response.headers['content-length']) / 1024).toFixed(2)} KB` : 
-          'Size information not available',
-        severity: 'medium'
-      });
-
-      // 7. Redirect Chain
+      // 6. Redirect Chain
+      const hops = response.redirects.length;
       checks.push({
         name: 'Redirect Efficiency',
-        status: response.status === 200 ? 'pass' : 'warn',
-        description: `HTTP Status: ${response.status}`,
-        severity: 'medium'
+        status: hops === 0 ? 'pass' : hops === 1 && response.timings.redirect < 500 ? 'pass' : hops <= 2 ? 'warn' : 'fail',
+        description: hops === 0
+          ? `No redirects (HTTP ${response.status})`
+          : `${hops} redirect${hops === 1 ? '' : 's'} added ${response.timings.redirect}ms before the page loaded`,
+        severity: 'medium',
+        details: { redirects: response.redirects.map(({ url: hopUrl, status, location, elapsed }) => ({ url: hopUrl, status, location, elapsed })) }
       });
 
+      // 7. Browser-based Core Web Vitals, waterfall and page weight per profile
+      if (profileError) {
+        checks.push({
+          name: 'Core Web Vitals',
+          status: 'info',
+          description: `Core Web Vitals not measured: ${profileError.message} (check PERF_PROFILES and the PERF_<PROFILE>_* settings)`,
+          severity: 'low'
+        });
+      }
+      if (profiles.length > 0) {
+        try {
+          const runs = await measurePage(response.finalUrl, context, {
+            profiles,
+            deadline: startedAt + PerformanceCheck.meta.timeout - RESULT_MARGIN,
+            inspect: page => page.evaluate(collectPageAssets)
+          });
+          runs.forEach(run => checks.push(...this.vitalsChecks(run)));
+
+          // Waterfall and HAR come from the first profile that loaded
+          const primary = runs.find(run => !run.error);
+          if (primary) {
+            waterfall = { profile: primary.profile, ...summarizeResources(primary.requests, primary.url) };
+            // Served by GET /api/har/:id; the log is too large (and too revealing) for the category result
+            harId = storeHar(buildHar(primary.requests, {
+              url: primary.url,
+              title: primary.title,
+              browserVersion: primary.browserVersion,
+              onContentLoad: primary.navigation?.domContentLoaded,
+              onLoad: primary.navigation?.load
+            }), { url: primary.url });
+            checks.push(...this.waterfallChecks(waterfall));
+            assets = primary.inspection;
+
+            protocols.origins = summarizeOriginProtocols(waterfall.resources);
+            checks.push(this.originProtocolCheck(protocols.origins));
+          }
+          vitals = runs.map(({ requests, inspection, ...run }) => run);
+        } catch (error) {
+          if (context?.signal?.aborted) throw error;
+          logger.warn(`Performance browser session failed: ${error.message}`);
+          checks.push({
+            name: 'Core Web Vitals',
+            status: 'info',
+            description: `Browser unavailable, Core Web Vitals not measured: ${error.message.split('\n')[0]}`,
+            severity: 'low'
+          });
+        }
+      }
+
+      // Without a browser session only the HTML document can be weighed
+      if (!waterfall) {
+        checks.push({
+          name: 'Page Weight',
+          status: 'info',
+          description: `HTML document: ${this.formatBytes(response.size)}${response.headers['content-encoding'] ? ` (served ${response.headers['content-encoding']})` : ''}; subresources not measured`,
+          severity: 'low'
+        });
+      }
+
     } catch (error) {
       checks.push({
         name: 'Performance Check Error',
@@ -96,7 +374,14 @@ class PerformanceCheck {
       category: 'Performance',
       icon: '⚡',
       score: calculateCategoryScore(checks),
-      checks
+      checks,
+      vitals,
+      waterfall,
+      harId,
+      protocols,
+      // Rendered image boxes for the Asset Optimization check
+      assets,
+      timing
     };
   }
 }
@@ -0,0 +1,149 @@
+/**
+ * Redirect Chain Checks
+ * Traces every server-side hop plus meta refresh and JavaScript redirects seen in a browser
+ */
+
+const { resolvePage, resolveBrowserSession } = require('../utils/analysis-context.util');
+const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { buildRedirectTrace, intermediateCookieHops } = require('../utils/redirect-trace.util');
+const logger = require('../utils/logger.util');
+
+class RedirectsCheck {
+  static meta = {
+    id: 'redirects',
+    category: 'Redirect Chain',
+    icon: '↪️',
+    timeout: 60000,
+    dependencies: [],
+    order: 65
+  };
+
+  /**
+   * Navigations the final URL triggers on its own in the shared browser session
+   * HTTP redirects that follow a client-side navigation are recorded as well.
+   */
+  async traceClientRedirects(url, context) {
+    const session = await resolveBrowserSession(url, context);
+    return session.navigations;
+  }
+
+  async analyze(url, context) {
+    const checks = [];
+    let trace = null;
+
+    try {
+      let page = null;
+      let fetchError = null;
+      try {
+        page = await resolvePage(url, context);
+      } catch (error) {
+        if (error.name !== 'RedirectError') throw error;
+        fetchError = error;
+      }
+
+      let clientHops = [];
+      let clientError = null;
+      if (page) {
+        try {
+          clientHops = await this.traceClientRedirects(page.finalUrl, context);
+        } catch (error) {
+          if (context?.signal?.aborted) throw error;
+          clientError = error;
+          logger.warn(`Client-side redirect trace failed: ${error.message}`);
+        }
+      }
+
+      trace = buildRedirectTrace(url, { page, fetchError, clientHops, clientError });
+      const hopCount = trace.hops.length;
+
+      // 1. Chain length
+      checks.push({
+        name: 'Redirect Chain',
+        status: hopCount === 0 ? 'pass' : hopCount <= 2 ? 'pass' : hopCount <= 4 ? 'warn' : 'fail',
+        description: hopCount === 0
+          ? 'No redirects'
+          : `${hopCount} hop${hopCount === 1 ? '' : 's'} in ${trace.totalTime}ms: ${[url, ...trace.hops.map(hop => hop.location)].join(' → ')}`,
+        severity: 'medium',
+        details: { hops: trace.hops.length, totalTime: trace.totalTime }
+      });
+
+      // 2. Loops
+      checks.push({
+        name: 'Redirect Loop',
+        status: trace.loop ? 'fail' : trace.error ? 'fail' : 'pass',
+        description: trace.loop
+          ? `Redirect loop back to ${trace.loop.url}`
+          : trace.error || 'No redirect loops',
+        severity: 'high'
+      });
+
+      // 3. Cross-domain hops
+      const crossDomainHops = trace.hops.filter(hop => hop.crossDomain);
+      checks.push({
+        name: 'Cross-Domain Redirects',
+        status: crossDomainHops.length > 0 ? 'warn' : 'pass',
+        description: crossDomainHops.length > 0
+          ? `Redirects leave the site: ${crossDomainHops.map(hop => `${new URL(hop.url).hostname} → ${new URL(hop.location).hostname}`).join(', ')}`
+          : 'All redirects stay on the same site',
+        severity: 'medium'
+      });
+
+      // 4. Meta refresh / JavaScript redirects
+      const clientSideHops = trace.hops.filter(hop => hop.type !== 'http');
+      checks.push({
+        name: 'Client-Side Redirects',
+        status: !trace.browser.checked ? 'info' : clientSideHops.length > 0 ? 'warn' : 'pass',
+        description: !trace.browser.checked
+          ? trace.error
+            ? 'Not traced because the page did not finish loading'
+            : `Browser unavailable, meta refresh and JavaScript redirects not traced: ${trace.browser.error}`
+          : clientSideHops.length > 0
+            ? `${clientSideHops.map(hop => `${hop.type} to ${hop.location}`).join(', ')} (prefer server-side 301/308 redirects)`
+            : 'No meta refresh or JavaScript redirects',
+        severity: 'medium'
+      });
+
+      // 5. Cookies set on intermediate hops
+      const cookieHops = intermediateCookieHops(trace);
+      const crossDomainCookies = cookieHops.some(hop => hop.crossDomain);
+      checks.push({
+        name: 'Cookies on Redirect Hops',
+        status: cookieHops.length === 0 ? 'pass' : crossDomainCookies ? 'warn' : 'info',
+        description: cookieHops.length === 0
+          ? 'No cookies set before the final destination'
+          : `${cookieHops.map(hop => `${new URL(hop.url).hostname} sets ${hop.cookies.join(', ')}`).join('; ')}`,
+        severity: 'low',
+        details: { hops: cookieHops.map(hop => ({ url: hop.url, cookies: hop.cookies })) }
+      });
+
+      // 6. Unencrypted hops
+      const plainHops = trace.hops.filter(hop => hop.url.startsWith('http://'));
+      checks.push({
+        name: 'Unencrypted Redirect Hops',
+        status: plainHops.length === 0 ? 'pass' : 'warn',
+        description: plainHops.length === 0
+          ? 'Every redirect hop is served over TLS'
+          : `${plainHops.length} hop${plainHops.length === 1 ? '' : 's'} over plain HTTP: ${plainHops.map(hop => hop.url).join(', ')}`,
+        severity: 'medium'
+      });
+
+    } catch (error) {
+      checks.push({
+        name: 'Redirect Trace Error',
+        status: 'error',
+        description: `Unable to trace redirects: ${error.message}`,
+        severity: 'medium'
+      });
+    }
+
+    return {
+      category: 'Redirect Chain',
+      icon: '↪️',
+      score: calculateCategoryScore(checks),
+      checks,
+      trace
+    };
+  }
+}
+
+module.exports = RedirectsCheck;
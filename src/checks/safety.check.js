@@ -4,22 +4,31 @@
 
 const axios = require('axios');
 const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { resolvePage } = require('../utils/analysis-context.util');
 
 class SafetyCheck {
-  async analyze(url) {
+  static meta = {
+    id: 'safety',
+    category: 'Safety & Threats',
+    icon: '⚠️',
+    timeout: 30000,
+    dependencies: [],
+    // Reads the redirect trace when the redirects check is part of the run
+    after: ['redirects'],
+    order: 60
+  };
+
+  async analyze(url, context) {
     const checks = [];
     const hostname = new URL(url).hostname;
 
     try {
-      const response = await axios.get(url, { 
-        timeout: 15000,
-        validateStatus: () => true
-      });
+      const page = await resolvePage(url, context);
 
       // 1. Malware / Phishing Indicators
       // If a Google Safe Browsing API key is provided via env, use it for reliable detection.
       // Otherwise fallback to a local keyword heuristic (prone to false positives).
-      const body = response.data ? String(response.data).toLowerCase() : '';
+      const body = page.body.toLowerCase();
       const urlLower = url.toLowerCase();
       let malwareDetected = false;
       let detectionDetails = null;
@@ -41,7 +50,7 @@ class SafetyCheck {
           };
 
           const gsUrl = `https://safebrowsing.googleapis.com/v4/threatMatches:find?key=${gsApiKey}`;
-          const gsResp = await axios.post(gsUrl, gsPayload, { timeout: 10000 });
+          const gsResp = await axios.post(gsUrl, gsPayload, { timeout: 10000, signal: context?.signal });
           if (gsResp.data && Object.keys(gsResp.data).length > 0) {
             malwareDetected = true;
             detectionDetails = `Google Safe Browsing match: ${JSON.stringify(gsResp.data)}`;
@@ -86,7 +95,7 @@ class SafetyCheck {
       });
 
       // 3. Suspicious Content Check
-      const hasFormWithoutHttps = response.data?.includes('form') && !url.startsWith('https://');
+      const hasFormWithoutHttps = page.body.includes('form') && !url.startsWith('https://');
       checks.push({
         name: 'Form Security',
         status: hasFormWithoutHttps ? 'fail' : 'pass',
@@ -119,7 +128,7 @@ class SafetyCheck {
       });
 
       // 7. Iframe Restrictions
-      const iframes = response.data?.match(/<iframe/gi) || [];
+      const iframes = page.body.match(/<iframe/gi) || [];
       checks.push({
         name: 'Iframe Usage',
         status: iframes.length > 0 ? 'warn' : 'pass',
@@ -128,7 +137,7 @@ class SafetyCheck {
       });
 
       // 8. External Script Safety
-      const externalScripts = (response.data?.match(/<script[^>]+src=/gi) || []).length;
+      const externalScripts = (page.body.match(/<script[^>]+src=/gi) || []).length;
       checks.push({
         name: 'External Scripts',
         status: externalScripts > 0 ? 'warn' : 'pass',
@@ -152,6 +161,30 @@ class SafetyCheck {
         severity: 'medium'
       });
 
+      // 11. Redirect chain destinations (traced by the redirects check)
+      const trace = context?.results.get('redirects')?.trace;
+      if (trace && trace.hops.length > 0) {
+        const flaggedHops = trace.hops.filter(hop => {
+          let destination;
+          try {
+            destination = new URL(hop.location, hop.url);
+          } catch {
+            // Unparseable Location; nothing to judge
+            return false;
+          }
+          return this.detectPhishingIndicators(destination.href, destination.hostname) || this.checkDomainReputation(destination.hostname, destination.href).isSuspicious;
+        });
+        checks.push({
+          name: 'Redirect Chain Destinations',
+          status: flaggedHops.length > 0 ? 'fail' : 'pass',
+          description: flaggedHops.length > 0
+            ? `Redirects pass through suspicious destinations: ${flaggedHops.map(hop => hop.location).join(', ')}`
+            : `${trace.hops.length} redirect destination${trace.hops.length === 1 ? '' : 's'} show no phishing indicators`,
+          severity: 'high',
+          details: { hops: flaggedHops.map(hop => ({ type: hop.type, from: hop.url, to: hop.location, crossDomain: hop.crossDomain })) }
+        });
+      }
+
     } catch (error) {
       checks.push({
         name: 'Safety Analysis Error',
@@ -2,21 +2,213 @@
  * Security & HTTPS Checks
  */
 
-const axios = require('axios');
+const { resolvePage, fetchPage } = require('../utils/analysis-context.util');
 const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { inspectTls, acceptsProtocol } = require('../utils/tls.util');
+const { evaluateCsp } = require('../utils/csp.util');
+const { parseHsts, summarizeUpgradeChain, checkPreloadRequirements, PRELOAD_MIN_MAX_AGE } = require('../utils/hsts.util');
+const { getRegistrableDomain } = require('../utils/domain.util');
+
+const WEAK_CIPHER_PATTERN = /(RC4|3DES|DES-CBC|NULL|EXPORT|MD5|ANON)/i;
+const INCOMPLETE_CHAIN_ERRORS = ['UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'UNABLE_TO_GET_ISSUER_CERT'];
+const HSTS_RECOMMENDED_MAX_AGE = 15768000; // 6 months
+const UPGRADE_MAX_REDIRECTS = 10;
+// Each network probe (HTTP upgrade chain, TLS handshakes, apex domain) gets its own time limit
+const PROBE_TIMEOUT = 8000;
 
 class SecurityCheck {
-  async analyze(url) {
+  static meta = {
+    id: 'security',
+    category: 'Security & HTTPS',
+    icon: '🔒',
+    timeout: 30000,
+    dependencies: [],
+    order: 10
+  };
+
+  /**
+   * Connect over TLS and turn the handshake and certificate into individual checks
+   */
+  async checkTls(targetUrl, context) {
     const checks = [];
+    const { hostname, port } = new URL(targetUrl);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const tlsPort = parseInt(port, 10) || 443;
+    const options = { signal: context?.signal, timeout: PROBE_TIMEOUT };
 
+    // The legacy protocol probes are independent handshakes, so they run alongside the main one
+    const legacyProbes = Promise.all([
+      acceptsProtocol(host, tlsPort, 'TLSv1', options),
+      acceptsProtocol(host, tlsPort, 'TLSv1.1', options)
+    ]);
+    legacyProbes.catch(() => {});
+
+    let info;
     try {
-      const response = await axios.get(url, {
-        timeout: 10000,
-        validateStatus: () => true,
-        maxRedirects: 5
+      info = await inspectTls(host, tlsPort, options);
+    } catch (error) {
+      if (error.code === 'EGRESS_BLOCKED') throw error;
+      checks.push({
+        name: 'TLS Handshake',
+        status: 'fail',
+        description: `TLS connection to ${host}:${tlsPort} failed: ${error.message}`,
+        severity: 'critical'
       });
+      return { checks, tls: null };
+    }
+
+    const cert = info.certificate;
+
+    // Negotiated protocol
+    const modernProtocol = info.protocol === 'TLSv1.3' || info.protocol === 'TLSv1.2';
+    checks.push({
+      name: 'TLS Protocol Version',
+      status: modernProtocol ? 'pass' : 'fail',
+      description: `Negotiated ${info.protocol}${info.protocol === 'TLSv1.2' ? ' (TLS 1.3 recommended)' : ''}`,
+      severity: 'high',
+      details: { protocol: info.protocol, alpn: info.alpnProtocol }
+    });
+
+    // Cipher suite
+    const cipherName = info.cipher?.standardName || info.cipher?.name || 'unknown';
+    const weakCipher = WEAK_CIPHER_PATTERN.test(cipherName);
+    const cbcCipher = /CBC/i.test(cipherName);
+    checks.push({
+      name: 'TLS Cipher Suite',
+      status: weakCipher ? 'fail' : cbcCipher ? 'warn' : 'pass',
+      description: weakCipher
+        ? `Weak cipher negotiated: ${cipherName}`
+        : cbcCipher ? `CBC-mode cipher negotiated: ${cipherName} (prefer AEAD suites)` : `Cipher: ${cipherName}`,
+      severity: 'high',
+      details: info.cipher
+    });
+
+    // Certificate expiry
+    const days = cert.daysUntilExpiry;
+    checks.push({
+      name: 'Certificate Expiration',
+      status: cert.notYetValid || days < 0 ? 'fail' : days < 14 ? 'fail' : days < 30 ? 'warn' : 'pass',
+      description: cert.notYetValid
+        ? `Certificate not valid until ${cert.validFrom}`
+        : days < 0 ? `Certificate expired ${Math.abs(days)} days ago (${cert.validTo})` : `Certificate expires in ${days} days (${cert.validTo})`,
+      severity: 'critical',
+      details: { validFrom: cert.validFrom, validTo: cert.validTo, daysUntilExpiry: days }
+    });
+
+    // Issuer / self-signed
+    checks.push({
+      name: 'Certificate Issuer',
+      status: cert.selfSigned ? 'fail' : info.authorized ? 'pass' : 'warn',
+      description: cert.selfSigned
+        ? 'Certificate is self-signed and will not be trusted by browsers'
+        : `Issued by ${cert.issuerName}${info.authorized ? '' : ` (not trusted: ${info.authorizationError})`}`,
+      severity: 'high',
+      details: { issuer: cert.issuer, subject: cert.subject, selfSigned: cert.selfSigned, serialNumber: cert.serialNumber, fingerprint256: cert.fingerprint256 }
+    });
+
+    // SAN coverage
+    checks.push({
+      name: 'Certificate Hostname Match',
+      status: cert.hostnameMatches ? 'pass' : 'fail',
+      description: cert.hostnameMatches
+        ? `Certificate covers ${host}`
+        : `Certificate does not cover ${host}`,
+      severity: 'critical',
+      details: { hostname: host, subjectAltNames: cert.subjectAltNames, error: cert.hostnameError }
+    });
 
-      const headers = response.headers;
+    // Chain completeness
+    const incompleteChain = INCOMPLETE_CHAIN_ERRORS.includes(info.authorizationError) || (!info.chainComplete && !cert.selfSigned);
+    checks.push({
+      name: 'Certificate Chain',
+      status: incompleteChain ? 'fail' : info.authorized ? 'pass' : 'warn',
+      description: incompleteChain
+        ? 'Certificate chain is incomplete (missing intermediate certificate)'
+        : info.authorized ? `Chain validates (${info.chain.length} certificates)` : `Chain does not validate: ${info.authorizationError}`,
+      severity: 'high',
+      details: { chain: info.chain, authorizationError: info.authorizationError }
+    });
+
+    // Key size / algorithm
+    const key = cert.key;
+    const weakKey = (key.algorithm === 'RSA' && key.bits < 2048) || (key.algorithm === 'EC' && key.bits < 256);
+    checks.push({
+      name: 'Certificate Key Strength',
+      status: weakKey ? 'fail' : key.bits ? 'pass' : 'info',
+      description: key.bits
+        ? `${key.algorithm} ${key.bits}-bit key${key.curve ? ` (${key.curve})` : ''}${weakKey ? ' is too weak' : ''}`
+        : 'Key size could not be determined',
+      severity: 'high',
+      details: key
+    });
+
+    // Legacy protocol support
+    const [tls10, tls11] = await legacyProbes;
+    const legacy = [tls10 && 'TLS 1.0', tls11 && 'TLS 1.1'].filter(Boolean);
+    checks.push({
+      name: 'Legacy TLS Protocols',
+      status: legacy.length > 0 ? 'fail' : 'pass',
+      description: legacy.length > 0 ? `Server still accepts ${legacy.join(' and ')}` : 'TLS 1.0 and 1.1 are disabled',
+      severity: 'high',
+      details: { 'TLSv1': tls10, 'TLSv1.1': tls11 }
+    });
+
+    return { checks, tls: info };
+  }
+
+  /**
+   * Fetch a URL within PROBE_TIMEOUT, cancelled along with the analysis
+   */
+  async probe(url, context) {
+    const timeout = AbortSignal.timeout(PROBE_TIMEOUT);
+    const signal = context?.signal ? AbortSignal.any([context.signal, timeout]) : timeout;
+    try {
+      return await fetchPage(url, { signal, timeout: PROBE_TIMEOUT, maxRedirects: UPGRADE_MAX_REDIRECTS });
+    } catch (error) {
+      if (timeout.aborted && !context?.signal?.aborted) throw new Error(`${url} did not respond within ${PROBE_TIMEOUT / 1000}s`);
+      throw error;
+    }
+  }
+
+  /**
+   * Request the plain-HTTP origin of a host and follow its redirect chain
+   * Resolves to { chain, httpPage } or { error } when port 80 cannot be reached.
+   */
+  async traceHttpUpgrade(hostname, context) {
+    try {
+      const httpPage = await this.probe(`http://${hostname}/`, context);
+      return { chain: summarizeUpgradeChain(httpPage), httpPage };
+    } catch (error) {
+      if (error.code === 'EGRESS_BLOCKED' || context?.signal?.aborted) throw error;
+      return { error };
+    }
+  }
+
+  /**
+   * What the preload list checks on the apex when another host is analyzed: its own HTTP upgrade
+   * chain and the HSTS header of its first HTTPS response (redirect or not)
+   */
+  async probeApex(apex, context) {
+    const [upgrade, hsts] = await Promise.all([
+      this.traceHttpUpgrade(apex, context),
+      this.probe(`https://${apex}/`, context).then(apexPage => ({
+        header: parseHsts((apexPage.redirects.length > 0 ? apexPage.redirects[0].headers : apexPage.headers)['strict-transport-security']),
+        redirects: apexPage.redirects
+      }), (error) => {
+        if (error.code === 'EGRESS_BLOCKED' || context?.signal?.aborted) throw error;
+        return null;
+      })
+    ]);
+    return { upgrade, hsts: hsts?.header || null, httpsRedirects: hsts?.redirects || [], reachable: !!hsts };
+  }
+
+  async analyze(url, context) {
+    const checks = [];
+    let tlsInfo = null;
+
+    try {
+      const page = await resolvePage(url, context);
+      const headers = page.headers;
 
       // 1. HTTPS Check
       const isHttps = url.startsWith('https://');
@@ -27,25 +219,78 @@ class SecurityCheck {
         severity: 'critical'
       });
 
-      // 2. HSTS Header
-      const hasHsts = !!headers['strict-transport-security'];
+      // Network probes run concurrently, each within PROBE_TIMEOUT, so one filtered port cannot
+      // time out the whole category
+      const { hostname } = new URL(url);
+      const apex = getRegistrableDomain(hostname);
+      const servedOverHttps = page.finalUrl.startsWith('https://');
+      const tlsTarget = servedOverHttps ? page.finalUrl : isHttps ? url : null;
+      const [upgrade, tlsResult, apexProbe] = await Promise.all([
+        this.traceHttpUpgrade(hostname, context),
+        tlsTarget ? this.checkTls(tlsTarget, context) : null,
+        apex !== hostname ? this.probeApex(apex, context) : null
+      ]);
+
+      // 2. HTTP -> HTTPS redirect chain
+      const chain = upgrade.chain;
       checks.push({
-        name: 'HSTS Header',
-        status: hasHsts ? 'pass' : 'warn',
-        description: hasHsts ? `HSTS enabled: ${headers['strict-transport-security']}` : 'HSTS not configured (optional for major sites)',
-        severity: 'medium'
+        name: 'HTTP to HTTPS Redirect',
+        status: !chain ? 'info' : chain.upgraded ? 'pass' : 'fail',
+        description: !chain
+          ? `http://${hostname} is not reachable (${upgrade.error.message})`
+          : chain.upgraded
+            ? `http://${hostname} redirects to HTTPS (${chain.hops.length - 1} hop${chain.hops.length === 2 ? '' : 's'})`
+            : `http://${hostname} is served over plain HTTP without redirecting`,
+        severity: 'high',
+        details: chain ? { hops: chain.hops } : {}
+      });
+
+      const downgrades = [
+        ...(chain ? chain.downgrades : []),
+        ...summarizeUpgradeChain(page).downgrades
+      ];
+      checks.push({
+        name: 'HTTPS Downgrade in Redirects',
+        status: downgrades.length > 0 ? 'fail' : 'pass',
+        description: downgrades.length > 0
+          ? `Redirect chain drops back to HTTP: ${downgrades.map(hop => `${hop.from} → ${hop.to}`).join(', ')}`
+          : 'No redirect hop downgrades from HTTPS to HTTP',
+        severity: 'high',
+        details: { downgrades }
       });
 
-      // 3. Content Security Policy
-      const hasCsp = !!headers['content-security-policy'];
+      // 3. HSTS Header (only honoured on HTTPS responses)
+      const hsts = parseHsts(headers['strict-transport-security']);
+      let hstsStatus = 'pass';
+      let hstsDescription = `max-age=${hsts.maxAge}${hsts.includeSubDomains ? ', includeSubDomains' : ''}${hsts.preload ? ', preload' : ''}`;
+      if (!hsts.raw) {
+        hstsStatus = 'warn';
+        hstsDescription = 'HSTS not configured';
+      } else if (!servedOverHttps) {
+        hstsStatus = 'warn';
+        hstsDescription = 'HSTS header sent over plain HTTP is ignored by browsers';
+      } else if (hsts.errors.length > 0) {
+        hstsStatus = 'fail';
+        hstsDescription = `Malformed HSTS header: ${hsts.errors.join('; ')}`;
+      } else if (hsts.maxAge === 0) {
+        hstsStatus = 'warn';
+        hstsDescription = 'max-age=0 clears any existing HSTS policy';
+      } else if (hsts.maxAge < HSTS_RECOMMENDED_MAX_AGE) {
+        hstsStatus = 'warn';
+        hstsDescription = `max-age=${hsts.maxAge} is shorter than the recommended 6 months`;
+      }
       checks.push({
-        name: 'Content Security Policy (CSP)',
-        status: hasCsp ? 'pass' : 'warn',
-        description: hasCsp ? 'CSP configured to prevent XSS attacks' : 'CSP not configured (recommended but not required)',
-        severity: 'medium'
+        name: 'HSTS Header',
+        status: hstsStatus,
+        description: hstsDescription,
+        severity: 'medium',
+        details: hsts
       });
 
-      // 4. X-Frame-Options
+      // 4. Content Security Policy (header and <meta>, enforced and report-only)
+      checks.push(...evaluateCsp(headers, page.$));
+
+      // 5. X-Frame-Options
       const hasXFrame = !!headers['x-frame-options'];
       checks.push({
         name: 'X-Frame-Options Header',
@@ -54,7 +299,7 @@ class SecurityCheck {
         severity: 'medium'
       });
 
-      // 5. X-Content-Type-Options
+      // 6. X-Content-Type-Options
       const hasXContent = !!headers['x-content-type-options'];
       checks.push({
         name: 'X-Content-Type-Options',
@@ -63,7 +308,7 @@ class SecurityCheck {
         severity: 'medium'
       });
 
-      // 6. Referrer-Policy
+      // 7. Referrer-Policy
       const hasReferrer = !!headers['referrer-policy'];
       checks.push({
         name: 'Referrer-Policy',
@@ -72,7 +317,7 @@ class SecurityCheck {
         severity: 'low'
       });
 
-      // 7. Permissions-Policy
+      // 8. Permissions-Policy
       const hasPermissions = !!headers['permissions-policy'];
       checks.push({
         name: 'Permissions-Policy',
@@ -81,17 +326,41 @@ class SecurityCheck {
         severity: 'medium'
       });
 
-      // 8. SSL/TLS Version (if HTTPS)
-      if (isHttps) {
-        checks.push({
-          name: 'TLS Protocol Version',
-          status: 'pass',
-          description: 'TLS connection established successfully (TLS 1.2+)',
-          severity: 'high'
-        });
+      // 9. TLS protocol, cipher and certificate (if HTTPS)
+      if (tlsResult) {
+        checks.push(...tlsResult.checks);
+        tlsInfo = tlsResult.tls;
       }
 
-      // 9. Redirect/Phishing Scam Detection
+      // 10. HSTS preload list readiness (hstspreload.org checks the apex: http://apex -> https://apex)
+      const preload = apexProbe
+        ? checkPreloadRequirements({
+          apex,
+          hsts: apexProbe.hsts,
+          chain: apexProbe.upgrade.chain,
+          httpsRedirects: [...(apexProbe.upgrade.httpPage?.redirects || []), ...apexProbe.httpsRedirects]
+            .filter(hop => hop.url.startsWith('https://')),
+          // The apex fetch validates its certificate; a failed fetch is reported as a missing header
+          validCertificate: true
+        })
+        : checkPreloadRequirements({
+          apex,
+          hsts: servedOverHttps ? hsts : null,
+          chain,
+          httpsRedirects: [...(upgrade.httpPage?.redirects || []), ...page.redirects].filter(hop => hop.url.startsWith('https://')),
+          validCertificate: !!tlsInfo?.authorized
+        });
+      checks.push({
+        name: 'HSTS Preload Readiness',
+        status: preload.eligible ? 'pass' : hsts.preload ? 'warn' : 'info',
+        description: preload.eligible
+          ? `${preload.apex} meets the HSTS preload list requirements`
+          : `${preload.apex} is not preload-ready: ${preload.failures[0]}${preload.failures.length > 1 ? ` (+${preload.failures.length - 1} more)` : ''}`,
+        severity: 'low',
+        details: { ...preload, minMaxAge: PRELOAD_MIN_MAX_AGE }
+      });
+
+      // 11. Redirect/Phishing Scam Detection
       // Check for known malicious domains from examples
       const knownMaliciousDomains = [
         'durframet', 'chroelhome', 'defulated', 'phosolica', 'flianial', 
@@ -119,7 +388,8 @@ class SecurityCheck {
       category: 'Security & HTTPS',
       icon: '🔒',
       score: calculateCategoryScore(checks),
-      checks
+      checks,
+      tls: tlsInfo
     };
   }
 }
@@ -2,38 +2,84 @@
  * SEO Checks
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
-const puppeteer = require('puppeteer');
 const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { resolvePage, resolveBrowserSession, USER_AGENT } = require('../utils/analysis-context.util');
+const cheerio = require('cheerio');
+const { launchBrowser, releaseBrowser, openPage } = require('../utils/browser.util');
+const { fetchRobotsTxt, isAllowed } = require('../utils/robots.util');
+const { inspectSitemaps, checkSitemapSample } = require('../utils/sitemap.util');
+const { collectSeoSignals, compareSeoSignals } = require('../utils/seo-signals.util');
+const {
+  parseLinkHeader,
+  collectAnnotations,
+  inspectAlternates,
+  compareHtmlLang
+} = require('../utils/hreflang.util');
+
+const CRAWLER = 'Googlebot';
+const SITEMAP_SAMPLE_SIZE = 5;
+// The shared browser session settles within 45s; stop waiting for it a little later
+const RENDER_TIMEOUT = 50000;
+// Link exploration clicks at most this many elements, within this much time after the page loads;
+// the whole exploration shares the render step's time limit
+const MAX_CLICKS = 40;
+const CLICK_BUDGET_MS = 20000;
+const NAVIGATION_TIMEOUT = 30000;
 
 class SeoCheck {
+  static meta = {
+    id: 'seo',
+    category: 'SEO & Metadata',
+    icon: '📊',
+    timeout: 90000,
+    dependencies: [],
+    order: 40
+  };
+
   /**
-   * Extract all links from the page using headless browser
-   * Opens site invisibly, clicks all interactive elements, and collects all links
+   * Rendered DOM of the page from the analysis' shared browser session
    */
-  async extractAllLinks(url) {
-    let browser;
+  async renderedSnapshot(url, context) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`browser did not render the page within ${RENDER_TIMEOUT / 1000}s`)), RENDER_TIMEOUT);
+    });
     try {
-      browser = await puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
+      const session = await Promise.race([resolveBrowserSession(url, context), timeout]);
+      if (!session.html) throw new Error('the page was still navigating when the DOM was captured');
+      return session;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
 
-      const page = await browser.newPage();
+  /**
+   * Extract all links from the page using headless browser
+   * Opens the page the analysis landed on (after redirects) with the analysis' user agent, then clicks up
+   * to MAX_CLICKS interactive elements within CLICK_BUDGET_MS and collects all links. Finishes within
+   * RENDER_TIMEOUT: aborting { signal } closes the browser context. Returns { links }.
+   */
+  async extractAllLinks(pageUrl, context, signal) {
+    const started = Date.now();
+    const browser = await launchBrowser(context);
+    const browserContext = await browser.createBrowserContext();
+    const onAbort = () => browserContext.close().catch(() => {});
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      const page = await openPage(browserContext);
       
       // Set viewport and user agent
       await page.setViewport({ width: 1920, height: 1080 });
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
+      await page.setUserAgent(USER_AGENT);
       
       // Navigate to the page
-      await page.goto(url, { 
+      await page.goto(pageUrl, { 
         waitUntil: 'networkidle2',
-        timeout: 30000 
+        timeout: Math.max(1000, Math.min(NAVIGATION_TIMEOUT, RENDER_TIMEOUT - (Date.now() - started)))
       });
 
       // Wait a bit for any dynamic content
-      await page.waitForTimeout(2000);
+      await new Promise(resolve => setTimeout(resolve, 2000));
 
       // Collect all links before clicking
       const allLinks = new Set();
@@ -63,11 +109,17 @@ class SeoCheck {
         'details summary'
       ];
 
+      // Leave a few seconds before RENDER_TIMEOUT to read the links once clicking stops
+      const deadline = Math.min(Date.now() + CLICK_BUDGET_MS, started + RENDER_TIMEOUT - 3000);
+      let clicks = 0;
+      const exhausted = () => clicks >= MAX_CLICKS || Date.now() >= deadline || signal?.aborted;
+
       for (const selector of clickableSelectors) {
+        if (exhausted()) break;
         try {
           const elements = await page.$$(selector);
           
-          for (let i = 0; i < elements.length; i++) {
+          for (let i = 0; i < elements.length && !exhausted(); i++) {
             try {
               // Check if element is visible and clickable
               const isVisible = await page.evaluate(el => {
@@ -79,10 +131,11 @@ class SeoCheck {
 
               if (isVisible) {
                 // Click the element
+                clicks++;
                 await elements[i].click({ delay: 50 });
                 
                 // Wait for any navigation or dynamic content
-                await page.waitForTimeout(500);
+                await new Promise(resolve => setTimeout(resolve, 500));
                 
                 // Extract new links after click
                 const newLinks = await page.evaluate(() => {
@@ -143,108 +196,408 @@ class SeoCheck {
       
       additionalLinks.forEach(link => allLinks.add(link));
 
-      await browser.close();
-      
-      return Array.from(allLinks);
-
+      return { links: Array.from(allLinks) };
     } catch (error) {
-      if (browser) {
-        await browser.close();
+      if (signal?.aborted && !context?.signal?.aborted) {
+        throw new Error(`link exploration did not finish within ${RENDER_TIMEOUT / 1000}s`);
       }
       throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await browserContext.close().catch(() => {});
+      await releaseBrowser(browser, context);
+    }
+  }
+
+  /**
+   * Whether the SEO elements in the raw HTML match the rendered DOM
+   * Elements that only exist after JavaScript runs are missed by crawlers that do not render, and
+   * Google sees them only after a deferred rendering pass.
+   */
+  renderingCheck(rows, error) {
+    if (!rows) {
+      return {
+        name: 'JavaScript Rendering',
+        status: 'info',
+        description: `Rendered DOM unavailable${error ? ` (${error.message.split('\n')[0]})` : ''}; SEO elements were evaluated on the raw HTML only`,
+        severity: 'low'
+      };
+    }
+
+    const jsOnly = rows.filter(row => row.status === 'js-only');
+    const altered = rows.filter(row => row.status === 'changed' || row.status === 'removed');
+    const list = items => items.map(row => row.element).join(', ');
+    const critical = [...jsOnly, ...altered].some(row => ['title', 'canonical', 'robots'].includes(row.key));
+    return {
+      name: 'JavaScript Rendering',
+      status: jsOnly.length + altered.length > 0 ? 'warn' : 'pass',
+      description: jsOnly.length + altered.length === 0
+        ? 'Raw HTML and rendered DOM agree on every SEO element'
+        : [
+          jsOnly.length > 0 ? `Only after JavaScript runs: ${list(jsOnly)}` : null,
+          altered.length > 0 ? `Changed by JavaScript: ${list(altered)}` : null
+        ].filter(Boolean).join('; '),
+      severity: critical ? 'high' : 'medium',
+      details: { rows }
+    };
+  }
+
+  /**
+   * Summary of all structured data blocks: fail when a block has errors, warn on warnings only
+   */
+  structuredDataCheck(blocks) {
+    if (blocks.length === 0) {
+      return {
+        name: 'Structured Data (Schema.org)',
+        status: 'info',
+        description: 'No JSON-LD, microdata or RDFa structured data detected',
+        severity: 'medium'
+      };
     }
+
+    const formats = ['json-ld', 'microdata', 'rdfa']
+      .map(format => [format, blocks.filter(block => block.format === format).length])
+      .filter(([, count]) => count > 0)
+      .map(([format, count]) => `${count} ${format === 'json-ld' ? 'JSON-LD' : format === 'rdfa' ? 'RDFa' : 'microdata'}`);
+    const invalid = blocks.filter(block => block.errors.length > 0);
+    const warned = blocks.filter(block => block.warnings.length > 0);
+    const types = [...new Set(blocks.flatMap(block => block.types))];
+    const features = [...new Set(blocks.flatMap(block => block.features))];
+
+    return {
+      name: 'Structured Data (Schema.org)',
+      status: invalid.length > 0 ? 'fail' : warned.length > 0 ? 'warn' : 'pass',
+      description: `${blocks.length} block(s) (${formats.join(', ')})` +
+        (types.length > 0 ? `: ${types.slice(0, 6).join(', ')}${types.length > 6 ? ', …' : ''}` : '') +
+        (invalid.length > 0 ? `; ${invalid.length} with errors` : '') +
+        (features.length > 0 ? `; eligible for ${features.join(', ')}` : '; no rich result features'),
+      severity: 'medium',
+      details: { blocks }
+    };
   }
 
-  async analyze(url) {
+  /**
+   * robots.txt and sitemap checks: groups and rules, whether Googlebot may crawl the page, and the
+   * declared (or default) sitemaps with their URL count, lastmod values and a sample of their URLs
+   */
+  async crawlChecks(pageUrl, signal) {
     const checks = [];
+    let robots = null;
 
     try {
-      const response = await axios.get(url, { 
-        timeout: 15000,
-        validateStatus: () => true
+      robots = await fetchRobotsTxt(pageUrl, { signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      checks.push({
+        name: 'Robots.txt',
+        status: 'warn',
+        description: `Could not fetch robots.txt: ${error.message}`,
+        severity: 'medium'
       });
+    }
 
-      const $ = cheerio.load(response.data);
+    if (robots) {
+      const ruleCount = robots.groups.reduce((sum, group) => sum + group.rules.length, 0);
+      checks.push({
+        name: 'Robots.txt',
+        status: robots.unreachable ? 'fail' : !robots.found ? 'info' : robots.errors.length > 0 || robots.truncated ? 'warn' : 'pass',
+        description: robots.unreachable
+          ? `robots.txt returned HTTP ${robots.status}; crawlers treat the whole site as disallowed`
+          : !robots.found
+            ? `No robots.txt (HTTP ${robots.status}); crawlers may fetch every URL`
+            : `${robots.groups.length} user-agent group(s), ${ruleCount} rule(s), ${robots.sitemaps.length} sitemap(s)` +
+              (robots.errors.length > 0 ? `; ${robots.errors.length} invalid line(s)` : '') +
+              (robots.truncated ? '; larger than 500 KiB, the rest is ignored' : ''),
+        severity: robots.unreachable ? 'critical' : 'medium',
+        ...(robots.found ? {
+          details: {
+            groups: robots.groups.map(group => ({
+              userAgents: group.userAgents,
+              allow: group.rules.filter(rule => rule.type === 'allow').map(rule => rule.path),
+              disallow: group.rules.filter(rule => rule.type === 'disallow').map(rule => rule.path),
+              crawlDelay: group.crawlDelay
+            })),
+            sitemaps: robots.sitemaps,
+            errors: robots.errors.slice(0, 10)
+          }
+        } : {})
+      });
+
+      const access = robots.unreachable ? { allowed: false, group: null, rule: null } : isAllowed(robots, pageUrl, CRAWLER);
+      checks.push({
+        name: `Crawl Access (${CRAWLER})`,
+        status: access.allowed ? 'pass' : 'fail',
+        description: access.allowed
+          ? access.rule ? `Allowed by "Allow: ${access.rule.path}" in the ${access.group} group` : `${CRAWLER} may crawl this URL`
+          : access.rule
+            ? `Blocked by "Disallow: ${access.rule.path}" (line ${access.rule.line}) in the ${access.group} group`
+            : 'Blocked: robots.txt is unavailable due to a server error',
+        severity: 'critical'
+      });
+    }
+
+    let sitemap;
+    try {
+      sitemap = await inspectSitemaps(pageUrl, robots?.sitemaps || [], { signal, pageUrl });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      checks.push({
+        name: 'XML Sitemap',
+        status: 'warn',
+        description: `Could not inspect sitemaps: ${error.message}`,
+        severity: 'medium'
+      });
+      return { checks, robots, sitemap: null };
+    }
+
+    const fetched = sitemap.sitemaps.filter(entry => entry.type);
+    const broken = sitemap.sitemaps.filter(entry => entry.errors.length > 0 || entry.crossHost.count > 0);
+    const problems = broken.flatMap(entry => [
+      ...entry.errors.map(error => `${entry.url}: ${error}`),
+      ...(entry.crossHost.count > 0 ? [`${entry.url}: ${entry.crossHost.count} URL(s) on another host`] : [])
+    ]);
+    checks.push({
+      name: 'XML Sitemap',
+      status: fetched.length === 0 ? 'warn' : broken.length > 0 ? 'warn' : 'pass',
+      description: fetched.length === 0
+        ? sitemap.source === 'robots.txt'
+          ? `None of the ${sitemap.sitemaps.length} sitemap(s) declared in robots.txt could be read`
+          : 'No sitemap.xml found and none declared in robots.txt'
+        : `${sitemap.urlCount} URL(s) in ${fetched.length} sitemap(s)` +
+          (sitemap.source === 'default' ? ' (found at /sitemap.xml, not declared in robots.txt)' : '') +
+          (sitemap.unfetched > 0 ? `; ${sitemap.unfetched} more child sitemap(s) not inspected` : '') +
+          (broken.length > 0 ? `; ${broken.length} with problems` : ''),
+      severity: 'medium',
+      details: {
+        sitemaps: sitemap.sitemaps.map(({ url, parent, status, gzip, type, urlCount }) => ({ url, parent, status, gzip, type, urlCount })),
+        ...(problems.length > 0 ? { problems: problems.slice(0, 10) } : {})
+      }
+    });
+
+    if (fetched.length === 0) return { checks, robots, sitemap };
+
+    const lastmod = fetched.reduce((sum, entry) => ({
+      present: sum.present + entry.lastmod.present,
+      invalid: sum.invalid + entry.lastmod.invalid,
+      future: sum.future + entry.lastmod.future,
+      examples: [...sum.examples, ...entry.lastmod.examples].slice(0, 5)
+    }), { present: 0, invalid: 0, future: 0, examples: [] });
+    checks.push({
+      name: 'Sitemap lastmod',
+      status: lastmod.present === 0 ? 'info' : lastmod.invalid + lastmod.future > 0 ? 'warn' : 'pass',
+      description: lastmod.present === 0
+        ? 'No <lastmod> dates; search engines cannot tell which pages changed'
+        : lastmod.invalid + lastmod.future > 0
+          ? `${lastmod.invalid} invalid and ${lastmod.future} future <lastmod> value(s) out of ${lastmod.present}`
+          : `All ${lastmod.present} <lastmod> values are valid W3C datetimes`,
+      severity: 'low',
+      ...(lastmod.examples.length > 0 ? { details: { examples: lastmod.examples } } : {})
+    });
+
+    if (sitemap.urls.length > 0) {
+      const sample = await checkSitemapSample(sitemap.urls, { signal, sample: SITEMAP_SAMPLE_SIZE });
+      // robots.txt only governs URLs on its own origin
+      const { origin } = new URL(pageUrl);
+      const disallowed = robots?.found ? sitemap.urls.filter(listed => {
+        try {
+          return new URL(listed).origin === origin && !isAllowed(robots, listed, CRAWLER).allowed;
+        } catch (error) {
+          return false;
+        }
+      }) : [];
+      const issues = [
+        ...sample.filter(result => result.status !== 200).map(result => `${result.url}: ${result.error || `HTTP ${result.status}`}`),
+        ...sample.filter(result => result.selfCanonical === false).map(result => `${result.url}: canonical is ${result.canonical}`),
+        ...disallowed.slice(0, 5).map(listed => `${listed}: disallowed for ${CRAWLER} by robots.txt`)
+      ];
+      checks.push({
+        name: 'Sitemap URLs',
+        status: issues.length > 0 ? 'warn' : 'pass',
+        description: issues.length > 0
+          ? `${issues.length} problem(s) in ${sample.length} sampled URL(s)` +
+            (disallowed.length > 0 ? `; ${disallowed.length} listed URL(s) are disallowed by robots.txt` : '')
+          : `${sample.length} sampled URL(s) return 200 and are self-canonical`,
+        severity: 'medium',
+        details: { sample, ...(issues.length > 0 ? { issues } : {}) }
+      });
+    }
+
+    return { checks, robots, sitemap };
+  }
+
+  /**
+   * hreflang checks over HTML, Link header and sitemap annotations: valid codes, x-default, a
+   * self-reference, alternates that answer 200, are self-canonical and link back, and <html lang>
+   */
+  async hreflangChecks(page, signals, sitemap, signal) {
+    const pageUrl = page.finalUrl;
+    const { annotations, errors } = collectAnnotations({
+      html: signals.hreflang.filter(entry => entry.href),
+      header: parseLinkHeader(page.headers.link, pageUrl),
+      sitemap: sitemap?.pageAlternates || []
+    });
+
+    if (annotations.length === 0) {
+      return {
+        checks: [{
+          name: 'hreflang Annotations',
+          status: 'info',
+          description: 'No hreflang annotations in HTML, Link headers or the sitemap (single-language site)',
+          severity: 'low'
+        }],
+        hreflang: null
+      };
+    }
+
+    const checks = [];
+    const sources = [...new Set(annotations.flatMap(annotation => annotation.sources))];
+    const warnings = [
+      ...(annotations.some(annotation => annotation.lang.toLowerCase() === 'x-default') ? [] : ['No x-default alternate for unmatched languages']),
+      ...(annotations.some(annotation => annotation.href === pageUrl) ? [] : ['The page does not list itself among its alternates'])
+    ];
+    checks.push({
+      name: 'hreflang Annotations',
+      status: errors.length > 0 ? 'fail' : warnings.length > 0 ? 'warn' : 'pass',
+      description: `${annotations.length} alternate(s) from ${sources.join(', ')}: ${annotations.map(annotation => annotation.lang).join(', ')}` +
+        (errors.length + warnings.length > 0 ? `; ${[...errors, ...warnings].slice(0, 3).join('; ')}` : ''),
+      severity: 'medium',
+      details: { annotations, errors, warnings }
+    });
+
+    const { results, skipped } = await inspectAlternates(annotations, pageUrl, { signal });
+    const linkingToPage = new Set(sitemap?.linkingToPage || []);
+    results.forEach(result => {
+      if (!result.returnLink && linkingToPage.has(result.url)) result.returnLink = true;
+    });
+    const problems = [
+      ...results.filter(result => result.status !== 200).map(result => `${result.url}: ${result.error || `HTTP ${result.status}`}`),
+      ...results.filter(result => result.selfCanonical === false).map(result => `${result.url}: canonical is ${result.canonical}`),
+      ...results.filter(result => result.status === 200 && !result.returnLink).map(result => `${result.url}: no hreflang link back to this page`)
+    ];
+    if (results.length > 0) {
+      checks.push({
+        name: 'hreflang Alternates',
+        status: problems.length > 0 ? 'fail' : 'pass',
+        description: problems.length > 0
+          ? problems.slice(0, 3).join('; ') + (problems.length > 3 ? ` (+${problems.length - 3} more)` : '')
+          : `${results.length} alternate(s) return 200, are self-canonical and link back` +
+            (skipped > 0 ? ` (${skipped} more not checked)` : ''),
+        severity: 'medium',
+        details: { alternates: results, ...(problems.length > 0 ? { problems } : {}) }
+      });
+    }
+
+    const lang = compareHtmlLang(signals.lang, annotations, pageUrl);
+    checks.push({
+      name: 'hreflang vs <html lang>',
+      status: lang.matches === null ? 'info' : lang.matches ? 'pass' : 'warn',
+      description: lang.matches === null
+        ? !lang.htmlLang ? 'No <html lang> to compare with hreflang' : 'The page has no hreflang annotation for itself to compare with <html lang>'
+        : lang.matches
+          ? `<html lang="${lang.htmlLang}"> agrees with hreflang "${lang.hreflang}"`
+          : `<html lang="${lang.htmlLang}"> disagrees with this page's hreflang "${lang.hreflang}"`,
+      severity: 'low'
+    });
+
+    return { checks, hreflang: { annotations, errors, warnings, alternates: results, lang } };
+  }
+
+  async analyze(url, context) {
+    const checks = [];
+    let crawl = {};
+    let structuredData = [];
+    let rendering = null;
+    let international = {};
+
+    try {
+      const page = await resolvePage(url, context);
+      const { $ } = page;
+      const signal = context?.signal;
+      const raw = collectSeoSignals($, page.finalUrl);
+
+      // The rendered DOM, the link exploration and the robots/sitemap/hreflang fetches are independent
+      // steps; they run together so a slow browser cannot hold up the crawl checks
+      const settle = promise => promise.then(value => ({ value }), error => ({ error }));
+      const snapshotLookup = settle(this.renderedSnapshot(url, context));
+      const explorationSignal = AbortSignal.any([signal, AbortSignal.timeout(RENDER_TIMEOUT)].filter(Boolean));
+      const explorationLookup = settle(this.extractAllLinks(page.finalUrl, context, explorationSignal));
+      const crawlLookup = this.crawlChecks(page.finalUrl, signal);
+      const internationalLookup = settle(crawlLookup.then(result => this.hreflangChecks(page, raw, result.sitemap, signal)));
+      const [snapshot, exploration] = await Promise.all([snapshotLookup, explorationLookup]);
+      if (signal?.aborted) throw signal.reason;
+
+      // Search engines index the rendered page; without a browser only the raw HTML is known
+      const rendered = snapshot.value ? collectSeoSignals(cheerio.load(snapshot.value.html), snapshot.value.finalUrl || page.finalUrl) : null;
+      const signals = rendered || raw;
+      rendering = rendered ? compareSeoSignals(raw, rendered) : null;
+      const addedBy = key => (rendering?.find(row => row.key === key).status === 'js-only' ? ' (added by JavaScript)' : '');
 
       // 1. Meta Title
-      const title = $('title').text();
-      // For short titles like "Google", treat as pass if title exists (JS sites may have minimal HTML)
+      const { title } = signals;
       checks.push({
         name: 'Page Title',
-        status: title && title.length > 0 ? (title.length >= 30 && title.length <= 60 ? 'pass' : title.length > 2 ? 'warn' : 'fail') : 'fail',
-        description: title ? `Title: "${title}" (${title.length} chars)` : 'No page title found',
+        status: !title ? 'fail' : title.length >= 30 && title.length <= 60 ? 'pass' : 'warn',
+        description: title ? `Title: "${title}" (${title.length} chars)${addedBy('title')}` : 'No page title found',
         severity: 'high'
       });
 
       // 2. Meta Description
-      const metaDescription = $('meta[name="description"]').attr('content');
-      // JS sites may load description dynamically; downgrade missing description to 'warn' instead of 'fail'
+      const metaDescription = signals.description;
       checks.push({
         name: 'Meta Description',
-        status: metaDescription ? (metaDescription.length >= 120 && metaDescription.length <= 160 ? 'pass' : 'warn') : 'warn',
-        description: metaDescription ? `Description: "${metaDescription}" (${metaDescription.length} chars)` : 'No meta description (may be loaded dynamically)',
+        status: !metaDescription ? 'fail' : metaDescription.length >= 120 && metaDescription.length <= 160 ? 'pass' : 'warn',
+        description: metaDescription
+          ? `Description: "${metaDescription}" (${metaDescription.length} chars)${addedBy('description')}`
+          : 'No meta description',
         severity: 'high'
       });
 
       // 3. Heading Structure (H1)
-      const h1Count = $('h1').length;
-      // JS sites may render H1 dynamically; be more lenient
+      const h1Count = signals.h1.length;
       checks.push({
         name: 'H1 Tag Structure',
-        status: h1Count === 1 ? 'pass' : h1Count > 0 ? 'warn' : 'warn',
-        description: h1Count === 1 ? 'Single H1 tag found (optimal)' : h1Count > 0 ? `${h1Count} H1 tags found (should be 1)` : 'No H1 tags in static HTML (may be rendered by JavaScript)',
+        status: h1Count === 1 ? 'pass' : h1Count > 0 ? 'warn' : 'fail',
+        description: h1Count === 1
+          ? `Single H1 tag found (optimal)${addedBy('h1')}`
+          : h1Count > 0 ? `${h1Count} H1 tags found (should be 1)${addedBy('h1')}` : `No H1 tag${rendered ? ' in the rendered page' : ''}`,
         severity: 'high'
       });
 
       // 4. Robots Meta Tag
-      const robotsMeta = $('meta[name="robots"]').attr('content');
+      const robotsMeta = signals.robots;
+      const noindex = /\b(noindex|none)\b/i.test(robotsMeta || '');
       checks.push({
         name: 'Robots Meta Tag',
-        status: robotsMeta ? 'pass' : 'info',
-        description: robotsMeta ? `Robots: ${robotsMeta}` : 'No robots meta tag (default: index, follow)',
-        severity: 'low'
+        status: !robotsMeta ? 'info' : noindex ? 'warn' : 'pass',
+        description: !robotsMeta
+          ? 'No robots meta tag (default: index, follow)'
+          : `Robots: ${robotsMeta}${noindex ? ' (page is excluded from search results)' : ''}${addedBy('robots')}`,
+        severity: noindex ? 'high' : 'low'
       });
 
       // 5. Canonical Tag
-      const canonical = $('link[rel="canonical"]').attr('href');
+      const { canonical } = signals;
       checks.push({
         name: 'Canonical Tag',
         status: canonical ? 'pass' : 'warn',
-        description: canonical ? `Canonical: ${canonical}` : 'No canonical tag (important for duplicate content)',
-        severity: 'medium'
-      });
-
-      // 6. Open Graph Tags
-      const ogTitle = $('meta[property="og:title"]').attr('content');
-      const ogImage = $('meta[property="og:image"]').attr('content');
-      checks.push({
-        name: 'Open Graph Tags',
-        status: ogTitle && ogImage ? 'pass' : 'warn',
-        description: ogTitle && ogImage ? 'Open Graph meta tags configured' : 'Missing Open Graph tags for social sharing',
+        description: canonical ? `Canonical: ${canonical}${addedBy('canonical')}` : 'No canonical tag (important for duplicate content)',
         severity: 'medium'
       });
 
-      // 7. Structured Data (Schema.org)
-      const hasStructuredData = $('script[type="application/ld+json"]').length > 0;
-      checks.push({
-        name: 'Structured Data (Schema.org)',
-        status: hasStructuredData ? 'pass' : 'info',
-        description: hasStructuredData ? 'Structured data found' : 'No structured data detected',
-        severity: 'medium'
-      });
+      // 6. Structured Data (Schema.org): JSON-LD, microdata and RDFa, each block validated on its own
+      structuredData = signals.structuredData;
+      checks.push(this.structuredDataCheck(structuredData));
 
-      // 8. Mobile Viewport Meta
-      const viewport = $('meta[name="viewport"]').attr('content');
-      // Check if site is responsive via other indicators (og:image, responsive design patterns)
-      const hasOgImage = !!$('meta[property="og:image"]').attr('content');
+      // 7. Mobile Viewport Meta
+      const { viewport } = signals;
       checks.push({
         name: 'Mobile Viewport',
-        status: viewport ? 'pass' : (hasOgImage ? 'warn' : 'warn'),
-        description: viewport ? `Viewport: ${viewport}` : 'No viewport meta tag in static HTML (site may be responsive)',
+        status: viewport ? 'pass' : 'fail',
+        description: viewport ? `Viewport: ${viewport}` : 'No viewport meta tag; mobile browsers render the desktop layout',
         severity: 'high'
       });
 
-      // 9. Image Alt Texts
+      // 8. Image Alt Texts
       const images = $('img');
       let imagesWithAlt = 0;
       images.each((i, el) => {
@@ -257,7 +610,7 @@ class SeoCheck {
         severity: 'high'
       });
 
-      // 10. Favicon
+      // 9. Favicon
       const favicon = $('link[rel="icon"], link[rel="shortcut icon"]').attr('href');
       checks.push({
         name: 'Favicon',
@@ -266,13 +619,27 @@ class SeoCheck {
         severity: 'low'
       });
 
-      // 11. Deep Link Extraction (using headless browser)
+      // 10. Raw HTML vs rendered DOM
+      checks.push(this.renderingCheck(rendering, snapshot.error));
+
+      // 11-15. robots.txt, crawl access and sitemaps
+      crawl = await crawlLookup;
+      checks.push(...crawl.checks);
+
+      // 16-18. hreflang annotations, alternates and <html lang>, read from the raw HTML, headers and sitemap
+      const hreflangResult = await internationalLookup;
+      if (hreflangResult.error) throw hreflangResult.error;
+      international = hreflangResult.value;
+      checks.push(...international.checks);
+
+      // 19. Deep Link Extraction (using headless browser)
       try {
-        const extractedLinks = await this.extractAllLinks(url);
+        if (exploration.error) throw exploration.error;
+        const extractedLinks = exploration.value.links;
         const internalLinks = extractedLinks.filter(link => {
           try {
             const linkUrl = new URL(link);
-            const baseUrl = new URL(url);
+            const baseUrl = new URL(page.finalUrl);
             return linkUrl.hostname === baseUrl.hostname;
           } catch {
             return false;
@@ -295,7 +662,7 @@ class SeoCheck {
         checks.push({
           name: 'Deep Link Discovery',
           status: 'warn',
-          description: `Could not extract links via browser: ${linkError.message}`,
+          description: `Could not extract links via browser: ${linkError.message.split('\n')[0]}`,
           severity: 'low'
         });
       }
@@ -313,7 +680,12 @@ class SeoCheck {
       category: 'SEO & Metadata',
       icon: '📊',
       score: calculateCategoryScore(checks),
-      checks
+      checks,
+      structuredData,
+      rendering,
+      hreflang: international.hreflang || null,
+      robots: crawl.robots || null,
+      sitemap: crawl.sitemap ? { ...crawl.sitemap, urls: crawl.sitemap.urls.slice(0, 50) } : null
     };
   }
 }
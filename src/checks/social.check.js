@@ -0,0 +1,153 @@
+/**
+ * Social Sharing Checks
+ * Open Graph and Twitter/X card metadata, share image reachability and size, oEmbed discovery,
+ * and the preview cards platforms would render for the page
+ */
+
+const { resolvePage } = require('../utils/analysis-context.util');
+const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const {
+  collectSocialMeta,
+  validateOpenGraph,
+  validateTwitterCard,
+  probeImage,
+  validateImage,
+  fetchOembed,
+  buildPreviews
+} = require('../utils/social-meta.util');
+
+const MAX_OEMBED_LINKS = 3;
+
+class SocialCheck {
+  static meta = {
+    id: 'social',
+    category: 'Social Sharing',
+    icon: '💬',
+    timeout: 30000,
+    dependencies: [],
+    order: 45
+  };
+
+  /**
+   * One check from a list of { level, message } issues: fail on errors, warn on warnings only
+   */
+  issueCheck(name, issues, { pass, severity = 'medium' }) {
+    const errors = issues.filter(issue => issue.level === 'error');
+    const warnings = issues.filter(issue => issue.level === 'warning');
+    return {
+      name,
+      status: errors.length > 0 ? 'fail' : warnings.length > 0 ? 'warn' : 'pass',
+      description: issues.length === 0
+        ? pass
+        : [...errors, ...warnings].slice(0, 3).map(issue => issue.message).join('; ') +
+          (issues.length > 3 ? ` (+${issues.length - 3} more)` : ''),
+      severity,
+      ...(issues.length > 0 ? { details: { issues } } : {})
+    };
+  }
+
+  canonicalOf(page) {
+    const href = page.$('link[rel~="canonical"]').attr('href');
+    try {
+      return href ? new URL(href.trim(), page.finalUrl).href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async analyze(url, context) {
+    const checks = [];
+    let social = null;
+
+    try {
+      const page = await resolvePage(url, context);
+      const signal = context?.signal;
+      const meta = collectSocialMeta(page.$, page.finalUrl);
+      const twitterCard = validateTwitterCard(meta);
+
+      // Probe every distinct share image once
+      const imageUrls = [...new Set([meta.og['og:image'], meta.twitter['twitter:image']]
+        .filter(Boolean)
+        .map(image => {
+          try {
+            return new URL(image, page.finalUrl).href;
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(image => /^https?:/.test(image || '')))];
+      const probes = new Map(await Promise.all(imageUrls.map(async image => [image, await probeImage(image, { signal })])));
+      const previews = buildPreviews(meta, twitterCard, probes);
+
+      // 1. Open Graph tags
+      const ogIssues = validateOpenGraph(meta);
+      const canonical = this.canonicalOf(page);
+      if (meta.og['og:url'] && canonical && meta.og['og:url'] !== canonical) {
+        ogIssues.push({ field: 'og:url', level: 'warning', message: `og:url ${meta.og['og:url']} differs from the canonical ${canonical}` });
+      }
+      checks.push(this.issueCheck('Open Graph Tags', ogIssues, {
+        pass: `og:title, og:type, og:image and og:url set (og:type ${meta.og['og:type']})`
+      }));
+
+      // 2. Open Graph image
+      const ogImage = previews.find(preview => preview.platform === 'facebook').image;
+      if (ogImage.url) {
+        const probe = probes.get(ogImage.url);
+        checks.push(this.issueCheck('Open Graph Image', probe ? validateImage(probe, 'og') : [], {
+          pass: probe?.width
+            ? `${probe.width}x${probe.height} ${probe.format.replace('image/', '').toUpperCase()}, ${Math.round(probe.bytes / 1024)} KB`
+            : 'Share image is reachable'
+        }));
+      }
+
+      // 3. Twitter/X card
+      checks.push(this.issueCheck('Twitter/X Card', twitterCard.issues, {
+        pass: `${twitterCard.card} card with title, image and site`,
+        severity: 'low'
+      }));
+
+      // 4. Twitter/X card image against the size rules of the card type
+      const xImage = previews.find(preview => preview.platform === 'x').image;
+      if (xImage.url) {
+        checks.push(this.issueCheck('Twitter/X Card Image', xImage.issues, {
+          pass: `Image fits the ${twitterCard.card} card`,
+          severity: 'low'
+        }));
+      }
+
+      // 5. oEmbed discovery
+      const oembed = await Promise.all(meta.oembed.slice(0, MAX_OEMBED_LINKS).map(link => fetchOembed(link, { signal })));
+      const brokenOembed = oembed.filter(link => link.issues.length > 0);
+      checks.push({
+        name: 'oEmbed Discovery',
+        status: oembed.length === 0 ? 'info' : brokenOembed.length > 0 ? 'warn' : 'pass',
+        description: oembed.length === 0
+          ? 'No oEmbed discovery links; embeds fall back to Open Graph'
+          : brokenOembed.length > 0
+            ? brokenOembed.map(link => `${link.format.toUpperCase()} endpoint: ${link.issues.join(', ')}`).join('; ')
+            : `${oembed.length} oEmbed endpoint(s)${oembed.some(link => link.type) ? ` (${[...new Set(oembed.map(link => link.type).filter(Boolean))].join(', ')})` : ''}`,
+        severity: 'low',
+        ...(oembed.length > 0 ? { details: { endpoints: oembed } } : {})
+      });
+
+      social = { og: meta.og, images: meta.images, twitter: meta.twitter, oembed, imageProbes: [...probes.values()], previews };
+    } catch (error) {
+      checks.push({
+        name: 'Social Metadata Error',
+        status: 'error',
+        description: `Unable to analyze: ${error.message}`,
+        severity: 'critical'
+      });
+    }
+
+    return {
+      category: 'Social Sharing',
+      icon: '💬',
+      score: calculateCategoryScore(checks),
+      checks,
+      social
+    };
+  }
+}
+
+module.exports = SocialCheck;
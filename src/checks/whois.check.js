@@ -1,83 +1,25 @@
 /**
  * WHOIS Domain Information Check
+ * Registration data over RDAP, falling back to WHOIS on port 43
  */
 
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const net = require('net');
 const { calculateCategoryScore } = require('../utils/score-calculator.util');
+const { getRegisteredDomain } = require('../utils/domain.util');
+const { lookupRegistration } = require('../utils/whois.util');
 
-const execPromise = promisify(exec);
+// EPP statuses that lock the domain against hijacking
+const LOCK_STATUSES = ['clienttransferprohibited', 'servertransferprohibited', 'clientupdateprohibited', 'serverupdateprohibited', 'clientdeleteprohibited', 'serverdeleteprohibited'];
 
 class WhoisCheck {
-  /**
-   * Parse WHOIS output into structured data
-   */
-  parseWhoisData(whoisText) {
-    const data = {
-      registrar: null,
-      creationDate: null,
-      expirationDate: null,
-      updatedDate: null,
-      nameServers: [],
-      registrantOrg: null,
-      dnssec: null,
-      status: []
-    };
-
-    const lines = whoisText.split('\n');
-    
-    for (const line of lines) {
-      const lower = line.toLowerCase().trim();
-      
-      // Registrar
-      if ((lower.startsWith('registrar:') || lower.includes('registrar name:')) && !data.registrar) {
-        data.registrar = line.split(':').slice(1).join(':').trim();
-      }
-      
-      // Creation Date
-      if ((lower.startsWith('creation date:') || lower.startsWith('created:') || lower.startsWith('registered on:')) && !data.creationDate) {
-        data.creationDate = line.split(':').slice(1).join(':').trim();
-      }
-      
-      // Expiration Date
-      if ((lower.startsWith('expir') || lower.startsWith('registry expiry date:')) && !data.expirationDate) {
-        data.expirationDate = line.split(':').slice(1).join(':').trim();
-      }
-      
-      // Updated Date
-      if ((lower.startsWith('updated date:') || lower.startsWith('last updated:') || lower.startsWith('modified:')) && !data.updatedDate) {
-        data.updatedDate = line.split(':').slice(1).join(':').trim();
-      }
-      
-      // Name Servers
-      if (lower.startsWith('name server:') || lower.startsWith('nserver:')) {
-        const ns = line.split(':').slice(1).join(':').trim().toLowerCase();
-        if (ns && !data.nameServers.includes(ns)) {
-          data.nameServers.push(ns);
-        }
-      }
-      
-      // Registrant Organization
-      if ((lower.startsWith('registrant organization:') || lower.startsWith('registrant:')) && !data.registrantOrg) {
-        data.registrantOrg = line.split(':').slice(1).join(':').trim();
-      }
-      
-      // DNSSEC
-      if (lower.startsWith('dnssec:') && !data.dnssec) {
-        data.dnssec = line.split(':').slice(1).join(':').trim();
-      }
-      
-      // Domain Status
-      if (lower.startsWith('domain status:') || lower.startsWith('status:')) {
-        const status = line.split(':').slice(1).join(':').trim();
-        if (status && !data.status.includes(status)) {
-          data.status.push(status);
-        }
-      }
-    }
-    
-    return data;
-  }
+  static meta = {
+    id: 'whois',
+    category: 'WHOIS & Domain Info',
+    icon: '📋',
+    timeout: 30000,
+    dependencies: [],
+    order: 90
+  };
 
   /**
    * Calculate days until expiration
@@ -113,58 +55,44 @@ class WhoisCheck {
     }
   }
 
-  async analyze(url) {
+  async analyze(url, context) {
     const checks = [];
+    let whoisData = {};
 
     try {
-      // Extract domain from URL
-      const urlObj = new URL(url);
-      const domain = urlObj.hostname;
+      const { hostname } = new URL(url);
+      const domain = getRegisteredDomain(hostname);
+      if (net.isIP(domain)) {
+        throw new Error('Registration data is only available for domain names');
+      }
 
-      // Try to get WHOIS information
-      let whoisData;
-      let whoisText = '';
-      
       try {
-        // Try using PowerShell's Resolve-DnsName and whois (if available)
-        // Note: Windows doesn't have built-in whois, so we'll try a workaround
-        try {
-          const { stdout } = await execPromise(`powershell -Command "Resolve-DnsName -Name ${domain} -Type ANY | Select-Object -First 5 | Format-List"`, {
-            timeout: 10000
-          });
-          whoisText += stdout;
-        } catch (dnsError) {
-          // DNS lookup failed, continue
-        }
-
-        // Try nslookup as fallback
-        try {
-          const { stdout } = await execPromise(`nslookup -type=any ${domain}`, {
-            timeout: 10000
-          });
-          whoisText += '\n' + stdout;
-        } catch (nslookupError) {
-          // nslookup failed, continue
-        }
-
-        whoisData = this.parseWhoisData(whoisText);
-
+        whoisData = await lookupRegistration(domain, { signal: context?.signal });
       } catch (error) {
+        if (context?.signal?.aborted) throw error;
         checks.push({
           name: 'WHOIS Lookup',
           status: 'warn',
           description: `WHOIS data unavailable: ${error.message}`,
           severity: 'medium'
         });
-        
-        whoisData = {};
+      }
+
+      // RDAP failed but WHOIS answered
+      if (whoisData.source === 'whois' && whoisData.attempts.length > 0) {
+        checks.push({
+          name: 'RDAP Lookup',
+          status: 'info',
+          description: `Fell back to WHOIS: ${whoisData.attempts.map(attempt => attempt.error).join('; ')}`,
+          severity: 'low'
+        });
       }
 
       // 1. Domain Registration Status
       checks.push({
         name: 'Domain Registration',
         status: 'info',
-        description: `Domain: ${domain}`,
+        description: whoisData.source ? `Domain: ${domain} (${whoisData.source.toUpperCase()} from ${whoisData.server})` : `Domain: ${domain}`,
         severity: 'low'
       });
 
@@ -193,7 +121,7 @@ class WhoisCheck {
         checks.push({
           name: 'Domain Age',
           status: status,
-          description: whoisData.creationDate ? `Created: ${whoisData.creationDate} (${years} years old)` : `Domain is ${domainAge} days old`,
+          description: whoisData.creationDate ? `Created: ${whoisData.creationDate.slice(0, 10)} (${years} years old)` : `Domain is ${domainAge} days old`,
           severity: 'medium'
         });
       } else {
@@ -212,7 +140,7 @@ class WhoisCheck {
         checks.push({
           name: 'Domain Expiration',
           status: status,
-          description: whoisData.expirationDate ? `Expires: ${whoisData.expirationDate} (${daysUntilExpiration} days)` : `Domain expires in ${daysUntilExpiration} days`,
+          description: whoisData.expirationDate ? `Expires: ${whoisData.expirationDate.slice(0, 10)} (${daysUntilExpiration} days)` : `Domain expires in ${daysUntilExpiration} days`,
           severity: daysUntilExpiration < 30 ? 'high' : 'medium'
         });
       } else {
@@ -229,7 +157,7 @@ class WhoisCheck {
         checks.push({
           name: 'Last Updated',
           status: 'info',
-          description: `Last modified: ${whoisData.updatedDate}`,
+          description: `Last modified: ${whoisData.updatedDate.slice(0, 10)}`,
           severity: 'low'
         });
       }
@@ -251,14 +179,12 @@ class WhoisCheck {
         });
       }
 
-      // 7. DNSSEC
-      if (whoisData.dnssec) {
-        const isDnssecEnabled = whoisData.dnssec.toLowerCase().includes('signed') || 
-                               whoisData.dnssec.toLowerCase().includes('yes');
+      // 7. DNSSEC delegation as recorded by the registry
+      if (typeof whoisData.dnssec === 'boolean') {
         checks.push({
           name: 'DNSSEC',
-          status: isDnssecEnabled ? 'pass' : 'warn',
-          description: isDnssecEnabled ? 'DNSSEC is enabled' : `DNSSEC: ${whoisData.dnssec}`,
+          status: whoisData.dnssec ? 'pass' : 'warn',
+          description: whoisData.dnssec ? 'Registry reports a signed delegation (DS records published)' : 'Registry reports an unsigned delegation',
           severity: 'medium'
         });
       } else {
@@ -272,7 +198,7 @@ class WhoisCheck {
 
       // 8. Domain Status
       if (whoisData.status && whoisData.status.length > 0) {
-        const hasLocked = whoisData.status.some(s => s.toLowerCase().includes('lock'));
+        const hasLocked = whoisData.status.some(s => LOCK_STATUSES.includes(s.toLowerCase().replace(/\s+/g, '')) || s.toLowerCase().includes('lock'));
         checks.push({
           name: 'Domain Status',
           status: hasLocked ? 'pass' : 'warn',
@@ -304,7 +230,8 @@ class WhoisCheck {
       category: 'WHOIS & Domain Info',
       icon: '📋',
       score: calculateCategoryScore(checks),
-      checks
+      checks,
+      registration: whoisData.source ? whoisData : null
     };
   }
 }
@@ -4,103 +4,62 @@
 
 const express = require('express');
 const router = express.Router();
-const SecurityCheck = require('../checks/security.check');
-const DnsCheck = require('../checks/dns.check');
-const PerformanceCheck = require('../checks/performance.check');
-const SeoCheck = require('../checks/seo.check');
-const AccessibilityCheck = require('../checks/accessibility.check');
-const SafetyCheck = require('../checks/safety.check');
-const LinkAnalysisCheck = require('../checks/link-analysis.check');
-const ExternalLinksCheck = require('../checks/external-links.check');
-const WhoisCheck = require('../checks/whois.check');
-const { validateUrl } = require('../utils/validators.util');
-const { calculateOverallScore, getScoreLabel, getScoreColor } = require('../utils/score-calculator.util');
+const { getRegistry } = require('../utils/check-registry.util');
+const { prepareAnalysis } = require('../utils/analysis.util');
+const { getJobQueue, JOB_STATUS, QueueFullError } = require('../utils/job-queue.util');
 const logger = require('../utils/logger.util');
 
+// Analyses started here wait for a slot in the same queue as /api/jobs
+const queue = getJobQueue();
+
+const STREAM_HEARTBEAT_MS = 15000;
+
+/**
+ * Comma-separated query parameter to an id list (undefined when absent)
+ */
+function parseQueryList(value) {
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
 /**
  * POST /api/analyze
  * Analyze a given URL across all security, performance, and quality metrics
+ * Body: { url, checks?: [id, ...], exclude?: [id, ...] }
  */
 router.post('/analyze', async (req, res) => {
   let validatedUrl = null;
   try {
-    const { url } = req.body;
-
-    // Validate input
-    if (!url || typeof url !== 'string') {
-      return res.status(400).json({ 
-        error: 'URL is required and must be a string',
-        success: false 
-      });
-    }
+    const { url, checks: include, exclude } = req.body;
 
-    // Validate URL format
-    validatedUrl = validateUrl(url);
-    if (!validatedUrl) {
-      return res.status(400).json({ 
-        error: 'Invalid URL format. Please provide a valid HTTP or HTTPS URL.',
-        success: false 
+    const prepared = await prepareAnalysis(url, include, exclude);
+    if (prepared.error) {
+      return res.status(prepared.status).json({
+        error: prepared.error,
+        success: false
       });
     }
+    validatedUrl = prepared.validatedUrl;
 
     logger.info(`Analyzing URL: ${validatedUrl}`);
 
-    // Helper to safely wrap check execution
-    const safeCheck = async (checkFn, checkName, fallbackIcon) => {
-      try {
-        logger.debug(`Starting check: ${checkName}`);
-        const result = await checkFn;
-        logger.debug(`Completed check: ${checkName}`, { score: result?.score });
-        // Ensure result is valid
-        if (!result || typeof result !== 'object' || !('score' in result)) {
-          logger.warn(`${checkName} returned invalid result:`, result);
-          return { category: checkName, icon: fallbackIcon, score: 0, checks: [{ name: 'Invalid Response', status: 'error', description: 'Check returned invalid data', severity: 'critical' }] };
-        }
-        return result;
-      } catch (err) {
-        logger.error(`${checkName} error:`, err?.message || String(err));
-        return { category: checkName, icon: fallbackIcon, score: 0, checks: [{ name: 'Error', status: 'error', description: String(err?.message || err || 'Unknown error'), severity: 'critical' }] };
-      }
-    };
-
-    logger.debug('Starting parallel checks execution');
-    // Run all checks in parallel for better performance
-    const [security, dns, performance, seo, accessibility, safety, linkAnalysis, externalLinks, whois] = await Promise.all([
-      safeCheck(new SecurityCheck().analyze(validatedUrl), 'Security & HTTPS', '🔒'),
-      safeCheck(new DnsCheck().analyze(validatedUrl), 'DNS & Domain', '🌐'),
-      safeCheck(new PerformanceCheck().analyze(validatedUrl), 'Performance', '⚡'),
-      safeCheck(new SeoCheck().analyze(validatedUrl), 'SEO & Meta', '📱'),
-      safeCheck(new AccessibilityCheck().analyze(validatedUrl), 'Accessibility', '♿'),
-      safeCheck(new SafetyCheck().analyze(validatedUrl), 'Safety & Threats', '⚠️'),
-      safeCheck(new LinkAnalysisCheck().analyze(validatedUrl), 'Link Analysis', '🔗'),
-      safeCheck(new ExternalLinksCheck().analyze(validatedUrl), 'External Links', '🌍'),
-      safeCheck(new WhoisCheck().analyze(validatedUrl), 'WHOIS & Domain Info', '📋')
-    ]);
-    logger.debug('All parallel checks completed');
-
-    // Compile all categories
-    const categories = [
-      security,
-      dns,
-      performance,
-      seo,
-      accessibility,
-      safety,
-      linkAnalysis,
-      externalLinks,
-      whois
-    ];
-
-    logger.info(`Categories received: ${categories.length}, Valid: ${categories.filter(c => c && 'score' in c).length}`);
-    categories.forEach((cat, idx) => {
-      logger.debug(`Category ${idx}:`, { hasScore: cat && 'score' in cat, type: typeof cat, keys: cat ? Object.keys(cat) : 'null' });
+    // Run all selected checks in parallel, sharing one page fetch, once the queue has a free slot
+    const job = queue.create(validatedUrl, prepared.selectedChecks, { inline: true });
+
+    // Nobody is left to read the report when the client disconnects
+    res.on('close', () => {
+      if (!res.writableFinished) queue.cancel(job.id);
     });
 
-    // Filter to only valid categories
-    const validCategories = categories.filter(cat => cat && typeof cat === 'object' && 'score' in cat);
+    await job.done;
+    if (job.status === JOB_STATUS.CANCELLED) return;
+    if (job.status === JOB_STATUS.FAILED) throw new Error(job.error);
+
+    const result = job.result;
+    logger.info(`Categories received: ${job.categories.length}, Valid: ${result.categories.length}`);
 
     // Ensure we have at least some categories
-    if (validCategories.length === 0) {
+    if (result.categories.length === 0) {
       logger.error('No valid categories after filtering');
       return res.status(500).json({
         error: 'All analysis checks failed',
@@ -108,43 +67,19 @@ router.post('/analyze', async (req, res) => {
       });
     }
 
-    // Calculate overall score
-    let overallScore = calculateOverallScore(validCategories);
-
-    // If any category reports a confirmed malware detection, force overall score to 0
-    const malwareDetected = validCategories.some(cat => cat && cat.malwareDetected === true);
-    if (malwareDetected) {
-      overallScore = 0;
-    }
-
-    // If link analysis detected suspicious redirects, significantly lower the score
-    const suspiciousRedirects = validCategories.some(cat => cat && cat.suspiciousRedirectsDetected === true);
-    if (suspiciousRedirects) {
-      overallScore = Math.min(overallScore, 25); // Cap at 25/100 for suspicious redirects
-    }
-
-    const scoreLabel = getScoreLabel(overallScore);
-    const scoreColor = getScoreColor(overallScore);
-
-    const result = {
-      success: true,
-      url: validatedUrl,
-      timestamp: new Date().toISOString(),
-      overall: {
-        score: overallScore,
-        label: scoreLabel,
-        color: scoreColor
-      },
-      categories: validCategories
-    };
-
-    logger.info(`Analysis completed for ${validatedUrl}. Score: ${overallScore}/${100}`);
+    logger.info(`Analysis completed for ${validatedUrl}. Score: ${result.overall.score}/${100}`);
     res.json(result);
 
   } catch (error) {
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({
+        error: error.message,
+        success: false
+      });
+    }
     logger.error('Analysis error', error);
     // Return a valid response structure even on error
-    res.status(200).json({ 
+    res.status(200).json({
       success: true,
       url: validatedUrl || 'unknown',
       timestamp: new Date().toISOString(),
@@ -168,12 +103,111 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analyze/stream?url=...&checks=a,b&exclude=c
+ * Server-Sent Events stream of analysis progress
+ * Events: start, queued, check-start, check-complete, complete, analysis-error
+ */
+router.get('/analyze/stream', async (req, res) => {
+  let prepared;
+  try {
+    prepared = await prepareAnalysis(req.query.url, parseQueryList(req.query.checks), parseQueryList(req.query.exclude));
+  } catch (error) {
+    logger.error('Stream setup error', error);
+    return res.status(500).json({ error: 'Internal server error', success: false });
+  }
+  if (prepared.error) {
+    return res.status(prepared.status).json({
+      error: prepared.error,
+      success: false
+    });
+  }
+
+  const { validatedUrl, selectedChecks } = prepared;
+
+  // Refuse before the headers go out; the job below is created in this same tick, so the queue cannot fill up meanwhile
+  if (queue.isFull()) {
+    const error = new QueueFullError(queue.maxQueued);
+    return res.status(503).json({ error: error.message, success: false });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let closed = false;
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep idle proxies from dropping the connection during long checks
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, STREAM_HEARTBEAT_MS);
+
+  logger.info(`Streaming analysis for URL: ${validatedUrl}`);
+
+  send('start', {
+    url: validatedUrl,
+    checks: selectedChecks.map(({ id, category, icon }) => ({ id, category, icon }))
+  });
+
+  const job = queue.create(validatedUrl, selectedChecks, {
+    inline: true,
+    hooks: {
+      onStart: (check) => send('check-start', { id: check.id, category: check.category, icon: check.icon }),
+      onComplete: (check, result) => send('check-complete', { id: check.id, result })
+    }
+  });
+
+  // Stop in-flight work, or leave the queue, when the client goes away
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    queue.cancel(job.id);
+  });
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    send('queued', { position: queue.serialize(job).position });
+  }
+
+  await job.done;
+  if (job.status === JOB_STATUS.COMPLETED) {
+    logger.info(`Streamed analysis completed for ${validatedUrl}. Score: ${job.result.overall.score}/${100}`);
+    send('complete', job.result);
+  } else if (job.status === JOB_STATUS.FAILED) {
+    send('analysis-error', { error: job.error });
+  }
+  clearInterval(heartbeat);
+  res.end();
+});
+
+/**
+ * GET /api/checks
+ * List the registered checks that can be selected in POST /api/analyze
+ */
+router.get('/checks', (req, res) => {
+  const checks = [...getRegistry().values()].map(({ id, category, icon, timeout, dependencies, after }) => ({
+    id,
+    category,
+    icon,
+    timeout,
+    dependencies,
+    after
+  }));
+  res.json({ checks });
+});
+
 /**
  * GET /api/health
  * Health check endpoint
  */
 router.get('/health', (req, res) => {
-  res.json({ 
+  res.json({
     status: 'operational',
     timestamp: new Date().toISOString(),
     version: '2.0.0'
@@ -0,0 +1,29 @@
+/**
+ * API Routes for HAR Downloads
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getHar } = require('../utils/har-store.util');
+
+/**
+ * GET /api/har/:id
+ * HAR 1.2 log recorded by the Performance check, as a file download
+ */
+router.get('/:id', (req, res) => {
+  const entry = getHar(req.params.id);
+  if (!entry) {
+    return res.status(404).json({
+      error: 'HAR not found or expired',
+      success: false
+    });
+  }
+
+  const host = entry.url ? new URL(entry.url).hostname : 'page';
+  const date = new Date(entry.storedAt).toISOString().split('T')[0];
+  res.attachment(`SiteSentinel-${host}-${date}.har`);
+  res.type('application/json');
+  res.send(JSON.stringify(entry.har, null, 2));
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * API Routes for Asynchronous Analysis Jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { prepareAnalysis } = require('../utils/analysis.util');
+const { getJobQueue, QueueFullError } = require('../utils/job-queue.util');
+const logger = require('../utils/logger.util');
+
+const queue = getJobQueue();
+
+/**
+ * POST /api/jobs
+ * Queue an analysis and return its job id immediately
+ * Body: { url, checks?: [id, ...], exclude?: [id, ...] }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, checks: include, exclude } = req.body || {};
+
+    const prepared = await prepareAnalysis(url, include, exclude);
+    if (prepared.error) {
+      return res.status(prepared.status).json({
+        error: prepared.error,
+        success: false
+      });
+    }
+
+    const job = queue.create(prepared.validatedUrl, prepared.selectedChecks);
+    res.status(202)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json({ success: true, ...queue.serialize(job) });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({
+        error: error.message,
+        success: false
+      });
+    }
+    logger.error('Job creation error', error);
+    res.status(500).json({
+      error: 'Unable to create analysis job',
+      success: false
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status, partial categories and the final report once completed
+ */
+router.get('/:id', (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      success: false
+    });
+  }
+  res.json({ success: true, ...queue.serialize(job) });
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job
+ */
+router.delete('/:id', (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      success: false
+    });
+  }
+
+  if (!queue.cancel(job.id)) {
+    return res.status(409).json({
+      error: `Job already ${job.status}`,
+      success: false
+    });
+  }
+  res.json({ success: true, ...queue.serialize(job) });
+});
+
+module.exports = router;
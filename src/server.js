@@ -35,6 +35,8 @@ app.use((req, res, next) => {
 
 // API Routes
 app.use('/api', require('./routes/analyze.route'));
+app.use('/api/jobs', require('./routes/jobs.route'));
+app.use('/api/har', require('./routes/har.route'));
 app.use('/api/ai', require('./routes/ai.route'));
 
 // Root route - serve index.html
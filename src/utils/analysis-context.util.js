@@ -0,0 +1,184 @@
+/**
+ * Analysis Context
+ * Fetches the target page once per analysis so every check reports on the same response
+ */
+
+const cheerio = require('cheerio');
+const { httpClient, checkUrlHost } = require('./egress.util');
+const { recordBrowserSession } = require('./browser-session.util');
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_MAX_REDIRECTS = 5;
+// Googlebot stops reading an HTML page after 15 MB; larger responses are refused rather than buffered
+const MAX_PAGE_BYTES = 15 * 1024 * 1024;
+const USER_AGENT = 'Mozilla/5.0 (compatible; SiteSentinel/2.0; +https://github.com/NicholasDarwin/SiteSentinel)';
+
+/**
+ * Raised when a redirect chain loops or exceeds the hop limit
+ * Carries the hops recorded so far so the chain can still be reported.
+ */
+class RedirectError extends Error {
+  constructor(message, redirects, loop = false) {
+    super(message);
+    this.name = 'RedirectError';
+    this.code = loop ? 'REDIRECT_LOOP' : 'TOO_MANY_REDIRECTS';
+    this.redirects = redirects;
+    this.loop = loop;
+  }
+}
+
+/**
+ * Negotiated TLS parameters of the socket that served a response, or null for plain HTTP
+ */
+function describeResponseTls(response) {
+  const socket = response.request?.socket;
+  if (!socket || typeof socket.getProtocol !== 'function') return null;
+  const protocol = socket.getProtocol();
+  if (!protocol) return null;
+  const cipher = socket.getCipher();
+  return {
+    protocol,
+    cipher: cipher?.standardName || cipher?.name || null,
+    authorized: socket.authorized
+  };
+}
+
+/**
+ * Fetch a page, following redirects manually so every hop is recorded
+ * and checked against the egress policy
+ */
+async function fetchPage(url, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const maxRedirects = options.maxRedirects ?? DEFAULT_MAX_REDIRECTS;
+  const signal = options.signal;
+  const startedAt = Date.now();
+  const redirects = [];
+  const visited = new Set([url]);
+  let currentUrl = url;
+  let response;
+
+  while (true) {
+    const blocked = checkUrlHost(currentUrl);
+    if (blocked) throw blocked;
+
+    const hopStart = Date.now();
+    try {
+      response = await httpClient.get(currentUrl, {
+        timeout,
+        maxRedirects: 0,
+        responseType: 'text',
+        maxContentLength: MAX_PAGE_BYTES,
+        maxBodyLength: MAX_PAGE_BYTES,
+        validateStatus: () => true,
+        headers: { 'User-Agent': USER_AGENT },
+        signal
+      });
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        throw new Error(`Page at ${currentUrl} is larger than ${MAX_PAGE_BYTES / (1024 * 1024)} MB and was not analyzed`);
+      }
+      if (!signal?.aborted && error.message === 'stream has been aborted') {
+        throw new Error(`Connection closed before the page at ${currentUrl} finished downloading`);
+      }
+      throw error;
+    }
+
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) break;
+
+    const nextUrl = new URL(location, currentUrl).href;
+    redirects.push({
+      url: currentUrl,
+      status: response.status,
+      location: nextUrl,
+      elapsed: Date.now() - hopStart,
+      tls: describeResponseTls(response),
+      headers: response.headers,
+      setCookie: [].concat(response.headers['set-cookie'] || [])
+    });
+
+    if (visited.has(nextUrl)) {
+      throw new RedirectError(`Redirect loop detected at ${nextUrl}`, redirects, true);
+    }
+    if (redirects.length > maxRedirects) {
+      throw new RedirectError(`Too many redirects (more than ${maxRedirects})`, redirects);
+    }
+    visited.add(nextUrl);
+    currentUrl = nextUrl;
+  }
+
+  const body = typeof response.data === 'string' ? response.data : String(response.data ?? '');
+  const total = Date.now() - startedAt;
+
+  return {
+    requestedUrl: url,
+    finalUrl: currentUrl,
+    status: response.status,
+    headers: response.headers,
+    tls: describeResponseTls(response),
+    body,
+    size: Buffer.byteLength(body),
+    $: cheerio.load(body),
+    redirects,
+    timings: {
+      startedAt: new Date(startedAt).toISOString(),
+      redirect: redirects.reduce((sum, hop) => sum + hop.elapsed, 0),
+      total
+    }
+  };
+}
+
+/**
+ * Create the per-run context passed to every check's analyze()
+ * The page is fetched lazily and memoized, so concurrent checks share one request; the same goes
+ * for the browser session that loads the final URL in the shared headless browser.
+ * Pass options.signal (an AbortSignal) to make the whole run cancellable.
+ */
+function createAnalysisContext(url, options = {}) {
+  let pagePromise = null;
+  let sessionPromise = null;
+
+  return {
+    url,
+    signal: options.signal,
+    // Category results keyed by check id, filled in as checks complete
+    results: new Map(),
+    getPage() {
+      if (!pagePromise) {
+        pagePromise = fetchPage(url, options);
+      }
+      return pagePromise;
+    },
+    getBrowserSession() {
+      if (!sessionPromise) {
+        sessionPromise = this.getPage().then(page => recordBrowserSession(page.finalUrl, this));
+      }
+      return sessionPromise;
+    }
+  };
+}
+
+/**
+ * Resolve the shared page for a check, fetching directly when run standalone
+ */
+function resolvePage(url, context) {
+  return context ? context.getPage() : fetchPage(url);
+}
+
+/**
+ * Resolve the shared browser session of the final URL, recording one directly when run standalone
+ */
+async function resolveBrowserSession(url, context) {
+  if (context) return context.getBrowserSession();
+  const page = await fetchPage(url);
+  return recordBrowserSession(page.finalUrl, null);
+}
+
+module.exports = {
+  USER_AGENT,
+  RedirectError,
+  fetchPage,
+  createAnalysisContext,
+  resolvePage,
+  resolveBrowserSession
+};
@@ -0,0 +1,79 @@
+/**
+ * Analysis Helpers
+ * Request validation, check execution and report assembly shared by the analysis endpoints
+ */
+
+const { validateUrl } = require('./validators.util');
+const { createAnalysisContext } = require('./analysis-context.util');
+const { getRegistry, selectChecks, runChecks, CheckSelectionError } = require('./check-registry.util');
+const { calculateReportScore } = require('./score-calculator.util');
+const { assertUrlAllowed, EgressBlockedError } = require('./egress.util');
+const { closeBrowser } = require('./browser.util');
+
+/**
+ * Validate the URL, its resolved addresses and the check selection
+ * Resolves to { validatedUrl, selectedChecks } or { status, error } for a 4xx response.
+ */
+async function prepareAnalysis(url, include, exclude) {
+  if (!url || typeof url !== 'string') {
+    return { status: 400, error: 'URL is required and must be a string' };
+  }
+
+  const validatedUrl = validateUrl(url);
+  if (!validatedUrl) {
+    return { status: 400, error: 'Invalid URL format. Please provide a valid public HTTP or HTTPS URL.' };
+  }
+
+  try {
+    await assertUrlAllowed(validatedUrl);
+  } catch (egressError) {
+    if (egressError instanceof EgressBlockedError) {
+      return { status: 400, error: egressError.message };
+    }
+    throw egressError;
+  }
+
+  try {
+    const selectedChecks = selectChecks(getRegistry(), { include, exclude });
+    return { validatedUrl, selectedChecks };
+  } catch (selectionError) {
+    if (selectionError instanceof CheckSelectionError) {
+      return { status: 400, error: selectionError.message };
+    }
+    throw selectionError;
+  }
+}
+
+/**
+ * Run the selected checks against one shared page fetch and one shared browser
+ * Options: { signal, hooks } - see runChecks() for the hooks.
+ */
+async function runAnalysis(validatedUrl, selectedChecks, options = {}) {
+  const context = createAnalysisContext(validatedUrl, { signal: options.signal });
+  try {
+    return await runChecks(selectedChecks, validatedUrl, context, options.hooks);
+  } finally {
+    await closeBrowser(context);
+  }
+}
+
+/**
+ * Assemble the final report from completed categories
+ */
+function buildReport(validatedUrl, categories) {
+  const validCategories = categories.filter(cat => cat && typeof cat === 'object' && 'score' in cat);
+
+  return {
+    success: true,
+    url: validatedUrl,
+    timestamp: new Date().toISOString(),
+    overall: calculateReportScore(validCategories),
+    categories: validCategories
+  };
+}
+
+module.exports = {
+  prepareAnalysis,
+  runAnalysis,
+  buildReport
+};
@@ -0,0 +1,328 @@
+/**
+ * Asset Audit Helpers
+ * Finds render-blocking, unminified and unoptimized assets; every finding carries the resource URL
+ * and an estimate of the bytes a fix would save (0 when the fix improves rendering, not weight)
+ */
+
+const { httpClient, checkUrlHost } = require('./egress.util');
+
+const MAX_ASSET_FETCHES = 20;
+const MAX_ASSET_BYTES = 1024 * 1024;
+
+// Lighthouse's reporting thresholds
+const MIN_MINIFY_SAVINGS = 2048;
+const MIN_MINIFY_RATIO = 0.1;
+const MIN_IMAGE_SAVINGS = 4096;
+
+// Typical size reduction when re-encoding as WebP/AVIF, used instead of actually re-encoding
+const MODERN_FORMAT_SAVINGS = {
+  'image/jpeg': 0.3,
+  'image/png': 0.4,
+  'image/gif': 0.5,
+  'image/bmp': 0.9
+};
+
+const SAFE_FONT_DISPLAY = ['swap', 'fallback', 'optional'];
+
+/**
+ * Runs in the page: rendered boxes and loading attributes of every <img>
+ */
+function collectPageAssets() {
+  const images = [...document.images].map(img => {
+    const rect = img.getBoundingClientRect();
+    return {
+      src: img.currentSrc || img.src,
+      naturalWidth: img.naturalWidth,
+      naturalHeight: img.naturalHeight,
+      displayWidth: Math.round(rect.width),
+      displayHeight: Math.round(rect.height),
+      top: Math.round(rect.top + window.scrollY),
+      loading: (img.getAttribute('loading') || '').toLowerCase() || null,
+      hasDimensions: img.hasAttribute('width') && img.hasAttribute('height'),
+      aspectRatio: getComputedStyle(img).aspectRatio
+    };
+  });
+  return {
+    viewport: { width: window.innerWidth, height: window.innerHeight, dpr: window.devicePixelRatio || 1 },
+    images
+  };
+}
+
+const absolute = (src, base) => {
+  try {
+    return new URL(src, base).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * External scripts and stylesheets in the HTML, with where and how they load
+ */
+function listScriptsAndStyles($, pageUrl) {
+  const scripts = $('script[src]').map((i, el) => {
+    const $el = $(el);
+    const type = ($el.attr('type') || '').toLowerCase();
+    return {
+      kind: 'script',
+      url: absolute($el.attr('src'), pageUrl),
+      inHead: $el.parents('head').length > 0,
+      async: $el.is('[async]'),
+      defer: $el.is('[defer]'),
+      module: type === 'module',
+      // Non-JavaScript types (templates, JSON) are never executed
+      executable: !type || /javascript|ecmascript|module/.test(type)
+    };
+  }).get();
+
+  const styles = $('link[rel~="stylesheet"][href]').map((i, el) => {
+    const $el = $(el);
+    const media = ($el.attr('media') || 'all').toLowerCase().trim();
+    return {
+      kind: 'stylesheet',
+      url: absolute($el.attr('href'), pageUrl),
+      inHead: $el.parents('head').length > 0,
+      // print-only and disabled stylesheets do not block rendering
+      blocking: !$el.is('[disabled]') && media !== 'print' && !/^\s*not\s+all/.test(media)
+    };
+  }).get();
+
+  return { scripts: scripts.filter(script => script.url && script.executable), styles: styles.filter(style => style.url) };
+}
+
+/**
+ * Render-blocking resources in <head> and synchronous scripts elsewhere
+ * `sizeOf(url)` returns the transfer size of a resource, or 0 when unknown.
+ */
+function findBlockingResources($, pageUrl, sizeOf) {
+  const { scripts, styles } = listScriptsAndStyles($, pageUrl);
+  const sync = script => !script.async && !script.defer && !script.module;
+
+  const renderBlocking = [
+    ...styles.filter(style => style.inHead && style.blocking).map(style => ({
+      url: style.url,
+      issue: 'Stylesheet blocks the first render; inline critical CSS and load the rest asynchronously',
+      wastedBytes: sizeOf(style.url)
+    })),
+    ...scripts.filter(script => script.inHead && sync(script)).map(script => ({
+      url: script.url,
+      issue: 'Script in <head> blocks the first render; add defer or async',
+      wastedBytes: sizeOf(script.url)
+    }))
+  ];
+
+  const parserBlocking = scripts.filter(script => !script.inHead && sync(script)).map(script => ({
+    url: script.url,
+    issue: 'Synchronous script pauses HTML parsing; add defer or async',
+    wastedBytes: sizeOf(script.url)
+  }));
+
+  return { renderBlocking, parserBlocking };
+}
+
+/**
+ * Length of the content without comments and insignificant whitespace
+ * A tokenizer-light estimate in the spirit of Lighthouse: strings are kept intact, whitespace is kept
+ * only where it separates two identifier characters.
+ */
+function estimateMinifiedLength(content, kind) {
+  const isWord = c => /[A-Za-z0-9_$]/.test(c || '');
+  const quotes = kind === 'js' ? '"\'`' : '"\'';
+  let length = 0;
+  let previous = '';
+
+  for (let i = 0; i < content.length; i++) {
+    const c = content[i];
+    const next = content[i + 1];
+
+    if (quotes.includes(c)) {
+      const start = i;
+      for (i++; i < content.length && content[i] !== c; i++) {
+        if (content[i] === '\\') i++;
+      }
+      length += i - start + 1;
+      previous = c;
+    } else if (c === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 1;
+    } else if (kind === 'js' && c === '/' && next === '/') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end - 1;
+    } else if (/\s/.test(c)) {
+      let j = i;
+      while (j + 1 < content.length && /\s/.test(content[j + 1])) j++;
+      if (isWord(previous) && isWord(content[j + 1])) length++;
+      i = j;
+    } else {
+      length++;
+      previous = c;
+    }
+  }
+  return length;
+}
+
+/**
+ * Fetch the text of scripts and stylesheets (bounded in number and size)
+ * Returns Map<url, text>; assets that fail to load are left out.
+ */
+async function fetchAssetTexts(urls, options = {}) {
+  const texts = new Map();
+  const unique = [...new Set(urls)].filter(url => /^https?:/.test(url)).slice(0, MAX_ASSET_FETCHES);
+
+  await Promise.all(unique.map(async url => {
+    if (checkUrlHost(url)) return;
+    try {
+      const response = await httpClient.get(url, {
+        timeout: 8000,
+        maxRedirects: 3,
+        responseType: 'text',
+        maxContentLength: MAX_ASSET_BYTES,
+        validateStatus: () => true,
+        signal: options.signal
+      });
+      if (response.status === 200) texts.set(url, String(response.data ?? ''));
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+    }
+  }));
+  return texts;
+}
+
+/**
+ * Scripts or stylesheets whose minified size would be meaningfully smaller
+ * `compressionOf(url)` returns transfer/decoded size so savings are reported in transferred bytes.
+ */
+function findUnminified(texts, kind, compressionOf = () => 1) {
+  const findings = [];
+  texts.forEach((text, url) => {
+    // Compared in characters; comments and whitespace are almost always single-byte
+    const size = text.length;
+    const savings = size - estimateMinifiedLength(text, kind);
+    if (savings >= MIN_MINIFY_SAVINGS && savings / size >= MIN_MINIFY_RATIO) {
+      findings.push({
+        url,
+        issue: `About ${Math.round((savings / size) * 100)}% of the file is comments and whitespace`,
+        wastedBytes: Math.round(savings * compressionOf(url))
+      });
+    }
+  });
+  return findings.sort((a, b) => b.wastedBytes - a.wastedBytes);
+}
+
+/**
+ * Image findings from the in-page inspection and the recorded waterfall
+ * `resourceOf(url)` returns the waterfall row for a URL, if any.
+ */
+function auditImages(inspection, resourceOf) {
+  const { viewport, images } = inspection;
+  const seen = new Set();
+  const oversized = [];
+  const missingDimensions = [];
+  const offscreen = [];
+
+  images.forEach(image => {
+    if (!image.src || image.src.startsWith('data:') || seen.has(image.src)) return;
+    seen.add(image.src);
+    const resource = resourceOf(image.src);
+    const bytes = resource?.transferSize || 0;
+    const visible = image.displayWidth > 0 && image.displayHeight > 0;
+    const vector = /svg/.test(resource?.mimeType || '') || /\.svg(\?|$)/i.test(image.src);
+
+    if (visible && !vector && image.naturalWidth > 0 && image.naturalHeight > 0) {
+      const needed = (image.displayWidth * viewport.dpr) * (image.displayHeight * viewport.dpr);
+      const ratio = needed / (image.naturalWidth * image.naturalHeight);
+      const wastedBytes = Math.round(bytes * (1 - ratio));
+      if (ratio < 1 && wastedBytes >= MIN_IMAGE_SAVINGS) {
+        oversized.push({
+          url: image.src,
+          issue: `${image.naturalWidth}x${image.naturalHeight} image rendered at ${image.displayWidth}x${image.displayHeight}`,
+          wastedBytes
+        });
+      }
+    }
+
+    if (visible && !image.hasDimensions && (!image.aspectRatio || image.aspectRatio === 'auto')) {
+      missingDimensions.push({
+        url: image.src,
+        issue: 'No width/height attributes or CSS aspect-ratio; the image shifts layout when it loads',
+        wastedBytes: 0
+      });
+    }
+
+    if (image.top >= viewport.height && image.loading !== 'lazy' && bytes > 0) {
+      offscreen.push({
+        url: image.src,
+        issue: `Below the fold (${image.top}px) but loaded eagerly; add loading="lazy"`,
+        wastedBytes: bytes
+      });
+    }
+  });
+
+  const byWaste = (a, b) => b.wastedBytes - a.wastedBytes;
+  return { oversized: oversized.sort(byWaste), missingDimensions, offscreen: offscreen.sort(byWaste) };
+}
+
+/**
+ * Images served as JPEG, PNG, GIF or BMP that would be smaller as WebP/AVIF
+ */
+function findLegacyImages(resources) {
+  return resources
+    .filter(resource => resource.type === 'image' && MODERN_FORMAT_SAVINGS[resource.mimeType] && !resource.failed)
+    .map(resource => ({
+      url: resource.url,
+      issue: `Served as ${resource.mimeType.replace('image/', '').toUpperCase()}; WebP or AVIF would be smaller`,
+      wastedBytes: Math.round(resource.transferSize * MODERN_FORMAT_SAVINGS[resource.mimeType])
+    }))
+    .filter(finding => finding.wastedBytes >= MIN_IMAGE_SAVINGS)
+    .sort((a, b) => b.wastedBytes - a.wastedBytes);
+}
+
+/**
+ * <img> elements without width/height in the static HTML, used when no browser inspection exists
+ */
+function findStaticImagesWithoutDimensions($, pageUrl) {
+  return $('img[src]').filter((i, el) => !$(el).is('[width][height]')).map((i, el) => ({
+    url: absolute($(el).attr('src'), pageUrl),
+    issue: 'No width/height attributes; the image may shift layout when it loads',
+    wastedBytes: 0
+  })).get().filter(finding => finding.url && !finding.url.startsWith('data:'));
+}
+
+/**
+ * @font-face rules without a non-blocking font-display in stylesheet texts
+ * `sources` is a list of { url, text } where url is the stylesheet (or page for inline CSS).
+ */
+function findFontDisplayIssues(sources) {
+  const findings = [];
+  sources.forEach(({ url, text }) => {
+    const rules = text.replace(/\/\*[\s\S]*?\*\//g, '').match(/@font-face\s*\{[^}]*\}/gi) || [];
+    rules.forEach(rule => {
+      const display = (rule.match(/font-display\s*:\s*([a-z-]+)/i)?.[1] || 'auto').toLowerCase();
+      if (SAFE_FONT_DISPLAY.includes(display)) return;
+      const family = rule.match(/font-family\s*:\s*["']?([^;"']+)/i)?.[1]?.trim() || 'unknown';
+      const src = rule.match(/url\(\s*["']?([^"')]+)["']?\s*\)/i)?.[1];
+      const fontUrl = (src && absolute(src, url)) || url;
+      // The same stylesheet is often linked for several media types
+      if (findings.some(finding => finding.url === fontUrl)) return;
+      findings.push({
+        url: fontUrl,
+        issue: `"${family}" uses font-display: ${display}; text stays invisible while the font loads (use swap or optional)`,
+        wastedBytes: 0
+      });
+    });
+  });
+  return findings;
+}
+
+module.exports = {
+  collectPageAssets,
+  listScriptsAndStyles,
+  findBlockingResources,
+  estimateMinifiedLength,
+  fetchAssetTexts,
+  findUnminified,
+  auditImages,
+  findLegacyImages,
+  findStaticImagesWithoutDimensions,
+  findFontDisplayIssues
+};
@@ -0,0 +1,122 @@
+/**
+ * Browser Session
+ * Loads the analyzed page once in the analysis' shared browser and records what the browser-based
+ * checks read from it: every request, Set-Cookie headers, the cookie jar, client-side navigations
+ * and the rendered DOM
+ */
+
+const { launchBrowser, releaseBrowser, openPage } = require('./browser.util');
+const { createNetworkRecorder } = require('./network-recorder.util');
+
+// Page.frameRequestedNavigation reasons that count as client-side redirects
+const CLIENT_REDIRECT_REASONS = {
+  metaTagRefresh: 'meta-refresh',
+  httpHeaderRefresh: 'refresh-header',
+  scriptInitiated: 'javascript'
+};
+const MAX_CLIENT_HOPS = 10;
+const NAVIGATION_TIMEOUT = 30000;
+// Late analytics/consent scripts write cookies after load; delayed meta refreshes fire later still
+const MIN_SETTLE_MS = 2000;
+const NAVIGATION_SETTLE_MS = 5000;
+const MAX_SETTLE_MS = 15000;
+const VIEWPORT = { width: 1350, height: 940 };
+
+/**
+ * Load a URL in a fresh browser context of the shared browser and record the session
+ * Returns { url, finalUrl, status, html, requests, setCookies: [{ url, header }], cookies, navigations }.
+ * The wait for late navigations ends MAX_SETTLE_MS after load, so a session takes at most 45s.
+ */
+async function recordBrowserSession(url, context) {
+  const signal = context?.signal;
+  const browser = await launchBrowser(context);
+  const browserContext = await browser.createBrowserContext();
+  try {
+    const page = await openPage(browserContext);
+    await page.setViewport(VIEWPORT);
+    const client = await page.createCDPSession();
+    await client.send('Network.enable');
+    await client.send('Page.enable');
+    const recorder = createNetworkRecorder(client);
+    const { frameTree } = await client.send('Page.getFrameTree');
+    const mainFrameId = frameTree.frame.id;
+
+    // Set-Cookie headers are only visible in the extra-info events, keyed by request
+    const requestUrls = new Map();
+    const setCookies = [];
+    client.on('Network.requestWillBeSent', (event) => requestUrls.set(event.requestId, event.request.url));
+    client.on('Network.responseReceivedExtraInfo', (event) => {
+      const entry = Object.entries(event.headers || {}).find(([name]) => name.toLowerCase() === 'set-cookie');
+      const requestUrl = requestUrls.get(event.requestId);
+      if (!entry || !requestUrl) return;
+      entry[1].split('\n').forEach(header => setCookies.push({ url: requestUrl, header }));
+    });
+
+    // Navigations the page triggers on its own, plus HTTP redirects that follow them
+    const navigations = [];
+    let lastNavigation = Date.now();
+    let navigating = null;
+    client.on('Page.frameRequestedNavigation', (event) => {
+      const type = CLIENT_REDIRECT_REASONS[event.reason];
+      if (event.frameId !== mainFrameId || !type || navigations.length >= MAX_CLIENT_HOPS) return;
+      navigating = { type, url: page.url(), location: event.url, requestedAt: Date.now() };
+      navigations.push(navigating);
+      lastNavigation = Date.now();
+    });
+    page.on('response', (response) => {
+      const request = response.request();
+      if (!navigating || !request.isNavigationRequest() || request.frame() !== page.mainFrame()) return;
+      const headers = response.headers();
+      const security = response.securityDetails();
+      if (navigating.elapsed === undefined) {
+        navigating.elapsed = Date.now() - navigating.requestedAt;
+        navigating.status = response.status();
+        navigating.tls = security ? { protocol: security.protocol() } : null;
+      }
+      if (response.status() >= 300 && response.status() < 400 && headers.location && navigations.length < MAX_CLIENT_HOPS) {
+        navigations.push({
+          type: 'http',
+          url: response.url(),
+          status: response.status(),
+          location: new URL(headers.location, response.url()).href,
+          elapsed: null,
+          tls: security ? { protocol: security.protocol() } : null,
+          setCookie: headers['set-cookie'] ? headers['set-cookie'].split('\n') : []
+        });
+      }
+      lastNavigation = Date.now();
+    });
+
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT });
+    const loadedAt = Date.now();
+    lastNavigation = Math.max(lastNavigation, loadedAt);
+
+    while ((Date.now() - loadedAt < MIN_SETTLE_MS || Date.now() - lastNavigation < NAVIGATION_SETTLE_MS)
+      && Date.now() - loadedAt < MAX_SETTLE_MS && navigations.length < MAX_CLIENT_HOPS) {
+      signal?.throwIfAborted();
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    const { cookies } = await client.send('Network.getAllCookies');
+    // A navigation still in flight detaches the document; the DOM is then unavailable
+    const html = await page.content().catch(() => null);
+
+    return {
+      url,
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      html,
+      requests: recorder.entries(),
+      setCookies,
+      cookies,
+      navigations: navigations.map(({ requestedAt, ...hop }) => hop)
+    };
+  } finally {
+    await browserContext.close().catch(() => {});
+    await releaseBrowser(browser, context);
+  }
+}
+
+module.exports = {
+  recordBrowserSession
+};
@@ -0,0 +1,218 @@
+/**
+ * Headless Browser Helpers
+ * Launches one Puppeteer browser per analysis, shared by its checks, closed automatically when the
+ * analysis is cancelled and with its traffic held to the egress policy
+ *
+ * Chromium sends every request through a local forward proxy that opens connections with the
+ * guarded lookup. The address that is vetted is the address that is connected to, so a DNS answer
+ * that changes between the check and the connection (DNS rebinding) cannot reach a restricted host.
+ */
+
+const http = require('http');
+const net = require('net');
+const { checkUrlHost, guardedLookup } = require('./egress.util');
+const logger = require('./logger.util');
+
+const DEFAULT_ARGS = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'];
+// Hop-by-hop headers a proxy must not forward (RFC 9110 section 7.6.1)
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-connection', 'proxy-authorization', 'te', 'trailer', 'upgrade'];
+
+// One browser per analysis context, shared by its checks
+const sharedBrowsers = new WeakMap();
+
+const stripBrackets = host => (host.startsWith('[') && host.endsWith(']') ? host.slice(1, -1) : host);
+
+function forwardHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !HOP_BY_HOP.includes(name.toLowerCase())));
+}
+
+/**
+ * Start the egress proxy on a loopback port; resolves to the listening server
+ * Plain HTTP is forwarded, HTTPS and WebSockets are tunnelled with CONNECT.
+ */
+function startEgressProxy() {
+  const sockets = new Set();
+  const track = socket => {
+    sockets.add(socket);
+    socket.once('close', () => sockets.delete(socket));
+    return socket;
+  };
+
+  const server = http.createServer((req, res) => {
+    let target;
+    try {
+      target = new URL(req.url);
+    } catch (error) {
+      res.writeHead(400).end();
+      return;
+    }
+    const blocked = target.protocol === 'http:' ? checkUrlHost(target.href) : new Error(`Unsupported proxy protocol ${target.protocol}`);
+    if (blocked) {
+      logger.warn(`Browser request blocked: ${blocked.message}`);
+      res.writeHead(403, { 'Content-Type': 'text/plain' }).end(blocked.message);
+      return;
+    }
+
+    const upstream = http.request({
+      host: stripBrackets(target.hostname),
+      port: target.port || 80,
+      method: req.method,
+      path: `${target.pathname}${target.search}`,
+      headers: forwardHeaders(req.headers),
+      lookup: guardedLookup
+    }, (response) => {
+      // pipe() does not end res when the upstream drops mid-body, which would leave the browser waiting
+      response.on('aborted', () => res.destroy());
+      response.on('error', () => res.destroy());
+      res.writeHead(response.statusCode, response.statusMessage, forwardHeaders(response.headers));
+      response.pipe(res);
+    });
+    upstream.on('error', (error) => {
+      if (error.code === 'EGRESS_BLOCKED') logger.warn(`Browser request blocked: ${error.message}`);
+      if (res.headersSent) res.destroy();
+      else res.writeHead(error.code === 'EGRESS_BLOCKED' ? 403 : 502, { 'Content-Type': 'text/plain' }).end(error.message);
+    });
+    // Drop the upstream request when the browser gives up on it
+    req.on('error', () => upstream.destroy());
+    res.on('close', () => {
+      if (!res.writableFinished) upstream.destroy();
+    });
+    req.pipe(upstream);
+  });
+
+  server.on('connect', (req, socket, head) => {
+    track(socket);
+    socket.on('error', () => {});
+    let target;
+    try {
+      target = new URL(`https://${req.url}`);
+    } catch (error) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const blocked = checkUrlHost(target.href);
+    if (blocked) {
+      logger.warn(`Browser request blocked: ${blocked.message}`);
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+
+    const upstream = track(net.connect({
+      host: stripBrackets(target.hostname),
+      port: Number(target.port) || 443,
+      lookup: guardedLookup
+    }, () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length > 0) upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    }));
+    upstream.on('error', (error) => {
+      if (error.code === 'EGRESS_BLOCKED') logger.warn(`Browser request blocked: ${error.message}`);
+      socket.end(`HTTP/1.1 ${error.code === 'EGRESS_BLOCKED' ? '403 Forbidden' : '502 Bad Gateway'}\r\n\r\n`);
+    });
+    socket.on('close', () => upstream.destroy());
+  });
+
+  const close = server.close.bind(server);
+  server.close = (callback) => {
+    close(callback);
+    server.closeAllConnections();
+    sockets.forEach(socket => socket.destroy());
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Launch a headless browser bound to an abort signal
+ */
+async function startBrowser(signal, options = {}) {
+  signal?.throwIfAborted();
+
+  // Required lazily so checks can degrade gracefully when Puppeteer is not installed
+  const puppeteer = require('puppeteer');
+  const proxy = await startEgressProxy();
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      headless: true,
+      ...options,
+      args: [
+        ...DEFAULT_ARGS,
+        `--proxy-server=http://127.0.0.1:${proxy.address().port}`,
+        // Chromium bypasses proxies for loopback by default; "<-loopback>" removes that exception
+        '--proxy-bypass-list=<-loopback>',
+        '--force-webrtc-ip-handling-policy=disable_non_proxied_udp',
+        ...(options.args || [])
+      ]
+    });
+  } catch (error) {
+    proxy.close();
+    throw error;
+  }
+  browser.once('disconnected', () => proxy.close());
+
+  if (signal) {
+    const close = () => browser.close().catch(() => {});
+    if (signal.aborted) {
+      await close();
+      signal.throwIfAborted();
+    }
+    signal.addEventListener('abort', close, { once: true });
+    browser.once('disconnected', () => signal.removeEventListener('abort', close));
+  }
+
+  return browser;
+}
+
+/**
+ * Headless browser for a check
+ * Within an analysis the browser is launched on first use and shared by every check of the run
+ * (options apply to that first launch only); closeBrowser(context) ends it once the run is over.
+ * Without a context a private browser is launched. Either way, hand it back with releaseBrowser().
+ */
+async function launchBrowser(context, options = {}) {
+  if (!context) return startBrowser(null, options);
+  context.signal?.throwIfAborted();
+  if (!sharedBrowsers.has(context)) {
+    sharedBrowsers.set(context, startBrowser(context.signal, options));
+  }
+  return sharedBrowsers.get(context);
+}
+
+/**
+ * Done with a browser from launchBrowser(): closes a private browser, leaves a shared one running
+ */
+async function releaseBrowser(browser, context) {
+  if (!context) await browser.close().catch(() => {});
+}
+
+/**
+ * Close the analysis' shared browser, if one was launched
+ */
+async function closeBrowser(context) {
+  const launching = sharedBrowsers.get(context);
+  if (!launching) return;
+  sharedBrowsers.delete(context);
+  const browser = await launching.catch(() => null);
+  await browser?.close().catch(() => {});
+}
+
+/**
+ * Open a page in a browser or one of its browser contexts
+ * Its requests go through the browser's egress proxy.
+ */
+async function openPage(browser) {
+  return browser.newPage();
+}
+
+module.exports = {
+  launchBrowser,
+  releaseBrowser,
+  closeBrowser,
+  openPage
+};
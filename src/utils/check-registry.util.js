@@ -0,0 +1,270 @@
+/**
+ * Check Registry
+ * Discovers check modules and runs a selection of them with timeouts and dependencies
+ *
+ * A check module exports a class with a static `meta` object and an async
+ * `analyze(url, context)` method:
+ *
+ *   static meta = { id, category, icon, timeout, dependencies, after, order }
+ *
+ * `dependencies` must run first and are pulled into the selection; `after` only orders: the check
+ * waits for those checks when they are part of the run and runs without them otherwise.
+ *
+ * Built-in checks live in src/checks/*.check.js. Additional checks are loaded
+ * from the directory named by CHECK_PLUGINS_DIR, using the same file convention.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger.util');
+
+const BUILTIN_DIR = path.join(__dirname, '../checks');
+const CHECK_FILE_PATTERN = /\.check\.js$/;
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_ORDER = 1000;
+
+class CheckSelectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CheckSelectionError';
+  }
+}
+
+/**
+ * Validate a module export and normalize its metadata
+ */
+function normalizeCheck(CheckClass, file) {
+  const meta = CheckClass && CheckClass.meta;
+  if (!meta || typeof meta.id !== 'string' || !meta.id) {
+    throw new Error(`${file} does not declare static meta.id`);
+  }
+  if (typeof CheckClass.prototype?.analyze !== 'function') {
+    throw new Error(`${file} does not implement analyze()`);
+  }
+
+  return {
+    id: meta.id,
+    category: meta.category || meta.id,
+    icon: meta.icon || '❓',
+    timeout: meta.timeout || DEFAULT_TIMEOUT,
+    dependencies: Array.isArray(meta.dependencies) ? meta.dependencies : [],
+    after: Array.isArray(meta.after) ? meta.after : [],
+    order: typeof meta.order === 'number' ? meta.order : DEFAULT_ORDER,
+    file,
+    CheckClass
+  };
+}
+
+/**
+ * Load every *.check.js module in a directory
+ */
+function loadDirectory(dir, registry, { required }) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => CHECK_FILE_PATTERN.test(f)).sort();
+  } catch (error) {
+    if (required) throw error;
+    logger.warn(`Check plugins directory unavailable: ${dir}`, error.message);
+    return;
+  }
+
+  for (const file of files) {
+    const fullPath = path.join(dir, file);
+    try {
+      const check = normalizeCheck(require(fullPath), fullPath);
+      if (registry.has(check.id)) {
+        logger.warn(`Duplicate check id "${check.id}" in ${fullPath} - skipping`);
+        continue;
+      }
+      registry.set(check.id, check);
+    } catch (error) {
+      if (required) throw error;
+      logger.error(`Failed to load check plugin ${fullPath}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Discover built-in checks plus any plugins, sorted by their declared order
+ */
+function discoverChecks(options = {}) {
+  const pluginsDir = options.pluginsDir ?? process.env.CHECK_PLUGINS_DIR;
+  const registry = new Map();
+
+  loadDirectory(options.builtinDir || BUILTIN_DIR, registry, { required: true });
+  if (pluginsDir) {
+    loadDirectory(path.resolve(pluginsDir), registry, { required: false });
+  }
+
+  const sorted = [...registry.values()].sort((a, b) => a.order - b.order);
+  return new Map(sorted.map(check => [check.id, check]));
+}
+
+let defaultRegistry = null;
+
+function getRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = discoverChecks();
+    logger.info(`Loaded ${defaultRegistry.size} checks: ${[...defaultRegistry.keys()].join(', ')}`);
+  }
+  return defaultRegistry;
+}
+
+function parseIdList(value, field) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string')) {
+    throw new CheckSelectionError(`"${field}" must be an array of check ids`);
+  }
+  return value;
+}
+
+/**
+ * Resolve the checks to run from include/exclude id lists
+ * Dependencies of included checks are pulled in automatically. Excluding a check also drops the
+ * checks that depend on it; explicitly including a check whose dependency is excluded is an error.
+ */
+function selectChecks(registry, { include, exclude } = {}) {
+  const includeIds = parseIdList(include, 'checks');
+  const excludeIds = parseIdList(exclude, 'exclude') || [];
+
+  const unknown = [...(includeIds || []), ...excludeIds].filter(id => !registry.has(id));
+  if (unknown.length > 0) {
+    throw new CheckSelectionError(`Unknown check id(s): ${unknown.join(', ')}. Available: ${[...registry.keys()].join(', ')}`);
+  }
+
+  const selected = new Set();
+  // Returns the excluded check the dependency chain of `id` runs into, if any
+  const visit = (id, trail) => {
+    if (trail.includes(id)) {
+      throw new CheckSelectionError(`Circular check dependency: ${[...trail, id].join(' -> ')}`);
+    }
+    const check = registry.get(id);
+    if (!check) {
+      throw new CheckSelectionError(`Check "${trail[trail.length - 1]}" depends on unknown check "${id}"`);
+    }
+    if (excludeIds.includes(id)) return id;
+    for (const dep of check.dependencies) {
+      const blocked = visit(dep, [...trail, id]);
+      if (blocked) return blocked;
+    }
+    selected.add(id);
+    return null;
+  };
+
+  const roots = (includeIds || [...registry.keys()]).filter(id => !excludeIds.includes(id));
+  roots.forEach(id => {
+    const blocked = visit(id, []);
+    if (blocked && includeIds) {
+      throw new CheckSelectionError(`Check "${id}" depends on excluded check "${blocked}"`);
+    }
+  });
+
+  if (selected.size === 0) {
+    throw new CheckSelectionError('No checks selected');
+  }
+
+  // Ordering-only edges can still close a loop with dependencies among the selected checks
+  const ordered = new Set();
+  const order = (id, trail) => {
+    if (trail.includes(id)) {
+      throw new CheckSelectionError(`Circular check ordering: ${[...trail, id].join(' -> ')}`);
+    }
+    if (ordered.has(id)) return;
+    const check = registry.get(id);
+    [...check.dependencies, ...check.after].filter(dep => selected.has(dep)).forEach(dep => order(dep, [...trail, id]));
+    ordered.add(id);
+  };
+  selected.forEach(id => order(id, []));
+
+  // Keep registry order so categories render consistently
+  return [...registry.values()].filter(check => selected.has(check.id));
+}
+
+function errorResult(check, name, description) {
+  return {
+    id: check.id,
+    category: check.category,
+    icon: check.icon,
+    score: 0,
+    checks: [{ name, status: 'error', description, severity: 'critical' }]
+  };
+}
+
+/**
+ * Settle with the check's promise, a timeout, or cancellation - whichever comes first
+ */
+function withTimeout(promise, ms, label, signal) {
+  let timer;
+  let onAbort;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    if (signal) {
+      onAbort = () => reject(new Error(`${label} cancelled`));
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+  return Promise.race([promise, timeout]).finally(() => {
+    clearTimeout(timer);
+    if (onAbort) signal.removeEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Run one check, never rejecting: failures become an error category
+ */
+async function runCheck(check, url, context) {
+  try {
+    context.signal?.throwIfAborted();
+    logger.debug(`Starting check: ${check.id}`);
+    const analysis = new check.CheckClass().analyze(url, context);
+    const result = await withTimeout(analysis, check.timeout, check.category, context.signal);
+    logger.debug(`Completed check: ${check.id}`, { score: result?.score });
+
+    if (!result || typeof result !== 'object' || !('score' in result)) {
+      logger.warn(`${check.category} returned invalid result:`, result);
+      return errorResult(check, 'Invalid Response', 'Check returned invalid data');
+    }
+    return { id: check.id, ...result };
+  } catch (err) {
+    logger.error(`${check.category} error:`, err?.message || String(err));
+    return errorResult(check, 'Error', String(err?.message || err || 'Unknown error'));
+  }
+}
+
+/**
+ * Run the selected checks concurrently; a check starts once its dependencies and the selected
+ * checks it runs `after` finish
+ * Results are published on context.results so dependants can read them.
+ * Optional hooks: onStart(check) and onComplete(check, result) for progress reporting.
+ */
+async function runChecks(checks, url, context, hooks = {}) {
+  const pending = new Map();
+
+  const start = (check) => {
+    if (!pending.has(check.id)) {
+      const deps = [...check.dependencies, ...check.after]
+        .map(id => checks.find(c => c.id === id))
+        .filter(Boolean)
+        .map(start);
+      pending.set(check.id, Promise.all(deps).then(async () => {
+        hooks.onStart?.(check);
+        const result = await runCheck(check, url, context);
+        context.results.set(check.id, result);
+        hooks.onComplete?.(check, result);
+        return result;
+      }));
+    }
+    return pending.get(check.id);
+  };
+
+  return Promise.all(checks.map(start));
+}
+
+module.exports = {
+  CheckSelectionError,
+  discoverChecks,
+  getRegistry,
+  selectChecks,
+  runCheck,
+  runChecks
+};
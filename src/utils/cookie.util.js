@@ -0,0 +1,217 @@
+/**
+ * Cookie Parsing & Auditing
+ * Normalizes Set-Cookie headers and browser cookies into one shape and flags weak attributes
+ */
+
+const { getRegistrableDomain, isSameSite, isPublicSuffix } = require('./domain.util');
+
+// Chromium caps cookie lifetimes at 400 days
+const MAX_LIFETIME_DAYS = 400;
+const SESSION_MAX_LIFETIME_DAYS = 30;
+// The only SameSite values browsers accept; anything else falls back to the browser default
+const SAME_SITE_VALUES = { strict: 'Strict', lax: 'Lax', none: 'None' };
+const SESSION_NAME_PATTERN = /(^|[_.-])(sess(ion)?|sid|ssid|auth|token|jwt|login|remember|user_?id)([_.-]|$)|sessid|session|^connect\.sid$|^jsessionid$|^phpsessid$|^asp\.net_sessionid$|^_?_?session/i;
+
+/**
+ * Parse one Set-Cookie header value
+ * Follows RFC 6265: the first pair is name=value, attributes are case-insensitive.
+ */
+function parseSetCookie(header, requestUrl) {
+  const [pair, ...attributes] = String(header).split(';');
+  const eq = pair.indexOf('=');
+  if (eq < 0) return null;
+
+  const cookie = {
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim(),
+    domain: null,
+    path: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null,
+    invalidSameSite: null,
+    expires: null,
+    maxAge: null,
+    partitioned: false
+  };
+  if (!cookie.name) return null;
+
+  attributes.forEach(attribute => {
+    const index = attribute.indexOf('=');
+    const key = (index < 0 ? attribute : attribute.slice(0, index)).trim().toLowerCase();
+    const value = index < 0 ? '' : attribute.slice(index + 1).trim();
+    switch (key) {
+      case 'domain': cookie.domain = value.replace(/^\./, '').toLowerCase() || null; break;
+      case 'path': cookie.path = value || null; break;
+      case 'secure': cookie.secure = true; break;
+      case 'httponly': cookie.httpOnly = true; break;
+      case 'samesite':
+        cookie.sameSite = SAME_SITE_VALUES[value.toLowerCase()] || null;
+        cookie.invalidSameSite = cookie.sameSite ? null : value;
+        break;
+      case 'expires': cookie.expires = value; break;
+      case 'max-age': cookie.maxAge = /^-?\d+$/.test(value) ? parseInt(value, 10) : null; break;
+      case 'partitioned': cookie.partitioned = true; break;
+      default: break;
+    }
+  });
+
+  const url = new URL(requestUrl);
+  const expiresAt = cookie.maxAge !== null
+    ? new Date(Date.now() + cookie.maxAge * 1000)
+    : cookie.expires && !Number.isNaN(Date.parse(cookie.expires)) ? new Date(cookie.expires) : null;
+
+  return {
+    ...cookie,
+    hostOnly: !cookie.domain,
+    effectiveDomain: cookie.domain || url.hostname,
+    // Default-path per RFC 6265 section 5.1.4
+    effectivePath: cookie.path && cookie.path.startsWith('/') ? cookie.path : url.pathname.replace(/\/[^/]*$/, '') || '/',
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    session: !expiresAt,
+    setBy: requestUrl,
+    source: 'header'
+  };
+}
+
+/**
+ * Parse all Set-Cookie values from an axios headers object
+ */
+function parseSetCookieHeaders(headers, requestUrl) {
+  const raw = headers?.['set-cookie'];
+  const values = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return values.map(value => parseSetCookie(value, requestUrl)).filter(Boolean);
+}
+
+/**
+ * Convert a Chrome DevTools Protocol cookie into the parsed-cookie shape
+ */
+function fromBrowserCookie(cookie, source = 'javascript') {
+  const session = cookie.session || !(cookie.expires > 0);
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain.startsWith('.') ? cookie.domain.slice(1) : null,
+    path: cookie.path,
+    secure: !!cookie.secure,
+    httpOnly: !!cookie.httpOnly,
+    sameSite: SAME_SITE_VALUES[String(cookie.sameSite || '').toLowerCase()] || null,
+    invalidSameSite: null,
+    expires: null,
+    maxAge: null,
+    partitioned: !!cookie.partitionKey,
+    hostOnly: !cookie.domain.startsWith('.'),
+    effectiveDomain: cookie.domain.replace(/^\./, ''),
+    effectivePath: cookie.path || '/',
+    expiresAt: session ? null : new Date(cookie.expires * 1000).toISOString(),
+    session,
+    setBy: null,
+    source
+  };
+}
+
+/**
+ * Whether a cookie name or value looks like a session identifier
+ */
+function looksLikeSessionId(cookie) {
+  if (SESSION_NAME_PATTERN.test(cookie.name)) return true;
+  // Long opaque values under an id-like name are usually session tokens
+  return /id$/i.test(cookie.name) && /^[A-Za-z0-9%._~+/=-]{24,}$/.test(cookie.value || '');
+}
+
+/**
+ * Audit one cookie against the page it was observed on
+ * Returns a per-cookie summary with a list of { type, severity, message } issues.
+ */
+function auditCookie(cookie, pageUrl) {
+  const page = new URL(pageUrl);
+  const issues = [];
+  const add = (type, severity, message) => issues.push({ type, severity, message });
+  const sessionId = looksLikeSessionId(cookie);
+  const firstParty = isSameSite(cookie.effectiveDomain, page.hostname);
+  const lifetimeMs = cookie.expiresAt ? Date.parse(cookie.expiresAt) - Date.now() : null;
+  const lifetimeDays = lifetimeMs !== null ? Math.round(lifetimeMs / 86400000) : null;
+  // Max-Age=0 or a past Expires is how servers delete cookies
+  const deleted = lifetimeMs !== null && lifetimeMs <= 0;
+
+  if (!cookie.secure && page.protocol === 'https:') {
+    add('secure', sessionId ? 'high' : 'medium', 'Missing Secure flag; the cookie can leak over plain HTTP');
+  }
+  if (!cookie.httpOnly && sessionId) {
+    add('httponly', 'high', 'Session cookie missing HttpOnly; readable by injected scripts');
+  }
+
+  if (cookie.invalidSameSite !== null && cookie.invalidSameSite !== undefined) {
+    add('samesite', sessionId ? 'medium' : 'low', `Invalid SameSite value "${cookie.invalidSameSite.slice(0, 40)}"; browsers ignore it and apply their default`);
+  } else if (!cookie.sameSite) {
+    add('samesite', sessionId ? 'medium' : 'low', 'No SameSite attribute; cross-site behaviour depends on the browser default');
+  } else if (cookie.sameSite === 'None' && !cookie.secure) {
+    add('samesite', 'high', 'SameSite=None without Secure is rejected by modern browsers');
+  } else if (cookie.sameSite === 'None' && sessionId) {
+    add('samesite', 'medium', 'Session cookie sent on cross-site requests (SameSite=None); CSRF exposure');
+  }
+
+  // Cookie prefixes (RFC 6265bis section 4.1.3)
+  let prefix = null;
+  if (cookie.name.startsWith('__Host-')) {
+    prefix = '__Host-';
+    if (!cookie.secure || cookie.domain || cookie.path !== '/') {
+      add('prefix', 'high', '__Host- cookie must be Secure, have no Domain and use Path=/');
+    }
+  } else if (cookie.name.startsWith('__Secure-')) {
+    prefix = '__Secure-';
+    if (!cookie.secure) add('prefix', 'high', '__Secure- cookie must be Secure');
+  }
+
+  // Scope
+  if (cookie.domain) {
+    if (isPublicSuffix(cookie.domain)) {
+      add('scope', 'high', `Domain=${cookie.domain} is a public suffix`);
+    } else if (cookie.domain === getRegistrableDomain(page.hostname) && cookie.domain !== page.hostname) {
+      add('scope', sessionId ? 'medium' : 'low', `Domain=${cookie.domain} shares the cookie with every subdomain`);
+    }
+  }
+  if (sessionId && cookie.effectivePath === '/' && cookie.setBy) {
+    const setByPath = new URL(cookie.setBy).pathname.replace(/\/[^/]*$/, '/');
+    if (setByPath !== '/') {
+      add('scope', 'low', `Path=/ exposes the cookie to the whole origin, though it was set under ${setByPath}`);
+    }
+  }
+
+  // Lifetime
+  if (!deleted && lifetimeDays !== null) {
+    if (lifetimeDays > MAX_LIFETIME_DAYS) {
+      add('expiry', 'low', `Expires in ${lifetimeDays} days (browsers cap at ${MAX_LIFETIME_DAYS})`);
+    } else if (sessionId && lifetimeDays > SESSION_MAX_LIFETIME_DAYS) {
+      add('expiry', 'medium', `Session cookie persists for ${lifetimeDays} days`);
+    }
+  }
+
+  return {
+    name: cookie.name,
+    domain: cookie.effectiveDomain,
+    path: cookie.effectivePath,
+    source: cookie.source,
+    setBy: cookie.setBy,
+    firstParty,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly,
+    sameSite: cookie.sameSite,
+    prefix,
+    hostOnly: cookie.hostOnly,
+    expiresAt: cookie.expiresAt,
+    lifetimeDays,
+    persistent: !cookie.session,
+    deleted,
+    sessionId,
+    issues: deleted ? [] : issues
+  };
+}
+
+module.exports = {
+  parseSetCookie,
+  parseSetCookieHeaders,
+  fromBrowserCookie,
+  looksLikeSessionId,
+  auditCookie
+};
@@ -0,0 +1,292 @@
+/**
+ * Content-Security-Policy Parsing & Evaluation
+ * Collects header and <meta> policies and reports weaknesses as individual checks
+ */
+
+// Directives that fall back to default-src when absent (subset relevant to evaluation)
+const FETCH_FALLBACK = ['script-src', 'object-src', 'style-src', 'img-src', 'connect-src', 'frame-src', 'font-src', 'media-src'];
+
+// Directives browsers ignore when delivered through <meta>
+const META_IGNORED = ['frame-ancestors', 'report-uri', 'sandbox'];
+
+/**
+ * Parse one serialized policy into a Map of directive -> source list
+ * The first occurrence of a directive wins, as in browsers.
+ */
+function parsePolicy(policyString) {
+  const directives = new Map();
+  String(policyString || '').split(';').forEach(part => {
+    const tokens = part.trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return;
+    const name = tokens[0].toLowerCase();
+    if (!directives.has(name)) {
+      directives.set(name, tokens.slice(1));
+    }
+  });
+  return directives;
+}
+
+/**
+ * Gather every policy delivered with the page
+ * A header may carry several comma-separated policies; each one is enforced independently.
+ */
+function collectPolicies(headers = {}, $ = null) {
+  const policies = [];
+  const fromHeader = (value, mode) => {
+    const values = Array.isArray(value) ? value : [value];
+    values.filter(Boolean).join(',').split(',').map(p => p.trim()).filter(Boolean).forEach(raw => {
+      policies.push({ source: 'header', mode, raw, directives: parsePolicy(raw) });
+    });
+  };
+
+  fromHeader(headers['content-security-policy'], 'enforce');
+  fromHeader(headers['content-security-policy-report-only'], 'report-only');
+
+  if ($) {
+    $('meta[http-equiv]').each((i, el) => {
+      const equiv = ($(el).attr('http-equiv') || '').toLowerCase();
+      const content = $(el).attr('content');
+      if (!content) return;
+      if (equiv === 'content-security-policy') {
+        policies.push({ source: 'meta', mode: 'enforce', raw: content, directives: parsePolicy(content) });
+      } else if (equiv === 'content-security-policy-report-only') {
+        // Browsers ignore report-only policies in <meta>; kept so it can be reported
+        policies.push({ source: 'meta', mode: 'report-only', raw: content, directives: parsePolicy(content), ignored: true });
+      }
+    });
+  }
+
+  return policies;
+}
+
+/**
+ * Effective source list for a directive, honouring default-src fallback
+ */
+function effectiveSources(policy, directive) {
+  const { directives } = policy;
+  if (directives.has(directive)) return directives.get(directive);
+  if (FETCH_FALLBACK.includes(directive) && directives.has('default-src')) return directives.get('default-src');
+  return null;
+}
+
+function hasNonceOrHash(sources) {
+  return sources.some(src => /^'(nonce-|sha256-|sha384-|sha512-)/i.test(src));
+}
+
+function lower(sources) {
+  return (sources || []).map(src => src.toLowerCase());
+}
+
+/**
+ * Per-policy weakness flags
+ */
+function analyzePolicy(policy) {
+  const script = lower(effectiveSources(policy, 'script-src'));
+  const object = lower(effectiveSources(policy, 'object-src'));
+  const scriptRestricted = effectiveSources(policy, 'script-src') !== null;
+  const strict = hasNonceOrHash(script) || script.includes("'strict-dynamic'");
+  const { directives } = policy;
+
+  return {
+    scriptRestricted,
+    // With a nonce, hash or strict-dynamic present, CSP2+ browsers ignore 'unsafe-inline'
+    unsafeInline: !scriptRestricted || (script.includes("'unsafe-inline'") && !strict),
+    unsafeEval: !scriptRestricted || script.includes("'unsafe-eval'"),
+    wildcard: !scriptRestricted || (!script.includes("'strict-dynamic'") && script.some(src => src === '*' || src === 'https:' || /^\*\./.test(src) || /^https?:\/\/\*/.test(src))),
+    dataScheme: script.includes('data:'),
+    httpScheme: script.some(src => src === 'http:' || src.startsWith('http://')),
+    objectMissing: !object.length || !(object.length === 1 && object[0] === "'none'"),
+    baseUriMissing: !directives.has('base-uri'),
+    strict,
+    reporting: directives.has('report-uri') || directives.has('report-to'),
+    scriptSources: effectiveSources(policy, 'script-src')
+  };
+}
+
+/**
+ * Suggest a hardened policy, keeping the site's non-script directives
+ */
+function suggestPolicy(policy) {
+  const directives = new Map(policy ? policy.directives : []);
+  if (!directives.has('default-src') || directives.get('default-src').includes('*')) directives.set('default-src', ["'self'"]);
+
+  const keep = (name) => (directives.get(name) || []).filter(src => src !== '*' && src.toLowerCase() !== 'data:' && !src.toLowerCase().startsWith('http:'));
+  const styleSources = directives.has('style-src') ? keep('style-src') : null;
+
+  directives.set('script-src', ["'nonce-{RANDOM}'", "'strict-dynamic'", "'unsafe-inline'", 'https:']);
+  directives.set('object-src', ["'none'"]);
+  directives.set('base-uri', ["'none'"]);
+  if (!directives.has('frame-ancestors')) directives.set('frame-ancestors', ["'self'"]);
+  if (!directives.has('form-action')) directives.set('form-action', ["'self'"]);
+  if (styleSources) directives.set('style-src', styleSources.length ? styleSources : ["'self'"]);
+  if (!directives.has('report-uri') && !directives.has('report-to')) directives.set('report-to', ['csp-endpoint']);
+
+  return [...directives.entries()]
+    .map(([name, sources]) => [name, ...sources].join(' '))
+    .join('; ');
+}
+
+/**
+ * Evaluate the page's policies and return SiteSentinel checks
+ * A weakness is reported only if every enforced policy has it, since each policy applies on its own.
+ */
+function evaluateCsp(headers, $) {
+  const policies = collectPolicies(headers, $);
+  const enforced = policies.filter(p => p.mode === 'enforce');
+  const reportOnly = policies.filter(p => p.mode === 'report-only' && !p.ignored);
+  const checks = [];
+
+  const summary = policies.map(p => ({ source: p.source, mode: p.mode, policy: p.raw, ignored: !!p.ignored }));
+
+  if (enforced.length === 0) {
+    checks.push({
+      name: 'Content Security Policy (CSP)',
+      status: 'warn',
+      description: reportOnly.length > 0
+        ? 'CSP is only deployed in report-only mode and does not block anything'
+        : 'CSP not configured (recommended to mitigate XSS)',
+      severity: 'medium',
+      details: { policies: summary }
+    });
+
+    if (policies.some(p => p.ignored)) {
+      checks.push({
+        name: 'CSP: Report-Only in Meta Tag',
+        status: 'warn',
+        description: 'Content-Security-Policy-Report-Only is ignored when set with <meta>; send it as a header',
+        severity: 'low'
+      });
+    }
+
+    checks.push({
+      name: 'CSP: Suggested Policy',
+      status: 'info',
+      description: `Suggested starting policy: ${suggestPolicy(reportOnly[0])}`,
+      severity: 'low',
+      details: { policy: suggestPolicy(reportOnly[0]) }
+    });
+    return checks;
+  }
+
+  const results = enforced.map(analyzePolicy);
+  const all = (flag) => results.every(r => r[flag]);
+
+  checks.push({
+    name: 'Content Security Policy (CSP)',
+    status: 'pass',
+    description: `${enforced.length} enforced polic${enforced.length === 1 ? 'y' : 'ies'} (${[...new Set(enforced.map(p => p.source))].join(' + ')})${reportOnly.length ? `, ${reportOnly.length} report-only` : ''}`,
+    severity: 'medium',
+    details: { policies: summary }
+  });
+
+  const finding = (flag, name, severity, failStatus, failText, passText, recommendation) => {
+    const failing = all(flag);
+    checks.push({
+      name,
+      status: failing ? failStatus : 'pass',
+      description: failing ? failText : passText,
+      severity,
+      details: {
+        scriptSources: results.map(r => r.scriptSources),
+        ...(failing ? { recommendation } : {})
+      }
+    });
+  };
+
+  finding('unsafeInline', "CSP: 'unsafe-inline' Scripts", 'high', 'fail',
+    "script-src allows inline scripts ('unsafe-inline' or no script restriction), which defeats XSS protection",
+    'Inline scripts are not allowed without a nonce or hash',
+    "Remove 'unsafe-inline' or add nonces/hashes so modern browsers ignore it");
+
+  finding('unsafeEval', "CSP: 'unsafe-eval'", 'high', 'warn',
+    "script-src allows eval() and similar string-to-code APIs",
+    'eval() is blocked',
+    "Remove 'unsafe-eval' and refactor code that relies on eval/new Function");
+
+  finding('wildcard', 'CSP: Wildcard Script Sources', 'high', 'fail',
+    'script-src allows scripts from any host (*, https: or wildcard domains)',
+    'Script sources are not wildcarded',
+    "Replace wildcards with nonces plus 'strict-dynamic', or an explicit host list");
+
+  finding('dataScheme', 'CSP: data: Script Source', 'high', 'fail',
+    'script-src allows data: URIs, which lets attackers inject scripts',
+    'data: URIs are not allowed for scripts',
+    'Remove data: from script-src');
+
+  finding('httpScheme', 'CSP: Insecure http: Sources', 'medium', 'warn',
+    'script-src allows scripts over plain HTTP',
+    'Scripts are only allowed over HTTPS',
+    'Remove http: sources and serve scripts over HTTPS');
+
+  finding('objectMissing', 'CSP: object-src', 'medium', 'warn',
+    "object-src is not restricted to 'none' (plugins can load scripts)",
+    "object-src 'none' set",
+    "Add object-src 'none'");
+
+  finding('baseUriMissing', 'CSP: base-uri', 'medium', 'warn',
+    'base-uri is missing, so injected <base> tags can redirect relative script URLs',
+    'base-uri is restricted',
+    "Add base-uri 'none' (or 'self')");
+
+  const strict = results.some(r => r.strict);
+  checks.push({
+    name: 'CSP: Nonce / Hash / strict-dynamic',
+    status: strict ? 'pass' : 'warn',
+    description: strict
+      ? 'Policy uses nonces, hashes or strict-dynamic (strict CSP)'
+      : 'Allowlist-only policy; host allowlists are commonly bypassable',
+    severity: 'medium',
+    details: strict ? {} : { recommendation: "Adopt a nonce- or hash-based policy with 'strict-dynamic'" }
+  });
+
+  const headerHasFrameAncestors = enforced.some(p => p.source === 'header' && p.directives.has('frame-ancestors'));
+  const xfo = headers && headers['x-frame-options'];
+  checks.push({
+    name: 'CSP: frame-ancestors',
+    status: headerHasFrameAncestors ? 'pass' : xfo ? 'info' : 'warn',
+    description: headerHasFrameAncestors
+      ? 'frame-ancestors restricts who can embed this page'
+      : xfo ? `frame-ancestors missing; relying on legacy X-Frame-Options: ${xfo}` : 'frame-ancestors missing (clickjacking protection)',
+    severity: 'medium',
+    details: headerHasFrameAncestors ? {} : { recommendation: "Add frame-ancestors 'self' to the CSP header (it is ignored in <meta>)" }
+  });
+
+  const reporting = results.some(r => r.reporting);
+  checks.push({
+    name: 'CSP: Violation Reporting',
+    status: reporting ? 'pass' : 'info',
+    description: reporting ? 'report-uri/report-to configured' : 'No report-uri or report-to; violations go unnoticed',
+    severity: 'low'
+  });
+
+  const metaIgnored = enforced.filter(p => p.source === 'meta').flatMap(p => META_IGNORED.filter(d => p.directives.has(d)));
+  if (metaIgnored.length > 0 || policies.some(p => p.ignored)) {
+    checks.push({
+      name: 'CSP: Ignored Meta Directives',
+      status: 'warn',
+      description: `Browsers ignore ${[...new Set(metaIgnored)].concat(policies.some(p => p.ignored) ? ['report-only policy'] : []).join(', ')} when set via <meta>`,
+      severity: 'low'
+    });
+  }
+
+  const weak = checks.some(c => c.status === 'fail' || c.status === 'warn');
+  if (weak) {
+    const hardened = suggestPolicy(enforced.find(p => p.source === 'header') || enforced[0]);
+    checks.push({
+      name: 'CSP: Suggested Hardened Policy',
+      status: 'info',
+      description: hardened,
+      severity: 'low',
+      details: { policy: hardened }
+    });
+  }
+
+  return checks;
+}
+
+module.exports = {
+  parsePolicy,
+  collectPolicies,
+  evaluateCsp,
+  suggestPolicy
+};
@@ -0,0 +1,238 @@
+/**
+ * DNS Hygiene Helpers
+ * CAA, name server redundancy and consistency, SOA timers, wildcard records and reverse DNS
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { TYPES, queryRecords } = require('./dns-wire.util');
+const { getRegistrableDomain } = require('./domain.util');
+const { getEgressPolicy } = require('./egress.util');
+
+// CAA issuer-domain names used by the common CAs, matched against the certificate issuer organisation
+const CA_ISSUER_DOMAINS = [
+  { pattern: /let's encrypt/i, domains: ['letsencrypt.org'] },
+  { pattern: /digicert|thawte|geotrust|rapidssl|symantec|cloudflare/i, domains: ['digicert.com', 'thawte.com', 'geotrust.com', 'rapidssl.com', 'symantec.com'] },
+  { pattern: /sectigo|comodo|zerossl|usertrust/i, domains: ['sectigo.com', 'comodoca.com', 'comodo.com', 'usertrust.com', 'zerossl.com'] },
+  { pattern: /google trust services/i, domains: ['pki.goog', 'google.com'] },
+  { pattern: /amazon/i, domains: ['amazon.com', 'amazontrust.com', 'awstrust.com', 'amazonaws.com'] },
+  { pattern: /globalsign/i, domains: ['globalsign.com'] },
+  { pattern: /godaddy|starfield/i, domains: ['godaddy.com', 'starfieldtech.com'] },
+  { pattern: /entrust/i, domains: ['entrust.net', 'affirmtrust.com'] },
+  { pattern: /buypass/i, domains: ['buypass.com', 'buypass.no'] },
+  { pattern: /ssl\.com/i, domains: ['ssl.com'] },
+  { pattern: /microsoft/i, domains: ['microsoft.com'] },
+  { pattern: /certum|asseco/i, domains: ['certum.pl', 'certum.eu'] },
+  { pattern: /actalis/i, domains: ['actalis.it'] },
+  { pattern: /harica/i, domains: ['harica.gr'] }
+];
+const KNOWN_CAA_TAGS = new Set(['issue', 'issuewild', 'iodef', 'contactemail', 'contactphone', 'issuemail', 'issuevmc']);
+
+// RFC 1912 section 2.2 and RFC 2308 recommended SOA timer ranges (seconds)
+const SOA_LIMITS = {
+  refresh: [1200, 43200],
+  expire: [604800, 2419200],
+  minimum: [300, 86400]
+};
+
+const NS_QUERY_TIMEOUT = 4000;
+const MAX_REVERSE_LOOKUPS = 4;
+
+/**
+ * Relevant CAA RRset: the first one found climbing from the host towards the registrable domain (RFC 8659 section 3)
+ */
+async function findCaaRecords(hostname, options = {}) {
+  const stop = getRegistrableDomain(hostname);
+  let name = hostname.toLowerCase();
+  while (name) {
+    const message = await queryRecords(name, TYPES.CAA, options);
+    const records = message.answers.filter(rr => rr.type === TYPES.CAA).map(rr => rr.data);
+    if (records.length > 0) return { name, records };
+    if (name === stop || !name.includes('.')) break;
+    name = name.split('.').slice(1).join('.');
+  }
+  return { name: null, records: [] };
+}
+
+/**
+ * CAA issuer-domain names for a certificate issuer organisation; empty when the CA is not in the table
+ */
+function issuerDomainsFor(issuerName) {
+  return CA_ISSUER_DOMAINS.filter(entry => entry.pattern.test(issuerName || '')).flatMap(entry => entry.domains);
+}
+
+/**
+ * Evaluate a CAA RRset against the issuer of the current certificate
+ * `allowed` is null when the issuer cannot be mapped to CAA domain names.
+ */
+function evaluateCaa(records, { issuerName = null, wildcard = false } = {}) {
+  const valuesFor = tag => records.filter(record => record.tag === tag).map(record => record.value.split(';')[0].trim().toLowerCase());
+  const issue = valuesFor('issue');
+  const issuewild = valuesFor('issuewild');
+  const unknownCritical = records.filter(record => record.critical && !KNOWN_CAA_TAGS.has(record.tag)).map(record => record.tag);
+
+  // issuewild overrides issue for wildcard certificates; without either property any CA may issue
+  const governing = wildcard && issuewild.length > 0 ? issuewild : issue;
+  const restricted = issue.length > 0 || (wildcard && issuewild.length > 0);
+  const issuerDomains = issuerDomainsFor(issuerName);
+
+  let allowed = null;
+  if (unknownCritical.length > 0) allowed = false;
+  else if (!restricted) allowed = true;
+  else if (issuerDomains.length > 0) allowed = governing.some(domain => issuerDomains.includes(domain));
+
+  return {
+    issue,
+    issuewild,
+    iodef: records.filter(record => record.tag === 'iodef').map(record => record.value),
+    unknownCritical,
+    issuerName,
+    issuerDomains,
+    wildcard,
+    allowed
+  };
+}
+
+function addressesOf(message) {
+  return message.answers.filter(rr => rr.type === TYPES.A || rr.type === TYPES.AAAA).map(rr => rr.data.address);
+}
+
+function networkOf(address) {
+  if (net.isIPv4(address)) return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  return `${address.split(':').slice(0, 3).join(':')}::/48`;
+}
+
+/**
+ * Ask one authoritative server for the zone's SOA and NS set directly
+ */
+async function queryNameServer(zone, address, options) {
+  if (!getEgressPolicy().isAddressAllowed(address)) {
+    return { address, error: 'Address blocked by the egress policy' };
+  }
+  const server = { host: address, port: 53 };
+  const queryOptions = { server, signal: options.signal, timeout: NS_QUERY_TIMEOUT };
+  try {
+    const [soa, ns] = await Promise.all([
+      queryRecords(zone, TYPES.SOA, queryOptions),
+      queryRecords(zone, TYPES.NS, queryOptions)
+    ]);
+    const soaRecord = soa.answers.find(rr => rr.type === TYPES.SOA);
+    return {
+      address,
+      responded: true,
+      authoritative: soa.authoritative && !!soaRecord,
+      serial: soaRecord ? soaRecord.data.serial : null,
+      nameservers: ns.answers.filter(rr => rr.type === TYPES.NS).map(rr => rr.data.target).sort(),
+      error: soa.rcode !== 'NOERROR' ? soa.rcode : null
+    };
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    return { address, error: error.message };
+  }
+}
+
+/**
+ * Resolve the zone's name servers, their networks, and what each one serves
+ */
+async function inspectNameServers(zone, options = {}) {
+  const nsMessage = await queryRecords(zone, TYPES.NS, options);
+  const names = nsMessage.answers.filter(rr => rr.type === TYPES.NS && rr.name === zone).map(rr => rr.data.target).sort();
+
+  const nameservers = await Promise.all(names.map(async name => {
+    const [v4, v6] = await Promise.all([
+      queryRecords(name, TYPES.A, options).then(addressesOf).catch(() => []),
+      queryRecords(name, TYPES.AAAA, options).then(addressesOf).catch(() => [])
+    ]);
+    const addresses = [...v4, ...v6];
+    // One address per server is enough to compare answers
+    const probe = v4[0] || v6[0];
+    return {
+      name,
+      addresses,
+      ...(probe ? await queryNameServer(zone, probe, options) : { error: 'Name server does not resolve' })
+    };
+  }));
+
+  const addresses = nameservers.flatMap(server => server.addresses);
+  const answering = nameservers.filter(server => server.serial !== null && server.serial !== undefined);
+  const serials = [...new Set(answering.map(server => server.serial))];
+  const nsSets = [...new Set(answering.map(server => server.nameservers.join(',')))];
+
+  return {
+    zone,
+    nameservers,
+    networks: [...new Set(addresses.map(networkOf))],
+    providers: [...new Set(names.map(getRegistrableDomain))],
+    ipv6: addresses.some(address => net.isIPv6(address)),
+    // Servers that answer without authority; timeouts are reported as unreachable instead
+    lame: nameservers.filter(server => server.responded && !server.authoritative).map(server => server.name),
+    unreachable: nameservers.filter(server => !server.responded).map(server => server.name),
+    serials,
+    serialsAgree: serials.length <= 1,
+    nsSetsAgree: nsSets.length <= 1 && (nsSets.length === 0 || nsSets[0] === names.join(','))
+  };
+}
+
+/**
+ * Sanity-check SOA serial and timers
+ */
+function checkSoaTimers(soa, now = new Date()) {
+  const issues = [];
+  const [refreshMin, refreshMax] = SOA_LIMITS.refresh;
+  const [expireMin, expireMax] = SOA_LIMITS.expire;
+  const [minimumMin, minimumMax] = SOA_LIMITS.minimum;
+
+  if (soa.refresh < refreshMin || soa.refresh > refreshMax) issues.push(`refresh ${soa.refresh}s outside ${refreshMin}-${refreshMax}s`);
+  if (soa.retry >= soa.refresh) issues.push(`retry ${soa.retry}s should be shorter than refresh ${soa.refresh}s`);
+  if (soa.expire < expireMin || soa.expire > expireMax) issues.push(`expire ${soa.expire}s outside ${expireMin}-${expireMax}s (1-4 weeks)`);
+  if (soa.expire <= soa.refresh + soa.retry) issues.push('expire must exceed refresh + retry');
+  if (soa.minimum < minimumMin || soa.minimum > minimumMax) issues.push(`negative-caching TTL ${soa.minimum}s outside ${minimumMin}-${minimumMax}s`);
+
+  // YYYYMMDDnn serials should not be dated in the future
+  const serial = String(soa.serial);
+  const dated = /^(19|20)\d{6}\d{2}$/.test(serial);
+  if (dated) {
+    const today = Number(now.toISOString().slice(0, 10).replace(/-/g, ''));
+    if (Number(serial.slice(0, 8)) > today) issues.push(`serial ${serial} is dated in the future`);
+  }
+
+  return { serial: soa.serial, dateFormat: dated, issues };
+}
+
+/**
+ * Whether a random, non-existent label under the zone resolves
+ */
+async function detectWildcard(zone, options = {}) {
+  const probe = `sitesentinel-${crypto.randomBytes(6).toString('hex')}.${zone}`;
+  const message = await queryRecords(probe, TYPES.A, options);
+  const records = message.answers
+    .filter(rr => rr.type === TYPES.A || rr.type === TYPES.CNAME)
+    .map(rr => rr.data.address || rr.data.target);
+  return { probe, wildcard: message.rcode === 'NOERROR' && records.length > 0, records };
+}
+
+/**
+ * PTR names for each address and whether they resolve back to it (forward-confirmed reverse DNS)
+ */
+async function checkReverseDns(addresses, resolver) {
+  return Promise.all(addresses.slice(0, MAX_REVERSE_LOOKUPS).map(async address => {
+    const names = await resolver.reverse(address).catch(() => []);
+    const confirmedBy = [];
+    for (const name of names) {
+      const forward = await (net.isIPv6(address) ? resolver.resolve6(name) : resolver.resolve4(name)).catch(() => []);
+      if (forward.includes(address)) confirmedBy.push(name);
+    }
+    return { address, ptr: names, confirmed: confirmedBy.length > 0, confirmedBy };
+  }));
+}
+
+module.exports = {
+  SOA_LIMITS,
+  findCaaRecords,
+  issuerDomainsFor,
+  evaluateCaa,
+  inspectNameServers,
+  checkSoaTimers,
+  detectWildcard,
+  checkReverseDns
+};
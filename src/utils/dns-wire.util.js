@@ -0,0 +1,453 @@
+/**
+ * DNS Wire-Format Client
+ * Minimal RFC 1035 client for record types Node's resolver cannot return (DS, DNSKEY, RRSIG),
+ * plus the configured-resolver helpers shared by the DNS checks
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const dnsPromises = require('dns').promises;
+
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_PORT = 53;
+// UDP attempts per query, like the Node resolver's `tries`; a lost datagram otherwise fails the whole lookup
+const UDP_TRIES = 2;
+const UDP_PAYLOAD_SIZE = 4096;
+
+const TYPES = {
+  A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28,
+  OPT: 41, DS: 43, RRSIG: 46, NSEC: 47, DNSKEY: 48, NSEC3: 50, CAA: 257
+};
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, code]) => [code, name]));
+
+const RCODES = { 0: 'NOERROR', 1: 'FORMERR', 2: 'SERVFAIL', 3: 'NXDOMAIN', 4: 'NOTIMP', 5: 'REFUSED' };
+
+/**
+ * Resolver address from DNS_RESOLVER ("host" or "host:port", IPv6 as "[::1]:53"),
+ * falling back to the first system resolver
+ */
+function getResolverAddress() {
+  const configured = (process.env.DNS_RESOLVER || '').trim();
+  const value = configured || dnsPromises.getServers()[0] || '127.0.0.1';
+  const bracketed = value.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) {
+    return { host: bracketed[1], port: parseInt(bracketed[2], 10) || DEFAULT_PORT };
+  }
+  if (net.isIPv6(value)) {
+    return { host: value, port: DEFAULT_PORT };
+  }
+  const [host, port] = value.split(':');
+  return { host, port: parseInt(port, 10) || DEFAULT_PORT };
+}
+
+/**
+ * Node resolver pointed at DNS_RESOLVER when configured, otherwise the system resolvers
+ */
+function getResolver() {
+  const resolver = new dnsPromises.Resolver({ timeout: DEFAULT_TIMEOUT, tries: 2 });
+  if (process.env.DNS_RESOLVER) {
+    const { host, port } = getResolverAddress();
+    resolver.setServers([net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`]);
+  }
+  return resolver;
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Encode a domain name as uncompressed wire labels
+ */
+function encodeName(name) {
+  const labels = normalizeName(name).split('.').filter(Boolean);
+  const parts = labels.map(label => {
+    const bytes = Buffer.from(label, 'ascii');
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+/**
+ * Build a query with EDNS0; `dnssec` sets the DO bit and CD so bogus data is still returned
+ */
+function buildQuery(name, type, options = {}) {
+  const id = options.id ?? Math.floor(Math.random() * 0x10000);
+  const dnssec = options.dnssec !== false;
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  // RD always; CD when asking for DNSSEC data
+  header.writeUInt16BE(0x0100 | (dnssec ? 0x0010 : 0), 2);
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(0, 6);
+  header.writeUInt16BE(0, 8);
+  header.writeUInt16BE(1, 10);
+
+  const question = Buffer.concat([encodeName(name), Buffer.from([0, 0, 0, 1])]);
+  question.writeUInt16BE(typeof type === 'number' ? type : TYPES[type], question.length - 4);
+
+  const opt = Buffer.alloc(11);
+  opt.writeUInt8(0, 0);
+  opt.writeUInt16BE(TYPES.OPT, 1);
+  opt.writeUInt16BE(UDP_PAYLOAD_SIZE, 3);
+  opt.writeUInt32BE(dnssec ? 0x00008000 : 0, 5);
+  opt.writeUInt16BE(0, 9);
+
+  return { id, buffer: Buffer.concat([header, question, opt]) };
+}
+
+/**
+ * Read a possibly compressed name starting at offset
+ */
+function readName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let end = null;
+  let jumps = 0;
+
+  while (true) {
+    if (position >= buffer.length) throw new Error('Truncated name in DNS message');
+    const length = buffer[position];
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 64) throw new Error('Compression loop in DNS message');
+      if (end === null) end = position + 2;
+      position = ((length & 0x3f) << 8) | buffer[position + 1];
+      continue;
+    }
+    if (length === 0) {
+      position += 1;
+      break;
+    }
+    labels.push(buffer.toString('ascii', position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+
+  return { name: labels.join('.').toLowerCase(), offset: end ?? position };
+}
+
+/**
+ * Type codes present in an NSEC/NSEC3 type bitmap (RFC 4034 section 4.1.2)
+ */
+function readTypeBitmap(buffer) {
+  const types = [];
+  for (let offset = 0; offset + 2 <= buffer.length;) {
+    const window = buffer[offset];
+    const length = buffer[offset + 1];
+    for (let i = 0; i < length && offset + 2 + i < buffer.length; i++) {
+      for (let bit = 0; bit < 8; bit++) {
+        if (buffer[offset + 2 + i] & (0x80 >> bit)) types.push(window * 256 + i * 8 + bit);
+      }
+    }
+    offset += 2 + length;
+  }
+  return types;
+}
+
+/**
+ * Decode RDATA into fields; `canonical` is the RFC 4034 canonical RDATA used for signatures
+ * (embedded names decompressed and lowercased, per section 6.2)
+ */
+function parseRdata(buffer, type, offset, length) {
+  const rdata = buffer.subarray(offset, offset + length);
+  const data = {};
+  let canonical = rdata;
+
+  switch (type) {
+    case TYPES.A:
+      data.address = [...rdata].join('.');
+      break;
+    case TYPES.AAAA:
+      data.address = formatIPv6(rdata);
+      break;
+    case TYPES.NS:
+    case TYPES.CNAME:
+    case TYPES.PTR: {
+      data.target = readName(buffer, offset).name;
+      canonical = encodeName(data.target);
+      break;
+    }
+    case TYPES.MX: {
+      data.priority = rdata.readUInt16BE(0);
+      data.exchange = readName(buffer, offset + 2).name;
+      canonical = Buffer.concat([rdata.subarray(0, 2), encodeName(data.exchange)]);
+      break;
+    }
+    case TYPES.SOA: {
+      const mname = readName(buffer, offset);
+      const rname = readName(buffer, mname.offset);
+      const numbers = buffer.subarray(rname.offset, rname.offset + 20);
+      Object.assign(data, {
+        mname: mname.name,
+        rname: rname.name,
+        serial: numbers.readUInt32BE(0),
+        refresh: numbers.readUInt32BE(4),
+        retry: numbers.readUInt32BE(8),
+        expire: numbers.readUInt32BE(12),
+        minimum: numbers.readUInt32BE(16)
+      });
+      canonical = Buffer.concat([encodeName(data.mname), encodeName(data.rname), numbers]);
+      break;
+    }
+    case TYPES.TXT: {
+      const strings = [];
+      let position = 0;
+      while (position < rdata.length) {
+        const size = rdata[position];
+        strings.push(rdata.toString('utf8', position + 1, position + 1 + size));
+        position += 1 + size;
+      }
+      data.strings = strings;
+      break;
+    }
+    case TYPES.DS:
+      Object.assign(data, {
+        keyTag: rdata.readUInt16BE(0),
+        algorithm: rdata[2],
+        digestType: rdata[3],
+        digest: rdata.subarray(4).toString('hex').toUpperCase()
+      });
+      break;
+    case TYPES.DNSKEY:
+      Object.assign(data, {
+        flags: rdata.readUInt16BE(0),
+        protocol: rdata[2],
+        algorithm: rdata[3],
+        publicKey: rdata.subarray(4)
+      });
+      break;
+    case TYPES.RRSIG: {
+      const signer = readName(rdata, 18);
+      Object.assign(data, {
+        typeCovered: rdata.readUInt16BE(0),
+        algorithm: rdata[2],
+        labels: rdata[3],
+        originalTtl: rdata.readUInt32BE(4),
+        expiration: rdata.readUInt32BE(8),
+        inception: rdata.readUInt32BE(12),
+        keyTag: rdata.readUInt16BE(16),
+        signerName: signer.name,
+        signature: rdata.subarray(signer.offset),
+        // Signed prefix: RRSIG RDATA without the signature, signer name in canonical form
+        signedFields: Buffer.concat([rdata.subarray(0, 18), encodeName(signer.name)])
+      });
+      break;
+    }
+    case TYPES.NSEC: {
+      const next = readName(rdata, 0);
+      Object.assign(data, { nextDomain: next.name, types: readTypeBitmap(rdata.subarray(next.offset)) });
+      break;
+    }
+    case TYPES.NSEC3: {
+      const saltLength = rdata[4];
+      const hashLength = rdata[5 + saltLength];
+      const hashStart = 6 + saltLength;
+      Object.assign(data, {
+        hashAlgorithm: rdata[0],
+        flags: rdata[1],
+        iterations: rdata.readUInt16BE(2),
+        salt: rdata.subarray(5, 5 + saltLength),
+        nextHashed: rdata.subarray(hashStart, hashStart + hashLength),
+        types: readTypeBitmap(rdata.subarray(hashStart + hashLength))
+      });
+      break;
+    }
+    case TYPES.CAA: {
+      const tagLength = rdata[1];
+      Object.assign(data, {
+        critical: rdata[0],
+        tag: rdata.toString('ascii', 2, 2 + tagLength).toLowerCase(),
+        value: rdata.toString('utf8', 2 + tagLength)
+      });
+      break;
+    }
+    default:
+      break;
+  }
+
+  return { rdata, canonical, data };
+}
+
+/**
+ * Format 16 bytes as an RFC 5952 IPv6 address (longest zero run compressed)
+ */
+function formatIPv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i));
+
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart < 0) return hex.join(':');
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Parse a full DNS response message
+ */
+function parseMessage(buffer) {
+  if (buffer.length < 12) throw new Error('DNS response too short');
+  const flags = buffer.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+  let offset = 12;
+
+  const questions = [];
+  for (let i = 0; i < counts[0]; i++) {
+    const name = readName(buffer, offset);
+    offset = name.offset;
+    questions.push({ name: name.name, type: buffer.readUInt16BE(offset) });
+    offset += 4;
+  }
+
+  const readRecords = (count) => {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const owner = readName(buffer, offset);
+      offset = owner.offset;
+      const type = buffer.readUInt16BE(offset);
+      const rrClass = buffer.readUInt16BE(offset + 2);
+      const ttl = buffer.readUInt32BE(offset + 4);
+      const length = buffer.readUInt16BE(offset + 8);
+      offset += 10;
+      const parsed = parseRdata(buffer, type, offset, length);
+      offset += length;
+      records.push({ name: owner.name, type, typeName: TYPE_NAMES[type] || String(type), class: rrClass, ttl, ...parsed });
+    }
+    return records;
+  };
+
+  const answers = readRecords(counts[1]);
+  const authorities = readRecords(counts[2]);
+  const additionals = readRecords(counts[3]);
+
+  return {
+    id: buffer.readUInt16BE(0),
+    authoritative: !!(flags & 0x0400),
+    truncated: !!(flags & 0x0200),
+    authenticated: !!(flags & 0x0020),
+    rcode: RCODES[flags & 0x000f] || String(flags & 0x000f),
+    questions,
+    answers,
+    authorities,
+    additionals
+  };
+}
+
+function sendUdp(query, server, timeout, signal) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(server.host) ? 'udp6' : 'udp4');
+    const finish = (error, value) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      socket.close();
+      error ? reject(error) : resolve(value);
+    };
+    const onAbort = () => finish(signal.reason);
+    const timer = setTimeout(() => finish(Object.assign(new Error(`DNS query to ${server.host}:${server.port} timed out`), { code: 'ETIMEOUT' })), timeout);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    socket.on('message', (message) => {
+      if (message.length >= 2 && message.readUInt16BE(0) === query.id) finish(null, message);
+    });
+    socket.on('error', (error) => finish(error));
+    socket.send(query.buffer, server.port, server.host);
+  });
+}
+
+function sendTcp(query, server, timeout, signal) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.port, server.host);
+    let received = Buffer.alloc(0);
+    const finish = (error, value) => {
+      signal?.removeEventListener('abort', onAbort);
+      socket.destroy();
+      error ? reject(error) : resolve(value);
+    };
+    const onAbort = () => finish(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    socket.setTimeout(timeout, () => finish(new Error(`DNS TCP query to ${server.host}:${server.port} timed out`)));
+    socket.on('connect', () => {
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(query.buffer.length);
+      socket.write(Buffer.concat([length, query.buffer]));
+    });
+    socket.on('data', (chunk) => {
+      received = Buffer.concat([received, chunk]);
+      if (received.length >= 2 && received.length >= 2 + received.readUInt16BE(0)) {
+        finish(null, received.subarray(2, 2 + received.readUInt16BE(0)));
+      }
+    });
+    socket.on('error', (error) => finish(error));
+  });
+}
+
+/**
+ * Send one query to the configured resolver, resending UDP queries that time out and retrying over TCP
+ * when the UDP answer is truncated
+ * Options: { server: { host, port }, timeout (per attempt), signal, dnssec }
+ */
+async function queryRecords(name, type, options = {}) {
+  const server = options.server || getResolverAddress();
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const query = buildQuery(name, type, options);
+
+  let response;
+  for (let attempt = 1; !response; attempt++) {
+    try {
+      response = await sendUdp(query, server, timeout, options.signal);
+    } catch (error) {
+      if (error.code !== 'ETIMEOUT' || attempt >= UDP_TRIES) throw error;
+    }
+  }
+  let message = parseMessage(response);
+  if (message.truncated) {
+    message = parseMessage(await sendTcp(query, server, timeout, options.signal));
+  }
+  return message;
+}
+
+/**
+ * Find the zone a hostname belongs to, following the SOA in the answer or authority section
+ */
+async function findZone(hostname, options = {}) {
+  let name = normalizeName(hostname);
+  while (true) {
+    const message = await queryRecords(name, TYPES.SOA, options);
+    if (message.rcode === 'NXDOMAIN' && name === normalizeName(hostname)) {
+      throw new Error(`${hostname} does not exist (NXDOMAIN)`);
+    }
+    const soaAnswer = message.answers.find(rr => rr.type === TYPES.SOA && rr.name === name);
+    if (soaAnswer) return name;
+
+    const soaAuthority = message.authorities.find(rr => rr.type === TYPES.SOA);
+    const aliased = message.answers.some(rr => rr.type === TYPES.CNAME);
+    if (soaAuthority && !aliased && (name === soaAuthority.name || name.endsWith(`.${soaAuthority.name}`) || soaAuthority.name === '')) {
+      return soaAuthority.name;
+    }
+    if (!name) return '';
+    // Aliased or no SOA: walk up one label
+    name = name.split('.').slice(1).join('.');
+  }
+}
+
+module.exports = {
+  TYPES,
+  TYPE_NAMES,
+  getResolverAddress,
+  getResolver,
+  normalizeName,
+  encodeName,
+  buildQuery,
+  parseMessage,
+  queryRecords,
+  findZone
+};
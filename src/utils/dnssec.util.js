@@ -0,0 +1,530 @@
+/**
+ * DNSSEC Validation
+ * Walks the chain of trust from a trust anchor down to a host's zone and verifies RRSIGs with node:crypto
+ */
+
+const crypto = require('crypto');
+const { TYPES, TYPE_NAMES, queryRecords, findZone, encodeName, normalizeName } = require('./dns-wire.util');
+
+const ALGORITHMS = {
+  5: { name: 'RSASHA1', hash: 'sha1', kind: 'rsa' },
+  7: { name: 'RSASHA1-NSEC3-SHA1', hash: 'sha1', kind: 'rsa' },
+  8: { name: 'RSASHA256', hash: 'sha256', kind: 'rsa' },
+  10: { name: 'RSASHA512', hash: 'sha512', kind: 'rsa' },
+  13: { name: 'ECDSAP256SHA256', hash: 'sha256', kind: 'ec', curve: 'P-256', size: 32 },
+  14: { name: 'ECDSAP384SHA384', hash: 'sha384', kind: 'ec', curve: 'P-384', size: 48 },
+  15: { name: 'ED25519', hash: null, kind: 'okp', curve: 'Ed25519' }
+};
+const DIGESTS = { 1: 'sha1', 2: 'sha256', 4: 'sha384' };
+
+// IANA root zone KSKs (KSK-2017 and KSK-2024), in DS presentation format
+const ROOT_TRUST_ANCHORS = [
+  '. 20326 8 2 E06D44B80B8F1D39A95C0B0D7C65D08458E880409BBC683457104237C7F8EC8D',
+  '. 38696 8 2 683D2D0ACB8C9B712A1948B27F741219298D0A450D612C483AF444A4C0FB2B16'
+];
+
+const ZONE_FLAG = 0x0100;
+const SEP_FLAG = 0x0001;
+const NSEC3_OPT_OUT = 0x01;
+const MAX_NSEC3_ITERATIONS = 150;
+
+/**
+ * Parse "zone keytag algorithm digesttype digest" anchors
+ * DNSSEC_TRUST_ANCHORS (semicolon-separated) replaces the root anchors, e.g. for a local test zone.
+ */
+function getTrustAnchors(value = process.env.DNSSEC_TRUST_ANCHORS) {
+  const entries = value ? value.split(';') : ROOT_TRUST_ANCHORS;
+  return entries.map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [zone, keyTag, algorithm, digestType, ...digest] = entry.split(/\s+/);
+    return {
+      zone: normalizeName(zone),
+      keyTag: parseInt(keyTag, 10),
+      algorithm: parseInt(algorithm, 10),
+      digestType: parseInt(digestType, 10),
+      digest: digest.join('').toUpperCase()
+    };
+  });
+}
+
+/**
+ * Key tag of a DNSKEY RDATA (RFC 4034 Appendix B)
+ */
+function keyTag(rdata) {
+  let accumulator = 0;
+  for (let i = 0; i < rdata.length; i++) {
+    accumulator += i & 1 ? rdata[i] : rdata[i] << 8;
+  }
+  accumulator += (accumulator >> 16) & 0xffff;
+  return accumulator & 0xffff;
+}
+
+/**
+ * DS digest of a DNSKEY (RFC 4034 section 5.1.4)
+ */
+function dsDigest(owner, dnskeyRdata, digestType) {
+  const hash = DIGESTS[digestType];
+  if (!hash) return null;
+  return crypto.createHash(hash).update(Buffer.concat([encodeName(owner), dnskeyRdata])).digest('hex').toUpperCase();
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Build a node:crypto public key from DNSKEY public key material
+ */
+function publicKeyFor(algorithm, key) {
+  const spec = ALGORITHMS[algorithm];
+  if (spec.kind === 'rsa') {
+    // RFC 3110: one-byte exponent length, or zero followed by a two-byte length
+    const longForm = key[0] === 0;
+    const exponentLength = longForm ? key.readUInt16BE(1) : key[0];
+    const start = longForm ? 3 : 1;
+    return crypto.createPublicKey({
+      key: { kty: 'RSA', e: base64url(key.subarray(start, start + exponentLength)), n: base64url(key.subarray(start + exponentLength)) },
+      format: 'jwk'
+    });
+  }
+  if (spec.kind === 'ec') {
+    return crypto.createPublicKey({
+      key: { kty: 'EC', crv: spec.curve, x: base64url(key.subarray(0, spec.size)), y: base64url(key.subarray(spec.size, spec.size * 2)) },
+      format: 'jwk'
+    });
+  }
+  return crypto.createPublicKey({ key: { kty: 'OKP', crv: spec.curve, x: base64url(key) }, format: 'jwk' });
+}
+
+/**
+ * Data covered by an RRSIG: its own fields followed by the RRset in canonical order (RFC 4034 section 3.1.8.1)
+ */
+function signedData(rrset, rrsig) {
+  const { labels, originalTtl, signedFields } = rrsig.data;
+  const ownerLabels = rrset[0].name.split('.').filter(Boolean);
+  // Wildcard expansion: the signature covers "*.<closest encloser>"
+  const owner = labels < ownerLabels.length ? `*.${ownerLabels.slice(-labels).join('.')}` : rrset[0].name;
+  const ownerWire = encodeName(owner);
+
+  const records = [...new Map(rrset.map(rr => [rr.canonical.toString('hex'), rr])).values()]
+    .sort((a, b) => Buffer.compare(a.canonical, b.canonical))
+    .map(rr => {
+      const fixed = Buffer.alloc(10);
+      fixed.writeUInt16BE(rr.type, 0);
+      fixed.writeUInt16BE(rr.class, 2);
+      fixed.writeUInt32BE(originalTtl, 4);
+      fixed.writeUInt16BE(rr.canonical.length, 8);
+      return Buffer.concat([ownerWire, fixed, rr.canonical]);
+    });
+
+  return Buffer.concat([signedFields, ...records]);
+}
+
+/**
+ * Verify one RRSIG over an RRset with one DNSKEY record
+ */
+function verifySignature(rrset, rrsig, dnskey, now = Date.now()) {
+  const spec = ALGORITHMS[rrsig.data.algorithm];
+  if (!spec) return { valid: false, reason: `Unsupported algorithm ${rrsig.data.algorithm}` };
+
+  const seconds = Math.floor(now / 1000);
+  if (seconds > rrsig.data.expiration) return { valid: false, reason: 'Signature expired' };
+  if (seconds < rrsig.data.inception) return { valid: false, reason: 'Signature not yet valid' };
+
+  try {
+    const key = publicKeyFor(rrsig.data.algorithm, dnskey.data.publicKey);
+    const data = signedData(rrset, rrsig);
+    const valid = spec.kind === 'ec'
+      ? crypto.verify(spec.hash, data, { key, dsaEncoding: 'ieee-p1363' }, rrsig.data.signature)
+      : crypto.verify(spec.hash, data, key, rrsig.data.signature);
+    return valid ? { valid: true } : { valid: false, reason: 'Signature does not verify' };
+  } catch (error) {
+    return { valid: false, reason: `Signature check failed: ${error.message}` };
+  }
+}
+
+/**
+ * Verify an RRset against any of its RRSIGs made by one of the given keys
+ */
+function verifyRrset(rrset, rrsigs, keys, now) {
+  if (rrset.length === 0) return { valid: false, reason: 'Empty RRset' };
+  if (rrsigs.length === 0) return { valid: false, reason: `No RRSIG over ${rrset[0].name} ${rrset[0].typeName}` };
+
+  let reason = 'No DNSKEY matches the RRSIG key tag';
+  for (const rrsig of rrsigs) {
+    const candidates = keys.filter(key => key.name === rrsig.data.signerName
+      && key.data.algorithm === rrsig.data.algorithm
+      && keyTag(key.rdata) === rrsig.data.keyTag);
+    for (const key of candidates) {
+      const result = verifySignature(rrset, rrsig, key, now);
+      if (result.valid) return { valid: true, rrsig };
+      reason = result.reason;
+    }
+  }
+  return { valid: false, reason };
+}
+
+function pickRrset(records, name, type) {
+  return records.filter(rr => rr.name === name && rr.type === type);
+}
+
+function pickSignatures(records, name, type) {
+  return records.filter(rr => rr.name === name && rr.type === TYPES.RRSIG && rr.data.typeCovered === type);
+}
+
+function describeKey(key) {
+  return {
+    keyTag: keyTag(key.rdata),
+    flags: key.data.flags,
+    sep: !!(key.data.flags & SEP_FLAG),
+    algorithm: ALGORITHMS[key.data.algorithm]?.name || String(key.data.algorithm)
+  };
+}
+
+function displayZone(zone) {
+  return zone || '.';
+}
+
+/**
+ * Whether `ancestor` is a proper ancestor zone of `name` (the root is everyone's ancestor)
+ */
+function isAncestor(ancestor, name) {
+  return ancestor !== name && (ancestor === '' || name.endsWith(`.${ancestor}`));
+}
+
+/**
+ * Canonical DNS name order (RFC 4034 section 6.1)
+ */
+function compareNames(a, b) {
+  const left = a.split('.').filter(Boolean).reverse();
+  const right = b.split('.').filter(Boolean).reverse();
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const order = Buffer.compare(Buffer.from(left[i], 'ascii'), Buffer.from(right[i], 'ascii'));
+    if (order !== 0) return order;
+  }
+  return left.length - right.length;
+}
+
+function base32hex(buffer) {
+  const alphabet = '0123456789abcdefghijklmnopqrstuv';
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += alphabet[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Hashed owner label of a name under NSEC3 parameters (RFC 5155 section 5)
+ */
+function nsec3Hash(name, salt, iterations) {
+  let digest = crypto.createHash('sha1').update(Buffer.concat([encodeName(name), salt])).digest();
+  for (let i = 0; i < iterations; i++) {
+    digest = crypto.createHash('sha1').update(Buffer.concat([digest, salt])).digest();
+  }
+  return base32hex(digest);
+}
+
+/**
+ * Whether `value` falls strictly between an owner and its successor, wrapping at the end of the chain
+ */
+function covers(owner, next, value, compare) {
+  return compare(owner, next) < 0
+    ? compare(owner, value) < 0 && compare(value, next) < 0
+    : compare(owner, value) < 0 || compare(value, next) < 0;
+}
+
+/**
+ * Check validated NSEC/NSEC3 records from the parent for proof that a delegation has no DS
+ * Returns { proven, reason }.
+ */
+function proveNoDs(zone, parentZone, records) {
+  const delegationTypesOk = types => !types.includes(TYPES.DS) && !types.includes(TYPES.SOA);
+
+  for (const nsec of records.filter(rr => rr.type === TYPES.NSEC)) {
+    if (nsec.name === zone && delegationTypesOk(nsec.data.types)) {
+      return { proven: true, reason: 'parent NSEC record proves the delegation has no DS' };
+    }
+    if (covers(nsec.name, nsec.data.nextDomain, zone, compareNames)) {
+      return { proven: true, reason: 'parent NSEC record proves the name does not exist' };
+    }
+  }
+
+  const nsec3 = records.filter(rr => rr.type === TYPES.NSEC3 && rr.data.hashAlgorithm === 1
+    && rr.name.split('.').slice(1).join('.') === parentZone);
+  if (nsec3.length === 0) return { proven: false };
+  const { salt, iterations } = nsec3[0].data;
+  if (iterations > MAX_NSEC3_ITERATIONS) {
+    // RFC 9276 section 3.2: validators may treat such responses as insecure
+    return { proven: true, reason: `parent NSEC3 uses ${iterations} iterations, above the ${MAX_NSEC3_ITERATIONS} a validator has to honour` };
+  }
+  const chain = nsec3.map(rr => ({ owner: rr.name.split('.')[0], next: base32hex(rr.data.nextHashed), rr }));
+  const compareHashes = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+  const match = chain.find(entry => entry.owner === nsec3Hash(zone, salt, iterations));
+  if (match) {
+    return delegationTypesOk(match.rr.data.types)
+      ? { proven: true, reason: 'parent NSEC3 record proves the delegation has no DS' }
+      : { proven: false };
+  }
+
+  // Closest encloser proof, then an opt-out span covering the next closer name (RFC 5155 section 8.6)
+  const labels = zone.split('.');
+  const parentDepth = parentZone ? parentZone.split('.').length : 0;
+  for (let depth = labels.length - 1; depth >= parentDepth; depth--) {
+    const encloser = labels.slice(labels.length - depth).join('.');
+    if (!chain.some(entry => entry.owner === nsec3Hash(encloser, salt, iterations))) continue;
+    const nextCloser = nsec3Hash(labels.slice(labels.length - depth - 1).join('.'), salt, iterations);
+    const covering = chain.find(entry => covers(entry.owner, entry.next, nextCloser, compareHashes));
+    if (!covering) break;
+    return { proven: true, reason: covering.rr.data.flags & NSEC3_OPT_OUT
+      ? 'parent NSEC3 opt-out span covers the delegation'
+      : 'parent NSEC3 records prove the name does not exist' };
+  }
+  return { proven: false };
+}
+
+/**
+ * Create a validator bound to one resolver and abort signal
+ * Zone results are cached for the validator's lifetime.
+ */
+function createDnssecValidator(options = {}) {
+  const trustAnchors = options.trustAnchors || getTrustAnchors();
+  const queryOptions = { server: options.server, signal: options.signal, timeout: options.timeout, dnssec: true };
+  const query = (name, type) => queryRecords(name, type, queryOptions);
+  const zoneCache = new Map();
+
+  /**
+   * Establish the validated DNSKEY set for a zone
+   */
+  async function validateZone(zone) {
+    if (!zoneCache.has(zone)) {
+      zoneCache.set(zone, validateZoneUncached(zone));
+    }
+    return zoneCache.get(zone);
+  }
+
+  async function validateZoneUncached(zone) {
+    const result = { zone: displayZone(zone), status: 'unsigned', reason: null, dsSource: null, ds: [], dnskeys: [], keys: [], parent: null };
+
+    const dnskeyMessage = await query(zone, TYPES.DNSKEY);
+    const keys = pickRrset(dnskeyMessage.answers, zone, TYPES.DNSKEY).filter(key => key.data.flags & ZONE_FLAG);
+    result.dnskeys = keys.map(describeKey);
+
+    let dsSet;
+    const anchors = trustAnchors.filter(anchor => anchor.zone === zone);
+    if (anchors.length > 0) {
+      dsSet = anchors;
+      result.dsSource = 'trust anchor';
+    } else if (zone === '') {
+      result.reason = 'No trust anchor configured for the root zone';
+      return result;
+    } else {
+      const dsMessage = await query(zone, TYPES.DS);
+      const dsRecords = pickRrset(dsMessage.answers, zone, TYPES.DS);
+      if (dsRecords.length === 0) {
+        return verifyDsDenial(zone, keys, dsMessage.authorities, result);
+      }
+
+      const dsSignatures = pickSignatures(dsMessage.answers, zone, TYPES.DS);
+      const parentZone = dsSignatures[0]?.data.signerName ?? zone.split('.').slice(1).join('.');
+      // The signer is unverified until checked against its keys; only a parent may vouch for a DS
+      if (!isAncestor(parentZone, zone)) {
+        result.status = 'broken';
+        result.reason = `DS record for ${displayZone(zone)} is signed by ${displayZone(parentZone)}, which is not a parent zone`;
+        return result;
+      }
+      result.parent = await validateZone(parentZone);
+      if (result.parent.status !== 'signed') {
+        result.status = result.parent.status;
+        result.reason = `Parent zone ${displayZone(parentZone)}: ${result.parent.reason}`;
+        return result;
+      }
+
+      const dsCheck = verifyRrset(dsRecords, dsSignatures, result.parent.keys);
+      if (!dsCheck.valid) {
+        result.status = 'broken';
+        result.reason = `DS record for ${displayZone(zone)} does not validate: ${dsCheck.reason}`;
+        return result;
+      }
+      dsSet = dsRecords.map(ds => ds.data);
+      result.dsSource = `parent (${displayZone(parentZone)})`;
+    }
+    result.ds = dsSet.map(ds => ({ keyTag: ds.keyTag, algorithm: ALGORITHMS[ds.algorithm]?.name || String(ds.algorithm), digestType: ds.digestType }));
+
+    if (dsSet.every(ds => !ALGORITHMS[ds.algorithm] || !DIGESTS[ds.digestType])) {
+      // RFC 4035 section 5.2: unknown algorithms make the zone insecure rather than bogus
+      result.reason = 'DS records only use unsupported algorithms';
+      return result;
+    }
+    if (keys.length === 0 && anchors.length > 0) {
+      throw new Error(`Resolver returned no DNSKEY records for trust anchor zone ${displayZone(zone)}; it may not support DNSSEC`);
+    }
+    if (keys.length === 0) {
+      result.status = 'broken';
+      result.reason = 'DS record exists but the zone serves no DNSKEY records';
+      return result;
+    }
+
+    const entryKeys = keys.filter(key => dsSet.some(ds => ds.keyTag === keyTag(key.rdata)
+      && ds.algorithm === key.data.algorithm
+      && dsDigest(zone, key.rdata, ds.digestType) === ds.digest));
+    if (entryKeys.length === 0) {
+      result.status = 'broken';
+      result.reason = 'No DNSKEY matches the DS record(s) at the parent';
+      return result;
+    }
+
+    const keyCheck = verifyRrset(keys, pickSignatures(dnskeyMessage.answers, zone, TYPES.DNSKEY), entryKeys);
+    if (!keyCheck.valid) {
+      result.status = 'broken';
+      result.reason = `DNSKEY RRset does not validate: ${keyCheck.reason}`;
+      return result;
+    }
+
+    result.status = 'signed';
+    result.keys = keys;
+    return result;
+  }
+
+  /**
+   * Accept a missing DS only when the parent is unsigned or proves the absence with signed NSEC/NSEC3
+   * Otherwise the DS may have been stripped in transit, which makes the zone bogus rather than insecure.
+   */
+  async function verifyDsDenial(zone, keys, authorities, result) {
+    const denialTypes = [TYPES.NSEC, TYPES.NSEC3, TYPES.SOA];
+    const signer = authorities.find(rr => rr.type === TYPES.RRSIG && denialTypes.includes(rr.data.typeCovered))?.data.signerName;
+    const parentZone = signer !== undefined && isAncestor(signer, zone) ? signer : zone.split('.').slice(1).join('.');
+    const missing = keys.length > 0
+      ? 'Zone publishes DNSKEY records but the parent has no DS record (island of security)'
+      : 'No DS record at the parent zone';
+
+    result.parent = await validateZone(parentZone);
+    if (result.parent.status !== 'signed') {
+      result.status = result.parent.status;
+      result.reason = `${missing}; parent zone ${displayZone(parentZone)}: ${result.parent.reason}`;
+      return result;
+    }
+
+    const verified = [];
+    let failure = 'no NSEC/NSEC3 records in the response';
+    for (const type of [TYPES.NSEC, TYPES.NSEC3]) {
+      const owners = [...new Set(authorities.filter(rr => rr.type === type).map(rr => rr.name))];
+      for (const owner of owners) {
+        const rrset = pickRrset(authorities, owner, type);
+        const check = verifyRrset(rrset, pickSignatures(authorities, owner, type), result.parent.keys);
+        if (check.valid) verified.push(...rrset);
+        else failure = `${TYPE_NAMES[type]} at ${owner} does not validate: ${check.reason}`;
+      }
+    }
+
+    const proof = proveNoDs(zone, parentZone, verified);
+    if (proof.proven) {
+      result.reason = `${missing}; ${proof.reason}`;
+      return result;
+    }
+    result.status = 'broken';
+    result.reason = `No DS record for ${displayZone(zone)} and signed parent ${displayZone(parentZone)} gives no valid denial of existence `
+      + `(${verified.length > 0 ? 'the records do not cover the delegation' : failure}); the DS may have been stripped`;
+    return result;
+  }
+
+  /**
+   * Validate the chain of trust for a host and the RRSIGs over its A records
+   */
+  async function validateHost(hostname) {
+    const host = normalizeName(hostname);
+    const zone = await findZone(host, queryOptions);
+    const zoneResult = await validateZone(zone);
+
+    const chain = [];
+    for (let link = zoneResult; link; link = link.parent) {
+      const { keys, parent, ...summary } = link;
+      chain.push(summary);
+    }
+
+    const result = { hostname: host, zone: displayZone(zone), status: zoneResult.status, reason: zoneResult.reason, chain, rrsets: [] };
+    if (zoneResult.status !== 'signed') return result;
+
+    const message = await query(host, TYPES.A);
+    const groups = new Map();
+    message.answers.filter(rr => rr.type !== TYPES.RRSIG).forEach(rr => {
+      const key = `${rr.name}|${rr.type}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(rr);
+    });
+
+    for (const rrset of groups.values()) {
+      const { name, type } = rrset[0];
+      const signatures = pickSignatures(message.answers, name, type);
+      const inZone = name === zone || zone === '' || name.endsWith(`.${zone}`);
+      const entry = {
+        name,
+        type: TYPE_NAMES[type] || String(type),
+        records: rrset.map(rr => rr.data.address || rr.data.target || rr.rdata.toString('hex')),
+        validated: false,
+        signer: signatures[0]?.data.signerName ?? null,
+        reason: null
+      };
+      result.rrsets.push(entry);
+
+      if (signatures.length === 0 && !inZone) {
+        entry.reason = 'Outside the signed zone and unsigned';
+        continue;
+      }
+
+      const signer = signatures[0]?.data.signerName ?? zone;
+      if (signer !== name && !isAncestor(signer, name)) {
+        entry.reason = `Signed by ${displayZone(signer)}, which does not contain ${name}`;
+        result.status = 'broken';
+        result.reason = `${name} ${entry.type}: ${entry.reason}`;
+        continue;
+      }
+      const signerResult = signer === zone ? zoneResult : await validateZone(signer);
+      if (signerResult.status === 'unsigned') {
+        entry.reason = `Signer zone ${displayZone(signer)} is unsigned`;
+        continue;
+      }
+
+      const check = signerResult.status === 'signed'
+        ? verifyRrset(rrset, signatures, signerResult.keys)
+        : { valid: false, reason: signerResult.reason };
+      entry.validated = check.valid;
+      if (check.valid) {
+        entry.algorithm = ALGORITHMS[check.rrsig.data.algorithm].name;
+        entry.expiration = new Date(check.rrsig.data.expiration * 1000).toISOString();
+      } else {
+        entry.reason = check.reason;
+        result.status = 'broken';
+        result.reason = `${name} ${entry.type}: ${check.reason}`;
+      }
+    }
+
+    if (result.rrsets.length === 0) {
+      result.reason = `No A records for ${host}`;
+    }
+    return result;
+  }
+
+  return {
+    validateHost,
+    validateZone
+  };
+}
+
+module.exports = {
+  ALGORITHMS,
+  ROOT_TRUST_ANCHORS,
+  getTrustAnchors,
+  keyTag,
+  dsDigest,
+  verifySignature,
+  createDnssecValidator
+};
@@ -0,0 +1,84 @@
+/**
+ * Domain Helpers
+ * Registrable-domain ("site") comparison for first-party vs third-party decisions
+ */
+
+const net = require('net');
+
+// Common multi-label public suffixes run by registries (ICANN section of the Public Suffix List);
+// anything else is treated as a single-label TLD
+const ICANN_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'plc.uk', 'me.uk', 'net.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'org.nz', 'net.nz', 'govt.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+  'co.kr', 'or.kr', 'co.in', 'net.in', 'org.in', 'gov.in',
+  'com.br', 'net.br', 'org.br', 'gov.br', 'com.mx', 'com.ar', 'com.co',
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'com.hk', 'com.tw', 'com.sg', 'com.my',
+  'co.za', 'org.za', 'com.tr', 'co.il', 'com.ua', 'com.pl', 'co.id', 'com.ph', 'com.vn'
+]);
+
+// Hosting platforms that hand out subdomains to unrelated customers (private section of the list);
+// they separate sites but the names are registered once, by the platform
+const PRIVATE_SUFFIXES = new Set([
+  'github.io', 'gitlab.io', 'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev',
+  'workers.dev', 'web.app', 'firebaseapp.com', 'azurewebsites.net', 'cloudfront.net',
+  'appspot.com', 'blogspot.com', 's3.amazonaws.com'
+]);
+
+const MULTI_LABEL_SUFFIXES = new Set([...ICANN_SUFFIXES, ...PRIVATE_SUFFIXES]);
+
+function normalizeHost(hostname) {
+  return String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/^\.+|\.+$/g, '');
+}
+
+function registrableDomainFor(hostname, suffixes) {
+  const host = normalizeHost(hostname);
+  if (!host || net.isIP(host)) return host;
+
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+
+  const lastTwo = labels.slice(-2).join('.');
+  const lastThree = labels.slice(-3).join('.');
+  if (suffixes.has(lastThree)) return labels.slice(-4).join('.');
+  if (suffixes.has(lastTwo)) return lastThree;
+  return lastTwo;
+}
+
+/**
+ * Registrable domain (eTLD+1) for a hostname; IP addresses are returned unchanged
+ */
+function getRegistrableDomain(hostname) {
+  return registrableDomainFor(hostname, MULTI_LABEL_SUFFIXES);
+}
+
+/**
+ * Domain as registered with its registry, ignoring hosting-platform suffixes
+ * Use this for registration data (RDAP/WHOIS): foo.github.io is registered as github.io.
+ */
+function getRegisteredDomain(hostname) {
+  return registrableDomainFor(hostname, ICANN_SUFFIXES);
+}
+
+/**
+ * Whether two hostnames belong to the same site
+ */
+function isSameSite(hostA, hostB) {
+  return getRegistrableDomain(hostA) === getRegistrableDomain(hostB);
+}
+
+/**
+ * Whether a hostname is a public suffix on its own (e.g. "co.uk", "com")
+ */
+function isPublicSuffix(hostname) {
+  const host = normalizeHost(hostname);
+  return !host.includes('.') || MULTI_LABEL_SUFFIXES.has(host);
+}
+
+module.exports = {
+  getRegistrableDomain,
+  getRegisteredDomain,
+  isSameSite,
+  isPublicSuffix
+};
@@ -0,0 +1,208 @@
+/**
+ * Outbound Request (Egress) Policy
+ * Keeps analyses from reaching loopback, private, link-local and cloud metadata addresses
+ *
+ * The policy is enforced on the resolved address of every connection (so DNS tricks
+ * and redirects to internal hosts are caught), not just on the submitted URL.
+ *
+ * Configuration:
+ *   EGRESS_ALLOWLIST  Comma-separated CIDRs, IPs or hostnames (`*.corp.example` for a
+ *                     whole subdomain tree) that may be reached despite the default blocks.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+const BLOCKED_RANGES = [
+  // IPv4
+  ['0.0.0.0', 8, 'ipv4'],        // "this" network
+  ['10.0.0.0', 8, 'ipv4'],       // RFC1918 private
+  ['100.64.0.0', 10, 'ipv4'],    // carrier-grade NAT (includes some cloud metadata endpoints)
+  ['127.0.0.0', 8, 'ipv4'],      // loopback
+  ['169.254.0.0', 16, 'ipv4'],   // link-local, including 169.254.169.254 metadata
+  ['172.16.0.0', 12, 'ipv4'],    // RFC1918 private
+  ['192.0.0.0', 24, 'ipv4'],     // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'],   // RFC1918 private
+  ['198.18.0.0', 15, 'ipv4'],    // benchmarking
+  ['224.0.0.0', 4, 'ipv4'],      // multicast
+  ['240.0.0.0', 4, 'ipv4'],      // reserved and broadcast
+  // IPv6 (IPv4-mapped addresses are matched against the IPv4 ranges above)
+  ['::', 128, 'ipv6'],           // unspecified
+  ['::1', 128, 'ipv6'],          // loopback
+  ['::', 96, 'ipv6'],            // IPv4-compatible (deprecated), e.g. ::127.0.0.1
+  ['2002::', 16, 'ipv6'],        // 6to4, embeds an IPv4 address in bits 16-47
+  ['64:ff9b::', 96, 'ipv6'],     // NAT64, can embed any IPv4 address
+  ['fc00::', 7, 'ipv6'],         // unique local, including fd00:ec2::254 metadata
+  ['fe80::', 10, 'ipv6'],        // link-local
+  ['ff00::', 8, 'ipv6']          // multicast
+];
+
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata.google.internal'];
+
+class EgressBlockedError extends Error {
+  constructor(target, address) {
+    super(address && address !== target
+      ? `Blocked by egress policy: ${target} resolves to restricted address ${address}`
+      : `Blocked by egress policy: ${target} is a restricted address`);
+    this.name = 'EgressBlockedError';
+    this.code = 'EGRESS_BLOCKED';
+    this.target = target;
+    this.address = address;
+  }
+}
+
+function stripBrackets(host) {
+  return host.startsWith('[') && host.endsWith(']') ? host.slice(1, -1) : host;
+}
+
+/**
+ * Build a policy from an allowlist of CIDRs, IPs and hostname patterns
+ */
+function createEgressPolicy(allowlist = []) {
+  const blocked = new net.BlockList();
+  BLOCKED_RANGES.forEach(([address, prefix, type]) => blocked.addSubnet(address, prefix, type));
+
+  const allowedAddresses = new net.BlockList();
+  const allowedHosts = [];
+
+  allowlist.map(entry => entry.trim().toLowerCase()).filter(Boolean).forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIP(stripBrackets(address));
+    if (type) {
+      const family = type === 6 ? 'ipv6' : 'ipv4';
+      const bits = prefix !== undefined ? parseInt(prefix, 10) : (type === 6 ? 128 : 32);
+      allowedAddresses.addSubnet(stripBrackets(address), bits, family);
+    } else {
+      allowedHosts.push(entry);
+    }
+  });
+
+  return {
+    isHostAllowlisted(hostname) {
+      const host = stripBrackets(String(hostname).toLowerCase()).replace(/\.$/, '');
+      return allowedHosts.some(pattern => pattern.startsWith('*.')
+        ? host.endsWith(pattern.slice(1))
+        : host === pattern);
+    },
+
+    isAddressAllowed(address) {
+      const ip = stripBrackets(address);
+      const type = net.isIP(ip);
+      if (!type) return false;
+      const family = type === 6 ? 'ipv6' : 'ipv4';
+      if (allowedAddresses.check(ip, family)) return true;
+      return !blocked.check(ip, family);
+    },
+
+    isHostnameBlocked(hostname) {
+      const host = stripBrackets(String(hostname).toLowerCase()).replace(/\.$/, '');
+      if (this.isHostAllowlisted(host)) return false;
+      return BLOCKED_HOSTNAMES.includes(host) || host.endsWith('.localhost');
+    }
+  };
+}
+
+let policy = createEgressPolicy((process.env.EGRESS_ALLOWLIST || '').split(','));
+
+/**
+ * Replace the active policy (used for internal deployments and tests)
+ */
+function configureEgressPolicy(allowlist) {
+  policy = createEgressPolicy(allowlist);
+  return policy;
+}
+
+function getEgressPolicy() {
+  return policy;
+}
+
+/**
+ * Synchronous check of a URL's literal host (no DNS)
+ * Returns an EgressBlockedError or null.
+ */
+function checkUrlHost(url) {
+  const hostname = new URL(url).hostname;
+  const host = stripBrackets(hostname);
+
+  if (policy.isHostAllowlisted(host)) return null;
+  if (policy.isHostnameBlocked(host)) return new EgressBlockedError(host);
+  if (net.isIP(host) && !policy.isAddressAllowed(host)) return new EgressBlockedError(host);
+  return null;
+}
+
+/**
+ * Drop-in replacement for dns.lookup that refuses restricted addresses
+ * Used as the socket lookup for every outbound HTTP(S) connection.
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  if (policy.isHostnameBlocked(hostname)) {
+    return process.nextTick(callback, new EgressBlockedError(hostname));
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (!policy.isHostAllowlisted(hostname)) {
+      const restricted = addresses.find(entry => !policy.isAddressAllowed(entry.address));
+      if (restricted) return callback(new EgressBlockedError(hostname, restricted.address));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Resolve a URL's host and throw EgressBlockedError if any address is restricted
+ * DNS failures are ignored here; the request itself will report them.
+ */
+async function assertUrlAllowed(url) {
+  const literalError = checkUrlHost(url);
+  if (literalError) throw literalError;
+
+  const host = stripBrackets(new URL(url).hostname);
+  if (net.isIP(host) || policy.isHostAllowlisted(host)) return;
+
+  await new Promise((resolve, reject) => {
+    guardedLookup(host, { all: true }, (err) => {
+      if (err instanceof EgressBlockedError) return reject(err);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Axios instance whose sockets all go through the guarded lookup
+ * IP-literal URLs bypass DNS, so callers should also run assertUrlAllowed()/checkUrlHost().
+ */
+const httpClient = axios.create({
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup }),
+  proxy: false,
+  beforeRedirect: (options) => {
+    const error = checkUrlHost(options.href);
+    if (error) throw error;
+  }
+});
+
+module.exports = {
+  EgressBlockedError,
+  createEgressPolicy,
+  configureEgressPolicy,
+  getEgressPolicy,
+  checkUrlHost,
+  guardedLookup,
+  assertUrlAllowed,
+  httpClient
+};
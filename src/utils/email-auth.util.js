@@ -0,0 +1,354 @@
+/**
+ * Email Authentication Helpers
+ * Parses SPF, DMARC, DKIM, MTA-STS, TLS-RPT and BIMI records and evaluates them against their RFCs
+ */
+
+const crypto = require('crypto');
+const { getRegistrableDomain } = require('./domain.util');
+
+// RFC 7208 section 4.6.4
+const SPF_LOOKUP_LIMIT = 10;
+const SPF_VOID_LOOKUP_LIMIT = 2;
+const SPF_LOOKUP_MECHANISMS = new Set(['include', 'a', 'mx', 'ptr', 'exists']);
+const SPF_MECHANISMS = new Set(['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists']);
+
+// Selectors used by the common mail providers and ESPs
+const COMMON_DKIM_SELECTORS = [
+  'default', 'dkim', 'mail', 'email', 'smtp', 'k1', 'k2', 'k3', 's1', 's2', 'selector1', 'selector2',
+  'google', 'key1', 'key2', 'sig1', 'fm1', 'fm2', 'fm3', 'mandrill', 'mxvault', 'zoho', 'zmail',
+  'protonmail', 'protonmail2', 'protonmail3', 'mailjet', 'sendgrid', 'smtpapi', 'pm', 'amazonses',
+  'everlytickey1', 'everlytickey2', 'dkim1', 'dkim2', 'mta', 'scph0722', 'cm', 'turbo-smtp'
+];
+const NO_RECORD_CODES = new Set(['ENODATA', 'ENOTFOUND', 'NOTFOUND', 'ENONAME']);
+
+// RFC 8461 section 3.2: max_age is capped at one year
+const MTA_STS_MAX_AGE = 31557600;
+
+/**
+ * TXT records at a name as joined strings; missing names resolve to an empty list
+ */
+async function resolveTxtRecords(resolver, name) {
+  try {
+    return (await resolver.resolveTxt(name)).map(chunks => chunks.join(''));
+  } catch (error) {
+    if (NO_RECORD_CODES.has(error.code)) return [];
+    throw error;
+  }
+}
+
+/**
+ * Parse a "tag=value; tag=value" record (DKIM, DMARC, TLS-RPT, BIMI and MTA-STS TXT records)
+ */
+function parseTagList(record) {
+  const tags = {};
+  String(record || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim().toLowerCase();
+    if (name && !(name in tags)) tags[name] = part.slice(index + 1).trim();
+  });
+  return tags;
+}
+
+/**
+ * Parse an SPF record into mechanisms and modifiers (RFC 7208 section 4.6.1)
+ */
+function parseSpf(record) {
+  const result = { raw: record, mechanisms: [], redirect: null, exp: null, all: null, errors: [] };
+  const terms = String(record).trim().split(/\s+/).slice(1);
+
+  terms.forEach(term => {
+    const modifier = term.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+    if (modifier) {
+      const name = modifier[1].toLowerCase();
+      if (name === 'redirect' || name === 'exp') {
+        if (result[name] !== null) result.errors.push(`Duplicate ${name}= modifier`);
+        result[name] = modifier[2];
+      }
+      return;
+    }
+
+    const match = term.match(/^([+?~-]?)([a-z0-9]+)(?:[:/](.*))?$/i);
+    const name = match?.[2].toLowerCase();
+    if (!match || !SPF_MECHANISMS.has(name)) {
+      result.errors.push(`Unknown term "${term}"`);
+      return;
+    }
+    const mechanism = { qualifier: match[1] || '+', name, value: match[3] ?? null };
+    result.mechanisms.push(mechanism);
+    if (name === 'all') result.all = mechanism.qualifier;
+  });
+
+  return result;
+}
+
+/**
+ * Resolve the SPF policy of a domain, following include: and redirect= to count DNS lookups
+ * The tree is cut off after the lookup limit; loops and void lookups are reported as errors.
+ */
+async function evaluateSpf(resolver, domain) {
+  const state = { lookups: 0, voidLookups: 0, errors: [] };
+
+  // `ancestors` holds the include path, so repeated (non-recursive) includes are not loops
+  async function load(name, ancestors) {
+    const path = new Set([...ancestors, name.toLowerCase()]);
+
+    const records = (await resolveTxtRecords(resolver, name)).filter(record => /^v=spf1(\s|$)/i.test(record));
+    if (records.length === 0) return null;
+    if (records.length > 1) state.errors.push(`${name} publishes ${records.length} SPF records (permerror)`);
+
+    const policy = { domain: name, ...parseSpf(records[0]), includes: [] };
+    policy.errors.forEach(error => state.errors.push(`${name}: ${error}`));
+
+    for (const mechanism of policy.mechanisms) {
+      if (!SPF_LOOKUP_MECHANISMS.has(mechanism.name)) continue;
+      state.lookups++;
+      if (mechanism.name === 'include' && mechanism.value && state.lookups <= SPF_LOOKUP_LIMIT) {
+        if (path.has(mechanism.value.toLowerCase())) {
+          state.errors.push(`Include loop at ${mechanism.value}`);
+          continue;
+        }
+        const included = await load(mechanism.value, path);
+        if (included) {
+          policy.includes.push(included);
+        } else {
+          state.voidLookups++;
+          state.errors.push(`include:${mechanism.value} has no SPF record (permerror)`);
+        }
+      }
+    }
+
+    // redirect= is ignored when an all mechanism is present
+    if (policy.redirect && policy.all === null) {
+      state.lookups++;
+      if (path.has(policy.redirect.toLowerCase())) {
+        state.errors.push(`Redirect loop at ${policy.redirect}`);
+      } else if (state.lookups <= SPF_LOOKUP_LIMIT) {
+        const target = await load(policy.redirect, path);
+        if (target) {
+          policy.includes.push(target);
+          policy.effectiveAll = target.effectiveAll ?? target.all;
+        } else {
+          state.voidLookups++;
+          state.errors.push(`redirect=${policy.redirect} has no SPF record (permerror)`);
+        }
+      }
+    }
+    if (policy.effectiveAll === undefined) policy.effectiveAll = policy.all;
+    return policy;
+  }
+
+  const policy = await load(domain, []);
+  return {
+    domain,
+    policy,
+    all: policy ? policy.effectiveAll : null,
+    lookups: state.lookups,
+    voidLookups: state.voidLookups,
+    overLimit: state.lookups > SPF_LOOKUP_LIMIT,
+    errors: state.errors
+  };
+}
+
+function parseReportUris(value) {
+  return String(value || '').split(',').map(uri => uri.trim()).filter(Boolean).map(uri => {
+    const mailto = uri.match(/^mailto:([^!]+)(?:!.*)?$/i);
+    return mailto
+      ? { uri, scheme: 'mailto', address: mailto[1], domain: mailto[1].split('@')[1]?.toLowerCase() || null }
+      : { uri, scheme: uri.split(':')[0].toLowerCase(), address: null, domain: null };
+  });
+}
+
+/**
+ * Parse a DMARC record (RFC 7489 section 6.3)
+ */
+function parseDmarc(record) {
+  const tags = parseTagList(record);
+  const errors = [];
+  const policies = ['none', 'quarantine', 'reject'];
+
+  if (!/^v\s*=\s*DMARC1\s*(;|$)/.test(record)) errors.push('Record must start with v=DMARC1');
+  const p = tags.p?.toLowerCase() || null;
+  if (!p) errors.push('Missing required p= tag');
+  else if (!policies.includes(p)) errors.push(`Invalid policy p=${tags.p}`);
+  const sp = tags.sp?.toLowerCase() || null;
+  if (sp && !policies.includes(sp)) errors.push(`Invalid subdomain policy sp=${tags.sp}`);
+
+  let pct = 100;
+  if (tags.pct !== undefined) {
+    pct = /^\d+$/.test(tags.pct) ? parseInt(tags.pct, 10) : NaN;
+    if (!(pct >= 0 && pct <= 100)) errors.push(`Invalid pct=${tags.pct} (must be 0-100)`);
+  }
+
+  const rua = parseReportUris(tags.rua);
+  const ruf = parseReportUris(tags.ruf);
+  [...rua, ...ruf].filter(uri => uri.scheme !== 'mailto').forEach(uri => errors.push(`Unsupported report URI ${uri.uri}`));
+
+  return {
+    raw: record,
+    policy: p,
+    subdomainPolicy: sp || p,
+    pct: Number.isNaN(pct) ? null : pct,
+    rua,
+    ruf,
+    adkim: tags.adkim?.toLowerCase() === 's' ? 'strict' : 'relaxed',
+    aspf: tags.aspf?.toLowerCase() === 's' ? 'strict' : 'relaxed',
+    errors
+  };
+}
+
+/**
+ * Fetch the DMARC policy, falling back to the organizational domain (RFC 7489 section 6.6.3)
+ * External report destinations are checked for their authorization record (section 7.1).
+ */
+async function evaluateDmarc(resolver, domain) {
+  let source = domain;
+  let records = (await resolveTxtRecords(resolver, `_dmarc.${domain}`)).filter(record => /^v\s*=\s*DMARC1/i.test(record));
+  const orgDomain = getRegistrableDomain(domain);
+  if (records.length === 0 && orgDomain !== domain) {
+    source = orgDomain;
+    records = (await resolveTxtRecords(resolver, `_dmarc.${orgDomain}`)).filter(record => /^v\s*=\s*DMARC1/i.test(record));
+  }
+  if (records.length === 0) return { domain, source: null, record: null };
+
+  const record = parseDmarc(records[0]);
+  if (records.length > 1) record.errors.push(`${records.length} DMARC records published; receivers ignore all of them`);
+
+  const external = [...record.rua, ...record.ruf].filter(uri => uri.domain && getRegistrableDomain(uri.domain) !== getRegistrableDomain(source));
+  for (const uri of external) {
+    const authorization = await resolveTxtRecords(resolver, `${source}._report._dmarc.${uri.domain}`);
+    uri.authorized = authorization.some(value => /^v\s*=\s*DMARC1/i.test(value));
+  }
+
+  return { domain, source, record };
+}
+
+/**
+ * Key size of a DKIM p= value; RSA keys may be SubjectPublicKeyInfo or bare PKCS#1
+ */
+function dkimKeyBits(keyType, publicKey) {
+  if (keyType === 'ed25519') return Buffer.from(publicKey, 'base64').length * 8;
+  const der = Buffer.from(publicKey, 'base64');
+  for (const type of ['spki', 'pkcs1']) {
+    try {
+      return crypto.createPublicKey({ key: der, format: 'der', type }).asymmetricKeyDetails.modulusLength;
+    } catch (error) {
+      // try the next encoding
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a DKIM key record (RFC 6376 section 3.6.1)
+ */
+function parseDkimKey(record) {
+  const tags = parseTagList(record);
+  const keyType = (tags.k || 'rsa').toLowerCase();
+  const publicKey = (tags.p ?? '').replace(/\s+/g, '');
+  return {
+    raw: record,
+    keyType,
+    revoked: publicKey === '',
+    bits: publicKey ? dkimKeyBits(keyType, publicKey) : null,
+    testing: (tags.t || '').split(':').map(flag => flag.trim()).includes('y')
+  };
+}
+
+/**
+ * Look for DKIM keys under common selectors plus any extra ones
+ */
+async function probeDkimSelectors(resolver, domain, extraSelectors = []) {
+  const selectors = [...new Set([...extraSelectors, ...COMMON_DKIM_SELECTORS])];
+  const found = await Promise.all(selectors.map(async selector => {
+    const records = await resolveTxtRecords(resolver, `${selector}._domainkey.${domain}`).catch(() => []);
+    const record = records.find(value => /(^|;)\s*(v=DKIM1|p=)/i.test(value));
+    return record ? { selector, ...parseDkimKey(record) } : null;
+  }));
+  return { probed: selectors.length, keys: found.filter(Boolean) };
+}
+
+/**
+ * Parse an MTA-STS policy file (RFC 8461 section 3.2)
+ */
+function parseMtaStsPolicy(text) {
+  const policy = { version: null, mode: null, mx: [], maxAge: null, errors: [] };
+  String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const index = line.indexOf(':');
+    if (index === -1) {
+      policy.errors.push(`Malformed line "${line}"`);
+      return;
+    }
+    const key = line.slice(0, index).trim().toLowerCase();
+    const value = line.slice(index + 1).trim();
+    if (key === 'version') policy.version = value;
+    else if (key === 'mode') policy.mode = value;
+    else if (key === 'mx') policy.mx.push(value.toLowerCase());
+    else if (key === 'max_age') policy.maxAge = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  });
+
+  if (policy.version !== 'STSv1') policy.errors.push('version must be STSv1');
+  if (!['enforce', 'testing', 'none'].includes(policy.mode)) policy.errors.push('mode must be enforce, testing or none');
+  if (policy.maxAge === null || Number.isNaN(policy.maxAge)) policy.errors.push('max_age is missing or not a number');
+  else if (policy.maxAge > MTA_STS_MAX_AGE) policy.errors.push(`max_age exceeds ${MTA_STS_MAX_AGE} seconds`);
+  if (policy.mode !== 'none' && policy.mx.length === 0) policy.errors.push('At least one mx pattern is required');
+  return policy;
+}
+
+/**
+ * Whether an MX host matches an MTA-STS mx pattern ("*." matches exactly one label)
+ */
+function matchesMxPattern(host, pattern) {
+  const name = host.toLowerCase().replace(/\.$/, '');
+  if (pattern.startsWith('*.')) {
+    const suffix = pattern.slice(1);
+    return name.endsWith(suffix) && !name.slice(0, -suffix.length).includes('.');
+  }
+  return name === pattern;
+}
+
+/**
+ * Parse a TLS-RPT record (RFC 8460 section 3)
+ */
+function parseTlsRpt(record) {
+  const tags = parseTagList(record);
+  const rua = String(tags.rua || '').split(',').map(uri => uri.trim()).filter(Boolean);
+  const errors = [];
+  if (!/^v\s*=\s*TLSRPTv1/.test(record)) errors.push('Record must start with v=TLSRPTv1');
+  if (rua.length === 0) errors.push('Missing rua= reporting address');
+  rua.filter(uri => !/^(mailto:|https:)/i.test(uri)).forEach(uri => errors.push(`Unsupported rua URI ${uri}`));
+  return { raw: record, rua, errors };
+}
+
+/**
+ * Parse a BIMI assertion record (draft-brand-indicators-for-message-identification)
+ */
+function parseBimi(record) {
+  const tags = parseTagList(record);
+  const errors = [];
+  if (!/^v\s*=\s*BIMI1/.test(record)) errors.push('Record must start with v=BIMI1');
+  const logo = tags.l || null;
+  const certificate = tags.a || null;
+  if (logo && !/^https:\/\/.+\.svg(\?.*)?$/i.test(logo)) errors.push('l= must be an HTTPS URL to an SVG logo');
+  if (certificate && !/^https:\/\//i.test(certificate)) errors.push('a= must be an HTTPS URL to a mark certificate');
+  return { raw: record, logo, certificate, declined: !logo && !certificate, errors };
+}
+
+module.exports = {
+  SPF_LOOKUP_LIMIT,
+  SPF_VOID_LOOKUP_LIMIT,
+  COMMON_DKIM_SELECTORS,
+  MTA_STS_MAX_AGE,
+  resolveTxtRecords,
+  parseTagList,
+  parseSpf,
+  evaluateSpf,
+  parseDmarc,
+  evaluateDmarc,
+  parseDkimKey,
+  probeDkimSelectors,
+  parseMtaStsPolicy,
+  matchesMxPattern,
+  parseTlsRpt,
+  parseBimi
+};
@@ -0,0 +1,56 @@
+/**
+ * HAR Store
+ * Keeps recorded HAR logs in memory for GET /api/har/:id so they stay out of analysis results
+ *
+ * Configuration:
+ *   HAR_TTL_MS       How long a HAR stays downloadable (default one hour)
+ *   HAR_STORE_LIMIT  HAR logs kept at once; the oldest is dropped first (default 50)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 60 * 60 * 1000;
+const DEFAULT_LIMIT = 50;
+
+const entries = new Map();
+
+function getTtl() {
+  return parseInt(process.env.HAR_TTL_MS, 10) || DEFAULT_TTL;
+}
+
+/**
+ * Drop expired logs, then the oldest ones beyond the limit
+ */
+function prune(now = Date.now()) {
+  for (const [id, entry] of entries) {
+    if (now - entry.storedAt > getTtl()) entries.delete(id);
+  }
+  const limit = parseInt(process.env.HAR_STORE_LIMIT, 10) || DEFAULT_LIMIT;
+  // Map iteration follows insertion order, so the first keys are the oldest
+  for (const id of [...entries.keys()].slice(0, Math.max(0, entries.size - limit))) {
+    entries.delete(id);
+  }
+}
+
+/**
+ * Store a HAR log and return the unguessable id it can be downloaded with
+ */
+function storeHar(har, meta = {}) {
+  const id = crypto.randomUUID();
+  entries.set(id, { har, url: meta.url || null, storedAt: Date.now() });
+  prune();
+  return id;
+}
+
+/**
+ * Stored entry ({ har, url, storedAt }) for an id, or null when unknown or expired
+ */
+function getHar(id) {
+  prune();
+  return entries.get(id) || null;
+}
+
+module.exports = {
+  storeHar,
+  getHar
+};
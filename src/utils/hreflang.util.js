@@ -0,0 +1,177 @@
+/**
+ * hreflang Helpers
+ * Collects hreflang annotations from HTML, HTTP Link headers and sitemaps, validates language and
+ * region codes, and checks that alternates answer 200, are self-canonical and link back
+ */
+
+const cheerio = require('cheerio');
+const { httpClient, checkUrlHost } = require('./egress.util');
+
+const MAX_ALTERNATES = 10;
+
+// ICU knows these codes, but they are not ISO 3166-1 alpha-2 country codes search engines accept
+const INVALID_REGIONS = { UK: 'GB', EU: null, UN: null, ZZ: null, XX: null };
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+const scriptNames = new Intl.DisplayNames(['en'], { type: 'script', fallback: 'none' });
+
+const absolute = (href, base) => {
+  try {
+    return new URL(String(href).trim(), base).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate an hreflang value: ISO 639-1 language, optional ISO 15924 script, optional ISO 3166-1
+ * alpha-2 region, or x-default. Returns null when valid, otherwise the problem.
+ */
+function validateHreflangCode(code) {
+  const value = String(code || '').trim();
+  if (value.toLowerCase() === 'x-default') return null;
+
+  const match = value.match(/^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z0-9]{2,3}))?$/i);
+  if (!match) return `"${value}" is not a language[-script][-region] code`;
+  const [, language, script, region] = match;
+
+  if (language.length !== 2 || !languageNames.of(language.toLowerCase())) {
+    return language.length === 2 && regionNames.of(language.toUpperCase())
+      ? `"${language}" is a region, not a language code (hreflang starts with the language)`
+      : `"${language}" is not an ISO 639-1 language code`;
+  }
+  if (script && !scriptNames.of(script[0].toUpperCase() + script.slice(1).toLowerCase())) {
+    return `"${script}" is not an ISO 15924 script code`;
+  }
+  if (region) {
+    const upper = region.toUpperCase();
+    if (upper in INVALID_REGIONS) {
+      return `"${region}" is not an ISO 3166-1 country code${INVALID_REGIONS[upper] ? ` (use ${INVALID_REGIONS[upper]})` : ''}`;
+    }
+    if (!/^[a-z]{2}$/i.test(region) || !regionNames.of(upper)) return `"${region}" is not an ISO 3166-1 alpha-2 country code`;
+  }
+  return null;
+}
+
+/**
+ * hreflang entries of an HTTP Link header (RFC 8288)
+ */
+function parseLinkHeader(header, baseUrl) {
+  const entries = [];
+  // Links are comma-separated; URLs are enclosed in <> and may contain commas themselves
+  for (const link of String(header || '').split(/,\s*(?=<)/)) {
+    const match = link.match(/^\s*<([^>]*)>(.*)$/s);
+    if (!match) continue;
+    const params = Object.fromEntries([...match[2].matchAll(/;\s*([^=;\s]+)\s*(?:=\s*(?:"([^"]*)"|([^;\s]*)))?/g)]
+      .map(([, name, quoted, bare]) => [name.toLowerCase(), (quoted ?? bare ?? '').trim()]));
+    if (/\balternate\b/i.test(params.rel || '') && params.hreflang) {
+      const href = absolute(match[1], baseUrl);
+      if (href) entries.push({ lang: params.hreflang, href });
+    }
+  }
+  return entries;
+}
+
+/**
+ * hreflang entries of <link rel="alternate" hreflang> elements
+ */
+function parseHtmlAlternates($, baseUrl) {
+  return $('link[rel~="alternate"][hreflang][href]').map((i, el) => ({
+    lang: $(el).attr('hreflang').trim(),
+    href: absolute($(el).attr('href'), baseUrl)
+  })).get().filter(entry => entry.href);
+}
+
+/**
+ * Merge annotations from every source and report invalid codes and conflicts
+ * `sources` maps a source name (html, header, sitemap) to its entries.
+ */
+function collectAnnotations(sources) {
+  const annotations = [];
+  const errors = [];
+
+  Object.entries(sources).forEach(([source, entries]) => {
+    (entries || []).forEach(entry => {
+      const lang = entry.lang.toLowerCase();
+      const existing = annotations.find(annotation => annotation.lang.toLowerCase() === lang);
+      if (existing) {
+        if (existing.href !== entry.href) {
+          errors.push(`${entry.lang} points to both ${existing.href} (${existing.sources.join(', ')}) and ${entry.href} (${source})`);
+        } else if (!existing.sources.includes(source)) {
+          existing.sources.push(source);
+        }
+        return;
+      }
+      const problem = validateHreflangCode(entry.lang);
+      if (problem) errors.push(problem);
+      annotations.push({ lang: entry.lang, href: entry.href, sources: [source], valid: !problem });
+    });
+  });
+  return { annotations, errors };
+}
+
+/**
+ * Fetch an alternate without following redirects: status, canonical and whether it links back
+ */
+async function inspectAlternate(url, sourceUrl, options = {}) {
+  const result = { url, status: null, canonical: null, selfCanonical: null, returnLink: null, alternates: 0, error: null };
+  const blocked = checkUrlHost(url);
+  if (blocked) return { ...result, error: blocked.message };
+
+  try {
+    const response = await httpClient.get(url, {
+      timeout: 10000,
+      maxRedirects: 0,
+      responseType: 'text',
+      maxContentLength: 5 * 1024 * 1024,
+      validateStatus: () => true,
+      signal: options.signal
+    });
+    result.status = response.status;
+    const headerLinks = parseLinkHeader(response.headers.link, url);
+    let htmlLinks = [];
+    if (response.status === 200 && /html/i.test(response.headers['content-type'] || '')) {
+      const $ = cheerio.load(String(response.data ?? ''));
+      const canonical = $('link[rel~="canonical"][href]').first().attr('href');
+      result.canonical = canonical ? absolute(canonical, url) : null;
+      result.selfCanonical = result.canonical ? result.canonical === url : null;
+      htmlLinks = parseHtmlAlternates($, url);
+    }
+    // The sitemap may carry the return link instead; callers merge that in
+    result.returnLink = [...headerLinks, ...htmlLinks].some(entry => entry.href === sourceUrl);
+    result.alternates = [...headerLinks, ...htmlLinks].length;
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    result.error = error.message;
+  }
+  return result;
+}
+
+/**
+ * Inspect up to MAX_ALTERNATES alternates other than the source page
+ */
+async function inspectAlternates(annotations, sourceUrl, options = {}) {
+  const targets = [...new Set(annotations.filter(annotation => annotation.href !== sourceUrl).map(annotation => annotation.href))];
+  const results = await Promise.all(targets.slice(0, MAX_ALTERNATES).map(url => inspectAlternate(url, sourceUrl, options)));
+  return { results, skipped: Math.max(targets.length - MAX_ALTERNATES, 0) };
+}
+
+/**
+ * Whether the <html lang> primary language matches the hreflang of the page's own annotation
+ */
+function compareHtmlLang(htmlLang, annotations, pageUrl) {
+  const self = annotations.find(annotation => annotation.href === pageUrl && annotation.lang.toLowerCase() !== 'x-default');
+  if (!htmlLang || !self) return { htmlLang: htmlLang || null, hreflang: self?.lang || null, matches: null };
+  const primary = value => value.toLowerCase().split(/[-_]/)[0];
+  return { htmlLang, hreflang: self.lang, matches: primary(htmlLang) === primary(self.lang) };
+}
+
+module.exports = {
+  validateHreflangCode,
+  parseLinkHeader,
+  parseHtmlAlternates,
+  collectAnnotations,
+  inspectAlternates,
+  compareHtmlLang
+};
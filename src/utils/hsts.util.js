@@ -0,0 +1,119 @@
+/**
+ * HTTPS Upgrade & HSTS Helpers
+ * Parses Strict-Transport-Security and evaluates the plain-HTTP redirect chain and preload-list requirements
+ */
+
+// hstspreload.org requires at least one year
+const PRELOAD_MIN_MAX_AGE = 31536000;
+
+/**
+ * Parse a Strict-Transport-Security header value (RFC 6797 section 6.1)
+ * Only the first header is honoured by browsers, so later ones are reported as an error.
+ */
+function parseHsts(value) {
+  const result = { raw: value || null, maxAge: null, includeSubDomains: false, preload: false, errors: [] };
+  if (!value) return result;
+
+  const headers = String(value).split(',');
+  if (headers.length > 1) {
+    result.errors.push('Multiple Strict-Transport-Security headers; only the first is used');
+  }
+
+  const seen = new Set();
+  headers[0].split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [rawName, ...rest] = part.split('=');
+    const name = rawName.trim().toLowerCase();
+    const directiveValue = rest.join('=').trim().replace(/^"|"$/g, '');
+
+    if (seen.has(name)) {
+      result.errors.push(`Duplicate ${name} directive`);
+      return;
+    }
+    seen.add(name);
+
+    if (name === 'max-age') {
+      if (/^\d+$/.test(directiveValue)) {
+        result.maxAge = parseInt(directiveValue, 10);
+      } else {
+        result.errors.push(`Invalid max-age value "${directiveValue}"`);
+      }
+    } else if (name === 'includesubdomains') {
+      result.includeSubDomains = true;
+    } else if (name === 'preload') {
+      result.preload = true;
+    }
+  });
+
+  if (result.maxAge === null && !result.errors.some(error => error.startsWith('Invalid max-age'))) {
+    result.errors.push('Missing required max-age directive');
+  }
+  return result;
+}
+
+/**
+ * Summarize the redirect chain of a plain-HTTP request
+ * `page` is a fetchPage() result; every hop from HTTPS to HTTP is a downgrade.
+ */
+function summarizeUpgradeChain(page) {
+  const hops = [
+    ...page.redirects.map(hop => ({ url: hop.url, status: hop.status, location: hop.location })),
+    { url: page.finalUrl, status: page.status, location: null }
+  ];
+
+  const downgrades = page.redirects
+    .filter(hop => hop.url.startsWith('https://') && hop.location.startsWith('http://'))
+    .map(hop => ({ from: hop.url, to: hop.location }));
+
+  const first = page.redirects[0];
+  const requested = new URL(page.requestedUrl);
+  const firstTarget = first ? new URL(first.location) : null;
+
+  return {
+    hops,
+    finalUrl: page.finalUrl,
+    upgraded: page.finalUrl.startsWith('https://'),
+    // Preload requires the first redirect to go to HTTPS on the same host
+    firstHopUpgradesSameHost: !!firstTarget && firstTarget.protocol === 'https:' && firstTarget.hostname === requested.hostname,
+    downgrades
+  };
+}
+
+/**
+ * Check the hstspreload.org submission requirements, which apply to the apex domain
+ * `hsts` is the apex's parsed header (from its first HTTPS response), `chain` the summary of the
+ * http://apex redirect chain (null when port 80 is closed) and `httpsRedirects` the HTTPS redirect
+ * hops, each of which must also send HSTS.
+ */
+function checkPreloadRequirements({ apex, hsts, chain, httpsRedirects = [], validCertificate = true }) {
+  const failures = [];
+
+  if (!validCertificate) failures.push(`https://${apex} must serve a valid, trusted certificate`);
+  if (chain && !chain.firstHopUpgradesSameHost) {
+    failures.push(`http://${apex} must redirect to https://${apex} before any other host`);
+  }
+  if (chain && chain.downgrades.length > 0) failures.push('Redirect chain must never return to HTTP');
+
+  if (!hsts || !hsts.raw) {
+    failures.push(`https://${apex} must send a Strict-Transport-Security header`);
+  } else {
+    if (hsts.errors.length > 0) failures.push(`HSTS header is malformed: ${hsts.errors.join('; ')}`);
+    if (hsts.maxAge === null || hsts.maxAge < PRELOAD_MIN_MAX_AGE) failures.push(`max-age must be at least ${PRELOAD_MIN_MAX_AGE} seconds (1 year)`);
+    if (!hsts.includeSubDomains) failures.push('includeSubDomains directive is required');
+    if (!hsts.preload) failures.push('preload directive is required');
+  }
+
+  const bareRedirects = [...new Map(httpsRedirects.map(hop => [hop.url, hop])).values()]
+    .filter(hop => !hop.headers?.['strict-transport-security']);
+  if (bareRedirects.length > 0) {
+    failures.push(`HTTPS redirects must also send HSTS (${bareRedirects.map(hop => hop.url).join(', ')})`);
+  }
+
+  return { apex, eligible: failures.length === 0, failures };
+}
+
+module.exports = {
+  PRELOAD_MIN_MAX_AGE,
+  parseHsts,
+  summarizeUpgradeChain,
+  checkPreloadRequirements
+};
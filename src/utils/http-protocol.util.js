@@ -0,0 +1,108 @@
+/**
+ * HTTP Protocol Detection
+ * HTTP/2 support over ALPN, HTTP/3 advertisement in Alt-Svc, and the protocols subresources used
+ */
+
+const { negotiateAlpn } = require('./tls.util');
+
+// ALPN identifiers of HTTP/3, including the IETF drafts still advertised by some servers
+const H3_PATTERN = /^h3(-\d+)?$/;
+
+/**
+ * Parse an Alt-Svc header (RFC 7838)
+ * Returns { clear, services: [{ protocol, host, port, maxAge, persist }] }.
+ */
+function parseAltSvc(header) {
+  const value = String(header || '').trim();
+  if (!value) return { clear: false, services: [] };
+  if (value.toLowerCase() === 'clear') return { clear: true, services: [] };
+
+  const services = [];
+  // Alternatives are comma-separated; quoted authorities never contain commas
+  for (const alternative of value.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)) {
+    const [service, ...params] = alternative.split(';').map(part => part.trim());
+    const match = service.match(/^([^=\s]+)\s*=\s*"?([^"]*)"?$/);
+    if (!match) continue;
+
+    const authority = match[2];
+    const separator = authority.lastIndexOf(':');
+    const options = Object.fromEntries(params.map(param => {
+      const [name, raw = ''] = param.split('=');
+      return [name.trim().toLowerCase(), raw.trim().replace(/^"|"$/g, '')];
+    }));
+
+    services.push({
+      protocol: decodeURIComponent(match[1]).toLowerCase(),
+      host: separator > 0 ? authority.slice(0, separator) : '',
+      port: parseInt(authority.slice(separator + 1), 10) || null,
+      // Alt-Svc entries are cached for 24 hours unless ma says otherwise
+      maxAge: options.ma !== undefined ? parseInt(options.ma, 10) || 0 : 86400,
+      persist: options.persist === '1'
+    });
+  }
+  return { clear: false, services };
+}
+
+/**
+ * Protocols offered by the page's origin: ALPN selection and Alt-Svc advertisement
+ * Options: { signal, timeout }
+ */
+async function detectOriginProtocols(pageUrl, headers, options = {}) {
+  const { protocol, hostname, port } = new URL(pageUrl);
+  const altSvc = parseAltSvc(headers['alt-svc']);
+  const h3 = altSvc.services.filter(service => H3_PATTERN.test(service.protocol));
+
+  let alpn = null;
+  let alpnError = null;
+  if (protocol === 'https:') {
+    try {
+      alpn = await negotiateAlpn(hostname.replace(/^\[|\]$/g, ''), parseInt(port, 10) || 443, ['h2', 'http/1.1'], options);
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      alpnError = error.message;
+    }
+  }
+
+  return {
+    secure: protocol === 'https:',
+    alpn,
+    alpnError,
+    h2: alpn === 'h2',
+    altSvc,
+    h3: h3.length > 0,
+    h3Versions: [...new Set(h3.map(service => service.protocol))]
+  };
+}
+
+/**
+ * Protocols used per origin in a browser session, from the recorded waterfall rows
+ */
+function summarizeOriginProtocols(resources) {
+  const origins = new Map();
+  resources.forEach(resource => {
+    if (!resource.protocol || resource.failed || resource.fromCache) return;
+    let origin;
+    try {
+      origin = new URL(resource.url).origin;
+    } catch (error) {
+      return;
+    }
+    if (origin === 'null') return;
+    const entry = origins.get(origin) || { origin, firstParty: resource.firstParty, requests: 0, protocols: {} };
+    const protocol = H3_PATTERN.test(resource.protocol) ? 'h3' : resource.protocol;
+    entry.requests++;
+    entry.protocols[protocol] = (entry.protocols[protocol] || 0) + 1;
+    origins.set(origin, entry);
+  });
+
+  return [...origins.values()].map(entry => ({
+    ...entry,
+    http1Only: Object.keys(entry.protocols).every(protocol => protocol === 'http/1.1' || protocol === 'http/1.0')
+  })).sort((a, b) => b.requests - a.requests);
+}
+
+module.exports = {
+  parseAltSvc,
+  detectOriginProtocols,
+  summarizeOriginProtocols
+};
@@ -0,0 +1,221 @@
+/**
+ * Analysis Job Queue
+ * Bounded in-process queue for every analysis (polled jobs, POST /api/analyze and the SSE stream),
+ * with polling and cancellation
+ *
+ * Configuration:
+ *   JOB_CONCURRENCY  Analyses running at once (default 2)
+ *   JOB_QUEUE_LIMIT  Analyses waiting for a slot (default 20)
+ *   JOB_TTL_MS       How long finished polled jobs are kept (default one hour)
+ */
+
+const crypto = require('crypto');
+const { runAnalysis, buildReport } = require('./analysis.util');
+const logger = require('./logger.util');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+class QueueFullError extends Error {
+  constructor(limit) {
+    super(`Job queue is full (${limit} waiting). Try again later.`);
+    this.name = 'QueueFullError';
+  }
+}
+
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 2;
+    this.maxQueued = options.maxQueued || 20;
+    this.ttl = options.ttl || 60 * 60 * 1000;
+    this.jobs = new Map();
+    this.waiting = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue an analysis; throws QueueFullError when the waiting list is at capacity
+   * Options: { hooks } forwarded to runAnalysis, { inline } for jobs awaited by their caller through
+   * job.done, which are not kept for polling once finished.
+   */
+  create(validatedUrl, selectedChecks, options = {}) {
+    this.prune();
+    if (this.isFull()) {
+      throw new QueueFullError(this.maxQueued);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      url: validatedUrl,
+      status: JOB_STATUS.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      checks: selectedChecks.map(({ id, category, icon }) => ({ id, category, icon, status: 'pending' })),
+      categories: [],
+      result: null,
+      error: null,
+      selectedChecks,
+      hooks: options.hooks || {},
+      inline: Boolean(options.inline),
+      controller: new AbortController()
+    };
+    job.done = new Promise(resolve => {
+      job.resolveDone = resolve;
+    });
+
+    this.jobs.set(job.id, job);
+    this.waiting.push(job);
+    logger.info(`Queued analysis job ${job.id} for ${validatedUrl}`);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Whether create() would reject a new analysis right now
+   */
+  isFull() {
+    return this.waiting.length >= this.maxQueued;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancel a queued or running job, aborting its requests and browsers
+   * Returns false if the job has already finished.
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return false;
+
+    this.waiting = this.waiting.filter(waitingJob => waitingJob !== job);
+    job.controller.abort();
+    this.finish(job, JOB_STATUS.CANCELLED);
+    logger.info(`Cancelled analysis job ${job.id}`);
+    return true;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      this.start(this.waiting.shift());
+    }
+  }
+
+  async start(job) {
+    this.running++;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+
+    const setCheckStatus = (id, status) => {
+      const entry = job.checks.find(check => check.id === id);
+      if (entry) entry.status = status;
+    };
+
+    try {
+      const categories = await runAnalysis(job.url, job.selectedChecks, {
+        signal: job.controller.signal,
+        hooks: {
+          onStart: (check) => {
+            setCheckStatus(check.id, 'running');
+            job.hooks.onStart?.(check);
+          },
+          onComplete: (check, result) => {
+            if (job.status !== JOB_STATUS.RUNNING) return;
+            setCheckStatus(check.id, 'completed');
+            job.categories.push(result);
+            job.hooks.onComplete?.(check, result);
+          }
+        }
+      });
+
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.result = buildReport(job.url, categories);
+        this.finish(job, JOB_STATUS.COMPLETED);
+        logger.info(`Analysis job ${job.id} completed. Score: ${job.result.overall.score}/100`);
+      }
+    } catch (error) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.error = error.message || 'An unexpected error occurred during analysis';
+        this.finish(job, JOB_STATUS.FAILED);
+        logger.error(`Analysis job ${job.id} failed`, error);
+      }
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    if (job.inline) this.jobs.delete(job.id);
+    job.resolveDone(job);
+  }
+
+  /**
+   * Drop finished jobs older than the retention period
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, job] of this.jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Public view of a job for API responses
+   */
+  serialize(job) {
+    return {
+      id: job.id,
+      url: job.url,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      position: job.status === JOB_STATUS.QUEUED ? this.waiting.indexOf(job) + 1 : null,
+      progress: {
+        total: job.checks.length,
+        completed: job.checks.filter(check => check.status === 'completed').length
+      },
+      checks: job.checks,
+      categories: job.categories,
+      result: job.result,
+      error: job.error
+    };
+  }
+}
+
+let sharedQueue = null;
+
+/**
+ * Queue shared by every analysis endpoint, so JOB_CONCURRENCY and JOB_QUEUE_LIMIT bound them all
+ */
+function getJobQueue() {
+  if (!sharedQueue) {
+    sharedQueue = new JobQueue({
+      concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+      maxQueued: parseInt(process.env.JOB_QUEUE_LIMIT, 10) || 20,
+      ttl: parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000
+    });
+  }
+  return sharedQueue;
+}
+
+module.exports = {
+  JOB_STATUS,
+  JobQueue,
+  QueueFullError,
+  getJobQueue
+};
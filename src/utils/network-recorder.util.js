@@ -0,0 +1,320 @@
+/**
+ * Network Recorder
+ * Records every request of a Puppeteer session from DevTools Protocol events, summarizes page
+ * weight per resource type and exports the session as a HAR 1.2 log
+ */
+
+const { getRegistrableDomain } = require('./domain.util');
+
+const MAX_ENTRIES = 500;
+const MAX_HEAVIEST = 10;
+
+// DevTools resource types grouped for the weight breakdown
+const TYPE_GROUPS = {
+  Document: 'document',
+  Script: 'script',
+  Stylesheet: 'stylesheet',
+  Image: 'image',
+  Font: 'font',
+  Media: 'media',
+  XHR: 'xhr',
+  Fetch: 'xhr'
+};
+
+const headerValue = (headers, name) => {
+  const entry = Object.entries(headers || {}).find(([key]) => key.toLowerCase() === name);
+  return entry ? String(entry[1]) : null;
+};
+
+const toHeaderList = (headers) => Object.entries(headers || {})
+  .flatMap(([name, value]) => String(value).split('\n').map(line => ({ name, value: line })));
+
+// Headers whose values carry the session's credentials; the HAR keeps their names only
+const CREDENTIAL_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+const REDACTED = '[redacted]';
+
+const toRedactedHeaderList = (headers) => toHeaderList(headers)
+  .map(header => (CREDENTIAL_HEADERS.includes(header.name.toLowerCase()) ? { ...header, value: REDACTED } : header));
+
+/**
+ * Subscribe to a CDP session's Network events (Network.enable must be sent by the caller)
+ * Returns { entries() } - one record per request, redirects included as separate records.
+ */
+function createNetworkRecorder(client) {
+  const records = [];
+  const pending = new Map();
+
+  const finish = (record, timestamp) => {
+    record.endTime = timestamp;
+    pending.delete(record.requestId);
+  };
+
+  const applyResponse = (record, response) => {
+    record.status = response.status;
+    record.statusText = response.statusText || '';
+    record.mimeType = response.mimeType || '';
+    record.protocol = response.protocol || null;
+    record.responseHeaders = response.headers || {};
+    record.remoteAddress = response.remoteIPAddress || null;
+    record.fromCache = !!(response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache);
+    record.timing = response.timing || null;
+    record.transferSize = response.encodedDataLength || 0;
+  };
+
+  client.on('Network.requestWillBeSent', (event) => {
+    const previous = pending.get(event.requestId);
+    if (previous && event.redirectResponse) {
+      applyResponse(previous, event.redirectResponse);
+      finish(previous, event.timestamp);
+    }
+    if (records.length >= MAX_ENTRIES) return;
+
+    const record = {
+      requestId: event.requestId,
+      url: event.request.url,
+      method: event.request.method,
+      requestHeaders: event.request.headers || {},
+      postData: event.request.postData || null,
+      type: event.type || 'Other',
+      initiator: event.initiator?.type || null,
+      startTime: event.timestamp,
+      wallTime: event.wallTime,
+      endTime: null,
+      status: null,
+      size: 0,
+      transferSize: 0,
+      failed: null
+    };
+    records.push(record);
+    pending.set(event.requestId, record);
+  });
+
+  client.on('Network.responseReceived', (event) => {
+    const record = pending.get(event.requestId);
+    if (!record) return;
+    applyResponse(record, event.response);
+    record.type = event.type || record.type;
+  });
+
+  client.on('Network.dataReceived', (event) => {
+    const record = pending.get(event.requestId);
+    if (record) record.size += event.dataLength;
+  });
+
+  client.on('Network.loadingFinished', (event) => {
+    const record = pending.get(event.requestId);
+    if (!record) return;
+    record.transferSize = event.encodedDataLength;
+    finish(record, event.timestamp);
+  });
+
+  client.on('Network.loadingFailed', (event) => {
+    const record = pending.get(event.requestId);
+    if (!record) return;
+    record.failed = event.blockedReason ? `blocked: ${event.blockedReason}` : event.errorText;
+    finish(record, event.timestamp);
+  });
+
+  return {
+    entries: () => records.filter(record => !record.url.startsWith('data:'))
+  };
+}
+
+/**
+ * HAR timing phases in milliseconds; -1 marks a phase that does not apply
+ */
+function phaseTimings(record) {
+  const total = record.endTime !== null ? (record.endTime - record.startTime) * 1000 : 0;
+  const timing = record.timing;
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(0, total), receive: 0 };
+  }
+
+  // DevTools offsets are relative to timing.requestTime, which may be later than requestWillBeSent
+  const queued = Math.max(0, (timing.requestTime - record.startTime) * 1000);
+  const span = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+  const firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0) ?? 0;
+  const receive = record.endTime !== null
+    ? Math.max(0, (record.endTime - timing.requestTime) * 1000 - timing.receiveHeadersEnd)
+    : 0;
+
+  return {
+    blocked: queued + firstPhase,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(0, timing.sendEnd - timing.sendStart),
+    wait: Math.max(0, timing.receiveHeadersEnd - timing.sendEnd),
+    receive
+  };
+}
+
+/**
+ * Cache lifetime in seconds from Cache-Control / Expires, or null when the response sets none
+ */
+function cacheLifetime(headers) {
+  const cacheControl = (headerValue(headers, 'cache-control') || '').toLowerCase();
+  if (/no-store|no-cache/.test(cacheControl)) return 0;
+  const maxAge = cacheControl.match(/(?:s-)?max-age=(\d+)/);
+  if (maxAge) return parseInt(maxAge[1], 10);
+  const expires = headerValue(headers, 'expires');
+  if (expires) {
+    const date = Date.parse(expires);
+    const served = Date.parse(headerValue(headers, 'date') || '') || Date.now();
+    return Number.isNaN(date) ? 0 : Math.max(0, Math.round((date - served) / 1000));
+  }
+  return null;
+}
+
+/**
+ * Waterfall rows, per-type weight breakdown and heaviest resources for a recorded session
+ */
+function summarizeResources(records, pageUrl) {
+  const site = getRegistrableDomain(new URL(pageUrl).hostname);
+  const origin = records.length > 0 ? Math.min(...records.map(record => record.startTime)) : 0;
+
+  const resources = records.map(record => {
+    let firstParty = false;
+    try {
+      firstParty = getRegistrableDomain(new URL(record.url).hostname) === site;
+    } catch (error) {
+      // Non-HTTP URL
+    }
+    const timings = phaseTimings(record);
+    return {
+      url: record.url,
+      type: TYPE_GROUPS[record.type] || 'other',
+      mimeType: record.mimeType || null,
+      status: record.status,
+      protocol: record.protocol,
+      size: record.size,
+      transferSize: record.transferSize,
+      compression: headerValue(record.responseHeaders, 'content-encoding'),
+      cacheControl: headerValue(record.responseHeaders, 'cache-control'),
+      cacheLifetime: cacheLifetime(record.responseHeaders),
+      fromCache: !!record.fromCache,
+      firstParty,
+      failed: record.failed,
+      start: Math.round((record.startTime - origin) * 1000),
+      duration: record.endTime !== null ? Math.round((record.endTime - record.startTime) * 1000) : null,
+      timings: Object.fromEntries(Object.entries(timings).map(([phase, value]) => [phase, Math.round(value)]))
+    };
+  }).sort((a, b) => a.start - b.start);
+
+  const byType = {};
+  resources.forEach(resource => {
+    const group = byType[resource.type] || (byType[resource.type] = { count: 0, size: 0, transferSize: 0 });
+    group.count++;
+    group.size += resource.size;
+    group.transferSize += resource.transferSize;
+  });
+
+  const sum = (list, field) => list.reduce((total, resource) => total + resource[field], 0);
+  const thirdParty = resources.filter(resource => !resource.firstParty);
+
+  return {
+    totals: {
+      requests: resources.length,
+      size: sum(resources, 'size'),
+      transferSize: sum(resources, 'transferSize'),
+      failed: resources.filter(resource => resource.failed).length,
+      duration: resources.reduce((end, resource) => Math.max(end, resource.start + (resource.duration || 0)), 0)
+    },
+    byType,
+    thirdParty: {
+      requests: thirdParty.length,
+      transferSize: sum(thirdParty, 'transferSize'),
+      hosts: [...new Set(thirdParty.map(resource => new URL(resource.url).hostname))].slice(0, 20)
+    },
+    heaviest: [...resources].sort((a, b) => b.transferSize - a.transferSize).slice(0, MAX_HEAVIEST)
+      .map(({ url, type, transferSize, size }) => ({ url, type, transferSize, size })),
+    resources
+  };
+}
+
+/**
+ * HAR 1.2 log for a recorded session (http://www.softwareishard.com/blog/har-12-spec/)
+ * Cookie, Set-Cookie and authorization header values and request bodies are redacted.
+ * Page options: { url, title, onContentLoad, onLoad, browserVersion }
+ */
+function buildHar(records, page) {
+  const origin = records.length > 0 ? records.reduce((first, record) => (record.startTime < first.startTime ? record : first)) : null;
+  const startedAt = origin ? origin.wallTime * 1000 : Date.now();
+  const pageId = 'page_1';
+  const queryString = (url) => {
+    try {
+      return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const round = value => Math.round(value * 1000) / 1000;
+
+  const entries = records.map(record => {
+    const timings = Object.fromEntries(Object.entries(phaseTimings(record)).map(([phase, value]) => [phase, round(value)]));
+    const time = Object.entries(timings)
+      .filter(([phase, value]) => phase !== 'ssl' && value > 0)
+      .reduce((total, [, value]) => total + value, 0);
+    const mimeType = record.mimeType || headerValue(record.responseHeaders, 'content-type') || 'x-unknown';
+    const requestContentType = headerValue(record.requestHeaders, 'content-type');
+
+    return {
+      pageref: pageId,
+      startedDateTime: new Date(startedAt + (record.startTime - origin.startTime) * 1000).toISOString(),
+      time: round(time),
+      request: {
+        method: record.method,
+        url: record.url,
+        httpVersion: record.protocol || 'unknown',
+        cookies: [],
+        headers: toRedactedHeaderList(record.requestHeaders),
+        queryString: queryString(record.url),
+        ...(record.postData ? { postData: { mimeType: requestContentType || 'application/octet-stream', text: REDACTED } } : {}),
+        headersSize: -1,
+        bodySize: record.postData ? Buffer.byteLength(record.postData) : 0
+      },
+      response: {
+        status: record.status || 0,
+        statusText: record.statusText || '',
+        httpVersion: record.protocol || 'unknown',
+        cookies: [],
+        headers: toRedactedHeaderList(record.responseHeaders),
+        content: { size: record.size, mimeType },
+        redirectURL: headerValue(record.responseHeaders, 'location') || '',
+        headersSize: -1,
+        bodySize: record.transferSize,
+        ...(record.failed ? { _error: record.failed } : {})
+      },
+      cache: {},
+      timings,
+      ...(record.remoteAddress ? { serverIPAddress: record.remoteAddress.replace(/^\[|\]$/g, '') } : {}),
+      _resourceType: record.type.toLowerCase()
+    };
+  });
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'SiteSentinel', version: '2.0.0' },
+      browser: { name: 'HeadlessChrome', version: page.browserVersion || '' },
+      pages: [{
+        startedDateTime: new Date(startedAt).toISOString(),
+        id: pageId,
+        title: page.title || page.url,
+        pageTimings: {
+          onContentLoad: page.onContentLoad ?? -1,
+          onLoad: page.onLoad ?? -1
+        }
+      }],
+      entries
+    }
+  };
+}
+
+module.exports = {
+  createNetworkRecorder,
+  cacheLifetime,
+  summarizeResources,
+  buildHar
+};
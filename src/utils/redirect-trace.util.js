@@ -0,0 +1,80 @@
+/**
+ * Redirect Trace Helpers
+ * Turns server-side and client-side (meta refresh / JavaScript) navigations into one ordered hop list
+ */
+
+const { isSameSite } = require('./domain.util');
+const { parseSetCookieHeaders } = require('./cookie.util');
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Normalize one hop; `crossDomain` means the hop leaves the registrable domain
+ */
+function createHop({ type = 'http', url, status = null, location, elapsed = null, tls = null, setCookie = [] }) {
+  return {
+    type,
+    url,
+    status,
+    location,
+    elapsed,
+    tls,
+    crossDomain: !!location && !isSameSite(hostOf(url), hostOf(location)),
+    cookies: parseSetCookieHeaders({ 'set-cookie': setCookie }, url).map(cookie => cookie.name)
+  };
+}
+
+/**
+ * Build the redirect trace for an analysis
+ * `page` is a fetchPage() result (or null when the fetch failed with `fetchError`);
+ * `clientHops` are navigations observed in the browser after the page loaded.
+ */
+function buildRedirectTrace(startUrl, { page = null, fetchError = null, clientHops = [], clientError = null } = {}) {
+  const serverRedirects = page ? page.redirects : fetchError?.redirects || [];
+  const hops = [
+    ...serverRedirects.map(hop => createHop({ ...hop, type: 'http' })),
+    ...clientHops.map(hop => createHop(hop))
+  ];
+
+  const visited = new Set([startUrl]);
+  let loop = fetchError?.loop ? { url: serverRedirects[serverRedirects.length - 1]?.location || null } : null;
+  hops.forEach(hop => {
+    if (!loop && hop.location && visited.has(hop.location)) {
+      loop = { url: hop.location };
+    }
+    if (hop.location) visited.add(hop.location);
+  });
+
+  const lastHop = hops[hops.length - 1];
+  return {
+    startUrl,
+    finalUrl: lastHop?.location || page?.finalUrl || startUrl,
+    finalStatus: page ? page.status : null,
+    hops,
+    totalTime: hops.reduce((sum, hop) => sum + (hop.elapsed || 0), 0),
+    crossDomain: hops.some(hop => hop.crossDomain),
+    clientSide: hops.some(hop => hop.type !== 'http'),
+    loop,
+    error: fetchError ? fetchError.message : null,
+    browser: { checked: !!page && !clientError, error: clientError ? clientError.message.split('\n')[0] : null }
+  };
+}
+
+/**
+ * Redirect hops that set cookies before the final destination was reached
+ */
+function intermediateCookieHops(trace) {
+  return trace.hops.filter(hop => hop.cookies.length > 0);
+}
+
+module.exports = {
+  createHop,
+  buildRedirectTrace,
+  intermediateCookieHops
+};
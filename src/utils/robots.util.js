@@ -0,0 +1,161 @@
+/**
+ * robots.txt Helpers
+ * Fetches and parses robots.txt (RFC 9309) and evaluates whether a URL may be crawled by a user agent
+ */
+
+const { httpClient, checkUrlHost } = require('./egress.util');
+
+// Crawlers must process at least 500 KiB (RFC 9309 section 2.5)
+const MAX_ROBOTS_BYTES = 500 * 1024;
+const KNOWN_DIRECTIVES = new Set(['user-agent', 'allow', 'disallow', 'sitemap', 'crawl-delay', 'host', 'clean-param', 'noindex']);
+
+/**
+ * Parse robots.txt into user-agent groups, declared sitemaps and line-level problems
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  const errors = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const content = raw.replace(/#.*$/, '').trim();
+    if (!content) return;
+
+    const separator = content.indexOf(':');
+    if (separator === -1) {
+      errors.push({ line, message: `Line is not a "field: value" pair: ${content.slice(0, 60)}` });
+      return;
+    }
+    const field = content.slice(0, separator).trim().toLowerCase();
+    const value = content.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      // Sitemap lines are independent of groups and must be absolute URLs
+      try {
+        sitemaps.push(new URL(value).href);
+      } catch (error) {
+        errors.push({ line, message: `Sitemap is not an absolute URL: ${value}` });
+      }
+      return;
+    }
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { userAgents: [], rules: [], crawlDelay: null, line };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+
+    if (!KNOWN_DIRECTIVES.has(field)) {
+      errors.push({ line, message: `Unknown directive "${field}"` });
+      return;
+    }
+    if (!current) {
+      errors.push({ line, message: `"${field}" appears before any user-agent line and is ignored` });
+      return;
+    }
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything and is not a rule
+      if (value) current.rules.push({ type: field, path: value, line });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+      else errors.push({ line, message: `Invalid crawl-delay "${value}"` });
+    }
+  });
+
+  return { groups, sitemaps, errors };
+}
+
+/**
+ * Rules that apply to a crawler: every group naming its product token, merged, or else the "*" groups
+ */
+function rulesFor(parsed, userAgent) {
+  const token = userAgent.toLowerCase().split('/')[0];
+  const named = parsed.groups.filter(group => group.userAgents.some(agent => agent.split('/')[0] === token));
+  const matched = named.length > 0 ? named : parsed.groups.filter(group => group.userAgents.includes('*'));
+  return {
+    group: named.length > 0 ? token : matched.length > 0 ? '*' : null,
+    rules: matched.flatMap(group => group.rules)
+  };
+}
+
+function compileRule(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Compare paths with percent-encoding normalized to upper case, leaving other characters as written
+const normalizePath = path => path.replace(/%[0-9a-f]{2}/gi, match => match.toUpperCase());
+
+/**
+ * Whether a URL may be crawled: the longest matching rule wins, Allow wins ties (RFC 9309 section 2.2.2)
+ */
+function isAllowed(parsed, url, userAgent) {
+  const { pathname, search } = new URL(url);
+  const target = normalizePath(`${pathname}${search}`);
+  const { group, rules } = rulesFor(parsed, userAgent);
+
+  let match = null;
+  rules.forEach(rule => {
+    if (!compileRule(normalizePath(rule.path)).test(target)) return;
+    const longer = !match || rule.path.length > match.path.length;
+    const tieAllow = match && rule.path.length === match.path.length && rule.type === 'allow';
+    if (longer || tieAllow) match = rule;
+  });
+
+  // robots.txt itself is always allowed
+  const allowed = pathname === '/robots.txt' || !match || match.type === 'allow';
+  return { allowed, group, rule: match };
+}
+
+/**
+ * Fetch /robots.txt for a site
+ * 4xx means no restrictions; 5xx or an unreachable server means crawlers assume everything is disallowed.
+ */
+async function fetchRobotsTxt(siteUrl, options = {}) {
+  const url = new URL('/robots.txt', siteUrl).href;
+  const blocked = checkUrlHost(url);
+  if (blocked) throw blocked;
+
+  const response = await httpClient.get(url, {
+    timeout: 10000,
+    maxRedirects: 5,
+    responseType: 'text',
+    maxContentLength: MAX_ROBOTS_BYTES * 4,
+    validateStatus: () => true,
+    signal: options.signal
+  });
+
+  const found = response.status >= 200 && response.status < 300;
+  const text = found ? String(response.data ?? '') : '';
+  const truncated = Buffer.byteLength(text) > MAX_ROBOTS_BYTES;
+  return {
+    url,
+    status: response.status,
+    found,
+    unreachable: response.status >= 500,
+    contentType: response.headers['content-type'] || null,
+    truncated,
+    ...parseRobotsTxt(truncated ? Buffer.from(text).subarray(0, MAX_ROBOTS_BYTES).toString() : text)
+  };
+}
+
+module.exports = {
+  parseRobotsTxt,
+  rulesFor,
+  isAllowed,
+  fetchRobotsTxt
+};
@@ -49,6 +49,29 @@ function calculateOverallScore(categories) {
   return Math.round(sum / validScores.length);
 }
 
+/**
+ * Overall report score, applying the caps for confirmed threats
+ */
+function calculateReportScore(categories) {
+  let score = calculateOverallScore(categories);
+
+  // If any category reports a confirmed malware detection, force overall score to 0
+  if (categories.some(cat => cat && cat.malwareDetected === true)) {
+    score = 0;
+  }
+
+  // If link analysis detected suspicious redirects, significantly lower the score
+  if (categories.some(cat => cat && cat.suspiciousRedirectsDetected === true)) {
+    score = Math.min(score, 25); // Cap at 25/100 for suspicious redirects
+  }
+
+  return {
+    score,
+    label: getScoreLabel(score),
+    color: getScoreColor(score)
+  };
+}
+
 function getScoreLabel(score) {
   if (score >= 90) return 'Excellent';
   if (score >= 75) return 'Good';
@@ -68,6 +91,7 @@ function getScoreColor(score) {
 module.exports = {
   calculateCategoryScore,
   calculateOverallScore,
+  calculateReportScore,
   getScoreLabel,
   getScoreColor
 };
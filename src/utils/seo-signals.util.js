@@ -0,0 +1,99 @@
+/**
+ * SEO Signal Helpers
+ * Reads the indexing-relevant elements of a page (title, meta description, H1, canonical, robots,
+ * hreflang, viewport, html lang, structured data) and compares the raw HTML with the
+ * JavaScript-rendered DOM
+ */
+
+const { analyzeStructuredData } = require('./structured-data.util');
+
+const ELEMENTS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Meta Description' },
+  { key: 'h1', label: 'H1' },
+  { key: 'canonical', label: 'Canonical' },
+  { key: 'robots', label: 'Robots Meta' },
+  { key: 'hreflang', label: 'hreflang' },
+  { key: 'structuredData', label: 'Structured Data' }
+];
+
+const clean = value => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+const absolute = (href, base) => {
+  try {
+    return new URL(href, base).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+function metaContent($, names) {
+  const values = $('meta[name]')
+    .filter((i, el) => names.includes(($(el).attr('name') || '').toLowerCase()))
+    .map((i, el) => clean($(el).attr('content')))
+    .get()
+    .filter(Boolean);
+  return values.length > 0 ? values.join(', ') : null;
+}
+
+/**
+ * Signals of one document; missing elements are null (or empty lists)
+ */
+function collectSeoSignals($, pageUrl) {
+  const canonical = $('link[rel~="canonical"][href]').first().attr('href');
+  return {
+    title: clean($('title').first().text()) || null,
+    description: metaContent($, ['description']),
+    h1: $('h1').map((i, el) => clean($(el).text())).get(),
+    canonical: canonical ? absolute(canonical.trim(), pageUrl) : null,
+    robots: metaContent($, ['robots', 'googlebot']),
+    hreflang: $('link[rel~="alternate"][hreflang][href]').map((i, el) => ({
+      lang: clean($(el).attr('hreflang')),
+      href: absolute($(el).attr('href').trim(), pageUrl)
+    })).get(),
+    viewport: metaContent($, ['viewport']),
+    lang: clean($('html').attr('lang')) || null,
+    structuredData: analyzeStructuredData($)
+  };
+}
+
+/**
+ * Comparable text of a signal, or null when the element is absent
+ */
+function displayValue(key, signals) {
+  const value = signals[key];
+  switch (key) {
+    case 'h1':
+      return value.length > 0 ? value.map(text => text || '(empty)').join(' | ') : null;
+    case 'hreflang':
+      return value.length > 0 ? value.map(entry => `${entry.lang} → ${entry.href}`).sort().join('\n') : null;
+    case 'structuredData':
+      return value.length > 0
+        ? value.map(block => `${block.format}: ${block.types.join(', ') || 'untyped'}`).sort().join('\n')
+        : null;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Side-by-side rows for the raw HTML and the rendered DOM
+ * status: same, js-only (added by JavaScript), changed, removed (deleted by JavaScript) or absent.
+ */
+function compareSeoSignals(raw, rendered) {
+  return ELEMENTS.map(({ key, label }) => {
+    const before = displayValue(key, raw);
+    const after = displayValue(key, rendered);
+    let status;
+    if (before === null && after === null) status = 'absent';
+    else if (before === null) status = 'js-only';
+    else if (after === null) status = 'removed';
+    else status = before === after ? 'same' : 'changed';
+    return { key, element: label, raw: before, rendered: after, status };
+  });
+}
+
+module.exports = {
+  collectSeoSignals,
+  compareSeoSignals
+};
@@ -0,0 +1,284 @@
+/**
+ * Sitemap Helpers
+ * Fetches XML sitemaps (plain or gzipped, following one level of sitemap index), returns the listed
+ * URLs and validates them against the sitemaps.org protocol
+ */
+
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const { httpClient, checkUrlHost } = require('./egress.util');
+
+const MAX_CHILD_SITEMAPS = 5;
+const MAX_INSPECTED_SITEMAPS = 20;
+const MAX_SAMPLE_ISSUES = 5;
+const MAX_LINKING_URLS = 100;
+
+// sitemaps.org limits per file, uncompressed
+const MAX_SITEMAP_URLS = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+// W3C Datetime (YYYY, YYYY-MM, YYYY-MM-DD, or a date with hh:mm[:ss[.s]] and a time zone)
+const W3C_DATETIME = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+const FUTURE_TOLERANCE = 24 * 60 * 60 * 1000;
+
+/**
+ * Download a sitemap, gunzipping it when the body is gzip data (.xml.gz files are served as-is)
+ * Returns { url, status, gzip, bytes, $ } with $ null when the response is not 200 or not parseable.
+ */
+async function loadSitemap(url, signal) {
+  const blocked = checkUrlHost(url);
+  if (blocked) throw blocked;
+
+  const response = await httpClient.get(url, {
+    timeout: 15000,
+    maxRedirects: 3,
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_SITEMAP_BYTES,
+    validateStatus: () => true,
+    signal
+  });
+  const result = { url, status: response.status, gzip: false, bytes: 0, $: null };
+  if (response.status !== 200) return result;
+
+  let body = Buffer.from(response.data);
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    result.gzip = true;
+    try {
+      body = zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_BYTES });
+    } catch (error) {
+      throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE'
+        ? 'Uncompressed sitemap exceeds 50 MB'
+        : `Invalid gzip data: ${error.message}`);
+    }
+  }
+  result.bytes = body.length;
+  result.$ = cheerio.load(body.toString('utf8'), { xmlMode: true });
+  return result;
+}
+
+const resolveHref = (href, base) => {
+  try {
+    return new URL(href, base).href;
+  } catch (error) {
+    return href;
+  }
+};
+
+/**
+ * Entries of a parsed sitemap: page URLs of a <urlset> or child sitemaps of a <sitemapindex>
+ * URL entries carry their <xhtml:link rel="alternate" hreflang> annotations.
+ */
+function readSitemap($) {
+  const entries = (selector) => $(selector).map((i, el) => ({
+    loc: $(el).children('loc').first().text().trim(),
+    lastmod: $(el).children('lastmod').first().text().trim() || null,
+    alternates: $(el).children()
+      .filter((j, child) => /(^|:)link$/.test(child.name) && /\balternate\b/i.test($(child).attr('rel') || '') && $(child).attr('hreflang'))
+      .map((j, child) => ({ lang: $(child).attr('hreflang').trim(), href: ($(child).attr('href') || '').trim() }))
+      .get()
+  })).get();
+
+  if ($('sitemapindex').length > 0) return { type: 'sitemapindex', entries: entries('sitemapindex > sitemap') };
+  if ($('urlset').length > 0) return { type: 'urlset', entries: entries('urlset > url') };
+  return { type: null, entries: [] };
+}
+
+/**
+ * Whether a <lastmod> value is a valid W3C Datetime, and whether it lies in the future
+ */
+function validateLastmod(value, now = Date.now()) {
+  if (!W3C_DATETIME.test(value) || Number.isNaN(Date.parse(value))) return { valid: false, future: false };
+  return { valid: true, future: Date.parse(value) > now + FUTURE_TOLERANCE };
+}
+
+/**
+ * URLs listed in the site's sitemap; an absent sitemap yields an empty list
+ * Options: { signal, limit }
+ */
+async function fetchSitemapUrls(siteUrl, options = {}) {
+  const limit = options.limit || 500;
+  const root = await loadSitemap(new URL('/sitemap.xml', siteUrl).href, options.signal).catch(error => {
+    if (options.signal?.aborted) throw error;
+    return null;
+  });
+  if (!root?.$) return [];
+
+  const { type, entries } = readSitemap(root.$);
+  if (type === 'urlset') return entries.map(entry => entry.loc).filter(Boolean).slice(0, limit);
+
+  const urls = [];
+  for (const child of entries.slice(0, MAX_CHILD_SITEMAPS)) {
+    if (urls.length >= limit) break;
+    try {
+      const { $ } = await loadSitemap(child.loc, options.signal);
+      const sitemap = $ ? readSitemap($) : null;
+      if (sitemap?.type === 'urlset') urls.push(...sitemap.entries.map(entry => entry.loc));
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+    }
+  }
+
+  return urls.filter(Boolean).slice(0, limit);
+}
+
+/**
+ * Fetch and validate a site's sitemaps: the ones declared in robots.txt, or /sitemap.xml
+ * Every sitemap reports its status, type, URL count, invalid or future <lastmod> values and
+ * URLs on other hosts. Options: { signal, limit, pageUrl } where limit caps the URLs collected for
+ * sampling. For pageUrl the result carries its hreflang alternates (pageAlternates) and the listed
+ * URLs whose alternates link back to it (linkingToPage).
+ */
+async function inspectSitemaps(siteUrl, declared = [], options = {}) {
+  const limit = options.limit || 500;
+  const source = declared.length > 0 ? 'robots.txt' : 'default';
+  const queue = (declared.length > 0 ? [...new Set(declared)] : [new URL('/sitemap.xml', siteUrl).href])
+    .map(url => ({ url, parent: null }));
+  const sitemaps = [];
+  const urls = [];
+  const now = Date.now();
+  let unfetched = 0;
+  let pageAlternates = null;
+  let hreflangUrls = 0;
+  const linkingToPage = new Set();
+
+  while (queue.length > 0 && sitemaps.length < MAX_INSPECTED_SITEMAPS) {
+    const { url, parent } = queue.shift();
+    const record = {
+      url,
+      parent,
+      status: null,
+      gzip: false,
+      type: null,
+      urlCount: 0,
+      lastmod: { present: 0, invalid: 0, future: 0, examples: [] },
+      crossHost: { count: 0, examples: [] },
+      errors: []
+    };
+    sitemaps.push(record);
+
+    let loaded;
+    try {
+      loaded = await loadSitemap(url, options.signal);
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      record.errors.push(error.message);
+      continue;
+    }
+    Object.assign(record, { status: loaded.status, gzip: loaded.gzip });
+    if (!loaded.$) {
+      record.errors.push(`HTTP ${loaded.status}`);
+      continue;
+    }
+
+    const { type, entries } = readSitemap(loaded.$);
+    record.type = type;
+    record.urlCount = entries.length;
+    if (!type) {
+      record.errors.push('Not a <urlset> or <sitemapindex> document');
+      continue;
+    }
+    if (entries.length > MAX_SITEMAP_URLS) {
+      record.errors.push(`Lists ${entries.length} entries; the limit is ${MAX_SITEMAP_URLS}`);
+    }
+    if (type === 'sitemapindex' && parent) {
+      record.errors.push('Sitemap indexes cannot be nested');
+    }
+
+    // URLs in a sitemap must be on the sitemap's own host
+    const { host } = new URL(url);
+    entries.forEach(entry => {
+      let entryHost = null;
+      try {
+        entryHost = new URL(entry.loc).host;
+      } catch (error) {
+        // Reported below together with other invalid entries
+      }
+      if (!entryHost) {
+        if (record.errors.length < MAX_SAMPLE_ISSUES) record.errors.push(`Invalid <loc> "${entry.loc.slice(0, 100)}"`);
+        return;
+      }
+      if (entryHost !== host && record.crossHost.count++ < MAX_SAMPLE_ISSUES) record.crossHost.examples.push(entry.loc);
+      if (entry.lastmod) {
+        const { lastmod } = record;
+        const { valid, future } = validateLastmod(entry.lastmod, now);
+        lastmod.present++;
+        if (!valid) lastmod.invalid++;
+        if (future) lastmod.future++;
+        if ((!valid || future) && lastmod.examples.length < MAX_SAMPLE_ISSUES) lastmod.examples.push(entry.lastmod);
+      }
+      if (type === 'urlset' && urls.length < limit) urls.push(entry.loc);
+      if (entry.alternates.length > 0) hreflangUrls++;
+      if (entry.alternates.length > 0 && options.pageUrl) {
+        const loc = new URL(entry.loc).href;
+        const alternates = entry.alternates.map(alternate => ({ ...alternate, href: resolveHref(alternate.href, loc) }));
+        if (!pageAlternates && loc === options.pageUrl) pageAlternates = alternates;
+        if (loc !== options.pageUrl && linkingToPage.size < MAX_LINKING_URLS && alternates.some(alternate => alternate.href === options.pageUrl)) {
+          linkingToPage.add(loc);
+        }
+      }
+    });
+
+    if (type === 'sitemapindex' && !parent) {
+      entries.slice(0, MAX_CHILD_SITEMAPS).forEach(entry => queue.push({ url: entry.loc, parent: url }));
+      unfetched += Math.max(entries.length - MAX_CHILD_SITEMAPS, 0);
+    }
+  }
+
+  const pages = sitemaps.filter(sitemap => sitemap.type === 'urlset');
+  return {
+    source,
+    sitemaps,
+    urls,
+    // Only fetched child sitemaps are counted; large indexes are sampled
+    urlCount: pages.reduce((sum, sitemap) => sum + sitemap.urlCount, 0),
+    unfetched: unfetched + queue.length,
+    hreflangUrls,
+    pageAlternates,
+    linkingToPage: [...linkingToPage]
+  };
+}
+
+/**
+ * Fetch a spread of sitemap URLs and check they answer 200 and declare themselves canonical
+ * Redirects are not followed: a sitemap should list final URLs. Options: { signal, sample }
+ */
+async function checkSitemapSample(urls, options = {}) {
+  const size = Math.min(options.sample || 5, urls.length);
+  const picks = [...new Set(Array.from({ length: size }, (_, i) => urls[Math.floor((i * urls.length) / size)]))];
+
+  return Promise.all(picks.map(async url => {
+    const result = { url, status: null, canonical: null, selfCanonical: null, error: null };
+    const blocked = checkUrlHost(url);
+    if (blocked) return { ...result, error: blocked.message };
+    try {
+      const response = await httpClient.get(url, {
+        timeout: 10000,
+        maxRedirects: 0,
+        responseType: 'text',
+        maxContentLength: 5 * 1024 * 1024,
+        validateStatus: () => true,
+        signal: options.signal
+      });
+      result.status = response.status;
+      if (response.status === 200 && /html/i.test(response.headers['content-type'] || '')) {
+        const $ = cheerio.load(String(response.data ?? ''));
+        const href = $('link[rel~="canonical"]').first().attr('href');
+        if (href) {
+          result.canonical = new URL(href, url).href;
+          result.selfCanonical = result.canonical === new URL(url).href;
+        }
+      }
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      result.error = error.message;
+    }
+    return result;
+  }));
+}
+
+module.exports = {
+  validateLastmod,
+  fetchSitemapUrls,
+  inspectSitemaps,
+  checkSitemapSample
+};
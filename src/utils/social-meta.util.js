@@ -0,0 +1,412 @@
+/**
+ * Social Metadata Helpers
+ * Collects Open Graph, Twitter/X card and oEmbed discovery metadata, validates the fields each card
+ * type requires, probes share images and builds the previews platforms would show
+ */
+
+const { httpClient, checkUrlHost } = require('./egress.util');
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_OEMBED_BYTES = 256 * 1024;
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Facebook requires these four; LinkedIn, Slack and most chat apps read the same tags
+const OG_REQUIRED = ['og:title', 'og:type', 'og:image', 'og:url'];
+const OG_RECOMMENDED = ['og:description', 'og:site_name', 'og:locale'];
+const OG_TYPE_RECOMMENDED = {
+  article: ['article:published_time', 'article:author'],
+  product: ['product:price:amount', 'product:price:currency'],
+  video: ['og:video']
+};
+
+const TWITTER_CARDS = {
+  summary: { required: [], image: 'summary' },
+  summary_large_image: { required: [], image: 'summary_large_image' },
+  player: { required: ['twitter:player', 'twitter:player:width', 'twitter:player:height', 'twitter:image'], image: 'summary_large_image' },
+  app: { requiredOneOf: ['twitter:app:id:iphone', 'twitter:app:id:ipad', 'twitter:app:id:googleplay'], image: null }
+};
+
+// Image requirements published by Facebook and X; ratio is the aspect the preview crops to
+const IMAGE_RULES = {
+  og: { label: 'Open Graph', minWidth: 200, minHeight: 200, recommendedWidth: 1200, recommendedHeight: 630, ratio: 1.91, maxBytes: 8 * 1024 * 1024 },
+  summary: { label: 'X summary card', minWidth: 144, minHeight: 144, maxWidth: 4096, maxHeight: 4096, ratio: 1, maxBytes: 5 * 1024 * 1024 },
+  summary_large_image: { label: 'X large image card', minWidth: 300, minHeight: 157, maxWidth: 4096, maxHeight: 4096, ratio: 2, maxBytes: 5 * 1024 * 1024 }
+};
+const RATIO_TOLERANCE = 0.15;
+
+// Lengths after which previews truncate
+const TEXT_LIMITS = {
+  facebook: { title: 88, description: 160 },
+  x: { title: 70, description: 200 }
+};
+
+const clean = value => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+function absolute(href, base) {
+  try {
+    return new URL(String(href).trim(), base).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+const isAbsoluteHttp = value => /^https?:\/\/[^/]/i.test(String(value || ''));
+
+/**
+ * og:*, twitter:* and oEmbed discovery links of a page
+ * Open Graph images are structured: every og:image starts a new image that the following
+ * og:image:* tags describe.
+ */
+function collectSocialMeta($, pageUrl) {
+  const og = {};
+  const images = [];
+  const twitter = {};
+
+  $('meta[property], meta[name]').each((i, el) => {
+    const $el = $(el);
+    const key = clean($el.attr('property') || $el.attr('name')).toLowerCase();
+    const value = clean($el.attr('content'));
+    if (!value) return;
+
+    if (/^og:image(:url)?$/.test(key)) {
+      images.push({ url: value });
+    } else if (key.startsWith('og:image:')) {
+      const image = images[images.length - 1];
+      const field = key.slice('og:image:'.length).replace('secure_url', 'secureUrl');
+      if (image && image[field] === undefined) image[field] = value;
+    } else if (/^(og|article|product|book|profile|video|music):/.test(key)) {
+      if (og[key] === undefined) og[key] = value;
+    } else if (key.startsWith('twitter:')) {
+      if (twitter[key] === undefined) twitter[key] = value;
+    }
+  });
+  if (images.length > 0) og['og:image'] = images[0].url;
+
+  const oembed = $('link[rel~="alternate"][href]')
+    .filter((i, el) => /^(application\/json|text\/xml)\+oembed$/i.test(($(el).attr('type') || '').trim()))
+    .map((i, el) => ({
+      format: /json/i.test($(el).attr('type')) ? 'json' : 'xml',
+      href: absolute($(el).attr('href'), pageUrl),
+      title: clean($(el).attr('title')) || null
+    })).get()
+    .filter(link => link.href);
+
+  const description = $('meta[name]').filter((i, el) => ($(el).attr('name') || '').toLowerCase() === 'description').first().attr('content');
+  return {
+    og,
+    images,
+    twitter,
+    oembed,
+    page: { title: clean($('title').first().text()) || null, description: clean(description) || null, url: pageUrl }
+  };
+}
+
+/**
+ * Missing or invalid Open Graph fields, as { field, level: error|warning, message }
+ */
+function validateOpenGraph(meta) {
+  const { og, images } = meta;
+  const issues = [];
+  OG_REQUIRED.filter(field => !og[field])
+    .forEach(field => issues.push({ field, level: 'error', message: `Missing required ${field}` }));
+  OG_RECOMMENDED.filter(field => !og[field])
+    .forEach(field => issues.push({ field, level: 'warning', message: `Missing recommended ${field}` }));
+
+  const type = (og['og:type'] || 'website').split('.')[0];
+  (OG_TYPE_RECOMMENDED[type] || []).filter(field => !og[field])
+    .forEach(field => issues.push({ field, level: 'warning', message: `Missing ${field} for og:type "${og['og:type']}"` }));
+
+  ['og:url', 'og:image'].filter(field => og[field] && !isAbsoluteHttp(og[field]))
+    .forEach(field => issues.push({ field, level: 'error', message: `${field} must be an absolute http(s) URL: ${og[field]}` }));
+  if (images[0] && !images[0].alt) {
+    issues.push({ field: 'og:image:alt', level: 'warning', message: 'Missing og:image:alt text for the share image' });
+  }
+  if (images[0] && (!images[0].width || !images[0].height)) {
+    issues.push({ field: 'og:image:width', level: 'warning', message: 'Missing og:image:width/height; the first share may render without an image' });
+  }
+  return issues;
+}
+
+/**
+ * Card type and missing or invalid Twitter/X card fields
+ * X falls back to og:title, og:description and og:image, so only missing fallbacks are errors.
+ */
+function validateTwitterCard(meta) {
+  const { og, twitter } = meta;
+  const issues = [];
+  const declared = twitter['twitter:card'] || null;
+  const card = TWITTER_CARDS[declared] ? declared : 'summary';
+
+  if (!declared) {
+    issues.push({ field: 'twitter:card', level: 'warning', message: 'Missing twitter:card; X shows a summary card at best' });
+  } else if (!TWITTER_CARDS[declared]) {
+    issues.push({ field: 'twitter:card', level: 'error', message: `Unknown card type "${declared}" (summary, summary_large_image, app or player)` });
+  }
+
+  const rules = TWITTER_CARDS[card];
+  (rules.required || []).filter(field => !twitter[field])
+    .forEach(field => issues.push({ field, level: 'error', message: `Missing ${field} required by the ${card} card` }));
+  if (rules.requiredOneOf && !rules.requiredOneOf.some(field => twitter[field])) {
+    issues.push({ field: rules.requiredOneOf[0], level: 'error', message: `The app card needs one of ${rules.requiredOneOf.join(', ')}` });
+  }
+  if (!twitter['twitter:title'] && !og['og:title']) {
+    issues.push({ field: 'twitter:title', level: 'error', message: 'Missing twitter:title and og:title' });
+  }
+  if (rules.image && !twitter['twitter:image'] && !og['og:image']) {
+    issues.push({ field: 'twitter:image', level: 'warning', message: 'No twitter:image or og:image; the card has no picture' });
+  }
+  if (twitter['twitter:image'] && !isAbsoluteHttp(twitter['twitter:image'])) {
+    issues.push({ field: 'twitter:image', level: 'error', message: `twitter:image must be an absolute URL: ${twitter['twitter:image']}` });
+  }
+  if (!twitter['twitter:site']) {
+    issues.push({ field: 'twitter:site', level: 'warning', message: 'Missing twitter:site (@username of the website)' });
+  }
+  return { card, declared, issues };
+}
+
+/**
+ * Format and pixel size from the first bytes of a PNG, GIF, JPEG or WebP file
+ */
+function readImageSize(buffer) {
+  const b = buffer;
+  if (b.length >= 24 && b.readUInt32BE(0) === 0x89504e47) {
+    return { format: 'image/png', width: b.readUInt32BE(16), height: b.readUInt32BE(20) };
+  }
+  if (b.length >= 10 && b.toString('ascii', 0, 4) === 'GIF8') {
+    return { format: 'image/gif', width: b.readUInt16LE(6), height: b.readUInt16LE(8) };
+  }
+  if (b.length >= 30 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = b.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') return { format: 'image/webp', width: b.readUInt16LE(26) & 0x3fff, height: b.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      return {
+        format: 'image/webp',
+        width: 1 + (((b[22] & 0x3f) << 8) | b[21]),
+        height: 1 + (((b[24] & 0x0f) << 10) | (b[23] << 2) | ((b[22] & 0xc0) >> 6))
+      };
+    }
+    if (chunk === 'VP8X') return { format: 'image/webp', width: 1 + b.readUIntLE(24, 3), height: 1 + b.readUIntLE(27, 3) };
+    return { format: 'image/webp', width: null, height: null };
+  }
+  if (b.length >= 4 && b[0] === 0xff && b[1] === 0xd8) {
+    // Walk the JPEG segments up to the start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < b.length) {
+      if (b[offset] !== 0xff) return { format: 'image/jpeg', width: null, height: null };
+      const marker = b[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+      } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+        offset += 2;
+      } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { format: 'image/jpeg', width: b.readUInt16BE(offset + 7), height: b.readUInt16BE(offset + 5) };
+      } else {
+        offset += 2 + b.readUInt16BE(offset + 2);
+      }
+    }
+    return { format: 'image/jpeg', width: null, height: null };
+  }
+  if (/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(b.toString('utf8', 0, 256))) {
+    return { format: 'image/svg+xml', width: null, height: null };
+  }
+  return { format: null, width: null, height: null };
+}
+
+/**
+ * Download a share image: status, declared content type, size and decoded dimensions
+ */
+async function probeImage(url, options = {}) {
+  const result = { url, status: null, contentType: null, format: null, bytes: null, width: null, height: null, error: null };
+  const blocked = checkUrlHost(url);
+  if (blocked) return { ...result, error: blocked.message };
+
+  try {
+    const response = await httpClient.get(url, {
+      timeout: 10000,
+      maxRedirects: 5,
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_IMAGE_BYTES,
+      validateStatus: () => true,
+      signal: options.signal
+    });
+    result.status = response.status;
+    result.contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase() || null;
+    if (response.status !== 200) return result;
+    const body = Buffer.from(response.data);
+    result.bytes = body.length;
+    Object.assign(result, readImageSize(body));
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    result.error = /maxContentLength/.test(error.message) ? `Larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB` : error.message;
+  }
+  return result;
+}
+
+/**
+ * Problems of a probed image for one platform's rules (a key of IMAGE_RULES)
+ */
+function validateImage(probe, ruleKey) {
+  const rules = IMAGE_RULES[ruleKey];
+  const issues = [];
+  const add = (level, message) => issues.push({ field: 'image', level, message: `${rules.label}: ${message}` });
+
+  if (probe.error || probe.status !== 200) {
+    add('error', `image is unreachable (${probe.error || `HTTP ${probe.status}`})`);
+    return issues;
+  }
+  if (probe.contentType && !probe.contentType.startsWith('image/')) {
+    add('error', `served as ${probe.contentType}, not an image`);
+  } else if (probe.format && probe.contentType && probe.format !== probe.contentType && !(probe.format === 'image/jpeg' && probe.contentType === 'image/jpg')) {
+    add('warning', `Content-Type ${probe.contentType} does not match the ${probe.format} data`);
+  }
+  if (!SUPPORTED_IMAGE_TYPES.includes(probe.format)) {
+    add('error', probe.format ? `${probe.format} is not supported (use JPEG, PNG, WebP or GIF)` : 'not a recognizable JPEG, PNG, WebP or GIF image');
+    return issues;
+  }
+  if (probe.bytes > rules.maxBytes) {
+    add('error', `${(probe.bytes / (1024 * 1024)).toFixed(1)} MB exceeds the ${rules.maxBytes / (1024 * 1024)} MB limit`);
+  }
+  if (!probe.width || !probe.height) return issues;
+
+  if (probe.width < rules.minWidth || probe.height < rules.minHeight) {
+    add('error', `${probe.width}x${probe.height} is below the ${rules.minWidth}x${rules.minHeight} minimum`);
+  } else if (rules.recommendedWidth && (probe.width < rules.recommendedWidth || probe.height < rules.recommendedHeight)) {
+    add('warning', `${probe.width}x${probe.height} is smaller than the recommended ${rules.recommendedWidth}x${rules.recommendedHeight}`);
+  }
+  if (rules.maxWidth && (probe.width > rules.maxWidth || probe.height > rules.maxHeight)) {
+    add('error', `${probe.width}x${probe.height} exceeds the ${rules.maxWidth}x${rules.maxHeight} maximum`);
+  }
+  const ratio = probe.width / probe.height;
+  if (Math.abs(ratio - rules.ratio) / rules.ratio > RATIO_TOLERANCE) {
+    add('warning', `aspect ratio ${ratio.toFixed(2)}:1 will be cropped to ${rules.ratio}:1`);
+  }
+  return issues;
+}
+
+/**
+ * Fetch a JSON oEmbed endpoint and check the fields its response type requires
+ * XML endpoints are listed but not parsed.
+ */
+async function fetchOembed(link, options = {}) {
+  const result = { ...link, status: null, type: null, issues: [] };
+  if (link.format !== 'json') return result;
+  const blocked = checkUrlHost(link.href);
+  if (blocked) return { ...result, issues: [blocked.message] };
+
+  try {
+    const response = await httpClient.get(link.href, {
+      timeout: 8000,
+      maxRedirects: 3,
+      responseType: 'text',
+      maxContentLength: MAX_OEMBED_BYTES,
+      validateStatus: () => true,
+      signal: options.signal
+    });
+    result.status = response.status;
+    if (response.status !== 200) {
+      result.issues.push(`HTTP ${response.status}`);
+      return result;
+    }
+    const data = JSON.parse(String(response.data ?? ''));
+    result.type = data.type || null;
+    const required = { photo: ['url', 'width', 'height'], video: ['html', 'width', 'height'], rich: ['html', 'width', 'height'], link: [] }[data.type];
+    if (!required) result.issues.push(`Invalid or missing type "${data.type ?? ''}"`);
+    if (String(data.version) !== '1.0') result.issues.push(`version must be "1.0" (got ${JSON.stringify(data.version ?? null)})`);
+    (required || []).filter(field => data[field] === undefined || data[field] === null || data[field] === '')
+      .forEach(field => result.issues.push(`Missing "${field}" for type ${data.type}`));
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    result.issues.push(error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message);
+  }
+  return result;
+}
+
+/**
+ * What Facebook (and other Open Graph consumers) and X would show, with per-field issues
+ * `probes` maps image URLs to probeImage results.
+ */
+function buildPreviews(meta, twitterCard, probes) {
+  const { og, twitter, page } = meta;
+  let domain = null;
+  try {
+    domain = new URL(og['og:url'] && isAbsoluteHttp(og['og:url']) ? og['og:url'] : page.url).hostname;
+  } catch (error) {
+    // Left empty
+  }
+
+  const pick = (candidates) => candidates.find(candidate => candidate.value) || { value: null, source: null };
+  const textIssues = (field, chosen, preferred, limit) => {
+    const issues = [];
+    if (!chosen.value) issues.push({ field, level: field === 'title' ? 'error' : 'warning', message: `No ${field}` });
+    else if (chosen.source !== preferred) issues.push({ field, level: 'warning', message: `Falls back to ${chosen.source}; set ${preferred}` });
+    if (chosen.value && chosen.value.length > limit) {
+      issues.push({ field, level: 'warning', message: `${chosen.value.length} characters; truncated after about ${limit}` });
+    }
+    return issues;
+  };
+  const imageOf = (url, ruleKey) => {
+    if (!url) return { url: null, issues: [{ field: 'image', level: 'warning', message: 'No share image' }] };
+    const absoluteUrl = absolute(url, page.url);
+    const probe = probes.get(absoluteUrl);
+    return { url: absoluteUrl, width: probe?.width || null, height: probe?.height || null, issues: probe ? validateImage(probe, ruleKey) : [] };
+  };
+
+  const fbTitle = pick([{ value: og['og:title'], source: 'og:title' }, { value: page.title, source: '<title>' }]);
+  const fbDescription = pick([{ value: og['og:description'], source: 'og:description' }, { value: page.description, source: 'meta description' }]);
+  const fbImage = imageOf(og['og:image'], 'og');
+
+  const xTitle = pick([{ value: twitter['twitter:title'], source: 'twitter:title' }, { value: og['og:title'], source: 'og:title' }]);
+  const xDescription = pick([{ value: twitter['twitter:description'], source: 'twitter:description' }, { value: og['og:description'], source: 'og:description' }]);
+  const xImageRule = TWITTER_CARDS[twitterCard.card].image;
+  const xImage = xImageRule ? imageOf(twitter['twitter:image'] || og['og:image'], xImageRule) : { url: null, issues: [] };
+
+  return [
+    {
+      platform: 'facebook',
+      label: 'Facebook / LinkedIn',
+      layout: 'large',
+      domain,
+      siteName: og['og:site_name'] || null,
+      title: fbTitle.value,
+      description: fbDescription.value,
+      image: fbImage,
+      issues: [
+        ...textIssues('title', fbTitle, 'og:title', TEXT_LIMITS.facebook.title),
+        ...textIssues('description', fbDescription, 'og:description', TEXT_LIMITS.facebook.description),
+        ...fbImage.issues
+      ]
+    },
+    {
+      platform: 'x',
+      label: 'X (Twitter)',
+      layout: twitterCard.card === 'summary' || twitterCard.card === 'app' ? 'small' : 'large',
+      card: twitterCard.card,
+      domain,
+      siteName: twitter['twitter:site'] || null,
+      title: xTitle.value,
+      description: xDescription.value,
+      image: xImage,
+      issues: [
+        // og:* fallbacks are the documented X behaviour, so only missing values are reported
+        ...textIssues('title', xTitle, xTitle.source || 'twitter:title', TEXT_LIMITS.x.title),
+        ...(xDescription.value && xDescription.value.length > TEXT_LIMITS.x.description
+          ? [{ field: 'description', level: 'warning', message: `${xDescription.value.length} characters; truncated after about ${TEXT_LIMITS.x.description}` }]
+          : []),
+        ...xImage.issues,
+        ...twitterCard.issues.filter(issue => issue.field === 'twitter:card')
+      ]
+    }
+  ];
+}
+
+module.exports = {
+  IMAGE_RULES,
+  collectSocialMeta,
+  validateOpenGraph,
+  validateTwitterCard,
+  readImageSize,
+  probeImage,
+  validateImage,
+  fetchOembed,
+  buildPreviews
+};
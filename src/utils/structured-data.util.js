@@ -0,0 +1,266 @@
+/**
+ * Structured Data Helpers
+ * Extracts JSON-LD, microdata and RDFa from a page and validates each block against the bundled
+ * Schema.org vocabulary (src/data/schema-vocabulary.json): required and recommended properties per
+ * type, and the Google rich result features an entity qualifies for
+ */
+
+const vocabulary = require('../data/schema-vocabulary.json');
+
+const SCHEMA_PREFIX = /^(https?:\/\/schema\.org\/|schema:)/i;
+const DATE_PROPERTIES = new Set(['datePublished', 'dateModified', 'dateCreated', 'uploadDate', 'startDate', 'endDate', 'datePosted', 'validThrough', 'priceValidUntil']);
+// ISO 8601 date, optionally with a time and zone
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const MAX_DEPTH = 8;
+
+const toArray = value => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Type or property name without a schema.org URL or "schema:" prefix
+ */
+const localName = value => String(value).trim().replace(SCHEMA_PREFIX, '');
+
+const isSchemaIri = value => SCHEMA_PREFIX.test(String(value).trim());
+
+function isSchemaContext(context) {
+  return toArray(context).some(entry => (isObject(entry)
+    ? isSchemaContext(entry['@vocab']) || Object.values(entry).some(value => typeof value === 'string' && /schema\.org/i.test(value))
+    : /^https?:\/\/schema\.org\/?$/i.test(String(entry).trim())));
+}
+
+function hasValue(value) {
+  return toArray(value).some(entry => (isObject(entry) ? Object.keys(entry).length > 0 : String(entry).trim() !== ''));
+}
+
+/**
+ * Type chain of a vocabulary type, most specific first
+ */
+function lineage(type) {
+  const chain = [];
+  for (let current = type; current && vocabulary.types[current] && !chain.includes(current); current = vocabulary.types[current].extends) {
+    chain.push(current);
+  }
+  return chain;
+}
+
+function rulesFor(type) {
+  const chain = lineage(type);
+  return {
+    required: [...new Set(chain.flatMap(name => vocabulary.types[name].required))],
+    recommended: [...new Set(chain.flatMap(name => vocabulary.types[name].recommended))],
+    requiredOneOf: chain.flatMap(name => vocabulary.types[name].requiredOneOf || [])
+  };
+}
+
+// Extraction: every block becomes { format, index, entities, error, warnings } with entities in
+// JSON-LD shape ({ '@type', property: value })
+
+function parseJsonLd(text, index) {
+  const block = { format: 'json-ld', index, entities: [], error: null, warnings: [] };
+  // Some CMSs wrap the JSON in HTML comments or CDATA markers
+  const cleaned = text.trim()
+    .replace(/^<!--|-->$/g, '')
+    .replace(/^\s*(\/\/)?\s*<!\[CDATA\[|(\/\/)?\s*\]\]>\s*$/g, '')
+    .trim();
+  if (!cleaned) {
+    block.error = 'Empty <script type="application/ld+json"> block';
+    return block;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(cleaned);
+  } catch (error) {
+    block.error = `Invalid JSON: ${error.message}`;
+    return block;
+  }
+
+  toArray(data).forEach(item => {
+    if (!isObject(item)) {
+      block.warnings.push('Top-level value is not an object and is ignored');
+      return;
+    }
+    const context = item['@context'];
+    const members = Array.isArray(item['@graph']) ? item['@graph'] : [item];
+    members.filter(isObject).forEach(entity => {
+      const entityContext = entity['@context'] ?? context;
+      if (entityContext === undefined) {
+        block.entities.push({ ...entity, $missingContext: true });
+      } else if (!isSchemaContext(entityContext)) {
+        block.warnings.push(`@context ${JSON.stringify(entityContext).slice(0, 80)} is not schema.org; not validated`);
+      } else {
+        block.entities.push(entity);
+      }
+    });
+  });
+  return block;
+}
+
+function microdataValue($el) {
+  if ($el.is('meta')) return $el.attr('content') ?? '';
+  if ($el.is('a, area, link')) return $el.attr('href') ?? '';
+  if ($el.is('img, audio, video, source, track, iframe, embed')) return $el.attr('src') ?? '';
+  if ($el.is('object')) return $el.attr('data') ?? '';
+  if ($el.is('time') && $el.attr('datetime')) return $el.attr('datetime');
+  if ($el.is('data, meter')) return $el.attr('value') ?? '';
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function addProperty(entity, name, value) {
+  entity[name] = entity[name] === undefined ? value : [...toArray(entity[name]), value];
+}
+
+function microdataItem($, el, depth = 0) {
+  const $el = $(el);
+  const types = ($el.attr('itemtype') || '').split(/\s+/).filter(Boolean);
+  const entity = types.length > 0 ? { '@type': types.length === 1 ? types[0] : types } : {};
+
+  $el.find('[itemprop]').each((i, prop) => {
+    const $prop = $(prop);
+    // A property belongs to its nearest enclosing item
+    if ($prop.parent().closest('[itemscope]')[0] !== el) return;
+    const value = $prop.is('[itemscope]') && depth < MAX_DEPTH ? microdataItem($, prop, depth + 1) : microdataValue($prop);
+    $prop.attr('itemprop').split(/\s+/).filter(Boolean).forEach(name => addProperty(entity, localName(name), value));
+  });
+  return entity;
+}
+
+function rdfaItem($, el, depth = 0) {
+  const $el = $(el);
+  const types = ($el.attr('typeof') || '').split(/\s+/).filter(Boolean);
+  const entity = types.length > 0 ? { '@type': types.length === 1 ? types[0] : types } : {};
+
+  $el.find('[property]').each((i, prop) => {
+    const $prop = $(prop);
+    if ($prop.parent().closest('[typeof]')[0] !== el) return;
+    const value = $prop.is('[typeof]') && depth < MAX_DEPTH
+      ? rdfaItem($, prop, depth + 1)
+      : $prop.attr('content') ?? $prop.attr('href') ?? $prop.attr('src') ?? $prop.attr('resource') ?? microdataValue($prop);
+    $prop.attr('property').split(/\s+/).filter(Boolean).forEach(name => addProperty(entity, localName(name), value));
+  });
+  return entity;
+}
+
+/**
+ * Every structured data block on a page, in document order per format
+ * Microdata and RDFa blocks are top-level items; types outside schema.org are reported, not validated.
+ */
+function extractStructuredData($) {
+  const blocks = $('script[type="application/ld+json"]')
+    .map((i, el) => parseJsonLd($(el).html() || '', i + 1)).get();
+
+  $('[itemscope]').filter((i, el) => !$(el).is('[itemprop]')).each((i, el) => {
+    const entity = microdataItem($, el);
+    const block = { format: 'microdata', index: i + 1, entities: [], error: null, warnings: [] };
+    const types = toArray(entity['@type']);
+    if (types.length > 0 && !types.every(isSchemaIri)) {
+      block.warnings.push(`itemtype ${types.join(' ')} is not schema.org; not validated`);
+    } else {
+      block.entities.push(entity);
+    }
+    blocks.push(block);
+  });
+
+  $('[typeof]').filter((i, el) => !$(el).is('[property]')).each((i, el) => {
+    const entity = rdfaItem($, el);
+    const block = { format: 'rdfa', index: i + 1, entities: [], error: null, warnings: [] };
+    const vocab = $(el).closest('[vocab]').attr('vocab') || '';
+    const types = toArray(entity['@type']);
+    if (!/schema\.org/i.test(vocab) && !types.every(isSchemaIri)) {
+      block.warnings.push(`typeof ${types.join(' ')} is not in the schema.org vocabulary; not validated`);
+    } else {
+      block.entities.push(entity);
+    }
+    blocks.push(block);
+  });
+
+  return blocks;
+}
+
+function validateEntity(entity, path, result, depth = 0) {
+  const types = toArray(entity['@type']).map(localName);
+  const keys = Object.keys(entity).filter(key => !key.startsWith('@') && !key.startsWith('$'));
+
+  if (types.length === 0) {
+    if (depth === 0) result.errors.push(`${path}: missing @type`);
+  } else if (keys.length > 0) {
+    // Objects with only @type/@id reference an entity described elsewhere
+    types.forEach(type => {
+      if (!vocabulary.types[type]) {
+        if (!result.unchecked.includes(type)) result.unchecked.push(type);
+        return;
+      }
+      const { required, recommended, requiredOneOf } = rulesFor(type);
+      required.filter(property => !hasValue(entity[property]))
+        .forEach(property => result.errors.push(`${path} (${type}): missing required "${property}"`));
+      requiredOneOf.filter(group => !group.some(property => hasValue(entity[property])))
+        .forEach(group => result.errors.push(`${path} (${type}): needs one of ${group.map(property => `"${property}"`).join(', ')}`));
+      recommended.filter(property => !hasValue(entity[property]))
+        .forEach(property => result.warnings.push(`${path} (${type}): missing recommended "${property}"`));
+    });
+  }
+
+  keys.forEach(key => {
+    toArray(entity[key]).forEach((value, i, values) => {
+      const childPath = `${path}.${key}${values.length > 1 ? `[${i}]` : ''}`;
+      if (isObject(value)) {
+        if (depth < MAX_DEPTH && value['@type'] !== undefined) validateEntity(value, childPath, result, depth + 1);
+      } else if (DATE_PROPERTIES.has(key) && typeof value === 'string' && value.trim() && !ISO_DATE.test(value.trim())) {
+        result.warnings.push(`${childPath}: "${value.slice(0, 40)}" is not an ISO 8601 date`);
+      }
+    });
+  });
+}
+
+function qualifiesFor(entity) {
+  const types = toArray(entity['@type']).map(localName);
+  return vocabulary.features.filter(feature => types.some(type => feature.types.some(base => lineage(type).includes(base)))
+    && feature.required.every(property => hasValue(entity[property]))
+    && (feature.requiredOneOf || []).every(group => group.some(property => hasValue(entity[property]))))
+    .map(feature => feature.name);
+}
+
+/**
+ * Validate one extracted block
+ * Returns { format, index, types, errors, warnings, features, unchecked }; an entity with errors
+ * qualifies for no rich result.
+ */
+function validateBlock(block) {
+  const result = {
+    format: block.format,
+    index: block.index,
+    types: [],
+    errors: block.error ? [block.error] : [],
+    warnings: [...block.warnings],
+    features: [],
+    unchecked: []
+  };
+
+  block.entities.forEach((entity, i) => {
+    const path = block.entities.length > 1 ? `[${i}]` : '$';
+    const errorsBefore = result.errors.length;
+    if (entity.$missingContext) result.errors.push(`${path}: missing @context (expected "https://schema.org")`);
+    result.types.push(...toArray(entity['@type']).map(localName));
+    validateEntity(entity, path, result);
+    if (result.errors.length === errorsBefore) result.features.push(...qualifiesFor(entity));
+  });
+
+  result.types = [...new Set(result.types)];
+  result.features = [...new Set(result.features)];
+  return result;
+}
+
+/**
+ * Extract and validate all structured data of a page
+ */
+function analyzeStructuredData($) {
+  return extractStructuredData($).map(validateBlock);
+}
+
+module.exports = {
+  extractStructuredData,
+  validateBlock,
+  analyzeStructuredData
+};
@@ -0,0 +1,155 @@
+/**
+ * Subdomain Takeover Helpers
+ * Resolves CNAME chains and matches their targets against the local fingerprint database
+ *
+ * Configuration:
+ *   TAKEOVER_FINGERPRINTS  Path to a JSON file in the format of src/data/takeover-fingerprints.json
+ *                          whose providers are used in addition to the bundled ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TYPES, queryRecords, normalizeName } = require('./dns-wire.util');
+const { getRegistrableDomain } = require('./domain.util');
+const { httpClient, checkUrlHost } = require('./egress.util');
+
+const BUNDLED_FINGERPRINTS = path.join(__dirname, '..', 'data', 'takeover-fingerprints.json');
+const MAX_CHAIN_LENGTH = 8;
+const MAX_BODY_BYTES = 256 * 1024;
+
+let cachedProviders = null;
+
+function compilePattern(pattern) {
+  const body = pattern.toLowerCase().split('.')
+    .map(label => label === '*' ? '[a-z0-9-]+' : label.replace(/[+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[a-z0-9-]*'))
+    .join('\\.');
+  return new RegExp(`(^|\\.)${body}$`);
+}
+
+/**
+ * Providers from the bundled database plus TAKEOVER_FINGERPRINTS
+ */
+function loadFingerprints() {
+  if (cachedProviders) return cachedProviders;
+
+  const files = [BUNDLED_FINGERPRINTS, process.env.TAKEOVER_FINGERPRINTS].filter(Boolean);
+  cachedProviders = files.flatMap(file => JSON.parse(fs.readFileSync(file, 'utf8')).providers).map(provider => ({
+    ...provider,
+    fingerprints: provider.fingerprints || [],
+    patterns: provider.cname.map(compilePattern)
+  }));
+  return cachedProviders;
+}
+
+/**
+ * Provider whose CNAME suffixes match a hostname, if any
+ */
+function matchProvider(hostname, providers = loadFingerprints()) {
+  const name = normalizeName(hostname);
+  return providers.find(provider => provider.patterns.some(pattern => pattern.test(name))) || null;
+}
+
+/**
+ * Follow a host's CNAME chain through the recursive resolver
+ * `nxdomain` is set when the chain ends in NXDOMAIN.
+ */
+async function resolveCnameChain(hostname, options = {}) {
+  const host = normalizeName(hostname);
+  const message = await queryRecords(host, TYPES.A, options);
+  const cnames = new Map(message.answers.filter(rr => rr.type === TYPES.CNAME).map(rr => [rr.name, rr.data.target]));
+
+  const chain = [];
+  let current = host;
+  while (cnames.has(current) && chain.length < MAX_CHAIN_LENGTH) {
+    current = cnames.get(current);
+    chain.push(current);
+  }
+
+  return {
+    host,
+    chain,
+    target: chain[chain.length - 1] || null,
+    rcode: message.rcode,
+    nxdomain: chain.length > 0 && message.rcode === 'NXDOMAIN'
+  };
+}
+
+/**
+ * Distinct subdomains of the site found in page links and sitemap URLs
+ */
+function collectSiteHosts(hostname, urls, limit) {
+  const site = getRegistrableDomain(hostname);
+  const hosts = new Set([normalizeName(hostname)]);
+  for (const url of urls) {
+    if (hosts.size >= limit) break;
+    try {
+      const { hostname: host, protocol } = new URL(url);
+      if ((protocol === 'http:' || protocol === 'https:') && getRegistrableDomain(host) === site) {
+        hosts.add(normalizeName(host));
+      }
+    } catch (error) {
+      // relative or malformed URL
+    }
+  }
+  return [...hosts];
+}
+
+/**
+ * Fetch the host and look for the provider's "unclaimed resource" body signatures
+ */
+async function matchBodyFingerprint(host, provider, signal) {
+  if (provider.fingerprints.length === 0) return null;
+
+  for (const scheme of ['https', 'http']) {
+    const url = `${scheme}://${host}/`;
+    if (checkUrlHost(url)) return null;
+    try {
+      const response = await httpClient.get(url, {
+        timeout: 8000,
+        maxRedirects: 0,
+        responseType: 'text',
+        maxContentLength: MAX_BODY_BYTES,
+        validateStatus: () => true,
+        signal
+      });
+      const body = String(response.data ?? '');
+      const match = provider.fingerprints.find(fingerprint => body.includes(fingerprint));
+      return match ? { url, status: response.status, fingerprint: match } : null;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Inspect one host: CNAME chain, provider match, NXDOMAIN and body fingerprints
+ * An NXDOMAIN target is only `dangling` when whoever claims the name gets the traffic: unknown targets
+ * (the domain may be re-registrable) and providers marked `nxdomain: true`. Providers marked `nxdomain: false`
+ * keep unclaimed names resolving, so NXDOMAIN there means a dead name rather than a claimable one.
+ */
+async function inspectHost(host, options = {}) {
+  const resolution = await resolveCnameChain(host, options);
+  const providerName = resolution.chain.find(name => matchProvider(name));
+  const provider = providerName ? matchProvider(providerName) : null;
+
+  const finding = {
+    ...resolution,
+    provider: provider ? { service: provider.service, kind: provider.kind, cname: providerName } : null,
+    dangling: resolution.nxdomain && provider?.nxdomain !== false,
+    fingerprint: null
+  };
+
+  if (provider && !resolution.nxdomain) {
+    finding.fingerprint = await matchBodyFingerprint(host, provider, options.signal);
+  }
+  return finding;
+}
+
+module.exports = {
+  loadFingerprints,
+  matchProvider,
+  resolveCnameChain,
+  collectSiteHosts,
+  inspectHost
+};
@@ -0,0 +1,168 @@
+/**
+ * Response Timing Sampler
+ * Requests a URL several times and breaks every sample into DNS lookup, TCP connect, TLS handshake,
+ * time to first byte and content download, then reports median, p90 and standard deviation
+ *
+ * Configuration:
+ *   PERF_SAMPLES      Number of timed requests (default 5, at most 20)
+ *   PERF_SAMPLE_MODE  "cold" opens a new connection per sample; "warm" reuses one keep-alive
+ *                     connection after an untimed warm-up request (default "cold")
+ */
+
+const http = require('http');
+const https = require('https');
+const { guardedLookup, checkUrlHost } = require('./egress.util');
+
+const DEFAULT_SAMPLES = 5;
+const MAX_SAMPLES = 20;
+const SAMPLE_TIMEOUT = 15000;
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const PHASES = ['dns', 'tcp', 'tls', 'ttfb', 'download'];
+
+/**
+ * Sample count and connection mode from PERF_SAMPLES / PERF_SAMPLE_MODE
+ */
+function getSamplingOptions() {
+  const samples = parseInt(process.env.PERF_SAMPLES, 10);
+  const mode = (process.env.PERF_SAMPLE_MODE || 'cold').trim().toLowerCase();
+  if (mode !== 'cold' && mode !== 'warm') {
+    throw new Error(`Invalid PERF_SAMPLE_MODE "${process.env.PERF_SAMPLE_MODE}" (expected cold or warm)`);
+  }
+  return {
+    samples: Math.min(Math.max(Number.isFinite(samples) ? samples : DEFAULT_SAMPLES, 1), MAX_SAMPLES),
+    mode
+  };
+}
+
+/**
+ * Time one GET request; phases that did not happen (reused connection, plain HTTP, IP literal) are 0
+ */
+function timeRequest(url, options = {}) {
+  const blocked = checkUrlHost(url);
+  if (blocked) return Promise.reject(blocked);
+
+  const { protocol } = new URL(url);
+  const client = protocol === 'https:' ? https : http;
+  const now = () => performance.now();
+
+  return new Promise((resolve, reject) => {
+    const marks = { start: now() };
+    let bytes = 0;
+
+    const request = client.get(url, {
+      agent: options.agent || false,
+      lookup: guardedLookup,
+      headers: { 'User-Agent': options.userAgent, 'Accept-Encoding': 'gzip, deflate, br' },
+      timeout: options.timeout || SAMPLE_TIMEOUT,
+      signal: options.signal,
+      // Sampling measures the server, not certificate validity, which the security checks report
+      rejectUnauthorized: false
+    });
+
+    request.once('socket', (socket) => {
+      // A reused keep-alive socket is already connected and emits none of these
+      socket.once('lookup', () => { marks.lookup = now(); });
+      socket.once('connect', () => { marks.connect = now(); });
+      socket.once('secureConnect', () => { marks.secure = now(); });
+    });
+    request.once('timeout', () => request.destroy(new Error(`Timed out after ${options.timeout || SAMPLE_TIMEOUT}ms`)));
+    request.once('error', reject);
+
+    request.once('response', (response) => {
+      marks.response = now();
+      response.on('data', (chunk) => {
+        bytes += chunk.length;
+        if (bytes > MAX_BODY_BYTES) request.destroy(new Error('Response body too large to sample'));
+      });
+      response.once('error', reject);
+      response.once('end', () => {
+        marks.end = now();
+        const sent = marks.secure || marks.connect || marks.lookup || marks.start;
+        const round = value => Math.round(value * 10) / 10;
+        resolve({
+          status: response.statusCode,
+          bytes,
+          reused: !marks.connect,
+          dns: round(marks.lookup ? marks.lookup - marks.start : 0),
+          tcp: round(marks.connect ? marks.connect - (marks.lookup || marks.start) : 0),
+          tls: round(marks.secure && marks.connect ? marks.secure - marks.connect : 0),
+          ttfb: round(marks.response - sent),
+          download: round(marks.end - marks.response),
+          firstByte: round(marks.response - marks.start),
+          total: round(marks.end - marks.start)
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Median, p90 (nearest rank), population standard deviation, min and max
+ */
+function describeSamples(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return null;
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / n;
+  const median = n % 2 === 1 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  const round = value => Math.round(value * 10) / 10;
+  return {
+    median: round(median),
+    p90: round(sorted[Math.ceil(0.9 * n) - 1]),
+    stddev: round(Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / n)),
+    min: round(sorted[0]),
+    max: round(sorted[n - 1])
+  };
+}
+
+/**
+ * Take the configured number of samples sequentially and summarize them
+ * Options: { samples, mode, signal, userAgent }. Failed samples are counted but not summarized.
+ */
+async function sampleTimings(url, options = {}) {
+  const { samples, mode } = { ...getSamplingOptions(), ...options };
+  const { protocol } = new URL(url);
+  const agent = mode === 'warm'
+    ? new (protocol === 'https:' ? https : http).Agent({ keepAlive: true, maxSockets: 1, lookup: guardedLookup, rejectUnauthorized: false })
+    : null;
+  const requestOptions = { agent, signal: options.signal, userAgent: options.userAgent };
+
+  try {
+    // Warm mode: open the connection outside the measurement
+    if (agent) await timeRequest(url, requestOptions);
+
+    const results = [];
+    const errors = [];
+    for (let i = 0; i < samples; i++) {
+      try {
+        results.push(await timeRequest(url, requestOptions));
+      } catch (error) {
+        if (options.signal?.aborted) throw error;
+        errors.push(error.message);
+      }
+    }
+    if (results.length === 0) {
+      throw new Error(`All ${samples} timing samples failed: ${errors[0]}`);
+    }
+
+    return {
+      url,
+      mode,
+      requested: samples,
+      samples: results,
+      errors,
+      total: describeSamples(results.map(sample => sample.total)),
+      firstByte: describeSamples(results.map(sample => sample.firstByte)),
+      phases: Object.fromEntries(PHASES.map(phase => [phase, describeSamples(results.map(sample => sample[phase]))]))
+    };
+  } finally {
+    agent?.destroy();
+  }
+}
+
+module.exports = {
+  getSamplingOptions,
+  timeRequest,
+  describeSamples,
+  sampleTimings
+};
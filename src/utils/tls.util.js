@@ -0,0 +1,167 @@
+/**
+ * TLS Inspection Utilities
+ * Opens raw TLS connections to report the negotiated protocol, cipher and certificate chain
+ */
+
+const tls = require('tls');
+const { guardedLookup, checkUrlHost } = require('./egress.util');
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Open a TLS socket and resolve with the connected socket
+ * Certificate errors are not fatal; they are reported through socket.authorizationError.
+ */
+function connectTls(hostname, port, options = {}) {
+  const blocked = checkUrlHost(`https://${hostname.includes(':') ? `[${hostname}]` : hostname}:${port}/`);
+  if (blocked) return Promise.reject(blocked);
+
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host: hostname,
+      port,
+      servername: /^[\d.]+$|:/.test(hostname) ? undefined : hostname,
+      rejectUnauthorized: false,
+      lookup: guardedLookup,
+      minVersion: options.minVersion,
+      maxVersion: options.maxVersion,
+      ciphers: options.ciphers,
+      ALPNProtocols: options.ALPNProtocols
+    });
+
+    const onAbort = () => socket.destroy(options.signal.reason);
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+    socket.once('close', () => options.signal?.removeEventListener('abort', onAbort));
+
+    socket.setTimeout(options.timeout || DEFAULT_TIMEOUT, () => {
+      socket.destroy(new Error(`TLS connection to ${hostname}:${port} timed out`));
+    });
+    socket.once('secureConnect', () => {
+      socket.setTimeout(0);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Flatten the peer certificate chain (leaf first), stopping at the self-signed root
+ */
+function getChain(leaf) {
+  const chain = [];
+  const seen = new Set();
+  let cert = leaf;
+  while (cert && Object.keys(cert).length > 0 && !seen.has(cert.fingerprint256)) {
+    seen.add(cert.fingerprint256);
+    chain.push(cert);
+    cert = cert.issuerCertificate;
+  }
+  return chain;
+}
+
+function describeName(name = {}) {
+  return name.O || name.CN || Object.values(name).join(', ') || 'Unknown';
+}
+
+function describeKey(cert) {
+  if (cert.asn1Curve || cert.nistCurve) {
+    return { algorithm: 'EC', bits: cert.bits, curve: cert.nistCurve || cert.asn1Curve };
+  }
+  if (cert.modulus) {
+    return { algorithm: 'RSA', bits: cert.bits };
+  }
+  return { algorithm: cert.pubkey ? 'Unknown' : 'Unavailable', bits: cert.bits || null };
+}
+
+/**
+ * Inspect the TLS endpoint for a host
+ * Returns negotiated parameters plus a summary of the leaf certificate and chain.
+ */
+async function inspectTls(hostname, port = 443, options = {}) {
+  const socket = await connectTls(hostname, port, options);
+  try {
+    const leaf = socket.getPeerCertificate(true);
+    if (!leaf || Object.keys(leaf).length === 0) {
+      throw new Error('Server did not present a certificate');
+    }
+
+    const chain = getChain(leaf);
+    const last = chain[chain.length - 1];
+    const selfSigned = chain.length === 1 && leaf.issuerCertificate === leaf;
+    const hostnameError = tls.checkServerIdentity(hostname, leaf);
+    const validTo = new Date(leaf.valid_to);
+    const validFrom = new Date(leaf.valid_from);
+
+    return {
+      protocol: socket.getProtocol(),
+      cipher: socket.getCipher(),
+      alpnProtocol: socket.alpnProtocol || null,
+      authorized: socket.authorized,
+      authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+      certificate: {
+        subject: leaf.subject,
+        issuer: leaf.issuer,
+        issuerName: describeName(leaf.issuer),
+        subjectAltNames: (leaf.subjectaltname || '').split(',').map(s => s.trim()).filter(Boolean),
+        validFrom: validFrom.toISOString(),
+        validTo: validTo.toISOString(),
+        daysUntilExpiry: Math.floor((validTo - Date.now()) / (1000 * 60 * 60 * 24)),
+        notYetValid: validFrom > new Date(),
+        serialNumber: leaf.serialNumber,
+        fingerprint256: leaf.fingerprint256,
+        key: describeKey(leaf),
+        selfSigned,
+        hostnameMatches: !hostnameError,
+        hostnameError: hostnameError ? hostnameError.message : null
+      },
+      chain: chain.map(cert => ({
+        subject: describeName(cert.subject),
+        issuer: describeName(cert.issuer),
+        validTo: new Date(cert.valid_to).toISOString()
+      })),
+      // A complete chain ends at a certificate that signs itself (the trust anchor)
+      chainComplete: !!last && last.issuerCertificate === last
+    };
+  } finally {
+    socket.destroy();
+  }
+}
+
+/**
+ * Whether the server completes a handshake when limited to one protocol version
+ * Uses security level 0 so the local OpenSSL build does not refuse legacy versions itself.
+ */
+async function acceptsProtocol(hostname, port, version, options = {}) {
+  try {
+    const socket = await connectTls(hostname, port, {
+      ...options,
+      minVersion: version,
+      maxVersion: version,
+      ciphers: 'DEFAULT:@SECLEVEL=0'
+    });
+    const negotiated = socket.getProtocol();
+    socket.destroy();
+    return negotiated === version;
+  } catch (error) {
+    if (error.code === 'EGRESS_BLOCKED' || error.name === 'AbortError') throw error;
+    return false;
+  }
+}
+
+/**
+ * Application protocol the server selects over ALPN from the offered list
+ * Resolves to null when the server does not negotiate ALPN.
+ */
+async function negotiateAlpn(hostname, port = 443, protocols = ['h2', 'http/1.1'], options = {}) {
+  const socket = await connectTls(hostname, port, { ...options, ALPNProtocols: protocols });
+  const selected = socket.alpnProtocol || null;
+  socket.destroy();
+  return selected;
+}
+
+module.exports = {
+  connectTls,
+  inspectTls,
+  acceptsProtocol,
+  negotiateAlpn
+};
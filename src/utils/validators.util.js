@@ -2,6 +2,8 @@
  * URL and Input Validators
  */
 
+const { checkUrlHost } = require('./egress.util');
+
 function validateUrl(urlString) {
   try {
     if (typeof urlString !== 'string') return null;
@@ -19,7 +21,8 @@ function validateUrl(urlString) {
       return null;
     }
 
-    // Allow localhost, valid domain names, and IP addresses
+    // Allow valid domain names and IP addresses; loopback, private and metadata
+    // hosts are refused unless the egress allowlist permits them
     const hostname = parsed.hostname;
     const isDomain = isValidDomain(hostname);
     const isIPv4 = /^(?:\d{1,3}\.){3}\d{1,3}$/.test(hostname);
@@ -29,6 +32,10 @@ function validateUrl(urlString) {
       return null;
     }
 
+    if (checkUrlHost(parsed.href)) {
+      return null;
+    }
+
     return parsed.href;
   } catch (error) {
     return null;
@@ -0,0 +1,398 @@
+/**
+ * Browser Performance Helpers
+ * Loads a page under a desktop or emulated mobile profile and records navigation timing,
+ * Core Web Vitals, long tasks and main-thread time per script
+ *
+ * Configuration:
+ *   PERF_PROFILES              Profiles to run, comma-separated (default "desktop,mobile"; "none" disables the browser mode)
+ *   PERF_DESKTOP_CPU_SLOWDOWN  CPU throttling factor for the desktop profile (default 1)
+ *   PERF_DESKTOP_NETWORK       Network preset or "rttMs/downKbps/upKbps" for the desktop profile (default "desktop")
+ *   PERF_MOBILE_CPU_SLOWDOWN   CPU throttling factor for the mobile profile (default 4)
+ *   PERF_MOBILE_NETWORK        Network preset or "rttMs/downKbps/upKbps" for the mobile profile (default "slow4g")
+ */
+
+const { launchBrowser, releaseBrowser, openPage } = require('./browser.util');
+const { createNetworkRecorder } = require('./network-recorder.util');
+
+// Lighthouse's throttling presets
+const NETWORK_PRESETS = {
+  none: null,
+  desktop: { latency: 40, downloadKbps: 10240, uploadKbps: 10240 },
+  slow4g: { latency: 150, downloadKbps: 1638.4, uploadKbps: 675 },
+  '3g': { latency: 300, downloadKbps: 700, uploadKbps: 700 }
+};
+
+const PROFILES = {
+  desktop: {
+    label: 'Desktop',
+    viewport: { width: 1350, height: 940, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    userAgent: null,
+    cpuSlowdown: 1,
+    network: 'desktop'
+  },
+  mobile: {
+    label: 'Mobile',
+    viewport: { width: 412, height: 823, deviceScaleFactor: 1.75, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Mobile Safari/537.36',
+    cpuSlowdown: 4,
+    network: 'slow4g'
+  }
+};
+
+// Web Vitals "good" and "poor" boundaries; TBT uses Lighthouse's mobile scoring
+const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  tbt: [200, 600],
+  fcp: [1800, 3000],
+  ttfb: [800, 1800]
+};
+
+const LONG_TASK_MS = 50;
+const NAVIGATION_TIMEOUT = 30000;
+const NETWORK_IDLE_TIMEOUT = 5000;
+// Upper bound per profile run; a run that needs longer is reported as timed out
+const PROFILE_TIMEOUT = 40000;
+// Runs with less time than this left are skipped rather than started
+const MIN_PROFILE_TIME = 10000;
+const SETTLE_MS = 1000;
+const MAX_SCRIPTS = 10;
+
+/**
+ * Parse a network preset name or "rttMs/downKbps/upKbps"
+ */
+function parseNetwork(value) {
+  const name = String(value).trim().toLowerCase();
+  if (name in NETWORK_PRESETS) return NETWORK_PRESETS[name];
+  const [latency, downloadKbps, uploadKbps] = name.split('/').map(Number);
+  if ([latency, downloadKbps].some(number => !Number.isFinite(number) || number < 0)) {
+    throw new Error(`Invalid network throttling "${value}"`);
+  }
+  return { latency, downloadKbps, uploadKbps: Number.isFinite(uploadKbps) ? uploadKbps : downloadKbps };
+}
+
+/**
+ * Profiles selected by PERF_PROFILES with their throttling overrides applied
+ */
+function getProfiles() {
+  const names = (process.env.PERF_PROFILES || 'desktop,mobile').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (names.includes('none')) return [];
+
+  return names.map(name => {
+    const profile = PROFILES[name];
+    if (!profile) throw new Error(`Unknown performance profile "${name}"`);
+    const prefix = `PERF_${name.toUpperCase()}_`;
+    const cpuSlowdown = Number(process.env[`${prefix}CPU_SLOWDOWN`] || profile.cpuSlowdown);
+    return {
+      name,
+      ...profile,
+      cpuSlowdown: cpuSlowdown >= 1 ? cpuSlowdown : 1,
+      network: parseNetwork(process.env[`${prefix}NETWORK`] || profile.network)
+    };
+  });
+}
+
+/**
+ * Rate a metric against its thresholds: good, needs-improvement or poor (null when not measured)
+ */
+function rateMetric(metric, value) {
+  if (value === null || value === undefined) return null;
+  const [good, poor] = THRESHOLDS[metric];
+  return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Runs in the page before any of its scripts: buffers the performance entries the metrics are built from
+ */
+function installObservers() {
+  const store = {
+    fcp: null,
+    lcp: null,
+    lcpElement: null,
+    cls: 0,
+    shifts: [],
+    longTasks: [],
+    interactions: {}
+  };
+  window.__siteSentinelVitals = store;
+
+  const describe = (element) => {
+    if (!element) return null;
+    const id = element.id ? `#${element.id}` : '';
+    const classes = typeof element.className === 'string' && element.className.trim()
+      ? `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+      : '';
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  const observe = (type, callback, options = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+    } catch (error) {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') store.fcp = entry.startTime;
+  });
+  observe('largest-contentful-paint', entry => {
+    store.lcp = entry.startTime;
+    store.lcpElement = describe(entry.element) || entry.url || null;
+  });
+
+  // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+  let windowValue = 0;
+  let windowStart = 0;
+  let lastShift = 0;
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    if (entry.startTime - lastShift > 1000 || entry.startTime - windowStart > 5000) {
+      windowValue = 0;
+      windowStart = entry.startTime;
+    }
+    windowValue += entry.value;
+    lastShift = entry.startTime;
+    store.cls = Math.max(store.cls, windowValue);
+    store.shifts.push({
+      start: entry.startTime,
+      value: entry.value,
+      sources: (entry.sources || []).map(source => describe(source.node)).filter(Boolean).slice(0, 3)
+    });
+  });
+
+  observe('longtask', entry => {
+    store.longTasks.push({
+      start: entry.startTime,
+      duration: entry.duration,
+      source: entry.attribution?.[0]?.containerSrc || entry.attribution?.[0]?.containerName || null
+    });
+  });
+
+  // INP: longest event duration per interaction
+  observe('event', entry => {
+    if (!entry.interactionId) return;
+    store.interactions[entry.interactionId] = Math.max(store.interactions[entry.interactionId] || 0, entry.duration);
+  }, { durationThreshold: 16 });
+}
+
+/**
+ * Navigation timing phases in milliseconds from the start of the navigation
+ */
+function summarizeNavigation(entry) {
+  if (!entry) return null;
+  const span = (start, end) => (start > 0 && end >= start ? Math.round(end - start) : 0);
+  return {
+    redirect: span(entry.redirectStart, entry.redirectEnd),
+    dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+    connect: span(entry.connectStart, entry.connectEnd),
+    tls: span(entry.secureConnectionStart, entry.connectEnd),
+    ttfb: Math.round(entry.responseStart),
+    download: span(entry.responseStart, entry.responseEnd),
+    domContentLoaded: Math.round(entry.domContentLoadedEventEnd),
+    load: Math.round(entry.loadEventEnd),
+    transferSize: entry.transferSize || 0,
+    protocol: entry.nextHopProtocol || null
+  };
+}
+
+/**
+ * Self time per script URL from a CPU profile, heaviest first
+ */
+function summarizeProfile(profile, pageUrl) {
+  const nodes = new Map(profile.nodes.map(node => [node.id, node]));
+  const totals = new Map();
+  const deltas = profile.timeDeltas || [];
+
+  (profile.samples || []).forEach((nodeId, index) => {
+    const frame = nodes.get(nodeId)?.callFrame;
+    // The delta before the next sample is the time spent in this one
+    const micros = deltas[index + 1] || 0;
+    if (!frame || frame.functionName === '(idle)' || frame.functionName === '(program)') return;
+    const key = frame.url || (frame.functionName === '(garbage collector)' ? '(garbage collector)' : '(other)');
+    totals.set(key, (totals.get(key) || 0) + micros);
+  });
+
+  const origin = new URL(pageUrl).origin;
+  return [...totals.entries()]
+    .map(([url, micros]) => ({
+      url,
+      time: Math.round(micros / 1000),
+      firstParty: url.startsWith('http') ? new URL(url).origin === origin : null
+    }))
+    .filter(script => script.time > 0)
+    .sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Build the metrics for one run from the collected page data
+ */
+function buildMetrics(collected, cpuMetrics, scripts) {
+  const { navigation, vitals } = collected;
+  const fcp = vitals.fcp;
+  const longTasks = vitals.longTasks.sort((a, b) => b.duration - a.duration);
+
+  // TBT: blocking portion of long tasks after FCP, up to the end of the observation window
+  const tbt = fcp === null ? null : Math.round(longTasks
+    .filter(task => task.start >= fcp)
+    .reduce((sum, task) => sum + Math.max(0, task.duration - LONG_TASK_MS), 0));
+  const interactions = Object.values(vitals.interactions);
+
+  const metrics = {
+    fcp: fcp === null ? null : Math.round(fcp),
+    lcp: vitals.lcp === null ? null : Math.round(vitals.lcp),
+    cls: Math.round(vitals.cls * 1000) / 1000,
+    tbt,
+    inp: interactions.length > 0 ? Math.round(Math.max(...interactions)) : null,
+    ttfb: navigation ? navigation.ttfb : null
+  };
+
+  return {
+    navigation,
+    metrics,
+    ratings: Object.fromEntries(Object.entries(metrics).map(([metric, value]) => [metric, rateMetric(metric, value)])),
+    lcpElement: vitals.lcpElement,
+    layoutShifts: vitals.shifts.sort((a, b) => b.value - a.value).slice(0, 5),
+    longTasks: {
+      count: longTasks.length,
+      total: Math.round(longTasks.reduce((sum, task) => sum + task.duration, 0)),
+      longest: longTasks.length > 0 ? Math.round(longTasks[0].duration) : 0,
+      tasks: longTasks.slice(0, 5).map(task => ({ start: Math.round(task.start), duration: Math.round(task.duration), source: task.source }))
+    },
+    mainThread: {
+      scripting: Math.round((cpuMetrics.ScriptDuration || 0) * 1000),
+      layout: Math.round((cpuMetrics.LayoutDuration || 0) * 1000),
+      style: Math.round((cpuMetrics.RecalcStyleDuration || 0) * 1000),
+      total: Math.round((cpuMetrics.TaskDuration || 0) * 1000),
+      scripts: scripts.slice(0, MAX_SCRIPTS)
+    }
+  };
+}
+
+/**
+ * Load the page once under a profile in a fresh browser context (cold cache)
+ * Every request of the session is recorded in `requests`.
+ * Options: { onSession(page, client) } runs before navigation so callers can record extra data;
+ * { inspect(page) } runs once the page has settled and its result is returned as `inspection`.
+ * { signal } closes the browser context when aborted, failing whatever step the run is in.
+ */
+async function measureProfile(browser, url, profile, options = {}) {
+  const browserContext = await browser.createBrowserContext();
+  const onAbort = () => browserContext.close().catch(() => {});
+  options.signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    const page = await openPage(browserContext);
+    const client = await page.createCDPSession();
+
+    await page.setViewport(profile.viewport);
+    if (profile.userAgent) await page.setUserAgent(profile.userAgent);
+    await client.send('Network.enable');
+    const recorder = createNetworkRecorder(client);
+    if (profile.network) {
+      await client.send('Network.emulateNetworkConditions', {
+        offline: false,
+        latency: profile.network.latency,
+        downloadThroughput: (profile.network.downloadKbps * 1024) / 8,
+        uploadThroughput: (profile.network.uploadKbps * 1024) / 8
+      });
+    }
+    await client.send('Emulation.setCPUThrottlingRate', { rate: profile.cpuSlowdown });
+    await client.send('Performance.enable');
+    await client.send('Profiler.enable');
+    await client.send('Profiler.setSamplingInterval', { interval: 1000 });
+    await page.evaluateOnNewDocument(installObservers);
+    if (options.onSession) await options.onSession(page, client);
+
+    await client.send('Profiler.start');
+    const response = await page.goto(url, { waitUntil: 'load', timeout: NAVIGATION_TIMEOUT });
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: NETWORK_IDLE_TIMEOUT }).catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+
+    // A harmless key press gives INP an interaction to measure
+    await page.keyboard.press('Shift').catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const { profile: cpuProfile } = await client.send('Profiler.stop');
+    const { metrics } = await client.send('Performance.getMetrics');
+    const inspection = options.inspect ? await options.inspect(page) : null;
+    const collected = await page.evaluate(() => ({
+      title: document.title,
+      navigation: performance.getEntriesByType('navigation')[0]?.toJSON() || null,
+      vitals: window.__siteSentinelVitals
+    }));
+    if (!collected.vitals) throw new Error('Performance observers did not run in the page');
+
+    return {
+      profile: profile.name,
+      label: profile.label,
+      throttling: { cpuSlowdown: profile.cpuSlowdown, network: profile.network },
+      status: response ? response.status() : null,
+      url: page.url(),
+      title: collected.title,
+      browserVersion: await browser.version(),
+      // Raw request records for the waterfall and HAR export
+      requests: recorder.entries(),
+      inspection,
+      ...buildMetrics(
+        { navigation: summarizeNavigation(collected.navigation), vitals: collected.vitals },
+        Object.fromEntries(metrics.map(metric => [metric.name, metric.value])),
+        summarizeProfile(cpuProfile, page.url())
+      )
+    };
+  } finally {
+    options.signal?.removeEventListener('abort', onAbort);
+    await browserContext.close().catch(() => {});
+  }
+}
+
+/**
+ * Measure the page under every configured profile in the shared browser
+ * A failing profile is reported with its error instead of failing the others.
+ * Each run gets at most PROFILE_TIMEOUT, and an equal share of the time left before `options.deadline`
+ * (a timestamp) when one is given.
+ */
+async function measurePage(url, context, options = {}) {
+  const profiles = options.profiles || getProfiles();
+  if (profiles.length === 0) return [];
+
+  const browser = await launchBrowser(context);
+  try {
+    const runs = [];
+    for (const [index, profile] of profiles.entries()) {
+      const share = options.deadline ? (options.deadline - Date.now()) / (profiles.length - index) : PROFILE_TIMEOUT;
+      const timeout = Math.floor(Math.min(PROFILE_TIMEOUT, share));
+      if (timeout < MIN_PROFILE_TIME) {
+        runs.push({ profile: profile.name, label: profile.label, error: 'Skipped: not enough time left in the check\'s budget' });
+        continue;
+      }
+      const budget = AbortSignal.timeout(timeout);
+      try {
+        runs.push(await measureProfile(browser, url, profile, {
+          ...options,
+          signal: AbortSignal.any([context?.signal, budget].filter(Boolean))
+        }));
+      } catch (error) {
+        if (context?.signal?.aborted) throw error;
+        runs.push({
+          profile: profile.name,
+          label: profile.label,
+          error: budget.aborted ? `Did not finish within ${Math.round(timeout / 1000)}s` : error.message.split('\n')[0]
+        });
+      }
+    }
+    return runs;
+  } finally {
+    await releaseBrowser(browser, context);
+  }
+}
+
+module.exports = {
+  THRESHOLDS,
+  getProfiles,
+  rateMetric,
+  summarizeNavigation,
+  summarizeProfile,
+  buildMetrics,
+  measurePage
+};
@@ -0,0 +1,419 @@
+/**
+ * Domain Registration Lookup
+ * RDAP client with a WHOIS (port 43) fallback that follows registry and registrar referrals
+ *
+ * Configuration:
+ *   RDAP_BOOTSTRAP_URL  IANA RDAP bootstrap file (default https://data.iana.org/rdap/dns.json)
+ *   RDAP_SERVERS        Comma-separated "tld=baseUrl" overrides; "*" applies to every TLD
+ *   WHOIS_SERVER        Root WHOIS server queried for TLD referrals ("host" or "host:port", default whois.iana.org)
+ *   WHOIS_SERVERS       Comma-separated "tld=host[:port]" overrides that skip the root referral
+ */
+
+const net = require('net');
+const { httpClient, checkUrlHost, guardedLookup } = require('./egress.util');
+
+const DEFAULT_BOOTSTRAP_URL = 'https://data.iana.org/rdap/dns.json';
+const DEFAULT_WHOIS_SERVER = 'whois.iana.org';
+const WHOIS_PORT = 43;
+const BOOTSTRAP_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEOUT = 10000;
+const MAX_WHOIS_REFERRALS = 3;
+const MAX_WHOIS_BYTES = 512 * 1024;
+
+// Registries that expect something other than the bare domain as the query
+const WHOIS_QUERY_FORMATS = {
+  'whois.denic.de': domain => `-T dn,ace ${domain}`,
+  'whois.jprs.jp': domain => `${domain}/e`,
+  'whois.verisign-grs.com': domain => `domain ${domain}`
+};
+
+// Field labels used by the common registry formats (ICANN, RIPE-style ccTLDs, Nominet, JPRS, ...)
+const WHOIS_FIELDS = {
+  registrar: ['registrar', 'registrar name', 'sponsoring registrar', 'registrar organization'],
+  creationDate: ['creation date', 'created', 'created on', 'registered on', 'registration time', 'domain registration date', 'registered', 'domain record activated'],
+  expirationDate: ['registry expiry date', 'registrar registration expiration date', 'expiration date', 'expiry date', 'expires', 'expires on', 'expire date', 'paid-till', 'expiration time', 'renewal date', 'domain expiration date'],
+  updatedDate: ['updated date', 'last updated', 'last modified', 'changed', 'modified', 'last update', 'domain record last updated'],
+  nameServers: ['name server', 'name servers', 'nameserver', 'nameservers', 'nserver', 'name server information'],
+  status: ['domain status', 'status', 'state'],
+  registrantOrg: ['registrant organization', 'registrant organisation', 'registrant'],
+  dnssec: ['dnssec', 'signing key', 'ds record']
+};
+// Placeholder values registries print instead of personal data
+const REDACTED = /redacted|privacy|not disclosed|data protected|withheld|gdpr/i;
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+let bootstrapCache = null;
+
+function parseServerList(value) {
+  return Object.fromEntries(String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const index = entry.indexOf('=');
+    return [entry.slice(0, index).trim().toLowerCase().replace(/^\./, ''), entry.slice(index + 1).trim()];
+  }));
+}
+
+function parseHostPort(value) {
+  const bracketed = value.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) return { host: bracketed[1], port: parseInt(bracketed[2], 10) || WHOIS_PORT };
+  if (net.isIPv6(value)) return { host: value, port: WHOIS_PORT };
+  const [host, port] = value.split(':');
+  return { host: host.toLowerCase(), port: parseInt(port, 10) || WHOIS_PORT };
+}
+
+/**
+ * Parse the dates registries print: ISO 8601, "26-Aug-1996", "2001/01/01", "2001.01.01", "01.01.2001"
+ * Returns an ISO string, or null when the value is not a recognisable date.
+ */
+function parseRegistryDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  let match = text.match(/^(\d{1,2})[-\s]([a-z]{3})[a-z]*[-\s](\d{4})/i);
+  if (match && MONTHS[match[2].toLowerCase()] !== undefined) {
+    return new Date(Date.UTC(+match[3], MONTHS[match[2].toLowerCase()], +match[1])).toISOString();
+  }
+  match = text.match(/^(\d{4})[./](\d{2})[./](\d{2})(?:\s+(\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (match) {
+    // JPRS prints Japan Standard Time (UTC+9)
+    const offsetHours = /\(JST\)/.test(text) ? 9 : 0;
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3], +(match[4] || 0) - offsetHours, +(match[5] || 0), +(match[6] || 0))).toISOString();
+  }
+  match = text.match(/^(\d{2})\.(\d{2})\.(\d{4})/);
+  if (match) {
+    return new Date(Date.UTC(+match[3], +match[2] - 1, +match[1])).toISOString();
+  }
+
+  const parsed = new Date(text.replace(/\s*\(UTC\)$/, ''));
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * EPP status codes without the ICANN explanation URL, e.g. "clientTransferProhibited"
+ */
+function normalizeStatus(value) {
+  return String(value).replace(/\s*\(?https?:\/\/\S+\)?/g, '').trim();
+}
+
+/**
+ * Whether a DNSSEC field says the delegation is signed ("unsigned" must not count)
+ */
+function parseDnssecField(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).toLowerCase();
+  if (/unsigned|^no\b|inactive|not signed|^false/.test(text)) return false;
+  if (/signed|^yes\b|active|^true|\d+\s+\d+\s+\d+/.test(text)) return true;
+  return null;
+}
+
+function emptyRecord(source, server) {
+  return {
+    source,
+    server,
+    registrar: null,
+    creationDate: null,
+    expirationDate: null,
+    updatedDate: null,
+    nameServers: [],
+    status: [],
+    registrantOrg: null,
+    dnssec: null
+  };
+}
+
+/**
+ * Parse WHOIS text from the common registry formats
+ * Handles "Key: value" lines, "[Key] value" (JPRS) and indented sections (Nominet/EURid-style "Registrar:\n    Name").
+ */
+function parseWhoisText(text, server = null) {
+  const record = emptyRecord('whois', server);
+  const labels = Object.entries(WHOIS_FIELDS).flatMap(([field, names]) => names.map(name => [name, field]));
+  const fieldFor = key => labels.find(([name]) => name === key)?.[1] || null;
+
+  const assign = (field, value) => {
+    if (!field || !value) return;
+    if (field === 'nameServers') {
+      value.split(/\s+/).slice(0, 1).map(ns => ns.toLowerCase().replace(/\.$/, '')).filter(ns => ns.includes('.'))
+        .forEach(ns => !record.nameServers.includes(ns) && record.nameServers.push(ns));
+    } else if (field === 'status') {
+      const status = normalizeStatus(value);
+      if (status && !record.status.includes(status)) record.status.push(status);
+    } else if (field === 'dnssec') {
+      if (record.dnssec === null) record.dnssec = parseDnssecField(value);
+    } else if (field.endsWith('Date')) {
+      if (!record[field]) record[field] = parseRegistryDate(value);
+    } else if (!record[field] && !REDACTED.test(value)) {
+      record[field] = value;
+    }
+  };
+
+  let section = null;
+  String(text).split(/\r?\n/).forEach(line => {
+    if (!line.trim()) {
+      section = null;
+      return;
+    }
+    if (/^\s*(%|#|>>>|--)/.test(line)) return;
+
+    const bracket = line.trim().match(/^\[(.+?)\]\s*(.*)$/);
+    const pair = bracket || line.trim().match(/^([^:]{1,60}?)\s*:\s*(.*)$/);
+    const key = pair ? pair[1].trim().toLowerCase().replace(/\.+$/, '') : null;
+    const value = pair ? pair[2].trim() : line.trim();
+
+    // Indented lines belong to the section opened by a label without a value
+    if (/^\s/.test(line) && section) {
+      if (!pair) assign(section.field, value.replace(/\s*\[Tag = .*\]$/, ''));
+      else if (fieldFor(key)) assign(fieldFor(key), value);
+      else if (['name', 'organisation', 'organization'].includes(key)) assign(section.field, value);
+      return;
+    }
+
+    if (!pair) {
+      section = null;
+      return;
+    }
+    const field = fieldFor(key);
+    if (value) assign(field, value);
+    section = value ? null : { field };
+  });
+
+  return record;
+}
+
+/**
+ * Referral to the next WHOIS server in a response ("refer:" from IANA, "Registrar WHOIS Server:" from thin registries)
+ */
+function findWhoisReferral(text) {
+  const match = String(text).match(/^[ \t]*(?:refer|whois|registrar whois server|whois server)[ \t]*:[ \t]*(\S+)[ \t]*$/im);
+  if (!match) return null;
+  return match[1].replace(/^whois:\/\//i, '').replace(/\/$/, '').toLowerCase();
+}
+
+/**
+ * Send one WHOIS query over TCP port 43 and return the full response text
+ */
+function queryWhoisServer(server, query, options = {}) {
+  const { host, port } = typeof server === 'string' ? parseHostPort(server) : server;
+  const blocked = checkUrlHost(`http://${net.isIPv6(host) ? `[${host}]` : host}/`);
+  if (blocked) return Promise.reject(blocked);
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port, lookup: guardedLookup });
+    const chunks = [];
+    let size = 0;
+    const finish = (error) => {
+      options.signal?.removeEventListener('abort', onAbort);
+      socket.destroy();
+      error ? reject(error) : resolve(Buffer.concat(chunks).toString('utf8'));
+    };
+    const onAbort = () => finish(options.signal.reason);
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    socket.setTimeout(options.timeout || DEFAULT_TIMEOUT, () => finish(new Error(`WHOIS query to ${host}:${port} timed out`)));
+    socket.on('connect', () => socket.write(`${query}\r\n`));
+    socket.on('data', (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size > MAX_WHOIS_BYTES) finish(null);
+    });
+    socket.on('end', () => finish(null));
+    socket.on('error', finish);
+  });
+}
+
+/**
+ * WHOIS lookup: root server referral to the TLD registry, then the registrar for thin registries
+ */
+async function lookupWhois(domain, options = {}) {
+  const tld = domain.split('.').pop();
+  const overrides = parseServerList(process.env.WHOIS_SERVERS);
+  let server = overrides[tld] || null;
+
+  if (!server) {
+    const rootText = await queryWhoisServer(process.env.WHOIS_SERVER || DEFAULT_WHOIS_SERVER, tld, options);
+    server = findWhoisReferral(rootText);
+    if (!server) throw new Error(`No WHOIS server known for .${tld}`);
+  }
+
+  let merged = null;
+  const visited = new Set();
+  for (let hop = 0; server && hop < MAX_WHOIS_REFERRALS && !visited.has(server); hop++) {
+    visited.add(server);
+    const host = parseHostPort(server).host;
+    const format = WHOIS_QUERY_FORMATS[host];
+    let text;
+    try {
+      text = await queryWhoisServer(server, format ? format(domain) : domain, options);
+    } catch (error) {
+      // The registry answer is enough when a registrar server is unreachable
+      if (merged && !options.signal?.aborted) break;
+      throw error;
+    }
+
+    if (/^\s*(no match|not found|no data found|no entries found|status:\s*free|domain not found)/im.test(text) && !merged) {
+      throw new Error(`${domain} is not registered according to ${server}`);
+    }
+
+    const record = parseWhoisText(text, server);
+    merged = merged ? mergeRecords(merged, record) : record;
+    const referral = findWhoisReferral(text);
+    server = referral && referral !== host ? referral : null;
+  }
+
+  return merged;
+}
+
+/**
+ * Fill gaps in the registry record with the registrar's; registry values win
+ */
+function mergeRecords(primary, secondary) {
+  const merged = { ...primary };
+  Object.keys(primary).forEach(field => {
+    if (Array.isArray(primary[field])) {
+      merged[field] = primary[field].length > 0 ? primary[field] : secondary[field];
+    } else if (primary[field] === null || primary[field] === undefined) {
+      merged[field] = secondary[field];
+    }
+  });
+  return merged;
+}
+
+async function fetchJson(url, options) {
+  const blocked = checkUrlHost(url);
+  if (blocked) throw blocked;
+  const response = await httpClient.get(url, {
+    timeout: options.timeout || DEFAULT_TIMEOUT,
+    maxRedirects: 3,
+    responseType: 'json',
+    headers: { Accept: 'application/rdap+json, application/json' },
+    validateStatus: () => true,
+    signal: options.signal
+  });
+  return response;
+}
+
+/**
+ * RDAP base URL for a domain from RDAP_SERVERS or the IANA bootstrap file (RFC 9224)
+ */
+async function findRdapServer(domain, options = {}) {
+  const labels = domain.split('.');
+  const overrides = parseServerList(process.env.RDAP_SERVERS);
+  for (let i = 0; i < labels.length; i++) {
+    const suffix = labels.slice(i).join('.');
+    if (overrides[suffix]) return overrides[suffix];
+  }
+  if (overrides['*']) return overrides['*'];
+
+  if (!bootstrapCache || Date.now() - bootstrapCache.fetchedAt > BOOTSTRAP_TTL_MS) {
+    const response = await fetchJson(process.env.RDAP_BOOTSTRAP_URL || DEFAULT_BOOTSTRAP_URL, options);
+    if (response.status !== 200 || !Array.isArray(response.data?.services)) {
+      throw new Error(`RDAP bootstrap unavailable (HTTP ${response.status})`);
+    }
+    bootstrapCache = { fetchedAt: Date.now(), services: response.data.services };
+  }
+
+  // Longest matching suffix wins
+  for (let i = 0; i < labels.length; i++) {
+    const suffix = labels.slice(i).join('.');
+    const service = bootstrapCache.services.find(([suffixes]) => suffixes.includes(suffix));
+    if (service) return service[1].find(url => url.startsWith('https://')) || service[1][0];
+  }
+  return null;
+}
+
+function vcardValue(entity, property) {
+  const entry = entity?.vcardArray?.[1]?.find(item => item[0] === property);
+  return entry ? [].concat(entry[3]).join(' ').trim() || null : null;
+}
+
+/**
+ * Map an RDAP domain object (RFC 9083) onto the registration record
+ */
+function parseRdapDomain(data, server) {
+  const record = emptyRecord('rdap', server);
+  const entities = [];
+  const collect = list => (list || []).forEach(entity => {
+    entities.push(entity);
+    collect(entity.entities);
+  });
+  collect(data.entities);
+
+  const eventDate = action => parseRegistryDate(data.events?.find(event => event.eventAction === action)?.eventDate);
+  record.creationDate = eventDate('registration');
+  record.expirationDate = eventDate('expiration');
+  record.updatedDate = eventDate('last changed');
+
+  const registrar = entities.find(entity => entity.roles?.includes('registrar'));
+  record.registrar = vcardValue(registrar, 'fn') || registrar?.handle || null;
+  const registrant = entities.find(entity => entity.roles?.includes('registrant'));
+  record.registrantOrg = vcardValue(registrant, 'org') || vcardValue(registrant, 'fn');
+  if (REDACTED.test(record.registrantOrg || '')) record.registrantOrg = null;
+
+  record.nameServers = (data.nameservers || []).map(ns => String(ns.ldhName || '').toLowerCase().replace(/\.$/, '')).filter(Boolean);
+  record.status = (data.status || []).map(normalizeStatus);
+  record.dnssec = typeof data.secureDNS?.delegationSigned === 'boolean' ? data.secureDNS.delegationSigned : null;
+  return record;
+}
+
+/**
+ * RDAP lookup, following the registry's "related" link to the registrar's RDAP service
+ */
+async function lookupRdap(domain, options = {}) {
+  const base = await findRdapServer(domain, options);
+  if (!base) throw new Error(`No RDAP service for .${domain.split('.').pop()}`);
+
+  const url = new URL(`domain/${encodeURIComponent(domain)}`, base.endsWith('/') ? base : `${base}/`).href;
+  const response = await fetchJson(url, options);
+  if (response.status === 404) throw new Error(`${domain} is not registered according to ${new URL(url).host}`);
+  if (response.status !== 200 || typeof response.data !== 'object' || response.data === null) {
+    throw new Error(`RDAP server returned HTTP ${response.status}`);
+  }
+
+  let record = parseRdapDomain(response.data, new URL(url).host);
+  const related = (response.data.links || []).find(link => link.rel === 'related' && /rdap\+json/.test(link.type || '') && link.href !== url);
+  if (related) {
+    try {
+      const registrarResponse = await fetchJson(related.href, options);
+      if (registrarResponse.status === 200 && typeof registrarResponse.data === 'object') {
+        record = mergeRecords(record, parseRdapDomain(registrarResponse.data, new URL(related.href).host));
+      }
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+    }
+  }
+  return record;
+}
+
+/**
+ * Registration data for a domain: RDAP first, WHOIS when RDAP is unavailable
+ * `attempts` lists the failures that led to the fallback.
+ */
+async function lookupRegistration(domain, options = {}) {
+  const attempts = [];
+  try {
+    return { ...(await lookupRdap(domain, options)), attempts };
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    attempts.push({ source: 'rdap', error: error.message });
+    if (/is not registered/.test(error.message)) throw error;
+  }
+
+  try {
+    return { ...(await lookupWhois(domain, options)), attempts };
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    attempts.push({ source: 'whois', error: error.message });
+    const failure = new Error(attempts.map(attempt => `${attempt.source.toUpperCase()}: ${attempt.error}`).join('; '));
+    failure.attempts = attempts;
+    throw failure;
+  }
+}
+
+module.exports = {
+  parseRegistryDate,
+  parseWhoisText,
+  parseRdapDomain,
+  findWhoisReferral,
+  queryWhoisServer,
+  lookupWhois,
+  lookupRdap,
+  lookupRegistration
+};